@@ -44,9 +44,10 @@ for (const envPath of envPaths) {
     if (fs.existsSync(envPath)) {
       const result = dotenv.config({ path: envPath, override: false }); // Don't override existing env vars
       if (!result.error) {
-        // Only log this when not in npm install to reduce noise
+        // Only log this when not in npm install to reduce noise; like the warnings below it goes to
+        // stderr, so commands writing JSON to stdout aren't affected
         if (!process.env.npm_config_global) {
-          console.log(`Loaded environment from: ${envPath}`);
+          console.error(`Loaded environment from: ${envPath}`);
         }
         loadedPath = envPath;
         envLoaded = true;
@@ -69,8 +70,8 @@ if (!envLoaded && !isSetupCommand) {
   // Check if we loaded from the global location (first priority)
   if (loadedPath !== GLOBAL_ENV_FILE && !isSetupCommand) {
     // If we loaded from a project .env but not the global, show a reminder
-    console.log(`Note: Using project-specific configuration from ${loadedPath}`);
-    console.log(`Global configuration can be set with 'code-connoisseur setup'`);
+    console.error(`Note: Using project-specific configuration from ${loadedPath}`);
+    console.error(`Global configuration can be set with 'code-connoisseur setup'`);
   }
 }
 
@@ -1,49 +1,29 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { ChatAnthropic } = require('@langchain/anthropic');
-const { ConversationChain } = require('langchain/chains');
 const { HumanMessage, SystemMessage, AIMessage } = require('@langchain/core/messages');
-const { BufferMemory } = require('langchain/memory');
-const { searchCodebase } = require('./vectorStore');
+const { findRelatedCode } = require('./hybridSearch');
+const { indexExists } = require('./vectorStore');
 const { analyzeCodeChanges } = require('./diffAnalyzer');
 const { runStaticAnalysis, analyzeDependencies, estimateTestCoverage, suggestEdgeCases } = require('./codeAnalyzer');
 const FeedbackSystem = require('./feedbackSystem');
+const { FINDINGS_FORMAT_INSTRUCTIONS, parseReviewResponse, refersToFile, formatFindingsMarkdown } = require('./findings');
+const { PATCH_INSTRUCTIONS, validatePatch } = require('./patches');
+const { createChatModel } = require('./llmProviders');
+const { splitCode } = require('./codeParser');
+const { DEFAULT_HUNK_REVIEW_THRESHOLD, groupHunks, dedupeFindings, buildSynthesisRequest } = require('./hunkReview');
+const { buildChangesetRequest } = require('./changesetReview');
+const { ReviewChat } = require('./reviewChat');
+const { hashContent } = require('./indexManifest');
+const { getCacheKey, readCachedReview, writeCachedReview } = require('./reviewCache');
+const {
+  DIFF_SHARE, estimateTokens, getPromptBudget, truncateToTokens, splitHunks, packDiff, packSections, formatContextReport
+} = require('./contextBudget');
 const path = require('path');
 require('dotenv').config();
 
-// Choose the LLM provider based on configuration
-function getLLM(provider = 'openai') {
-  if (provider === 'anthropic' &&
-      process.env.ANTHROPIC_API_KEY &&
-      process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-')) {
-    console.log("Using Anthropic Claude for code review");
-    return new ChatAnthropic({
-      anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-      modelName: 'claude-3-7-sonnet-20250219',
-      temperature: 0.3,
-    });
-  } else if (process.env.OPENAI_API_KEY &&
-             process.env.OPENAI_API_KEY !== 'your_openai_api_key_here' &&
-             process.env.OPENAI_API_KEY.startsWith('sk-')) {
-    console.log("Using OpenAI GPT-4 for code review");
-    return new ChatOpenAI({
-      openAIApiKey: process.env.OPENAI_API_KEY,
-      modelName: 'gpt-4-turbo',
-      temperature: 0.3,
-    });
-  } else {
-    // Default to Anthropic if key looks valid
-    if (process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-')) {
-      console.log("Defaulting to Anthropic Claude for code review");
-      return new ChatAnthropic({
-        anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-        modelName: 'claude-3-7-sonnet-20250219',
-        temperature: 0.3,
-      });
-    } else {
-      throw new Error("No valid API keys found for any LLM provider");
-    }
-  }
-}
+// Version of the review prompts; bump it when they change so cached reviews made with older prompts are not reused
+const PROMPT_VERSION = 2;
+
+// Attempts allowed for the model to produce a response that matches the findings schema
+const MAX_SCHEMA_ATTEMPTS = 3;
 
 // Base system prompt for the code review agent
 const BASE_SYSTEM_PROMPT = `You are Code Connoisseur, an expert code reviewer capable of reviewing code from MEAN, MERN, Java, and Python stacks. You will be informed of the specific stack for each review you conduct. Your task is to provide detailed, actionable feedback based on that stack's best practices.
@@ -55,7 +35,6 @@ You have access to the following information:
 4. Dependency analysis showing what modules might be affected
 5. Test coverage estimation and suggestions
 6. Edge case suggestions based on code patterns
-7. Historical reviews through conversation memory
 
 ### General Review Aspects
 When reviewing any code change, focus on the following:
@@ -128,11 +107,30 @@ Key Citations
 - [Python Code Review Guidelines PEP 8](https://peps.python.org/pep-0008/)
 `;
 
+/**
+ * Gets the function review progress is logged with
+ * @param {Object} options - Review options
+ * @returns {Function} - console.log, or a function that logs nothing when options.quiet is set
+ */
+function getProgressLog(options) {
+  return options.quiet ? () => {} : console.log;
+}
+
 class CodeReviewAgent {
-  constructor(indexName, llmProvider = 'openai') {
+  /**
+   * @param {string} indexName - Name of the index used for codebase context
+   * @param {string} llmProvider - Name of the LLM provider in the provider registry
+   * @param {Object} providers - The "providers" section of the config (overrides and custom providers)
+   */
+  constructor(indexName, llmProvider = 'anthropic', providers = {}) {
     this.indexName = indexName;
-    this.llm = getLLM(llmProvider);
-    this.memory = new BufferMemory();
+    const { llm, provider } = createChatModel(llmProvider, providers);
+    console.log(`Using ${provider.name} (${provider.model}) for code review`);
+    this.llm = llm;
+    this.llmInfo = { provider: provider.name, model: provider.model };
+    this.promptBudget = getPromptBudget(provider);
+    // Whether the index exists, checked on the first review so every file without one skips the searches
+    this.indexAvailable = null;
     this.feedbackSystem = new FeedbackSystem();
     
     // Initialize with any feedback-based prompt improvements
@@ -144,95 +142,304 @@ class CodeReviewAgent {
    * @param {string} oldCode - Original code
    * @param {string} newCode - New code
    * @param {string} filePath - Path to the file being reviewed
-   * @param {Object} options - Additional options (stack, projectRoot)
-   * @returns {Promise<string>} - Review feedback
+   * @param {Object} options - Additional options (stack, projectRoot, changeType, oldPath, format, includeAnalysis,
+   *   suggestFixes to request unified-diff patches with structured findings, verbose to log what the context
+   *   budget left out, hunkThreshold for the number of changed lines from which the change is reviewed in
+   *   passes, 0 to disable, relatedChanges describing connected changes to other files of a changeset,
+   *   cache to reuse and store reviews in the review cache, quiet to leave out progress messages)
+   * @returns {Promise<string|{file: string, summary: string, findings: Array<Object>}>} - Review feedback,
+   *   or structured findings when options.format is 'json' (with static issues and diff risks under
+   *   analysis when options.includeAnalysis is set)
    */
   async reviewCode(oldCode, newCode, filePath, options = {}) {
-    console.log(`Reviewing changes in ${filePath}...`);
+    const log = getProgressLog(options);
+    log(`Reviewing changes in ${filePath}...`);
     const projectRoot = options.projectRoot || process.cwd();
     
     // Determine stack based on file extension or explicit option
     let stack = options.stack || this._detectStackFromFile(filePath, newCode);
     
+    // An identical earlier review (same code, stack, prompts, model and options) is returned as is
+    const cacheKey = options.cache ? this._getCacheKey(oldCode, newCode, filePath, stack, options) : null;
+    if (cacheKey) {
+      const cached = await readCachedReview(cacheKey);
+      if (cached) {
+        log(`Using cached review from ${new Date(cached.created).toLocaleString()}`);
+        return cached.review;
+      }
+    }
+    
     // Step 1: Analyze the diff
-    console.log('Analyzing diff...');
+    log('Analyzing diff...');
     const diffAnalysis = analyzeCodeChanges(oldCode, newCode);
     
     // Step 2: Run static analysis
-    console.log('Running static analysis...');
-    const staticAnalysisResults = await runStaticAnalysis(newCode, filePath);
+    log('Running static analysis...');
+    const staticAnalysisResults = await runStaticAnalysis(newCode, filePath, { quiet: options.quiet });
     
     // Step 3: Analyze dependencies
-    console.log('Analyzing dependencies...');
-    const dependencyAnalysis = await analyzeDependencies(filePath, projectRoot);
+    log('Analyzing dependencies...');
+    const dependencyAnalysis = await analyzeDependencies(filePath, projectRoot, { quiet: options.quiet });
     
     // Step 4: Estimate test coverage
-    console.log('Estimating test coverage...');
-    const testCoverage = await estimateTestCoverage(filePath, diffAnalysis.changes);
+    log('Estimating test coverage...');
+    const testCoverage = await estimateTestCoverage(filePath, diffAnalysis.changes, { quiet: options.quiet });
     
     // Step 5: Suggest edge cases
-    console.log('Identifying potential edge cases...');
+    log('Identifying potential edge cases...');
     const edgeCases = suggestEdgeCases(newCode, filePath);
     
     // Step 6: Get relevant context from the codebase
-    console.log('Getting relevant code context...');
-    const relevantCode = await this._getRelevantCodeContext(oldCode, newCode, filePath);
+    log('Getting relevant code context...');
+    const relevantCode = await this._getRelevantCodeContext(oldCode, newCode, filePath, options);
     
     // Step 7: Get exemplars from feedback system
     const exemplars = this.feedbackSystem.getExemplars();
     
-    // Step 8: Build enhanced system prompt with feedback-based improvements
-    let enhancedPrompt = BASE_SYSTEM_PROMPT;
+    // Step 8: Large changes are reviewed in passes and merged, everything else in a single request
+    const context = {
+      stack,
+      diffAnalysis,
+      staticAnalysisResults,
+      dependencyAnalysis,
+      testCoverage,
+      edgeCases,
+      relevantCode,
+      exemplars
+    };
+    const structured = options.format === 'json';
+    const threshold = options.hunkThreshold ?? DEFAULT_HUNK_REVIEW_THRESHOLD;
+    const changedLines = diffAnalysis.stats.linesAdded + diffAnalysis.stats.linesRemoved;
+    const passes = threshold > 0 && changedLines >= threshold
+      ? groupHunks(diffAnalysis.changes, splitCode(newCode, filePath))
+      : [];
+    
+    // Step 9: Generate the review
+    let review;
+    if (passes.length > 1) {
+      ({ review } = await this._reviewInPasses(passes, filePath, newCode, context, options));
+    } else {
+      const messages = this._buildReviewMessages(filePath, context, options);
+      log('Generating review...');
+      review = structured
+        ? await this._generateStructuredReview(messages, filePath, options.suggestFixes ? newCode : null)
+        : (await this.llm.call(messages)).content;
+    }
     
-    if (this.promptImprovements.length > 0) {
-      enhancedPrompt += '\n\nBased on previous feedback, please also:\n';
-      this.promptImprovements.forEach(improvement => {
-        enhancedPrompt += `- ${improvement}\n`;
-      });
+    if (structured && options.includeAnalysis) {
+      review.analysis = {
+        staticIssues: staticAnalysisResults,
+        risks: diffAnalysis.riskDetails
+      };
     }
     
-    if (exemplars.length > 0) {
-      enhancedPrompt += '\n\nExamples of well-received reviews:\n';
-      exemplars.forEach((exemplar, index) => {
-        enhancedPrompt += `\nExample ${index + 1}:\n${exemplar.slice(0, 500)}...\n`;
+    if (cacheKey) {
+      await writeCachedReview(cacheKey, {
+        filePath,
+        provider: this.llmInfo.provider,
+        model: this.llmInfo.model,
+        stack,
+        format: options.format || 'text',
+        promptVersion: PROMPT_VERSION,
+        review
       });
     }
     
-    // Step 9: Prepare prompt for the LLM
-    const staticIssuesFormatted = staticAnalysisResults.length > 0 
-      ? staticAnalysisResults.map(issue => 
-          `- Line ${issue.line}: ${issue.message} (${issue.severity === 2 ? 'Error' : 'Warning'})`).join('\n')
-      : 'No static analysis issues found.';
-    
-    const dependenciesFormatted = 
-      `Files that this file depends on: ${dependencyAnalysis.dependencies.length > 0 
-        ? '\n- ' + dependencyAnalysis.dependencies.join('\n- ') 
-        : 'None'}\n\n` +
-      `Files that depend on this file: ${dependencyAnalysis.dependents.length > 0 
-        ? '\n- ' + dependencyAnalysis.dependents.join('\n- ') 
-        : 'None'}`;
-    
-    const testCoverageFormatted = 
-      `Test Coverage: ${Math.round(testCoverage.coverage * 100)}%\n` +
-      `${testCoverage.suggestion}\n` +
-      `Untested changes: ${testCoverage.untested.length > 0 
-        ? '\n- Lines ' + testCoverage.untested.map(range => 
-            range.start === range.end ? range.start : `${range.start}-${range.end}`).join('\n- Lines ') 
-        : 'None'}`;
-    
-    const edgeCasesFormatted = edgeCases.length > 0 
-      ? 'Consider testing these edge cases:\n- ' + edgeCases.join('\n- ') 
-      : 'No specific edge cases identified.';
+    return review;
+  }
+  
+  /**
+   * Builds the review cache key from everything that shapes a review
+   * @param {string} oldCode - Original code
+   * @param {string} newCode - New code
+   * @param {string} filePath - Path to the file being reviewed
+   * @param {string} stack - Stack the file is reviewed as
+   * @param {Object} options - Review options
+   * @returns {string} - Cache key
+   * @private
+   */
+  _getCacheKey(oldCode, newCode, filePath, stack, options) {
+    return getCacheKey({
+      oldCode: hashContent(oldCode),
+      newCode: hashContent(newCode),
+      filePath,
+      stack,
+      // Feedback-based improvements change the system prompt as well
+      promptVersion: `${PROMPT_VERSION}:${hashContent(this._buildSystemPrompt())}`,
+      provider: this.llmInfo.provider,
+      model: this.llmInfo.model,
+      format: options.format || 'text',
+      includeAnalysis: Boolean(options.includeAnalysis),
+      suggestFixes: Boolean(options.suggestFixes),
+      hunkThreshold: options.hunkThreshold ?? DEFAULT_HUNK_REVIEW_THRESHOLD,
+      changeType: options.changeType || 'modified',
+      oldPath: options.oldPath || null,
+      relatedChanges: options.relatedChanges || ''
+    });
+  }
+  
+  /**
+   * Reviews the changes to several files together for issues that span files
+   * @param {Object} changeset - Changeset analysis from analyzeChangeset
+   * @param {Array<{filePath: string, review: string|Object}>} fileReviews - Per-file reviews of the changeset
+   * @param {Object} options - Additional options (projectRoot, quiet to leave out progress messages)
+   * @returns {Promise<{file: null, summary: string, findings: Array<Object>}>} - Cross-file findings; each
+   *   finding names the file to change and the other files involved
+   */
+  async reviewChangeset(changeset, fileReviews, options = {}) {
+    getProgressLog(options)(`Reviewing ${changeset.files.length} changed files together...`);
+    const projectRoot = options.projectRoot || process.cwd();
+    const systemPrompt = this._buildSystemPrompt();
     
+    // The request summarizes every file, so very large changesets are cut down to the budget
+    const { text: request } = truncateToTokens(
+      buildChangesetRequest(changeset, fileReviews, projectRoot),
+      Math.max(0, this.promptBudget - estimateTokens(systemPrompt) - estimateTokens(FINDINGS_FORMAT_INSTRUCTIONS))
+    );
     const messages = [
-      new SystemMessage(enhancedPrompt),
-      new HumanMessage(`I need you to review changes to the file: ${filePath}
+      new SystemMessage(systemPrompt),
+      new HumanMessage(`${request}\n\n${FINDINGS_FORMAT_INSTRUCTIONS}\n` +
+        'Each finding may also have "relatedFiles": an array with the paths of the other files involved.')
+    ];
+    
+    const result = await this._generateStructuredReview(messages, projectRoot);
+    
+    // Map the paths the model reported back to the changed files
+    const changedPaths = changeset.files.map(file => file.filePath);
+    const resolve = reported => changedPaths.find(filePath => refersToFile(reported, filePath)) ||
+      path.resolve(projectRoot, reported);
+    result.findings.forEach(finding => {
+      finding.file = resolve(finding.file);
+      if (finding.relatedFiles) {
+        finding.relatedFiles = finding.relatedFiles.map(resolve);
+      }
+    });
+    
+    return { ...result, file: null };
+  }
+  
+  /**
+   * Starts a follow-up conversation about reviewed files
+   * @param {Array<{filePath: string, review: string|Object, oldCode: string, newCode: string}>} files - Reviewed
+   *   files with their reviews; oldCode and newCode are optional
+   * @param {Object} options - Chat options (indexName of the index to search for more code)
+   * @returns {ReviewChat} - Chat session
+   */
+  startChat(files, options = {}) {
+    return new ReviewChat(this, files, {
+      indexName: options.indexName || this.indexName,
+      systemPrompt: this._buildSystemPrompt()
+    });
+  }
+  
+  /**
+   * Builds the system prompt with feedback-based improvements
+   * @returns {string} - System prompt
+   * @private
+   */
+  _buildSystemPrompt() {
+    let prompt = BASE_SYSTEM_PROMPT;
+    
+    if (this.promptImprovements.length > 0) {
+      prompt += '\n\nBased on previous feedback, please also:\n';
+      this.promptImprovements.forEach(improvement => {
+        prompt += `- ${improvement}\n`;
+      });
+    }
+    
+    return prompt;
+  }
+  
+  /**
+   * Builds the review request, packing the diff and context into the prompt budget
+   * @param {string} filePath - Path to the file being reviewed
+   * @param {Object} context - Analysis results (stack, diffAnalysis, staticAnalysisResults, dependencyAnalysis,
+   *   testCoverage, edgeCases, relevantCode, exemplars), with scope when reviewing one pass of a large change
+   * @param {Object} options - Review options (changeType, oldPath, format, suggestFixes, verbose)
+   * @returns {Array<Object>} - System and request messages
+   * @private
+   */
+  _buildReviewMessages(filePath, context, options) {
+    const {
+      stack, diffAnalysis, staticAnalysisResults, dependencyAnalysis, testCoverage, edgeCases, relevantCode, exemplars, scope
+    } = context;
+    let enhancedPrompt = this._buildSystemPrompt();
+    
+    // Fit the diff and context into the provider's prompt budget
+    const changedRanges = splitHunks(diffAnalysis.changes).map(hunk => [hunk.startLine, hunk.endLine]);
+    const isChangedLine = line => changedRanges.some(([start, end]) => line >= start && line <= end);
+    
+    // Errors before warnings, issues on changed lines before the rest of the file
+    const rankedIssues = [...staticAnalysisResults].sort((a, b) =>
+      (b.severity - a.severity) || (isChangedLine(b.line) - isChangedLine(a.line)) || (a.line - b.line));
+    
+    const sections = [
+      {
+        name: 'static issues',
+        items: rankedIssues.map(issue => ({
+          label: `line ${issue.line}`,
+          text: `- Line ${issue.line}: ${issue.message} (${issue.severity === 2 ? 'Error' : 'Warning'})`
+        }))
+      },
+      {
+        name: 'dependencies',
+        items: dependencyAnalysis.dependencies.map(dependency => ({ label: dependency, text: `- ${dependency}` }))
+      },
+      {
+        name: 'dependents',
+        items: dependencyAnalysis.dependents.map(dependent => ({ label: dependent, text: `- ${dependent}` }))
+      },
+      {
+        name: 'untested changes',
+        items: testCoverage.untested.map(range => {
+          const lines = range.start === range.end ? range.start : `${range.start}-${range.end}`;
+          return { label: `lines ${lines}`, text: `- Lines ${lines}` };
+        })
+      },
+      {
+        name: 'edge cases',
+        items: edgeCases.map(edgeCase => ({ label: edgeCase.slice(0, 40), text: `- ${edgeCase}` }))
+      },
+      {
+        name: 'relevant context',
+        joiner: '---\n\n',
+        truncate: true,
+        items: [
+          // The code around a pass of a large change is the most relevant context it can get
+          ...(scope ? scope.enclosing : []),
+          ...relevantCode.map(result => ({
+            label: result.metadata.path,
+            text: `File: ${result.metadata.path}\n` +
+              (result.match ? `Matches: ${result.match}\n` : '') +
+              (result.score > 0 ? `Relevance: ${Math.round(result.score * 100)}%\n` : '') +
+              `\n${result.metadata.code}\n\n`
+          }))
+        ]
+      },
+      {
+        name: 'exemplars',
+        joiner: '',
+        truncate: true,
+        items: exemplars.map((exemplar, index) => ({
+          label: `example ${index + 1}`,
+          text: `\nExample ${index + 1}:\n${exemplar.slice(0, 500)}...\n`
+        }))
+      }
+    ];
+    
+    const changeTypeFormatted = this._describeChange(filePath, options);
+    const structured = options.format === 'json';
+    
+    const renderRequest = (diffText, texts) => `I need you to review changes to the file: ${filePath}
 
 ## Stack
 ${stack}
 
+## Change Type
+${changeTypeFormatted}
+${scope ? `\n## Review Scope\n${scope.description}\n` : ''}${options.relatedChanges ? `\n## Related Changes In This Changeset\n${options.relatedChanges}\n` : ''}
 ## Diff Analysis
-${diffAnalysis.formattedDiff}
+${diffText}
 
 ## Stats
 - Lines Added: ${diffAnalysis.stats.linesAdded}
@@ -243,50 +450,266 @@ ${diffAnalysis.formattedDiff}
 ${diffAnalysis.potentialRisks.length > 0 ? diffAnalysis.potentialRisks.join('\n- ') : 'No specific risks detected.'}
 
 ## Static Analysis
-${staticIssuesFormatted}
+${texts['static issues'] || 'No static analysis issues found.'}
 
 ## Dependency Analysis
-${dependenciesFormatted}
+Files that this file depends on: ${texts.dependencies ? '\n' + texts.dependencies : 'None'}
+
+Files that depend on this file: ${texts.dependents ? '\n' + texts.dependents : 'None'}
 
 ## Test Coverage
-${testCoverageFormatted}
+Test Coverage: ${Math.round(testCoverage.coverage * 100)}%
+${testCoverage.suggestion}
+Untested changes: ${texts['untested changes'] ? '\n' + texts['untested changes'] : 'None'}
 
 ## Edge Cases
-${edgeCasesFormatted}
+${texts['edge cases'] ? 'Consider testing these edge cases:\n' + texts['edge cases'] : 'No specific edge cases identified.'}
 
 ## Relevant Context
-${relevantCode}
+${texts['relevant context'] || 'No relevant context found in the codebase.'}
 
-Please provide a thorough code review with actionable feedback according to the standards and best practices for the ${stack} stack. Focus on the quality, correctness, and maintainability of the code changes.`)
+Please provide a thorough code review with actionable feedback according to the standards and best practices for the ${stack} stack. Focus on the quality, correctness, and maintainability of the code changes.${structured ? `\n\n${FINDINGS_FORMAT_INSTRUCTIONS}` : ''}${structured && options.suggestFixes ? `\n${PATCH_INSTRUCTIONS}` : ''}`;
+    
+    // The system prompt, headings and instructions are always sent; the diff and context share the rest
+    const fixedTokens = estimateTokens(enhancedPrompt) + estimateTokens(renderRequest('', {})) +
+      estimateTokens('\n\nExamples of well-received reviews:\n');
+    const available = Math.max(0, this.promptBudget - fixedTokens);
+    const contextDemand = sections.reduce((sum, section) =>
+      sum + section.items.reduce((total, item) => total + estimateTokens(item.text), 0), 0);
+    
+    // The diff gets at least its share, and more when the other sections don't need the space
+    const focusLines = [
+      ...staticAnalysisResults.map(issue => issue.line),
+      ...diffAnalysis.riskDetails.map(risk => risk.line)
     ];
+    const diff = packDiff(diffAnalysis.changes, Math.max(Math.floor(available * DIFF_SHARE), available - contextDemand), focusLines);
+    const packed = packSections(sections, Math.max(0, available - diff.tokens));
     
-    // Add conversation history from memory if available
-    let history = [];
-    try {
-      const memoryResult = await this.memory.loadMemoryVariables({});
-      if (memoryResult.history) {
-        history = memoryResult.history;
+    if (packed.texts.exemplars) {
+      enhancedPrompt += `\n\nExamples of well-received reviews:\n${packed.texts.exemplars}`;
+    }
+    
+    if (options.verbose) {
+      getProgressLog(options)(formatContextReport({
+        budget: this.promptBudget,
+        used: fixedTokens + diff.tokens + packed.used,
+        tokens: { fixed: fixedTokens, diff: diff.tokens, ...packed.tokens },
+        diff,
+        dropped: packed.dropped
+      }));
+    }
+    
+    const messages = [
+      new SystemMessage(enhancedPrompt),
+      new HumanMessage(renderRequest(diff.text, packed.texts))
+    ];
+    
+    return messages;
+  }
+  
+  /**
+   * Narrows the analysis results to one pass of a large change
+   * @param {Object} context - Analysis results for the whole file
+   * @param {Object} pass - Pass from groupHunks
+   * @param {number} index - Index of the pass
+   * @param {number} count - Number of passes
+   * @returns {Object} - Analysis results for the pass, with a scope description and the enclosing code
+   * @private
+   */
+  _scopeToPass(context, pass, index, count) {
+    const endLine = Math.max(pass.startLine, pass.endLine);
+    // Issues anywhere in the touched declarations are relevant, not only those on changed lines
+    const start = Math.min(pass.startLine, ...pass.declarations.map(declaration => declaration.startLine));
+    const end = Math.max(endLine, ...pass.declarations.map(declaration => declaration.endLine));
+    const inScope = line => line >= start && line <= end;
+    
+    const riskDetails = context.diffAnalysis.riskDetails.filter(risk => inScope(risk.line));
+    const names = pass.declarations.map(declaration => declaration.name);
+    
+    return {
+      ...context,
+      diffAnalysis: {
+        ...context.diffAnalysis,
+        changes: pass.changes,
+        stats: {
+          linesAdded: pass.linesAdded,
+          linesRemoved: pass.linesRemoved,
+          changeCount: pass.changes.length
+        },
+        potentialRisks: riskDetails.map(risk => risk.message),
+        riskDetails
+      },
+      staticAnalysisResults: context.staticAnalysisResults.filter(issue => inScope(issue.line)),
+      testCoverage: {
+        ...context.testCoverage,
+        untested: context.testCoverage.untested.filter(range => range.start <= end && range.end >= start)
+      },
+      scope: {
+        description: `This is part ${index + 1} of ${count} of a large change. Review only the changes to new lines ` +
+          `${pass.startLine}-${endLine}${names.length > 0 ? ` (in ${names.join(', ')})` : ''}; the other parts are ` +
+          'reviewed separately and merged afterwards, so keep the summary to this part.',
+        enclosing: pass.declarations.map(declaration => ({
+          label: `enclosing ${declaration.name}`,
+          text: `Enclosing code (${declaration.name}, lines ${declaration.startLine}-${declaration.endLine} of the new version):\n\n${declaration.code}\n\n`
+        }))
       }
-    } catch (error) {
-      console.log('No memory available yet');
+    };
+  }
+  
+  /**
+   * Reviews a large change in passes and merges the findings with a synthesis request
+   * @param {Array<Object>} passes - Passes from groupHunks
+   * @param {string} filePath - Path to the file being reviewed
+   * @param {string} newCode - New code, which suggested patches must apply to
+   * @param {Object} context - Analysis results for the whole file
+   * @param {Object} options - Review options
+   * @returns {Promise<{messages: Array<Object>, review: string|Object}>} - Synthesis messages and the merged review
+   * @private
+   */
+  async _reviewInPasses(passes, filePath, newCode, context, options) {
+    const structured = options.format === 'json';
+    const patchSource = options.suggestFixes ? newCode : null;
+    const log = getProgressLog(options);
+    const passResults = [];
+    
+    // Passes always produce structured findings, so duplicates can be found before the synthesis
+    for (const [index, pass] of passes.entries()) {
+      log(`Reviewing part ${index + 1}/${passes.length} (new lines ${pass.startLine}-${Math.max(pass.startLine, pass.endLine)})...`);
+      const messages = this._buildReviewMessages(filePath, this._scopeToPass(context, pass, index, passes.length),
+        { ...options, format: 'json' });
+      
+      try {
+        const result = await this._generateStructuredReview(messages, filePath, patchSource);
+        passResults.push({ pass, summary: result.summary, findings: result.findings });
+      } catch (error) {
+        console.warn(`Skipping part ${index + 1} of the review: ${error.message}`);
+      }
+    }
+    
+    if (passResults.length === 0) {
+      throw new Error(`None of the ${passes.length} review passes produced a valid review`);
     }
     
-    // Step 10: Generate the review
-    console.log('Generating review...');
+    log('Merging findings...');
+    const findings = dedupeFindings(passResults.flatMap(result => result.findings));
+    const request = buildSynthesisRequest(filePath, passResults, findings, context.diffAnalysis.stats);
+    const messages = [
+      new SystemMessage(this._buildSystemPrompt()),
+      new HumanMessage(structured
+        ? `${request}\n\n${FINDINGS_FORMAT_INSTRUCTIONS}${options.suggestFixes ? `\n${PATCH_INSTRUCTIONS}` : ''}`
+        : `${request}\n\nRespond with the final code review: an overall assessment first, then the remaining findings ` +
+          'with their line numbers and suggested fixes, most severe first.')
+    ];
+    
+    // Without a synthesis the passes are still usable: joined summaries and the deduplicated findings
+    const mergeWithoutSynthesis = reason => {
+      console.warn(`Merging review parts without synthesis: ${reason}`);
+      const merged = {
+        file: filePath,
+        summary: passResults.map(result => result.summary).join(' '),
+        findings
+      };
+      return structured ? merged : formatFindingsMarkdown(merged);
+    };
     
-    const response = await this.llm.call(messages);
+    if (estimateTokens(messages[0].content) + estimateTokens(messages[1].content) > this.promptBudget) {
+      return { messages, review: mergeWithoutSynthesis('findings exceed the context budget') };
+    }
     
-    // Step 11: Update memory
     try {
-      await this.memory.saveContext(
-        { input: messages[messages.length - 1].content },
-        { output: response.content }
-      );
+      const review = structured
+        ? await this._generateStructuredReview(messages, filePath, patchSource)
+        : (await this.llm.call(messages)).content;
+      return { messages, review };
     } catch (error) {
-      console.error('Error saving to memory:', error.message);
+      return { messages, review: mergeWithoutSynthesis(error.message) };
+    }
+  }
+  
+  /**
+   * Asks the model for schema-conforming findings, retrying with the validation errors on violations
+   * @param {Array<Object>} messages - Review prompt messages
+   * @param {string} filePath - Path to the file being reviewed
+   * @param {string|null} patchSource - Content suggested patches must apply to, or null if no patches were requested
+   * @returns {Promise<{file: string, summary: string, findings: Array<Object>}>} - Validated review result
+   * @private
+   */
+  async _generateStructuredReview(messages, filePath, patchSource = null) {
+    const conversation = [...messages];
+    let lastErrors = [];
+    
+    for (let attempt = 1; attempt <= MAX_SCHEMA_ATTEMPTS; attempt++) {
+      const response = await this.llm.call(conversation);
+      const { result, errors: schemaErrors } = parseReviewResponse(response.content, filePath);
+      let errors = schemaErrors;
+      
+      if (result && patchSource !== null) {
+        errors = this._validatePatches(result, patchSource);
+        
+        // Out of attempts: keep the findings and drop only the patches that don't apply
+        if (errors.length > 0 && attempt === MAX_SCHEMA_ATTEMPTS) {
+          console.warn(`Dropping suggested patches that do not apply: ${errors.join('; ')}`);
+          result.findings.forEach(finding => {
+            if (finding.patch && !validatePatch(finding.patch, patchSource).valid) {
+              delete finding.patch;
+            }
+          });
+          return result;
+        }
+      }
+      
+      if (result && errors.length === 0) {
+        return result;
+      }
+      
+      lastErrors = errors;
+      console.warn(`Review was not valid (attempt ${attempt}/${MAX_SCHEMA_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+      
+      // Show the model its own answer and what was wrong with it
+      conversation.push(
+        new AIMessage(response.content),
+        new HumanMessage(`Your previous response had the following problems:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the corrected JSON object.`)
+      );
     }
     
-    return response.content;
+    throw new Error(`Model did not return valid review JSON after ${MAX_SCHEMA_ATTEMPTS} attempts: ${lastErrors.join('; ')}`);
+  }
+  
+  /**
+   * Checks that every suggested patch applies cleanly to the reviewed file
+   * @param {{findings: Array<Object>}} result - Parsed review result
+   * @param {string} source - Content of the reviewed file
+   * @returns {string[]} - One error per patch that does not apply
+   * @private
+   */
+  _validatePatches(result, source) {
+    const errors = [];
+    
+    result.findings.forEach((finding, index) => {
+      if (!finding.patch) return;
+      
+      const validation = validatePatch(finding.patch, source);
+      if (!validation.valid) {
+        errors.push(`findings[${index}].patch: ${validation.error}`);
+      }
+    });
+    
+    return errors;
+  }
+  
+  /**
+   * Records that a suggested patch hunk was rejected so future reviews can learn from it
+   * @param {string} reviewId - ID of the review
+   * @param {Object} finding - Finding the patch belongs to
+   * @param {string} hunk - Rejected hunk as unified diff text
+   */
+  logRejectedFix(reviewId, finding, hunk) {
+    return this.feedbackSystem.recordFeedback(
+      reviewId,
+      `Rejected suggested fix: ${finding.message}`,
+      'fix_rejected',
+      { file: finding.file, finding, hunk }
+    );
   }
   
   /**
@@ -322,6 +745,28 @@ Please provide a thorough code review with actionable feedback according to the
     return this.feedbackSystem.analyzeFeedback();
   }
   
+  /**
+   * Describes how the file changed (added, deleted, renamed or modified)
+   * @param {string} filePath - Path to the file being reviewed
+   * @param {Object} options - Review options with changeType and oldPath
+   * @returns {string} - Human-readable change description
+   * @private
+   */
+  _describeChange(filePath, options) {
+    switch (options.changeType) {
+      case 'added':
+        return 'New file';
+      case 'deleted':
+        return 'Deleted file - focus on what breaks or is lost elsewhere in the codebase by removing it';
+      case 'renamed':
+        return `Renamed from ${options.oldPath} - check that imports and references to the old path were updated`;
+      case 'copied':
+        return `Copied from ${options.oldPath}`;
+      default:
+        return 'Modified file';
+    }
+  }
+  
   /**
    * Detects the technology stack based on file extension and content
    * @param {string} filePath - Path to the file
@@ -373,106 +818,37 @@ Please provide a thorough code review with actionable feedback according to the
   
 
   /**
-   * Gets relevant code context from the codebase
+   * Gets relevant code context from the codebase, combining symbol lookups and vector search
    * @param {string} oldCode - Original code
    * @param {string} newCode - New code
    * @param {string} filePath - Path to the file
-   * @returns {Promise<string>} - Relevant code context
+   * @param {Object} options - Review options
+   * @returns {Promise<Array<{score: number, metadata: Object, match: string|null}>>} - Search results, chunks
+   *   defining or using changed symbols first
    * @private
    */
-  async _getRelevantCodeContext(oldCode, newCode, filePath) {
-    
-    // Extract function and variable names from the changed code
-    const functionRegex = /function\s+(\w+)/g;
-    const variableRegex = /(?:const|let|var)\s+(\w+)/g;
-    const classRegex = /class\s+(\w+)/g;
-    const importRegex = /(?:import|require)\s+['"](.*)['"]/g;
-    
-    const extractMatches = (regex, text) => {
-      const matches = [];
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        matches.push(match[1]);
-      }
-      return matches;
-    };
-    
-    const functions = [
-      ...extractMatches(functionRegex, oldCode),
-      ...extractMatches(functionRegex, newCode)
-    ];
-    
-    const variables = [
-      ...extractMatches(variableRegex, oldCode),
-      ...extractMatches(variableRegex, newCode)
-    ];
-    
-    const classes = [
-      ...extractMatches(classRegex, oldCode),
-      ...extractMatches(classRegex, newCode)
-    ];
-    
-    const imports = [
-      ...extractMatches(importRegex, oldCode),
-      ...extractMatches(importRegex, newCode)
-    ];
-    
-    // Get unique identifiers
-    const identifiers = [...new Set([...functions, ...variables, ...classes, ...imports])];
-    
-    // If no identifiers found, use the file path parts
-    if (identifiers.length === 0) {
-      const pathParts = filePath.split('/').filter(Boolean);
-      identifiers.push(...pathParts.slice(-2));
+  async _getRelevantCodeContext(oldCode, newCode, filePath, options = {}) {
+    if (!this.indexAvailable) {
+      this.indexAvailable = indexExists(this.indexName)
+        .catch(() => false)
+        .then(exists => {
+          if (!exists) {
+            console.warn(`Index ${this.indexName} not found, reviewing without codebase context ` +
+              '(run "code-connoisseur index" to create it)');
+          }
+          return exists;
+        });
     }
-    
-    // Query the vector database for each identifier
-    let results = [];
-    try {
-      for (const identifier of identifiers) {
-        if (identifier.length < 3) continue; // Skip short identifiers
-        
-        const searchResults = await searchCodebase(identifier, this.indexName, 3);
-        results.push(...searchResults);
-      }
-      
-      // Also search based on file name
-      const fileName = path.basename(filePath, path.extname(filePath));
-      if (fileName.length >= 3) {
-        const fileNameResults = await searchCodebase(fileName, this.indexName, 3);
-        results.push(...fileNameResults);
-      }
-    } catch (error) {
-      console.error('Error searching codebase:', error.message);
-      return "Error accessing vector database.";
-    }
-    
-    // Deduplicate results based on metadata.path and sort by relevance score
-    const uniqueResults = [];
-    const seenPaths = new Set();
-    
-    for (const result of results) {
-      if (!seenPaths.has(result.metadata.path)) {
-        seenPaths.add(result.metadata.path);
-        uniqueResults.push(result);
-      }
-    }
-    
-    // Sort by relevance score
-    uniqueResults.sort((a, b) => b.score - a.score);
-    
-    // Format the results
-    if (uniqueResults.length === 0) {
-      return "No relevant context found in the codebase.";
+
+    if (!await this.indexAvailable) {
+      return [];
     }
-    
-    // Take top 5 most relevant results
-    return uniqueResults.slice(0, 5).map(result => {
-      return `File: ${result.metadata.path}\nRelevance: ${Math.round(result.score * 100)}%\n\n${result.metadata.code}\n\n`;
-    }).join('---\n\n');
+
+    return findRelatedCode(oldCode, newCode, filePath, this.indexName, { quiet: options.quiet });
   }
 }
 
 module.exports = {
+  PROMPT_VERSION,
   CodeReviewAgent
 };
\ No newline at end of file
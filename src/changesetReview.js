@@ -0,0 +1,295 @@
+/**
+ * Changeset Review Module
+ *
+ * Analysis of a set of changed files as a whole: how the files depend on each
+ * other, which declarations were removed or changed, where the changed symbols
+ * are still referenced, and whether schema changes come with migrations
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { analyzeDependencies } = require('./codeAnalyzer');
+const { splitCode } = require('./codeParser');
+
+// Paths of database migrations in common frameworks
+const MIGRATION_PATH_PATTERN = /(^|[\\/])(migrations?|migrate|alembic|flyway|liquibase|changelog)([\\/]|$)|\.sql$/i;
+
+// Code that defines persisted data models
+const SCHEMA_PATTERNS = [
+  /\bnew\s+(?:mongoose\.)?Schema\s*\(/,
+  /\bsequelize\.define\s*\(|\bDataTypes\.\w+/,
+  /@Entity\b|@Table\s*\(/,
+  /\bmodels\.Model\b|\bdeclarative_base\s*\(|\bColumn\s*\(/,
+  /\b(?:CREATE|ALTER|DROP)\s+TABLE\b/i
+];
+
+// References reported per changed symbol
+const MAX_REFERENCES_PER_SYMBOL = 10;
+
+/**
+ * Lists the named declarations of a file version with their signatures
+ * @param {string} code - File content
+ * @param {string} filePath - Path to the file (selects the parser)
+ * @returns {Map<string, {name: string, signature: string}>} - Declarations by qualified name
+ */
+function collectDeclarations(code, filePath) {
+  const declarations = new Map();
+  if (!code) {
+    return declarations;
+  }
+
+  for (const chunk of splitCode(code, filePath)) {
+    if (chunk.type === 'File' || !chunk.name || chunk.name === 'anonymous') continue;
+
+    const qualifiedName = chunk.parent ? `${chunk.parent}.${chunk.name}` : chunk.name;
+    // First line of the declaration, without the body, stands in for its signature
+    const signature = (chunk.signature || chunk.code.split('{')[0].split('\n')[0]).replace(/\s+/g, ' ').trim();
+    declarations.set(qualifiedName, { name: chunk.name, signature });
+  }
+
+  return declarations;
+}
+
+/**
+ * Compares the declarations of two versions of a file
+ * @param {string} oldCode - Original code
+ * @param {string} newCode - New code
+ * @param {string} filePath - Path to the file
+ * @returns {{removed: string[], added: string[], changed: Array<{name: string, before: string, after: string}>}} -
+ *   Qualified names of removed and added declarations, and declarations whose signature changed
+ */
+function compareDeclarations(oldCode, newCode, filePath) {
+  const before = collectDeclarations(oldCode, filePath);
+  const after = collectDeclarations(newCode, filePath);
+  const result = { removed: [], added: [], changed: [] };
+
+  for (const [name, declaration] of before) {
+    if (!after.has(name)) {
+      result.removed.push(name);
+    } else if (after.get(name).signature !== declaration.signature) {
+      result.changed.push({ name, before: declaration.signature, after: after.get(name).signature });
+    }
+  }
+  for (const name of after.keys()) {
+    if (!before.has(name)) {
+      result.added.push(name);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Finds the lines of a text that mention an identifier
+ * @param {string} content - Text to search
+ * @param {string} identifier - Identifier to look for
+ * @returns {Array<{line: number, text: string}>} - Matching lines (1-based)
+ */
+function findIdentifier(content, identifier) {
+  const pattern = new RegExp(`(^|[^\\w$])${identifier.replace(/[$]/g, '\\$')}([^\\w$]|$)`);
+  return content.split('\n')
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => pattern.test(text));
+}
+
+/**
+ * Analyzes a set of changed files together
+ * @param {Array<{filePath: string, oldCode: string, newCode: string, changeType: string, oldPath: string}>} files -
+ *   Changed files with both versions
+ * @param {string} projectRoot - Project root for dependency analysis
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.quiet - Leave out progress messages
+ * @returns {Promise<{files: Array<Object>, dependencies: Object<string, Object>, apiChanges: Object<string, Object>,
+ *   references: Array<Object>, migrationHints: string[]}>} - Changeset analysis: per file the changed files it
+ *   depends on, the changed and unchanged files that depend on it, and its declaration changes; references to
+ *   removed or changed symbols outside their file; and schema changes without a migration
+ */
+async function analyzeChangeset(files, projectRoot, options = {}) {
+  const changedPaths = new Set(files.map(file => file.filePath));
+  const dependencies = {};
+  const apiChanges = {};
+
+  for (const file of files) {
+    const analysis = await analyzeDependencies(file.filePath, projectRoot, { quiet: options.quiet });
+    dependencies[file.filePath] = {
+      dependsOnChanged: analysis.dependencies.filter(dependency => changedPaths.has(dependency)),
+      changedDependents: analysis.dependents.filter(dependent => changedPaths.has(dependent)),
+      otherDependents: analysis.dependents.filter(dependent => !changedPaths.has(dependent))
+    };
+    apiChanges[file.filePath] = compareDeclarations(file.oldCode, file.newCode, file.filePath);
+  }
+
+  // Symbols still declared somewhere in the changeset (moved between files) are not gone
+  const declaredAfter = new Set(Object.values(apiChanges).flatMap(changes => changes.added)
+    .map(name => name.split('.').pop()));
+
+  // Where removed or changed symbols are still used: other changed files and unchanged dependents
+  const references = [];
+  for (const file of files) {
+    const changes = apiChanges[file.filePath];
+    const symbols = [
+      ...changes.removed
+        .filter(name => !declaredAfter.has(name.split('.').pop()))
+        .map(name => ({ name, kind: 'removed' })),
+      ...changes.changed.map(change => ({ name: change.name, kind: 'signature changed' }))
+    ];
+    if (symbols.length === 0) continue;
+
+    const candidates = [
+      ...files.filter(other => other !== file && other.newCode)
+        .map(other => ({ filePath: other.filePath, content: other.newCode })),
+      ...dependencies[file.filePath].otherDependents
+        .filter(dependent => fs.existsSync(dependent))
+        .map(dependent => ({ filePath: dependent, content: fs.readFileSync(dependent, 'utf8') }))
+    ];
+
+    for (const symbol of symbols) {
+      const identifier = symbol.name.split('.').pop();
+      // Short names match too much unrelated code
+      if (identifier.length < 3) continue;
+
+      const matches = candidates.flatMap(candidate => findIdentifier(candidate.content, identifier)
+        .map(match => ({ file: candidate.filePath, ...match })));
+      matches.slice(0, MAX_REFERENCES_PER_SYMBOL).forEach(match => references.push({
+        symbol: symbol.name,
+        kind: symbol.kind,
+        definedIn: file.filePath,
+        ...match
+      }));
+    }
+  }
+
+  // Data model changes are expected to come with a migration
+  const migrationHints = [];
+  const hasMigration = files.some(file => MIGRATION_PATH_PATTERN.test(file.filePath));
+  if (!hasMigration) {
+    for (const file of files) {
+      const touchesSchema = SCHEMA_PATTERNS.some(pattern =>
+        pattern.test(file.oldCode || '') || pattern.test(file.newCode || ''));
+      const changes = apiChanges[file.filePath];
+      if (touchesSchema && file.oldCode !== file.newCode) {
+        migrationHints.push(`${file.filePath} defines data models and changed ` +
+          `(${changes.removed.length} removed, ${changes.added.length} added, ${changes.changed.length} changed declarations), ` +
+          'but no migration files are part of the change');
+      }
+    }
+  }
+
+  return {
+    files: files.map(({ filePath, changeType, oldPath }) => ({ filePath, changeType, oldPath })),
+    dependencies,
+    apiChanges,
+    references,
+    migrationHints
+  };
+}
+
+/**
+ * Describes the API changes of a file in one line
+ * @param {{removed: string[], added: string[], changed: Array<Object>}} changes - Declaration changes
+ * @returns {string} - Description, empty if no declarations changed
+ */
+function describeApiChanges(changes) {
+  const parts = [];
+  if (changes.removed.length > 0) parts.push(`removes ${changes.removed.join(', ')}`);
+  if (changes.changed.length > 0) parts.push(`changes the signature of ${changes.changed.map(change => change.name).join(', ')}`);
+  if (changes.added.length > 0) parts.push(`adds ${changes.added.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * Describes the other changes in the changeset that a file interacts with, for its per-file review
+ * @param {Object} changeset - Result of analyzeChangeset
+ * @param {string} filePath - File under review
+ * @returns {string} - Related changes, empty if the file is not connected to other changed files
+ */
+function describeRelatedChanges(changeset, filePath) {
+  const view = changeset.dependencies[filePath];
+  if (!view) {
+    return '';
+  }
+
+  const lines = [];
+  const describe = (other, relation) => {
+    const changes = describeApiChanges(changeset.apiChanges[other]);
+    lines.push(`- ${other} (${relation})${changes ? `: ${changes}` : ''}`);
+  };
+  view.dependsOnChanged.forEach(other => describe(other, 'this file depends on it'));
+  view.changedDependents.forEach(other => describe(other, 'depends on this file'));
+
+  changeset.references
+    .filter(reference => reference.file === filePath)
+    .forEach(reference => lines.push(`- Line ${reference.line} uses ${reference.symbol} from ${reference.definedIn}, ` +
+      `which was ${reference.kind === 'removed' ? 'removed' : 'changed'}: ${reference.text}`));
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the request for the cross-file review
+ * @param {Object} changeset - Result of analyzeChangeset
+ * @param {Array<{filePath: string, review: string|Object}>} fileReviews - Per-file reviews
+ * @param {string} projectRoot - Project root, for shorter paths
+ * @returns {string} - Request text (the caller appends output format instructions)
+ */
+function buildChangesetRequest(changeset, fileReviews, projectRoot) {
+  const relative = filePath => path.relative(projectRoot, filePath) || filePath;
+  const summaries = new Map(fileReviews.map(({ filePath, review }) => [
+    filePath,
+    typeof review === 'string' ? review.slice(0, 600) : review.summary
+  ]));
+
+  const files = changeset.files.map(file => {
+    const changes = describeApiChanges(changeset.apiChanges[file.filePath]);
+    const renamed = file.changeType === 'renamed' ? ` from ${relative(file.oldPath)}` : '';
+    return `### ${relative(file.filePath)} (${file.changeType || 'modified'}${renamed})\n` +
+      `${changes ? `Declarations: ${changes}\n` : ''}` +
+      `Review: ${summaries.get(file.filePath) || 'not reviewed'}`;
+  }).join('\n\n');
+
+  const dependencyView = changeset.files.map(file => {
+    const view = changeset.dependencies[file.filePath];
+    return `- ${relative(file.filePath)}: depends on changed ${view.dependsOnChanged.map(relative).join(', ') || 'none'}; ` +
+      `used by changed ${view.changedDependents.map(relative).join(', ') || 'none'}; ` +
+      `used by unchanged ${view.otherDependents.map(relative).join(', ') || 'none'}`;
+  }).join('\n');
+
+  const signatureChanges = changeset.files.flatMap(file => changeset.apiChanges[file.filePath].changed
+    .map(change => `- ${relative(file.filePath)} ${change.name}: \`${change.before}\` -> \`${change.after}\``));
+
+  const references = changeset.references.map(reference =>
+    `- ${relative(reference.file)}:${reference.line} uses ${reference.symbol} (${reference.kind} in ` +
+    `${relative(reference.definedIn)}): ${reference.text}`);
+
+  return `These files were changed together and each was reviewed on its own. Review the change as a whole.
+
+## Changed Files
+${files}
+
+## Dependency View
+${dependencyView}
+
+## Signature Changes
+${signatureChanges.join('\n') || 'None'}
+
+## References To Removed Or Changed Symbols
+${references.join('\n') || 'None found'}
+
+## Schema Changes
+${changeset.migrationHints.map(hint => `- ${hint}`).join('\n') || 'No data model changes without migrations detected'}
+
+Report only issues that involve more than one file or the change as a whole, for example:
+- API contract changes (removed, renamed or re-typed functions, classes and fields) whose callers were not updated
+- Missing migrations for data model changes
+- Inconsistent updates: a change applied in some places but not in others (config, tests, documentation, similar code)
+- Changed behavior that dependents rely on
+
+Do not repeat issues that only concern a single file. Set "file" to the file that needs to change and "relatedFiles" to the other files involved.`;
+}
+
+module.exports = {
+  compareDeclarations,
+  analyzeChangeset,
+  describeRelatedChanges,
+  buildChangesetRequest
+};
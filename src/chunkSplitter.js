@@ -0,0 +1,215 @@
+/**
+ * Chunk Splitter Module
+ *
+ * Splits chunks that are too long to embed as a whole into overlapping
+ * windows ending on statement boundaries, so every line of a long function
+ * or file is indexed
+ */
+
+const path = require('path');
+
+// Longest chunk code, in characters, that is embedded as a whole
+const MAX_CHUNK_LENGTH = 5000;
+
+// Characters a window repeats from the end of the previous one, at most
+const WINDOW_OVERLAP = 500;
+
+// Windows end on a boundary in their second half, so they stay reasonably full
+const MIN_WINDOW_FILL = 0.5;
+
+// Tokens opening strings and block comments, with the tokens closing them, for Python and for C-like languages
+const PYTHON_OPENERS = { '"""': '"""', "'''": "'''", '"': '"', "'": "'" };
+const C_LIKE_OPENERS = { '"""': '"""', '/*': '*/', '"': '"', "'": "'", '`': '`' };
+
+/**
+ * Scans code for the bracket depth and comment or string state at the end of each line
+ * @param {string[]} lines - Lines of code
+ * @param {boolean} hashComments - Whether # starts a comment (Python) instead of // and /* (C-like languages)
+ * @returns {Array<{depth: number, open: boolean}>} - Per line: bracket depth after it and whether a string or
+ *   comment is still open
+ */
+function scanLines(lines, hashComments) {
+  const states = [];
+  let depth = 0;
+  let quote = null; // Token closing the open string or block comment
+  const openers = hashComments ? PYTHON_OPENERS : C_LIKE_OPENERS;
+
+  for (const line of lines) {
+    let i = 0;
+    while (i < line.length) {
+      if (quote) {
+        if (line[i] === '\\' && quote !== '*/') {
+          i += 2;
+        } else if (line.startsWith(quote, i)) {
+          i += quote.length;
+          quote = null;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      const rest = line.slice(i, i + 3);
+      if (hashComments ? line[i] === '#' : rest.startsWith('//')) break;
+      const opener = Object.keys(openers).find(token => rest.startsWith(token));
+      if (opener) {
+        quote = openers[opener];
+        i += opener.length;
+        continue;
+      }
+
+      if ('([{'.includes(line[i])) depth++;
+      else if (')]}'.includes(line[i])) depth = Math.max(0, depth - 1);
+      i++;
+    }
+
+    // Only template literals, block comments and Python's triple-quoted strings span lines
+    if (quote === '"' || quote === "'") quote = null;
+    states.push({ depth, open: quote !== null });
+  }
+
+  return states;
+}
+
+// Lines that belong with the code after them: comments, doc comments, decorators and annotations
+const LEADING_LINE = /^(\/\/|\/\*|\*|#|@)/;
+
+/**
+ * Ranks the end of each line as a place to split, lower being better: statements at the outermost level of the
+ * chunk rank best, splits that separate a comment from its code or start on a blank line rank a little worse,
+ * and positions inside strings, comments or line continuations can't be split at
+ * @param {string[]} lines - Lines of code
+ * @param {string} filePath - Path to the file, for its comment syntax
+ * @returns {number[]} - Rank per line, Infinity where the code can't be split
+ */
+function rankBoundaries(lines, filePath) {
+  const states = scanLines(lines, path.extname(filePath).toLowerCase() === '.py');
+  const minDepth = states.reduce((min, state) => Math.min(min, state.depth), Infinity);
+  const indentOf = line => line.length - line.trimStart().length;
+
+  // Indentation of the next non-blank line: the statement that would start the next window
+  const nextIndents = new Array(lines.length).fill(0);
+  let nextIndent = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    nextIndents[i] = nextIndent;
+    if (lines[i].trim()) nextIndent = indentOf(lines[i]);
+  }
+
+  return lines.map((line, i) => {
+    if (states[i].open || /\\\s*$/.test(line)) return Infinity;
+    const separatesComment = LEADING_LINE.test(line.trim()) ? 0.5 : 0;
+    const beforeBlankLine = i + 1 < lines.length && !lines[i + 1].trim() ? 0.25 : 0;
+    return (states[i].depth - minDepth) * 1000 + nextIndents[i] + separatesComment + beforeBlankLine;
+  });
+}
+
+/**
+ * Picks the best place to split within a range of lines
+ * @param {number[]} ranks - Rank per line (see rankBoundaries)
+ * @param {number} from - First line to consider
+ * @param {number} to - Last line to consider
+ * @param {boolean} latest - Prefer the latest line among equally ranked ones, otherwise the earliest
+ * @returns {number} - Line to split after, or -1 if no line in the range can be split at
+ */
+function pickBoundary(ranks, from, to, latest) {
+  let best = -1;
+  for (let i = from; i <= to; i++) {
+    if (ranks[i] === Infinity) continue;
+    if (best === -1 || ranks[i] < ranks[best] || (latest && ranks[i] === ranks[best])) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Splits a chunk into overlapping windows no longer than the maximum chunk length
+ * @param {{type: string, name: string, code: string, path: string, parent: string, startLine: number}} chunk -
+ *   Chunk to split
+ * @param {Object} options - Window options
+ * @param {number} options.maxLength - Longest window in characters
+ * @param {number} options.overlap - Characters repeated from the previous window, at most
+ * @returns {Array<Object>} - Windows in order; each keeps the chunk's type, name and parent, and has its own code
+ *   and line range, with part and parts numbering the windows of the chunk (1-based)
+ */
+function splitIntoWindows(chunk, options = {}) {
+  const maxLength = options.maxLength || MAX_CHUNK_LENGTH;
+  const overlap = options.overlap ?? WINDOW_OVERLAP;
+
+  // Lines longer than a window (minified code) are cut into pieces that can't be split between
+  const pieces = [];
+  chunk.code.split('\n').forEach((line, lineIndex) => {
+    for (let start = 0; start === 0 || start < line.length; start += maxLength - 1) {
+      const end = start + maxLength - 1;
+      pieces.push({ text: line.slice(start, end), lineIndex, last: end >= line.length });
+    }
+  });
+  const ranks = rankBoundaries(pieces.map(piece => piece.text), chunk.path || '')
+    .map((rank, i) => (pieces[i].last ? rank : Infinity));
+
+  // Length of pieces from..to, counting the newline after each line
+  const offsets = [0];
+  pieces.forEach(piece => offsets.push(offsets[offsets.length - 1] + piece.text.length + (piece.last ? 1 : 0)));
+  const lengthOf = (from, to) => offsets[to + 1] - offsets[from];
+
+  const ranges = [];
+  let start = 0;
+  while (start < pieces.length) {
+    let limit = start;
+    while (limit + 1 < pieces.length && lengthOf(start, limit + 1) <= maxLength) limit++;
+
+    let end = limit;
+    if (limit < pieces.length - 1) {
+      let minEnd = start;
+      while (minEnd < limit && lengthOf(start, minEnd) < maxLength * MIN_WINDOW_FILL) minEnd++;
+      const boundary = pickBoundary(ranks, minEnd, limit, true);
+      end = boundary !== -1 ? boundary : limit;
+    }
+    ranges.push([start, end]);
+    if (end === pieces.length - 1) break;
+
+    // Start the next window after a boundary near the end of this one, so both contain the statements around it
+    let overlapStart = end;
+    while (overlapStart > start && lengthOf(overlapStart, end) <= overlap) overlapStart--;
+    const boundary = pickBoundary(ranks, overlapStart, end - 1, false);
+    start = boundary !== -1 ? boundary + 1 : end + 1;
+  }
+
+  const firstLine = chunk.startLine || 1;
+  const isBlank = piece => piece.last && !piece.text.trim();
+  return ranges.map(([from, to], index) => {
+    while (from < to && isBlank(pieces[from])) from++;
+    while (to > from && isBlank(pieces[to])) to--;
+    const code = pieces.slice(from, to + 1)
+      .map(piece => piece.text + (piece.last ? '\n' : ''))
+      .join('')
+      .replace(/\n$/, '');
+
+    return {
+      ...chunk,
+      code,
+      startLine: firstLine + pieces[from].lineIndex,
+      endLine: firstLine + pieces[to].lineIndex,
+      part: index + 1,
+      parts: ranges.length
+    };
+  });
+}
+
+/**
+ * Splits the chunks longer than the maximum chunk length into windows
+ * @param {Array<Object>} chunks - Chunks from a parser
+ * @param {Object} options - Window options (see splitIntoWindows)
+ * @returns {Array<Object>} - Chunks with the long ones replaced by their windows
+ */
+function splitLongChunks(chunks, options = {}) {
+  const maxLength = options.maxLength || MAX_CHUNK_LENGTH;
+  return chunks.flatMap(chunk =>
+    (typeof chunk.code === 'string' && chunk.code.length > maxLength ? splitIntoWindows(chunk, options) : [chunk]));
+}
+
+module.exports = {
+  MAX_CHUNK_LENGTH,
+  splitIntoWindows,
+  splitLongChunks
+};
@@ -18,7 +18,7 @@ let envLoaded = false;
 for (const envPath of envPaths) {
   if (fs.existsSync(envPath)) {
     dotenv.config({ path: envPath });
-    console.log(`Loaded environment from: ${envPath}`);
+    console.error(`Loaded environment from: ${envPath}`);
     envLoaded = true;
     break;
   }
@@ -28,14 +28,46 @@ if (!envLoaded) {
   console.error('Warning: No .env file found!');
 }
 
-const { loadCodebase, splitCode } = require('./codeParser');
-const { embedChunks, storeEmbeddings } = require('./vectorStore');
-const { CodeReviewAgent } = require('./agent');
+const {
+  setEmbeddingProvider,
+  setVectorStore,
+  setVectorEncoding,
+  indexExists,
+  listIndexes,
+  dropIndex
+} = require('./vectorStore');
+const { hasPineconeKey } = require('./pineconeVectorStore');
+const { formatBytes } = require('./vectorStoreUtils');
+const { removeManifest, listManifests } = require('./indexManifest');
+const { removeSymbolIndex } = require('./symbolIndex');
+const { indexCodebase } = require('./indexer');
+const { searchCode } = require('./codeSearch');
+const { createServer } = require('./server');
+const { PROMPT_VERSION, CodeReviewAgent } = require('./agent');
+const { CACHE_DIR, DEFAULT_MAX_AGE_DAYS, listCachedReviews, pruneCache, clearCache } = require('./reviewCache');
+const { resolveProviders, getProviderConfig, validateProviderKey } = require('./llmProviders');
+const { DEFAULT_HUNK_REVIEW_THRESHOLD } = require('./hunkReview');
+const { analyzeChangeset, describeRelatedChanges } = require('./changesetReview');
+const { runPool } = require('./throttle');
+const {
+  WORKING_TREE, INDEX, resolveDiffSpec, getChangedFiles, getFileVersions, getFileAtRef, getHeadCommit
+} = require('./gitUtils');
+const {
+  createReviewId, saveReview, loadReview, listReviews, searchReviews, compareReviews, findPreviousReview
+} = require('./reviewHistory');
+const FeedbackSystem = require('./feedbackSystem');
+const { SEVERITIES, formatFindingsMarkdown, findingsAtOrAbove } = require('./findings');
+const { buildSarifLog } = require('./sarif');
+const { parseHunks, applyHunks, formatHunk } = require('./patches');
+const packageJson = require('../package.json');
 
 // Default index name
 const DEFAULT_INDEX_NAME = 'code-connoisseur';
 const DEFAULT_VERSION = '1.0.0';
 
+// How long the server waits for running requests after Ctrl+C before exiting anyway
+const SERVER_SHUTDOWN_TIMEOUT_MS = 30000;
+
 // Global configuration directory (in user's home folder)
 const os = require('os');
 const GLOBAL_CONFIG_DIR = path.join(os.homedir(), '.code-connoisseur-config');
@@ -50,6 +82,8 @@ const GLOBAL_CONFIG_PATH = path.join(GLOBAL_CONFIG_DIR, 'config.json');
 // Project-specific configuration directory
 const PROJECT_CONFIG_DIR = path.join(process.cwd(), '.code-connoisseur');
 const PROJECT_CONFIG_PATH = path.join(PROJECT_CONFIG_DIR, 'config.json');
+// Directory holding all indexed data for the project
+const CONNOISSEUR_DIR = PROJECT_CONFIG_DIR;
 
 // Ensure project config directory exists
 fs.ensureDirSync(PROJECT_CONFIG_DIR);
@@ -58,8 +92,22 @@ fs.ensureDirSync(PROJECT_CONFIG_DIR);
 let config = {
   indexName: DEFAULT_INDEX_NAME,
   llmProvider: process.env.DEFAULT_LLM_PROVIDER || 'anthropic',
+  // Overrides for the built-in LLM providers (anthropic, openai, local) and custom providers
+  providers: {},
   extensions: ['js', 'ts', 'jsx', 'tsx', 'py'],
   excludeDirs: ['node_modules', 'dist', 'build', '.git', 'venv', '__pycache__'],
+  // Embedding backend: auto (OpenAI if a key is set, otherwise local), openai or local
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'auto',
+  // Vector store backend: auto (Pinecone if a key is set, otherwise local), local, pinecone or sqlite
+  vectorStore: process.env.VECTOR_STORE || 'auto',
+  // Backends of individual indexes, overriding vectorStore, e.g. { "docs": "sqlite" }
+  indexVectorStores: {},
+  // Storage of local vectors: float32, or int8 for a quarter of the size
+  vectorEncoding: process.env.VECTOR_ENCODING || 'float32',
+  // Files with at least this many changed lines are reviewed hunk by hunk and merged (0 disables)
+  hunkReviewThreshold: DEFAULT_HUNK_REVIEW_THRESHOLD,
+  // Files reviewed in parallel in directory mode
+  reviewConcurrency: 4,
   version: DEFAULT_VERSION
 };
 
@@ -101,6 +149,29 @@ else if (fs.existsSync(GLOBAL_CONFIG_PATH)) {
   }
 }
 
+// Apply the configured embedding backend before anything is indexed or searched
+try {
+  setEmbeddingProvider(config.embeddingProvider);
+} catch (error) {
+  console.error(chalk.yellow(`${error.message} - falling back to auto`));
+  config.embeddingProvider = 'auto';
+}
+
+try {
+  setVectorStore(config.vectorStore, config.indexVectorStores);
+} catch (error) {
+  console.error(chalk.yellow(`${error.message} - falling back to auto`));
+  config.vectorStore = 'auto';
+  config.indexVectorStores = {};
+}
+
+try {
+  setVectorEncoding(config.vectorEncoding);
+} catch (error) {
+  console.error(chalk.yellow(`${error.message} - falling back to float32`));
+  config.vectorEncoding = 'float32';
+}
+
 // Save configuration to project directory
 function saveConfig() {
   fs.writeJsonSync(PROJECT_CONFIG_PATH, config, { spaces: 2 });
@@ -121,52 +192,38 @@ async function checkApiKeys(command) {
   // Slight delay to ensure environment variables are fully loaded
   await delay(100);
   const errors = [];
-  const defaultKeyValue = 'your_openai_api_key_here';
-  
-  // Validate OpenAI API key format
-  const hasValidOpenAI = process.env.OPENAI_API_KEY && 
-                        process.env.OPENAI_API_KEY !== 'placeholder' && 
-                        process.env.OPENAI_API_KEY !== defaultKeyValue &&
-                        process.env.OPENAI_API_KEY.startsWith('sk-');
-  
-  // Validate Anthropic API key format - with detailed debug in verbose mode
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
-  if (global.verbose) {
-    console.log('Anthropic key check:', anthropicKey ? `${anthropicKey.slice(0, 10)}...` : 'undefined');
-    console.log('Starts with sk-ant-?', anthropicKey?.startsWith('sk-ant-'));
-    console.log('Equals placeholder?', anthropicKey === 'placeholder');
-    console.log('Equals default value?', anthropicKey === 'your_anthropic_api_key_here');
-  }
   
-  const hasValidAnthropic = anthropicKey && 
-                           anthropicKey !== 'placeholder' && 
-                           anthropicKey !== 'your_anthropic_api_key_here' &&
-                           anthropicKey.startsWith('sk-ant-');
-  
-  // Only check if we need the key for the selected provider
-  if (config.llmProvider === 'openai' && !hasValidOpenAI) {
-    errors.push('OPENAI_API_KEY is not properly set');
-  }
-  
-  if (config.llmProvider === 'anthropic' && !hasValidAnthropic) {
-    errors.push('ANTHROPIC_API_KEY is not properly set');
-  }
-  
-  // Print validation status in verbose mode
-  if (hasValidOpenAI && global.verbose) {
-    console.log('Valid OpenAI API key detected');
+  // Only check the key needed by the selected provider
+  let provider;
+  try {
+    provider = getProviderConfig(config.llmProvider, config.providers);
+  } catch (error) {
+    errors.push(error.message);
   }
   
-  if (hasValidAnthropic && global.verbose) {
-    console.log('Valid Anthropic API key detected');
+  if (provider) {
+    const { valid, error, warning } = validateProviderKey(provider);
+    if (!valid) {
+      errors.push(error);
+    } else if (warning) {
+      console.log(chalk.yellow(`Warning: ${warning}`));
+    }
+    
+    // Print validation status in verbose mode
+    if (valid && global.verbose) {
+      console.log(`Using LLM provider ${provider.name} (${provider.type}, ${provider.model})` +
+        (provider.baseUrl ? ` at ${provider.baseUrl}` : ''));
+    }
   }
   
-  // Make Pinecone key optional - will use local storage if not available
-  if (!process.env.PINECONE_API_KEY || 
-      process.env.PINECONE_API_KEY === 'placeholder' || 
-      process.env.PINECONE_API_KEY === 'your_pinecone_api_key_here') {
-    console.log(chalk.yellow('Warning: PINECONE_API_KEY not set - using local vector storage instead'));
-    // Not adding to errors since we're making it optional
+  // Make Pinecone key optional - auto uses local storage if not available
+  const vectorStore = (config.indexVectorStores || {})[config.indexName] || config.vectorStore;
+  if (!hasPineconeKey()) {
+    if (vectorStore === 'pinecone') {
+      errors.push('PINECONE_API_KEY is required for the pinecone vector store');
+    } else if (vectorStore === 'auto') {
+      console.log(chalk.yellow('Warning: PINECONE_API_KEY not set - using local vector storage instead'));
+    }
   }
   
   if (errors.length > 0 && command !== 'help') {
@@ -179,6 +236,7 @@ async function checkApiKeys(command) {
     console.log('You can obtain API keys from:');
     console.log('- OpenAI API key: https://platform.openai.com/');
     console.log('- Anthropic API key: https://console.anthropic.com/');
+    console.log('- Local models: use --llm local with an OpenAI-compatible server (Ollama, llama.cpp)');
     console.log('- Pinecone API key: https://app.pinecone.io/ (optional)');
     process.exit(1);
   }
@@ -190,10 +248,174 @@ function debugEnvironment() {
   console.log('OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? '✅ Loaded (starts with: ' + process.env.OPENAI_API_KEY.slice(0, 10) + '...)' : '❌ Not found');
   console.log('ANTHROPIC_API_KEY:', process.env.ANTHROPIC_API_KEY ? '✅ Loaded (starts with: ' + process.env.ANTHROPIC_API_KEY.slice(0, 10) + '...)' : '❌ Not found');
   console.log('PINECONE_API_KEY:', process.env.PINECONE_API_KEY ? '✅ Loaded (starts with: ' + process.env.PINECONE_API_KEY.slice(0, 10) + '...)' : '❌ Not found');
+  console.log('LOCAL_LLM_API_KEY:', process.env.LOCAL_LLM_API_KEY ? '✅ Loaded' : '➖ Not set (optional)');
   console.log('DEFAULT_LLM_PROVIDER:', process.env.DEFAULT_LLM_PROVIDER || '❌ Not found');
   console.log('Using LLM provider:', config.llmProvider, '\n');
 }
 
+// Render a review (free-form text or structured findings) for a markdown report
+function formatReviewMarkdown(review) {
+  if (typeof review === 'string') {
+    return `\`\`\`\n${review}\n\`\`\`\n\n`;
+  }
+  return `${formatFindingsMarkdown(review)}\n`;
+}
+
+// Render a review (free-form text or structured findings) for the terminal
+function formatReviewText(review) {
+  return typeof review === 'string' ? review : formatFindingsMarkdown(review);
+}
+
+// Write structured review results (and cross-file findings of a changeset review) to stdout as a single JSON document
+function printJsonResults(results, crossFileReview = null, reviewId = null) {
+  process.stdout.write(JSON.stringify({
+    generated: new Date().toISOString(),
+    ...(reviewId ? { reviewId } : {}),
+    // Raw analysis data is only collected for SARIF export
+    results: results.map(({ analysis, ...result }) => result),
+    ...(crossFileReview ? { crossFile: { summary: crossFileReview.summary, findings: crossFileReview.findings } } : {})
+  }, null, 2) + '\n');
+}
+
+// Write structured review results to a SARIF 2.1.0 file
+function writeSarifFile(sarifPath, results, projectRoot) {
+  const sarifFilePath = path.resolve(process.cwd(), sarifPath);
+  const sarifLog = buildSarifLog(results, {
+    projectRoot,
+    toolVersion: packageJson.version
+  });
+  fs.writeJsonSync(sarifFilePath, sarifLog, { spaces: 2 });
+  console.log(chalk.green(`\nSARIF log saved to: ${sarifFilePath}`));
+}
+
+// Print a severity summary and set a failing exit code when findings reach the --fail-on threshold
+function applyFailThreshold(results, threshold, failedFiles = []) {
+  const findings = results.flatMap(result => result.findings || []);
+  const counts = SEVERITIES.map(severity =>
+    `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+  console.error(`Findings: ${counts.join(', ')}`);
+  
+  const failing = findingsAtOrAbove(results, threshold);
+  if (failing.length > 0) {
+    console.error(`Failing: ${failing.length} finding(s) at or above "${threshold}"`);
+    process.exitCode = 1;
+  }
+  
+  // A file that could not be reviewed must not pass the gate silently
+  if (failedFiles.length > 0) {
+    console.error(`Failing: ${failedFiles.length} file(s) could not be reviewed`);
+    process.exitCode = 1;
+  }
+}
+
+// Colorize unified diff lines for the terminal
+function colorizeHunk(hunkText) {
+  return hunkText.split('\n').map(line => {
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return line;
+  }).join('\n');
+}
+
+// Answer follow-up questions about a review until the user is done, and collect the revised reviews
+async function runChatSession(chat, prompt) {
+  const revised = new Map();
+  console.log(chalk.bold.cyan('\nFollow-up questions') + chalk.gray(' (empty line or "exit" to finish)'));
+  
+  for (;;) {
+    const { question } = await prompt([
+      {
+        type: 'input',
+        name: 'question',
+        message: 'Ask:'
+      }
+    ]);
+    if (!question.trim() || ['exit', 'quit'].includes(question.trim().toLowerCase())) {
+      break;
+    }
+    
+    const spinner = ora('Thinking...').start();
+    try {
+      const answer = await chat.ask(question.trim());
+      spinner.stop();
+      
+      answer.searches.forEach(query => console.log(chalk.gray(`Searched the codebase for "${query}"`)));
+      console.log(`\n${answer.answer}\n`);
+      answer.revised.forEach(({ filePath, review }) => {
+        revised.set(filePath, review);
+        console.log(chalk.bold.green(`Revised review of ${path.basename(filePath)}:`));
+        console.log(formatReviewText(review));
+      });
+      answer.revisionErrors.forEach(error => console.log(chalk.yellow(`Could not apply a revision: ${error}`)));
+    } catch (error) {
+      spinner.fail(`Could not answer: ${error.message}`);
+    }
+  }
+  
+  return revised;
+}
+
+// Walk through the suggested patches hunk by hunk, write accepted hunks and record rejected ones
+async function applySuggestedFixes(reviews, agent, reviewId, prompt) {
+  const hunksByFile = new Map();
+  
+  for (const review of reviews) {
+    for (const finding of review.findings || []) {
+      if (!finding.patch) continue;
+      
+      let hunks;
+      try {
+        hunks = parseHunks(finding.patch);
+      } catch (error) {
+        console.log(chalk.yellow(`Skipping unreadable patch for ${path.basename(review.file)}: ${error.message}`));
+        continue;
+      }
+      
+      for (const hunk of hunks) {
+        const hunkText = formatHunk(hunk);
+        
+        console.log(chalk.bold(`\n${path.basename(review.file)}:${finding.startLine} [${finding.severity}] ${finding.message}`));
+        console.log(colorizeHunk(hunkText));
+        
+        const { apply } = await prompt([
+          {
+            type: 'confirm',
+            name: 'apply',
+            message: 'Apply this change?',
+            default: false
+          }
+        ]);
+        
+        if (apply) {
+          if (!hunksByFile.has(review.file)) {
+            hunksByFile.set(review.file, []);
+          }
+          hunksByFile.get(review.file).push(hunk);
+        } else {
+          agent.logRejectedFix(reviewId, finding, hunkText);
+        }
+      }
+    }
+  }
+  
+  if (hunksByFile.size === 0) {
+    console.log(chalk.yellow('No fixes applied.'));
+    return;
+  }
+  
+  // Hunks were validated against the reviewed version, so check them again against what is on disk
+  for (const [filePath, hunks] of hunksByFile) {
+    try {
+      const current = fs.readFileSync(filePath, 'utf8');
+      fs.writeFileSync(filePath, applyHunks(current, hunks));
+      console.log(chalk.green(`Applied ${hunks.length} change(s) to ${filePath}`));
+    } catch (error) {
+      console.error(chalk.red(`Could not apply changes to ${filePath}: ${error.message}`));
+    }
+  }
+}
+
 // Initialize CLI
 program
   .name('code-connoisseur')
@@ -227,6 +449,7 @@ program
   .option('--py-only', 'Only index Python files (shortcut for -e py)')
   .option('--java-only', 'Only index Java files (shortcut for -e java)')
   .option('-x, --exclude <list>', 'Directories to exclude (comma-separated)', config.excludeDirs.join(','))
+  .option('--full', 'Rebuild the whole index instead of only re-indexing changed files')
   .action(async (options) => {
     await checkApiKeys('index');
     
@@ -251,78 +474,25 @@ program
     const spinner = ora('Indexing codebase...').start();
     
     try {
-      // Load codebase with exclusions
-      spinner.text = 'Loading files...';
-      const codebase = await loadCodebase(
-        options.directory, 
-        config.extensions,
-        config.excludeDirs
-      );
-      spinner.succeed(`Loaded ${codebase.length} files`);
-      
-      // Split into chunks
-      spinner.text = 'Splitting files into chunks...';
-      spinner.start();
-      const chunks = [];
-      let failedFiles = 0;
-      
-      // Don't log every error to avoid cluttering the console
-      const MAX_ERRORS_TO_SHOW = 5; 
-      let errorsShown = 0;
-      
-      const tsFiles = [];
-      const jsFiles = [];
-      const otherFiles = [];
-      
-      // Categorize files by type for better reporting
-      const pyFiles = [];
-      for (const file of codebase) {
-        const ext = path.extname(file.path).toLowerCase();
-        if (['.ts', '.tsx'].includes(ext)) {
-          tsFiles.push(file);
-        } else if (['.js', '.jsx', '.mjs', '.cjs', '.es6'].includes(ext)) {
-          jsFiles.push(file);
-        } else if (['.py'].includes(ext)) {
-          pyFiles.push(file);
-        } else {
-          otherFiles.push(file);
-        }
-      }
-      
-      console.log(`Processing ${tsFiles.length} TypeScript files, ${jsFiles.length} JavaScript files, ${pyFiles.length} Python files, and ${otherFiles.length} other files`);
+      const summary = await indexCodebase({
+        directory: options.directory,
+        indexName: config.indexName,
+        extensions: config.extensions,
+        excludeDirs: config.excludeDirs,
+        full: options.full
+      }, {
+        step: text => {
+          spinner.text = text;
+          spinner.start();
+        },
+        done: text => spinner.succeed(text)
+      });
       
-      // Process all files
-      for (const file of codebase) {
-        try {
-          const fileChunks = splitCode(file.content, file.path);
-          chunks.push(...fileChunks);
-        } catch (error) {
-          failedFiles++;
-          // Only show a limited number of errors
-          if (errorsShown < MAX_ERRORS_TO_SHOW) {
-            console.warn(`Error processing ${file.path}: ${error.message}`);
-            errorsShown++;
-          } else if (errorsShown === MAX_ERRORS_TO_SHOW) {
-            console.warn(`Additional errors omitted...`);
-            errorsShown++;
-          }
-        }
+      if (summary.upToDate) {
+        console.log(chalk.green('\nIndex is already up to date.'));
+        return;
       }
       
-      spinner.succeed(`Generated ${chunks.length} code chunks (skipped ${failedFiles} files)`);
-      
-      // Generate embeddings
-      spinner.text = 'Generating embeddings...';
-      spinner.start();
-      const embeddedChunks = await embedChunks(chunks);
-      spinner.succeed('Generated embeddings');
-      
-      // Store in Pinecone
-      spinner.text = 'Storing in vector database...';
-      spinner.start();
-      await storeEmbeddings(embeddedChunks, config.indexName);
-      spinner.succeed('Indexing completed!');
-      
       console.log(chalk.green('\nYour codebase is now indexed and ready for review!'));
       console.log(`Use ${chalk.cyan('code-connoisseur review <file>')} to review code changes.`);
     } catch (error) {
@@ -338,26 +508,146 @@ program
   .description('Review code changes in a file or directory')
   .argument('<path>', 'File or directory to review')
   .option('-o, --old <path>', 'Previous version of the file (if not in git)')
-  .option('-l, --llm <provider>', 'LLM provider (openai or anthropic)', config.llmProvider)
+  .option('-l, --llm <provider>', `LLM provider (${Object.keys(resolveProviders(config.providers)).join(', ')})`, config.llmProvider)
   .option('-i, --index-name <name>', 'Name of the index to use for review', config.indexName)
   .option('-r, --root <dir>', 'Project root directory for analysis', process.cwd())
   .option('-s, --stack <name>', 'Specify the technology stack (MEAN/MERN, Java, Python)')
   .option('-d, --directory', 'Review an entire directory of files')
   .option('-e, --extensions <list>', 'File extensions to include when reviewing directories', config.extensions.join(','))
   .option('-m, --markdown <file>', 'Save review to a markdown file (specify output path)')
-  .option('--max-files <number>', 'Maximum number of files to review in a directory', '10')
+  .option('--max-files <number>', 'Only review this many of the most recently modified files in a directory')
+  .option('--concurrency <number>', 'Number of files reviewed in parallel in a directory', String(config.reviewConcurrency))
   .option('--diff', 'Only show changes in the review (compact mode)')
+  .option('--staged', 'Review staged changes (index vs HEAD)')
+  .option('--base <ref>', 'Review changes between a git ref and the working tree')
+  .option('--range <a..b>', 'Review changes between two git refs (a...b uses their merge base)')
+  .option('--merge-base <branch>', 'Review changes since the current branch diverged from <branch>')
+  .option('-f, --format <type>', 'Output format: text, or json for structured findings', 'text')
+  .option('--sarif <file>', 'Save static analysis, diff risks and review findings as a SARIF 2.1.0 log')
+  .option('--fix', 'Ask for unified-diff patches and apply the hunks you accept')
+  .option('--interactive', 'Ask follow-up questions about the review in a chat session')
+  .option('--ci', 'Non-interactive mode for build pipelines: no prompts, colors or spinners')
+  .option('--no-feedback', 'Skip the feedback prompt after the review')
+  .option('--no-cache', 'Review again even if an identical review is cached')
+  .option('--fail-on <severity>', 'Exit with code 1 when findings reach this severity (error or warning)')
+  .option('--changeset', 'Review changed files together and report cross-file issues (directory mode)')
+  .option('--hunk-threshold <lines>', 'Review files with at least this many changed lines hunk by hunk (0 disables)',
+    String(config.hunkReviewThreshold))
   .action(async (targetPath, options) => {
+    // With --format json the review is written to stdout as JSON, so all other output goes to stderr
+    if (options.format === 'json') {
+      console.log = console.error;
+      console.info = console.error;
+    }
+    
+    // The key check has to validate the provider selected for this run
+    config.llmProvider = options.llm;
     await checkApiKeys('review');
     
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(chalk.red(`Error: Unknown format "${options.format}" (expected text or json)`));
+      process.exit(1);
+    }
+    if (options.failOn && !['error', 'warning'].includes(options.failOn)) {
+      console.error(chalk.red(`Error: Unknown --fail-on severity "${options.failOn}" (expected error or warning)`));
+      process.exit(1);
+    }
+    const concurrency = parseInt(options.concurrency, 10);
+    const maxFiles = options.maxFiles === undefined ? null : parseInt(options.maxFiles, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || (maxFiles !== null && !(maxFiles >= 1))) {
+      console.error(chalk.red('Error: --concurrency and --max-files must be numbers of at least 1'));
+      process.exit(1);
+    }
+    const hunkThreshold = parseInt(options.hunkThreshold, 10);
+    if (!Number.isInteger(hunkThreshold) || hunkThreshold < 0) {
+      console.error(chalk.red('Error: --hunk-threshold must be a number of lines (0 disables hunk-level review)'));
+      process.exit(1);
+    }
+    
+    const ciMode = Boolean(options.ci);
+    if (ciMode && options.fix) {
+      console.error(chalk.red('Error: --fix is interactive and cannot be combined with --ci'));
+      process.exit(1);
+    }
+    if (options.interactive && (ciMode || options.format === 'json')) {
+      console.error(chalk.red('Error: --interactive cannot be combined with --ci or --format json'));
+      process.exit(1);
+    }
+    const askFeedback = options.feedback && !ciMode;
+    
+    // Plain, line-based output for build logs
+    if (ciMode) {
+      chalk.level = 0;
+    }
+    
+    const jsonOutput = options.format === 'json';
+    // SARIF export, fixes and severity gates need findings with locations, so they also request structured output
+    const reviewFormat = jsonOutput || options.sarif || options.fix || options.failOn ? 'json' : 'text';
+    
+    // One ID links the history entry, feedback and rejected fixes of this review run
+    const reviewId = createReviewId();
+    
+    // Keep stdout clean for the JSON document by showing prompts on stderr
+    const prompt = jsonOutput
+      ? inquirer.createPromptModule({ output: process.stderr })
+      : inquirer.prompt;
+    
     // Update config
-    config.llmProvider = options.llm;
     saveConfig();
     
     const absolutePath = path.resolve(process.cwd(), targetPath);
     const projectRoot = path.resolve(process.cwd(), options.root);
     
-    if (!fs.existsSync(absolutePath)) {
+    // Explicit git options select which versions of the files are compared
+    const usingGitRefs = Boolean(options.staged || options.base || options.range || options.mergeBase);
+    if (usingGitRefs && options.old) {
+      console.error(chalk.red('Error: --old cannot be combined with --staged, --base, --range or --merge-base'));
+      process.exit(1);
+    }
+    
+    let diffSpec = null;
+    if (usingGitRefs || !options.old) {
+      try {
+        diffSpec = resolveDiffSpec(options);
+      } catch (error) {
+        if (usingGitRefs) {
+          console.error(chalk.red(`Error: ${error.message}`));
+          process.exit(1);
+        }
+        // Not a git repository - single files need --old, directories are scanned recursively
+      }
+    }
+    
+    // Every review run is kept in the history under its review ID
+    const recordHistory = async (agent, results, crossFileReview = null) => {
+      const describeRef = ref => ref === WORKING_TREE ? 'working tree' : ref === INDEX ? 'index' : ref;
+      try {
+        await saveReview({
+          id: reviewId,
+          target: absolutePath,
+          gitRef: diffSpec ? {
+            description: diffSpec.description,
+            oldRef: describeRef(diffSpec.oldRef),
+            newRef: describeRef(diffSpec.newRef),
+            head: getHeadCommit(projectRoot)
+          } : null,
+          llm: agent.llmInfo,
+          format: reviewFormat,
+          // Raw analysis data is only collected for SARIF export
+          results: results.map(({ filePath, review }) => ({
+            file: filePath,
+            review: typeof review === 'string' ? review : { ...review, analysis: undefined }
+          })),
+          crossFile: crossFileReview
+        });
+      } catch (error) {
+        console.error(chalk.yellow(`Could not save the review to the history: ${error.message}`));
+      }
+    };
+    
+    // Deleted files only exist in git, so a missing path is fine when reviewing refs
+    const pathExists = fs.existsSync(absolutePath);
+    if (!pathExists && !usingGitRefs) {
       console.error(chalk.red(`Error: Path not found: ${absolutePath}`));
       process.exit(1);
     }
@@ -382,17 +672,18 @@ program
     // Register the handler for this specific command
     process.on('SIGINT', handleInterrupt);
     
-    const spinner = ora('Preparing code review...').start();
+    // Without animation ora only prints the succeed/warn/fail lines
+    const spinner = ora({ text: 'Preparing code review...', isEnabled: !ciMode }).start();
     reviewInProgress = true;
     
     try {
       // Initialize agent with specified index name
       spinner.text = 'Initializing code review agent...';
       const indexName = options.indexName || config.indexName;
-      const agent = new CodeReviewAgent(indexName, config.llmProvider);
+      const agent = new CodeReviewAgent(indexName, config.llmProvider, config.providers);
       
       // Check if we're reviewing a directory or a single file
-      const isDirectory = fs.statSync(absolutePath).isDirectory() || options.directory;
+      const isDirectory = options.directory || (pathExists && fs.statSync(absolutePath).isDirectory());
       
       if (isDirectory) {
         // Directory mode - review multiple files
@@ -400,151 +691,202 @@ program
         
         // Get file extensions to include
         const extensionsToInclude = options.extensions.split(',').map(ext => ext.trim());
+        const hasReviewableExtension = file => {
+          const ext = path.extname(file).toLowerCase().substring(1); // Remove the dot
+          return extensionsToInclude.includes(ext);
+        };
         
-        // Get all files in the directory that match the extensions
-        const { execSync } = require('child_process');
+        // Recursively collect matching files when git can't tell us what changed
+        const getAllFiles = (dir, extensions, excluded) => {
+          const files = [];
+          const items = fs.readdirSync(dir);
+          
+          for (const item of items) {
+            const itemPath = path.join(dir, item);
+            const isExcluded = excluded.some(excl => itemPath.includes(excl));
+            
+            if (isExcluded) continue;
+            
+            const stat = fs.statSync(itemPath);
+            if (stat.isDirectory()) {
+              files.push(...getAllFiles(itemPath, extensions, excluded));
+            } else if (hasReviewableExtension(itemPath)) {
+              files.push(itemPath);
+            }
+          }
+          
+          return files;
+        };
+        
+        // Each entry describes one changed file: its status, current path and previous path
         let filesToReview = [];
         let excludedDirs = config.excludeDirs;
         
         try {
-          // First try using git to find changed files
-          const gitOutput = execSync(
-            `git diff --name-only HEAD -- ${absolutePath}`, 
-            { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }
-          );
+          if (!diffSpec) {
+            throw new Error('Not a git repository');
+          }
           
-          const changedFiles = gitOutput.split('\n').filter(Boolean);
+          // First try using git to find changed files, including renames and deletions
+          const changedFiles = getChangedFiles(diffSpec, absolutePath)
+            .filter(change => hasReviewableExtension(change.path));
           
-          if (changedFiles.length > 0) {
-            // Filter by extensions
-            filesToReview = changedFiles.filter(file => {
-              const ext = path.extname(file).toLowerCase().substring(1); // Remove the dot
-              return extensionsToInclude.includes(ext);
-            }).map(file => path.resolve(process.cwd(), file));
-            
-            spinner.text = `Found ${filesToReview.length} changed files in git`;
+          if (changedFiles.length > 0 || usingGitRefs) {
+            filesToReview = changedFiles;
+            spinner.text = `Found ${filesToReview.length} changed files in git (${diffSpec.description})`;
           } else {
             spinner.text = 'No git changes found, scanning directory recursively';
             // Fall back to recursive scan
-            const getAllFiles = (dir, extensions, excluded) => {
-              const files = [];
-              const items = fs.readdirSync(dir);
-              
-              for (const item of items) {
-                const itemPath = path.join(dir, item);
-                const isExcluded = excluded.some(excl => itemPath.includes(excl));
-                
-                if (isExcluded) continue;
-                
-                const stat = fs.statSync(itemPath);
-                if (stat.isDirectory()) {
-                  files.push(...getAllFiles(itemPath, extensions, excluded));
-                } else {
-                  const ext = path.extname(itemPath).toLowerCase().substring(1); // Remove the dot
-                  if (extensions.includes(ext)) {
-                    files.push(itemPath);
-                  }
-                }
-              }
-              
-              return files;
-            };
-            
-            filesToReview = getAllFiles(absolutePath, extensionsToInclude, excludedDirs);
+            filesToReview = getAllFiles(absolutePath, extensionsToInclude, excludedDirs)
+              .map(file => ({ status: 'modified', path: file, oldPath: file }));
           }
         } catch (error) {
           spinner.text = 'Scanning directory recursively';
-          // If git fails, scan the directory recursively
-          const getAllFiles = (dir, extensions, excluded) => {
-            const files = [];
-            const items = fs.readdirSync(dir);
-            
-            for (const item of items) {
-              const itemPath = path.join(dir, item);
-              const isExcluded = excluded.some(excl => itemPath.includes(excl));
-              
-              if (isExcluded) continue;
-              
-              const stat = fs.statSync(itemPath);
-              if (stat.isDirectory()) {
-                files.push(...getAllFiles(itemPath, extensions, excluded));
-              } else {
-                const ext = path.extname(itemPath).toLowerCase().substring(1); // Remove the dot
-                if (extensions.includes(ext)) {
-                  files.push(itemPath);
-                }
-              }
-            }
-            
-            return files;
-          };
-          
-          filesToReview = getAllFiles(absolutePath, extensionsToInclude, excludedDirs);
+          // If git fails, scan the directory recursively and review the files as new
+          diffSpec = null;
+          filesToReview = getAllFiles(absolutePath, extensionsToInclude, excludedDirs)
+            .map(file => ({ status: 'modified', path: file, oldPath: file }));
         }
         
-        // Limit the number of files to avoid timeouts
-        const MAX_FILES = parseInt(options.maxFiles) || 10;
-        if (filesToReview.length > MAX_FILES) {
-          console.log(chalk.yellow(`Found ${filesToReview.length} files, but only reviewing the ${MAX_FILES} most recently modified`));
+        // Only limit the number of files when asked to
+        if (maxFiles && filesToReview.length > maxFiles) {
+          console.log(chalk.yellow(`Found ${filesToReview.length} files, but only reviewing the ${maxFiles} most recently modified`));
           
-          // Sort by modification time
+          // Sort by modification time (deleted files have none and sort last)
+          const getMtime = file => fs.existsSync(file.path) ? fs.statSync(file.path).mtime : 0;
           filesToReview = filesToReview
-            .map(file => ({ path: file, mtime: fs.statSync(file).mtime }))
+            .map(file => ({ file, mtime: getMtime(file) }))
             .sort((a, b) => b.mtime - a.mtime)
-            .slice(0, MAX_FILES)
-            .map(file => file.path);
+            .slice(0, maxFiles)
+            .map(entry => entry.file);
         }
         
         if (filesToReview.length === 0) {
+          // Nothing changed is a passing result for a CI gate
+          if (ciMode) {
+            spinner.info('No matching files found to review');
+            return;
+          }
           spinner.fail('No matching files found to review');
           process.exit(1);
         }
         
         spinner.succeed(`Found ${filesToReview.length} files to review`);
         
-        // Review each file
-        const reviews = [];
-        for (let i = 0; i < filesToReview.length; i++) {
-          const filePath = filesToReview[i];
-          spinner.text = `Reviewing file ${i+1}/${filesToReview.length}: ${path.basename(filePath)}`;
+        // Both versions of a file, from git when available
+        const loadVersions = change => diffSpec
+          // Get both versions from git, following renames
+          ? getFileVersions(change, diffSpec)
+          // No git available - everything is treated as a new file
+          : { oldCode: '', newCode: fs.readFileSync(change.path, 'utf8') };
+        
+        // In changeset mode all files are analyzed together before the per-file reviews
+        let changeset = null;
+        if (options.changeset) {
+          spinner.text = 'Analyzing changeset...';
           spinner.start();
-          
-          try {
-            let oldCode = '';
-            const newCode = fs.readFileSync(filePath, 'utf8');
-            
-            // Get old version from git
+          const changedFiles = [];
+          for (const change of filesToReview) {
             try {
-              const { execSync } = require('child_process');
-              oldCode = execSync(`git show HEAD:${path.relative(process.cwd(), filePath)}`, { 
-                encoding: 'utf8',
-                stdio: ['pipe', 'pipe', 'ignore']
-              });
+              changedFiles.push({ filePath: change.path, changeType: change.status, oldPath: change.oldPath, ...loadVersions(change) });
             } catch (error) {
-              // If git fails, use a placeholder to indicate it's a new file
-              oldCode = '// This appears to be a new file with no previous version';
+              // The per-file review reports the problem
             }
+          }
+          changeset = await analyzeChangeset(changedFiles, projectRoot, { quiet: true });
+          spinner.succeed(`Analyzed changeset: ${changeset.references.length} references to removed or changed symbols, ` +
+            `${changeset.migrationHints.length} schema changes without migrations`);
+        }
+        
+        // Review files in parallel; the provider's rate limiter paces the requests
+        const total = filesToReview.length;
+        const active = new Set();
+        let finished = 0;
+        const failedFiles = [];
+        // Parallel progress logs would interleave, so only the progress display is shown
+        const quiet = ciMode || (concurrency > 1 && !global.verbose);
+        
+        const progressText = () => `Reviewing files: ${finished}/${total} done` +
+          (failedFiles.length > 0 ? `, ${failedFiles.length} failed` : '') +
+          (active.size > 0 ? ` - ${[...active].map(filePath => path.basename(filePath)).join(', ')}` : '');
+        
+        // Print a line for a finished file and keep the progress display going
+        const reportFile = (method, text) => {
+          spinner[method](text);
+          if (!ciMode && finished < total) {
+            spinner.start(progressText());
+          }
+        };
+        
+        spinner.start(progressText());
+        const outcomes = await runPool(filesToReview, concurrency, async change => {
+          const filePath = change.path;
+          active.add(filePath);
+          spinner.text = progressText();
+          
+          try {
+            const { oldCode, newCode } = loadVersions(change);
             
             // Generate review for this file
             const review = await agent.reviewCode(oldCode, newCode, filePath, { 
               projectRoot: projectRoot,
-              stack: options.stack
-            });
-            
-            reviews.push({
-              filePath,
-              review
+              stack: options.stack,
+              changeType: change.status,
+              oldPath: change.oldPath,
+              format: reviewFormat,
+              includeAnalysis: Boolean(options.sarif),
+              suggestFixes: Boolean(options.fix),
+              verbose: Boolean(global.verbose),
+              hunkThreshold,
+              cache: options.cache,
+              relatedChanges: changeset ? describeRelatedChanges(changeset, filePath) : undefined,
+              quiet
             });
             
-            spinner.succeed(`Reviewed ${path.basename(filePath)}`);
+            active.delete(filePath);
+            finished++;
+            reportFile('succeed', `Reviewed ${path.basename(filePath)} (${finished}/${total})`);
+            return { filePath, change, review };
+          } catch (error) {
+            active.delete(filePath);
+            finished++;
+            failedFiles.push(filePath);
+            reportFile('warn', `Failed to review ${path.basename(filePath)}: ${error.message}`);
+            throw error;
+          }
+        });
+        
+        // Keep the reviews in file order, whatever order they finished in
+        const reviews = outcomes
+          .filter(outcome => outcome.status === 'fulfilled')
+          .map(outcome => outcome.value);
+        
+        // Look for issues spanning files once every file has been reviewed
+        let crossFileReview = null;
+        if (changeset && reviews.length > 0) {
+          spinner.text = 'Reviewing the changeset as a whole...';
+          spinner.start();
+          try {
+            crossFileReview = await agent.reviewChangeset(changeset, reviews, { projectRoot, quiet: ciMode });
+            spinner.succeed(`Found ${crossFileReview.findings.length} cross-file issues`);
           } catch (error) {
-            spinner.warn(`Failed to review ${path.basename(filePath)}: ${error.message}`);
+            spinner.warn(`Failed to review the changeset as a whole: ${error.message}`);
           }
         }
+        // Cross-file findings count towards SARIF and --fail-on like any other review
+        let allReviews = [...reviews.map(r => r.review), ...(crossFileReview ? [crossFileReview] : [])];
+        
+        if (reviews.length > 0) {
+          await recordHistory(agent, reviews, crossFileReview);
+        }
         
         // Display all reviews
-        console.log('\n' + chalk.bold.cyan('Code Connoisseur Directory Review:'));
-        console.log(chalk.yellow('============================================='));
+        if (jsonOutput) {
+          printJsonResults(reviews.map(r => r.review), crossFileReview, reviewId);
+        } else {
+          console.log('\n' + chalk.bold.cyan('Code Connoisseur Directory Review:'));
+          console.log(chalk.yellow('============================================='));
+        }
         
         // Prepare markdown content
         let markdownContent = `# Code Connoisseur Review: ${path.basename(absolutePath)}\n\n`;
@@ -552,17 +894,30 @@ program
         markdownContent += `## Directory: ${absolutePath}\n\n`;
         
         for (const { filePath, review } of reviews) {
-          console.log(chalk.bold.green(`\n## File: ${path.basename(filePath)}`));
-          console.log(review);
-          console.log('\n' + chalk.yellow('---------------------------------------------'));
+          if (!jsonOutput) {
+            console.log(chalk.bold.green(`\n## File: ${path.basename(filePath)}`));
+            console.log(formatReviewText(review));
+            console.log('\n' + chalk.yellow('---------------------------------------------'));
+          }
           
           // Add to markdown content
           markdownContent += `## File: ${path.basename(filePath)}\n\n`;
-          markdownContent += `\`\`\`\n${review}\n\`\`\`\n\n`;
+          markdownContent += formatReviewMarkdown(review);
           markdownContent += `---\n\n`;
         }
         
-        console.log(chalk.yellow('============================================='));
+        if (crossFileReview) {
+          if (!jsonOutput) {
+            console.log(chalk.bold.green('\n## Cross-File Issues'));
+            console.log(formatReviewText(crossFileReview));
+          }
+          markdownContent += `## Cross-File Issues\n\n${formatReviewMarkdown(crossFileReview)}---\n\n`;
+        }
+        
+        if (!jsonOutput) {
+          console.log(chalk.yellow('============================================='));
+          console.log(`Review ID: ${reviewId} (${chalk.cyan(`code-connoisseur chat ${reviewId}`)} for follow-up questions)`);
+        }
         
         // Save to markdown file if requested
         if (options.markdown) {
@@ -575,39 +930,81 @@ program
           }
         }
         
+        // Save SARIF log if requested
+        if (options.sarif) {
+          try {
+            writeSarifFile(options.sarif, allReviews, projectRoot);
+          } catch (error) {
+            console.error(chalk.red(`Error saving SARIF log: ${error.message}`));
+          }
+        }
+        
+        // Offer suggested patches hunk by hunk
+        if (options.fix) {
+          await applySuggestedFixes(reviews.map(r => r.review), agent, reviewId, prompt);
+        }
+        
+        // Follow-up questions; revised findings replace the original ones
+        if (options.interactive && reviews.length > 0) {
+          const chat = agent.startChat(reviews.map(({ filePath, change, review }) => ({
+            filePath,
+            review,
+            ...loadVersions(change)
+          })));
+          const revised = await runChatSession(chat, prompt);
+          if (revised.size > 0) {
+            reviews.forEach(entry => {
+              entry.review = revised.get(entry.filePath) || entry.review;
+            });
+            allReviews = [...reviews.map(r => r.review), ...(crossFileReview ? [crossFileReview] : [])];
+            await recordHistory(agent, reviews, crossFileReview);
+          }
+        }
+        
         // Ask for feedback
-        const { feedback, outcome } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'feedback',
-            message: 'Do you have any feedback on these reviews? (optional)'
-          },
-          {
-            type: 'list',
-            name: 'outcome',
-            message: 'Were these reviews helpful?',
-            choices: ['Accepted', 'Partially Helpful', 'Not Helpful']
+        if (askFeedback) {
+          const { feedback, outcome } = await prompt([
+            {
+              type: 'input',
+              name: 'feedback',
+              message: 'Do you have any feedback on these reviews? (optional)'
+            },
+            {
+              type: 'list',
+              name: 'outcome',
+              message: 'Were these reviews helpful?',
+              choices: ['Accepted', 'Partially Helpful', 'Not Helpful']
+            }
+          ]);
+          
+          // Log feedback with review content for future learning
+          if (feedback || outcome) {
+            agent.logFeedback(
+              reviewId, 
+              feedback, 
+              outcome.toLowerCase().replace(' ', '_'),
+              JSON.stringify(reviews.map(r => ({ file: r.filePath, review: r.review })))
+            );
+            console.log(chalk.green('Thank you for your feedback!'));
           }
-        ]);
+        }
         
-        // Log feedback with review content for future learning
-        if (feedback || outcome) {
-          const reviewId = Date.now().toString();
-          agent.logFeedback(
-            reviewId, 
-            feedback, 
-            outcome.toLowerCase().replace(' ', '_'),
-            JSON.stringify(reviews.map(r => ({ file: r.filePath, review: r.review })))
-          );
-          console.log(chalk.green('Thank you for your feedback!'));
+        if (options.failOn) {
+          applyFailThreshold(allReviews, options.failOn, failedFiles);
         }
       } else {
         // Single file mode
+        if (options.changeset) {
+          spinner.warn('--changeset only applies when reviewing a directory - reviewing the file on its own');
+          spinner.start();
+        }
         let oldCode = '';
-        const newCode = fs.readFileSync(absolutePath, 'utf8');
+        let newCode = '';
+        let change = { status: 'modified', path: absolutePath, oldPath: absolutePath };
         
         // Get old version from options or try git
         if (options.old) {
+          newCode = fs.readFileSync(absolutePath, 'utf8');
           const oldFilePath = path.resolve(process.cwd(), options.old);
           if (fs.existsSync(oldFilePath)) {
             oldCode = fs.readFileSync(oldFilePath, 'utf8');
@@ -616,32 +1013,59 @@ program
             process.exit(1);
           }
         } else {
-          // Try to get previous version from git
-          try {
-            const { execSync } = require('child_process');
-            oldCode = execSync(`git show HEAD:${path.relative(process.cwd(), absolutePath)}`, { 
-              encoding: 'utf8',
-              stdio: ['pipe', 'pipe', 'ignore']
-            });
-          } catch (error) {
+          if (!diffSpec) {
             spinner.fail('Could not get previous version from git. Use --old option to specify the previous version.');
             process.exit(1);
           }
+          
+          // Use the diff entry for this file so renames and deletions are followed
+          const changes = getChangedFiles(diffSpec, absolutePath)
+            .filter(entry => entry.path === absolutePath);
+          
+          if (changes.length > 0) {
+            change = changes[0];
+            ({ oldCode, newCode } = getFileVersions(change, diffSpec));
+          } else {
+            // Unchanged file - compare the old version with the selected new version
+            const previous = getFileAtRef(diffSpec.oldRef, absolutePath);
+            const current = getFileAtRef(diffSpec.newRef, absolutePath);
+            if (previous === null || current === null) {
+              spinner.fail('Could not get previous version from git. Use --old option to specify the previous version.');
+              process.exit(1);
+            }
+            oldCode = previous;
+            newCode = current;
+          }
         }
         
         // Generate enhanced review with advanced analysis
-        const review = await agent.reviewCode(oldCode, newCode, absolutePath, { 
+        let review = await agent.reviewCode(oldCode, newCode, absolutePath, { 
           projectRoot: projectRoot,
-          stack: options.stack
+          stack: options.stack,
+          changeType: change.status,
+          oldPath: change.oldPath,
+          format: reviewFormat,
+          includeAnalysis: Boolean(options.sarif),
+          suggestFixes: Boolean(options.fix),
+          verbose: Boolean(global.verbose),
+          hunkThreshold,
+          cache: options.cache,
+          quiet: ciMode
         });
         
         spinner.succeed('Code review completed!');
+        await recordHistory(agent, [{ filePath: absolutePath, review }]);
         
         // Display review
-        console.log('\n' + chalk.bold.cyan('Code Connoisseur Review:'));
-        console.log(chalk.yellow('============================================='));
-        console.log(review);
-        console.log(chalk.yellow('============================================='));
+        if (jsonOutput) {
+          printJsonResults([review], null, reviewId);
+        } else {
+          console.log('\n' + chalk.bold.cyan('Code Connoisseur Review:'));
+          console.log(chalk.yellow('============================================='));
+          console.log(formatReviewText(review));
+          console.log(chalk.yellow('============================================='));
+          console.log(`Review ID: ${reviewId} (${chalk.cyan(`code-connoisseur chat ${reviewId}`)} for follow-up questions)`);
+        }
         
         // Save to markdown file if requested
         if (options.markdown) {
@@ -652,7 +1076,7 @@ program
             let markdownContent = `# Code Connoisseur Review: ${path.basename(absolutePath)}\n\n`;
             markdownContent += `*Generated on ${new Date().toLocaleString()}*\n\n`;
             markdownContent += `## File: ${absolutePath}\n\n`;
-            markdownContent += `\`\`\`\n${review}\n\`\`\`\n\n`;
+            markdownContent += formatReviewMarkdown(review);
             
             fs.writeFileSync(mdFilePath, markdownContent);
             console.log(chalk.green(`\nReview saved to markdown file: ${mdFilePath}`));
@@ -661,31 +1085,59 @@ program
           }
         }
         
+        // Save SARIF log if requested
+        if (options.sarif) {
+          try {
+            writeSarifFile(options.sarif, [review], projectRoot);
+          } catch (error) {
+            console.error(chalk.red(`Error saving SARIF log: ${error.message}`));
+          }
+        }
+        
+        // Offer suggested patches hunk by hunk
+        if (options.fix) {
+          await applySuggestedFixes([review], agent, reviewId, prompt);
+        }
+        
+        // Follow-up questions; revised findings replace the original ones
+        if (options.interactive) {
+          const revised = await runChatSession(agent.startChat([{ filePath: absolutePath, review, oldCode, newCode }]), prompt);
+          if (revised.has(absolutePath)) {
+            review = revised.get(absolutePath);
+            await recordHistory(agent, [{ filePath: absolutePath, review }]);
+          }
+        }
+        
         // Ask for feedback
-        const { feedback, outcome } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'feedback',
-            message: 'Do you have any feedback on this review? (optional)'
-          },
-          {
-            type: 'list',
-            name: 'outcome',
-            message: 'Was this review helpful?',
-            choices: ['Accepted', 'Partially Helpful', 'Not Helpful']
+        if (askFeedback) {
+          const { feedback, outcome } = await prompt([
+            {
+              type: 'input',
+              name: 'feedback',
+              message: 'Do you have any feedback on this review? (optional)'
+            },
+            {
+              type: 'list',
+              name: 'outcome',
+              message: 'Was this review helpful?',
+              choices: ['Accepted', 'Partially Helpful', 'Not Helpful']
+            }
+          ]);
+          
+          // Log feedback with review content for future learning
+          if (feedback || outcome) {
+            agent.logFeedback(
+              reviewId, 
+              feedback, 
+              outcome.toLowerCase().replace(' ', '_'),
+              typeof review === 'string' ? review : JSON.stringify(review)
+            );
+            console.log(chalk.green('Thank you for your feedback!'));
           }
-        ]);
+        }
         
-        // Log feedback with review content for future learning
-        if (feedback || outcome) {
-          const reviewId = Date.now().toString();
-          agent.logFeedback(
-            reviewId, 
-            feedback, 
-            outcome.toLowerCase().replace(' ', '_'),
-            review
-          );
-          console.log(chalk.green('Thank you for your feedback!'));
+        if (options.failOn) {
+          applyFailThreshold([review], options.failOn);
         }
       }
     } catch (error) {
@@ -701,6 +1153,82 @@ program
     }
   });
 
+// Serve command
+program
+  .command('serve')
+  .description('Start a local HTTP server exposing review, search, indexing and feedback as a JSON API')
+  .option('-p, --port <number>', 'Port to listen on', '3000')
+  .option('--host <host>', 'Host to bind to', '127.0.0.1')
+  .option('-i, --index-name <name>', 'Name of the index to use', config.indexName)
+  .option('-r, --root <dir>', 'Project root directory for analysis and indexing', process.cwd())
+  .option('-l, --llm <provider>', `LLM provider (${Object.keys(resolveProviders(config.providers)).join(', ')})`, config.llmProvider)
+  .option('--concurrency <number>', 'Maximum number of reviews and searches running at once', '2')
+  .option('--queue-size <number>', 'Maximum number of queued requests before answering 503', '20')
+  .option('--token <token>', 'Require this bearer token (defaults to CODE_CONNOISSEUR_TOKEN)')
+  .action(async (options) => {
+    config.llmProvider = options.llm;
+    await checkApiKeys('serve');
+    
+    const port = parseInt(options.port, 10);
+    const concurrency = parseInt(options.concurrency, 10);
+    const queueSize = parseInt(options.queueSize, 10);
+    if (!Number.isInteger(port) || !Number.isInteger(concurrency) || concurrency < 1 ||
+        !Number.isInteger(queueSize) || queueSize < 0) {
+      console.error(chalk.red('Error: --port, --concurrency and --queue-size must be numbers (concurrency at least 1)'));
+      process.exit(1);
+    }
+    
+    const projectRoot = path.resolve(process.cwd(), options.root);
+    if (!fs.existsSync(projectRoot)) {
+      console.error(chalk.red(`Error: Project root directory not found: ${projectRoot}`));
+      process.exit(1);
+    }
+    
+    const token = options.token || process.env.CODE_CONNOISSEUR_TOKEN;
+    const server = createServer({
+      projectRoot,
+      indexName: options.indexName,
+      llmProvider: options.llm,
+      providers: config.providers,
+      hunkThreshold: config.hunkReviewThreshold,
+      token,
+      concurrency,
+      queueSize,
+      indexDefaults: {
+        extensions: config.extensions,
+        excludeDirs: config.excludeDirs
+      },
+      version: packageJson.version
+    });
+    
+    server.on('error', error => {
+      console.error(chalk.red(`Server error: ${error.message}`));
+      process.exit(1);
+    });
+    
+    server.listen(port, options.host, () => {
+      console.log(chalk.green(`Code Connoisseur API listening on http://${options.host}:${server.address().port}`));
+      console.log(`Project root: ${projectRoot}, index: ${options.indexName}, concurrency: ${concurrency}`);
+      if (!token) {
+        console.log(chalk.yellow('Warning: no bearer token set - anyone who can reach this port can use the API'));
+      }
+    });
+    
+    // Stop accepting connections on Ctrl+C and let running requests finish. This takes over from the global
+    // handler, which would exit right away; a second Ctrl+C has no handler left and ends the process
+    process.removeAllListeners('SIGINT');
+    process.once('SIGINT', () => {
+      console.log(chalk.yellow('\nShutting down server (press Ctrl+C again to stop immediately)...'));
+      setTimeout(() => {
+        console.error(chalk.red(`Requests still running after ${SERVER_SHUTDOWN_TIMEOUT_MS / 1000}s, exiting`));
+        process.exit(1);
+      }, SERVER_SHUTDOWN_TIMEOUT_MS).unref();
+      server.close(() => process.exit(0));
+      // Idle keep-alive connections would otherwise keep close from finishing
+      server.closeIdleConnections();
+    });
+  });
+
 // Configure command
 program
   .command('configure')
@@ -723,9 +1251,45 @@ program
         type: 'list',
         name: 'llmProvider',
         message: 'Choose LLM provider:',
-        choices: ['openai', 'anthropic'],
+        choices: Object.keys(resolveProviders(config.providers)),
         default: config.llmProvider
       },
+      {
+        type: 'input',
+        name: 'llmBaseUrl',
+        message: 'Base URL of the OpenAI-compatible server:',
+        when: answers => resolveProviders(config.providers)[answers.llmProvider].type === 'openai-compatible',
+        default: answers => resolveProviders(config.providers)[answers.llmProvider].baseUrl
+      },
+      {
+        type: 'input',
+        name: 'llmModel',
+        message: 'Model name:',
+        default: answers => resolveProviders(config.providers)[answers.llmProvider].model
+      },
+      {
+        type: 'list',
+        name: 'embeddingProvider',
+        message: 'Choose embedding provider:',
+        choices: [
+          { name: 'auto (OpenAI if a key is set, otherwise local)', value: 'auto' },
+          { name: 'openai', value: 'openai' },
+          { name: 'local (offline, no API key needed)', value: 'local' }
+        ],
+        default: config.embeddingProvider
+      },
+      {
+        type: 'list',
+        name: 'vectorStore',
+        message: 'Choose vector store:',
+        choices: [
+          { name: 'auto (Pinecone if a key is set, otherwise local)', value: 'auto' },
+          { name: 'local (files in .code-connoisseur/vectors)', value: 'local' },
+          { name: 'sqlite (one database file per index)', value: 'sqlite' },
+          { name: 'pinecone', value: 'pinecone' }
+        ],
+        default: config.vectorStore
+      },
       {
         type: 'input',
         name: 'extensions',
@@ -743,6 +1307,16 @@ program
     // Update config
     config.indexName = answers.indexName;
     config.llmProvider = answers.llmProvider;
+    config.providers = {
+      ...config.providers,
+      [answers.llmProvider]: {
+        ...(config.providers || {})[answers.llmProvider],
+        model: answers.llmModel,
+        ...(answers.llmBaseUrl ? { baseUrl: answers.llmBaseUrl } : {})
+      }
+    };
+    config.embeddingProvider = answers.embeddingProvider;
+    config.vectorStore = answers.vectorStore;
     config.extensions = answers.extensions.split(',').map(ext => ext.trim());
     config.excludeDirs = answers.excludeDirs.split(',').map(dir => dir.trim());
     
@@ -780,14 +1354,19 @@ program
     
     try {
       if (options.all) {
+        // Indexes in Pinecone live outside the project, so drop every index the project has built first
+        for (const indexName of new Set([config.indexName, ...await listManifests()])) {
+          await dropIndex(indexName);
+        }
+        
         // Remove the entire .code-connoisseur directory
         await fs.remove(CONNOISSEUR_DIR);
         spinner.succeed('Removed all indexed data and configuration');
       } else {
-        // Remove just the specific index
-        const vectorPath = path.join(CONNOISSEUR_DIR, 'vectors', options.indexName);
-        if (await fs.pathExists(vectorPath)) {
-          await fs.remove(vectorPath);
+        // Remove just the specific index, from whichever vector store holds it
+        await removeManifest(options.indexName);
+        await removeSymbolIndex(options.indexName);
+        if (await dropIndex(options.indexName)) {
           spinner.succeed(`Removed index: ${options.indexName}`);
         } else {
           spinner.info(`Index "${options.indexName}" not found`);
@@ -798,58 +1377,345 @@ program
     }
   });
 
-// List command - for showing available indexes
+// Cache command - for inspecting and cleaning up cached reviews
 program
-  .command('list')
-  .description('List available indexed codebases')
-  .action(async () => {
-    const spinner = ora('Finding available indexes...').start();
+  .command('cache')
+  .description('List, prune or clear cached reviews')
+  .argument('[action]', 'list, prune or clear', 'list')
+  .option('--older-than <days>', 'With prune: remove entries not used for this many days', String(DEFAULT_MAX_AGE_DAYS))
+  .action(async (action, options) => {
+    if (!['list', 'prune', 'clear'].includes(action)) {
+      console.error(chalk.red(`Error: Unknown cache action "${action}" (expected list, prune or clear)`));
+      process.exit(1);
+    }
+    const maxAgeDays = Number(options.olderThan);
+    if (!(maxAgeDays >= 0)) {
+      console.error(chalk.red('Error: --older-than must be a number of days'));
+      process.exit(1);
+    }
     
     try {
-      // Check if the vectors directory exists
-      const vectorsDir = path.join(CONNOISSEUR_DIR, 'vectors');
-      if (!await fs.pathExists(vectorsDir)) {
-        spinner.info('No indexed codebases found');
+      if (action === 'clear') {
+        const removed = await clearCache();
+        console.log(chalk.green(`Removed ${removed} cached review(s)`));
         return;
       }
       
-      // Get all subdirectories in the vectors directory
-      const items = await fs.readdir(vectorsDir);
-      const indexes = [];
+      if (action === 'prune') {
+        const result = await pruneCache({ maxAgeDays, promptVersion: PROMPT_VERSION });
+        console.log(chalk.green(`Removed ${result.removed} cached review(s) (${formatBytes(result.freedBytes)}), kept ${result.kept}`));
+        return;
+      }
       
-      for (const item of items) {
-        const itemPath = path.join(vectorsDir, item);
-        const stats = await fs.stat(itemPath);
+      const entries = await listCachedReviews();
+      if (entries.length === 0) {
+        console.log(chalk.yellow(`No cached reviews in ${CACHE_DIR}`));
+        return;
+      }
+      
+      const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+      console.log('\n' + chalk.bold.cyan(`Cached Reviews (${entries.length}, ${formatBytes(totalSize)}):`));
+      console.log(chalk.yellow('============================================='));
+      entries.forEach(entry => {
+        if (!entry.valid) {
+          console.log(chalk.gray(`• ${entry.key.slice(0, 12)} (unreadable or outdated, removed by prune)`));
+          return;
+        }
+        const outdated = entry.promptVersion !== PROMPT_VERSION ? chalk.gray(' (older prompts, removed by prune)') : '';
+        console.log(chalk.bold(`• ${path.relative(process.cwd(), entry.filePath) || entry.filePath}`) + outdated);
+        console.log(`  Key: ${entry.key.slice(0, 12)}, ${entry.provider} (${entry.model}), ${entry.stack}, ${entry.format}`);
+        console.log(`  Created: ${new Date(entry.created).toLocaleString()}, last used: ${new Date(entry.lastUsed).toLocaleString()}, hits: ${entry.hits}`);
+      });
+      console.log(chalk.yellow('============================================='));
+    } catch (error) {
+      console.error(chalk.red(`Error managing the review cache: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// History command - for looking back at past reviews
+program
+  .command('history')
+  .description('List, show, search and compare past reviews')
+  .argument('[action]', 'list, show <id>, search <text> or diff <id> [other-id]', 'list')
+  .argument('[args...]', 'Review IDs (or their beginning) or the text to search for')
+  .option('--file <path>', 'With list: only reviews that include this file')
+  .option('-n, --limit <number>', 'Maximum number of reviews to list or find', '20')
+  .option('--json', 'Print the stored reviews as JSON')
+  .action(async (action, args, options) => {
+    if (!['list', 'show', 'search', 'diff'].includes(action)) {
+      console.error(chalk.red(`Error: Unknown history action "${action}" (expected list, show, search or diff)`));
+      process.exit(1);
+    }
+    if (action !== 'list' && args.length === 0) {
+      console.error(chalk.red(`Error: history ${action} needs ${action === 'search' ? 'the text to search for' : 'a review ID'}`));
+      process.exit(1);
+    }
+    const limit = parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      console.error(chalk.red('Error: --limit must be a number of at least 1'));
+      process.exit(1);
+    }
+    
+    const relative = filePath => filePath ? path.relative(process.cwd(), filePath) || filePath : '(changeset)';
+    const countFindings = record => record.results
+      .reduce((sum, result) => sum + (typeof result.review === 'object' ? result.review.findings.length : 0), 0);
+    const describeRecord = record => `${chalk.bold(record.id)}  ${new Date(record.timestamp).toLocaleString()}  ` +
+      `${record.llm.provider} (${record.llm.model})  ${record.results.length} file(s)` +
+      (record.format === 'json' ? `, ${countFindings(record)} finding(s)` : '') +
+      (record.gitRef ? `  ${record.gitRef.description}` : '');
+    
+    // Loads a review by ID, exiting with an error if there is none
+    const requireReview = async reviewId => {
+      const record = await loadReview(reviewId);
+      if (!record) {
+        console.error(chalk.red(`Error: No review found with ID "${reviewId}"`));
+        process.exit(1);
+      }
+      return record;
+    };
+    
+    try {
+      if (action === 'list') {
+        const records = await listReviews({ file: options.file && path.resolve(process.cwd(), options.file), limit });
+        if (options.json) {
+          console.log(JSON.stringify(records, null, 2));
+        } else if (records.length === 0) {
+          console.log(chalk.yellow('No reviews in the history yet'));
+        } else {
+          records.forEach(record => {
+            console.log(describeRecord(record));
+            console.log(`  ${relative(record.target)}`);
+          });
+        }
+        return;
+      }
+      
+      if (action === 'show') {
+        const record = await requireReview(args[0]);
+        const feedback = new FeedbackSystem().getFeedbackForReview(record.id);
+        if (options.json) {
+          console.log(JSON.stringify({ ...record, feedback }, null, 2));
+          return;
+        }
         
-        if (stats.isDirectory()) {
-          // Try to read the meta.json file to get more info
-          try {
-            const metaPath = path.join(itemPath, 'meta.json');
-            if (await fs.pathExists(metaPath)) {
-              const meta = await fs.readJson(metaPath);
-              indexes.push({
-                name: item,
-                created: meta.created || 'Unknown',
-                updated: meta.updated || 'Unknown',
-                chunkCount: meta.chunkCount || 'Unknown'
-              });
-            } else {
-              indexes.push({
-                name: item,
-                created: 'Unknown',
-                updated: 'Unknown',
-                chunkCount: 'Unknown'
-              });
+        console.log(chalk.bold.cyan(`Review ${record.id}`));
+        console.log(chalk.yellow('============================================='));
+        console.log(`Date: ${new Date(record.timestamp).toLocaleString()}`);
+        console.log(`Target: ${relative(record.target)}`);
+        console.log(`Model: ${record.llm.provider} (${record.llm.model})`);
+        if (record.gitRef) {
+          console.log(`Git: ${record.gitRef.description} (${record.gitRef.oldRef} -> ${record.gitRef.newRef})` +
+            (record.gitRef.head ? `, HEAD ${record.gitRef.head.slice(0, 10)}` : ''));
+        }
+        feedback.forEach(entry => {
+          console.log(`Feedback: ${entry.outcome}${entry.feedback ? ` - ${entry.feedback}` : ''} ` +
+            chalk.gray(`(${new Date(entry.timestamp).toLocaleString()})`));
+        });
+        
+        record.results.forEach(({ file, review }) => {
+          console.log(chalk.bold.green(`\n## File: ${relative(file)}`));
+          console.log(formatReviewText(review));
+        });
+        if (record.crossFile) {
+          console.log(chalk.bold.green('\n## Cross-File Issues'));
+          console.log(formatReviewText(record.crossFile));
+        }
+        console.log(chalk.yellow('============================================='));
+        return;
+      }
+      
+      if (action === 'search') {
+        const found = await searchReviews(args.join(' '), { limit });
+        if (options.json) {
+          console.log(JSON.stringify(found, null, 2));
+        } else if (found.length === 0) {
+          console.log(chalk.yellow(`No reviews mention "${args.join(' ')}"`));
+        } else {
+          found.forEach(({ record, matches }) => {
+            console.log(describeRecord(record));
+            matches.slice(0, 5).forEach(match => console.log(`  ${relative(match.file)}: ${match.snippet}`));
+            if (matches.length > 5) {
+              console.log(chalk.gray(`  ... ${matches.length - 5} more matches`));
             }
-          } catch (error) {
-            indexes.push({
-              name: item,
-              created: 'Unknown',
-              updated: 'Unknown',
-              chunkCount: 'Unknown'
-            });
-          }
+          });
         }
+        return;
+      }
+      
+      // diff: compare two reviews, or a review with the previous review of the same files
+      let [older, newer] = args.length > 1
+        ? [await requireReview(args[0]), await requireReview(args[1])]
+        : [null, await requireReview(args[0])];
+      if (!older) {
+        older = await findPreviousReview(newer);
+        if (!older) {
+          console.error(chalk.red(`Error: No earlier review of the files in ${newer.id} to compare with`));
+          process.exit(1);
+        }
+      }
+      if (older.timestamp > newer.timestamp) {
+        [older, newer] = [newer, older];
+      }
+      
+      const comparison = compareReviews(older, newer);
+      if (options.json) {
+        console.log(JSON.stringify({ older: older.id, newer: newer.id, files: comparison }, null, 2));
+        return;
+      }
+      
+      const describeFinding = finding => `[${finding.severity}/${finding.category}] ${finding.message} (line ${finding.startLine})`;
+      console.log(chalk.bold.cyan(`Comparing ${older.id} with ${newer.id}`));
+      comparison.forEach(file => {
+        console.log(chalk.bold(`\n## ${relative(file.file)}`) +
+          (file.status !== 'compared' ? chalk.gray(` (only in the ${file.status === 'added' ? 'newer' : 'older'} review)`) : ''));
+        if (file.summaryBefore !== file.summaryAfter && file.summaryAfter) {
+          console.log(`Summary: ${file.summaryAfter}`);
+        }
+        file.newFindings.forEach(finding => console.log(chalk.red(`+ ${describeFinding(finding)}`)));
+        file.resolvedFindings.forEach(finding => console.log(chalk.green(`- ${describeFinding(finding)}`)));
+        if (file.unchangedFindings.length > 0) {
+          console.log(chalk.gray(`= ${file.unchangedFindings.length} finding(s) in both reviews`));
+        }
+        file.textChanges.forEach(change => {
+          const prefix = change.added ? '+ ' : '- ';
+          const lines = change.value.replace(/\n$/, '').split('\n').map(line => prefix + line).join('\n');
+          console.log(change.added ? chalk.green(lines) : chalk.red(lines));
+        });
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error reading the review history: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Chat command - for follow-up questions about a past review
+program
+  .command('chat')
+  .description('Ask follow-up questions about a past review')
+  .argument('[review-id]', 'Review to discuss (default: the latest review)')
+  .option('-l, --llm <provider>', 'LLM provider (default: the provider that wrote the review)')
+  .option('-i, --index-name <name>', 'Name of the index to search for more code', config.indexName)
+  .action(async (reviewId, options) => {
+    let record;
+    try {
+      record = reviewId ? await loadReview(reviewId) : (await listReviews({ limit: 1 }))[0];
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    if (!record) {
+      console.error(chalk.red(reviewId ? `Error: No review found with ID "${reviewId}"` : 'Error: No reviews in the history yet'));
+      process.exit(1);
+    }
+    
+    // Continue with the provider that wrote the review unless another one is selected or it no longer exists
+    const registered = Object.keys(resolveProviders(config.providers));
+    config.llmProvider = options.llm || (registered.includes(record.llm.provider) ? record.llm.provider : config.llmProvider);
+    await checkApiKeys('chat');
+    
+    const agent = new CodeReviewAgent(options.indexName, config.llmProvider, config.providers);
+    // The history has no copy of the code, so the chat sees the files as they are now
+    const files = record.results.map(({ file, review }) => ({
+      filePath: file,
+      review,
+      newCode: fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+    }));
+    
+    console.log(chalk.bold(`Review ${record.id}`) + ` of ${path.relative(process.cwd(), record.target) || record.target}, ` +
+      `${new Date(record.timestamp).toLocaleString()}`);
+    files.forEach(({ filePath, review }) => {
+      console.log(chalk.bold.green(`\n## File: ${path.basename(filePath)}`));
+      console.log(formatReviewText(review));
+    });
+    
+    const revised = await runChatSession(agent.startChat(files), inquirer.prompt);
+    if (revised.size > 0) {
+      await saveReview({
+        ...record,
+        results: record.results.map(result => ({ ...result, review: revised.get(result.file) || result.review }))
+      });
+      console.log(chalk.green(`Saved the revised findings to review ${record.id}`));
+    }
+  });
+
+// Search command - for querying the index directly
+program
+  .command('search')
+  .description('Search the indexed codebase for code matching a query')
+  .argument('<query>', 'What to look for, e.g. "where are API tokens validated"')
+  .option('-i, --index-name <name>', 'Name of the index to search', config.indexName)
+  .option('-n, --limit <number>', 'Maximum number of results', '10')
+  .option('--path <glob>', 'Only files matching this gitignore-style glob, relative to the current directory')
+  .option('--type <types>', 'Only these chunk types, comma-separated (e.g. function,class,method)')
+  .option('--language <languages>', 'Only these languages, comma-separated (e.g. javascript,python)')
+  .option('--exclude <paths>', 'Leave out these files, comma-separated, relative to the current directory')
+  .option('--json', 'Print the results as JSON')
+  .action(async (query, options) => {
+    const limit = parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      console.error(chalk.red('Error: --limit must be a number of at least 1'));
+      process.exit(1);
+    }
+    if (!await indexExists(options.indexName)) {
+      console.error(chalk.red(`Error: Index "${options.indexName}" not found. Run "code-connoisseur index" first.`));
+      process.exit(1);
+    }
+    
+    let results;
+    try {
+      // The vector store reports its progress on the console, which would mix with the results
+      results = await searchCode(query, options.indexName, {
+        limit,
+        path: options.path,
+        type: options.type,
+        language: options.language,
+        exclude: options.exclude ? options.exclude.split(',').map(file => file.trim()).filter(Boolean) : undefined,
+        quiet: options.json || !global.verbose
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: Search failed: ${error.message}`));
+      process.exit(1);
+    }
+    
+    if (options.json) {
+      console.log(JSON.stringify({ query, indexName: options.indexName, results }, null, 2));
+      return;
+    }
+    if (results.length === 0) {
+      console.log(chalk.yellow(`No code found for "${query}"`));
+      return;
+    }
+    
+    results.forEach(result => {
+      const location = result.startLine ? `${result.relativePath}:${result.startLine}-${result.endLine}` : result.relativePath;
+      const qualifiedName = result.parent ? `${result.parent}.${result.name}` : result.name;
+      const name = result.part ? `${qualifiedName} (part ${result.part}/${result.parts})` : qualifiedName;
+      console.log(`${chalk.bold(`${result.rank}.`)} ${chalk.cyan(location)}  ${chalk.bold(name)} ` +
+        `${chalk.gray(`(${result.type}, ${result.language})`)}  ${chalk.green(`${Math.round(result.score * 100)}%`)}`);
+      
+      // Number the snippet lines when the chunk's position in the file is known
+      result.snippet.split('\n').forEach((line, index) => {
+        const number = result.snippetStartLine ? `${String(result.snippetStartLine + index).padStart(5)} | ` : '    | ';
+        console.log(chalk.gray(number) + line);
+      });
+      console.log('');
+    });
+  });
+
+// List command - for showing available indexes
+program
+  .command('list')
+  .description('List available indexed codebases')
+  .action(async () => {
+    const spinner = ora('Finding available indexes...').start();
+    
+    try {
+      // Local and SQLite indexes in the project, and Pinecone indexes when a key is set
+      const indexes = await listIndexes();
+      if (indexes.length === 0) {
+        spinner.info('No indexed codebases found');
+        return;
       }
       
       spinner.succeed(`Found ${indexes.length} indexed codebase(s)`);
@@ -860,10 +1726,21 @@ program
         
         // Table format for indexes
         indexes.forEach(index => {
-          console.log(chalk.bold(`• ${index.name}`));
-          console.log(`  Chunks: ${index.chunkCount}`);
-          console.log(`  Created: ${new Date(index.created).toLocaleString()}`);
-          console.log(`  Updated: ${new Date(index.updated).toLocaleString()}`);
+          console.log(chalk.bold(`• ${index.name}`) + chalk.gray(` (${index.backend})`));
+          console.log(`  Chunks: ${index.chunkCount ?? 'Unknown'}` + (index.dimension ? `, ${index.dimension} dimensions` : '') +
+            (index.details ? `, ${index.details}` : ''));
+          if (index.embedding) {
+            console.log(`  Embeddings: ${index.embedding.provider} (${index.embedding.model})`);
+          }
+          if (index.created) {
+            console.log(`  Created: ${new Date(index.created).toLocaleString()}`);
+          }
+          if (index.updated) {
+            console.log(`  Updated: ${new Date(index.updated).toLocaleString()}`);
+          }
+          if (index.location) {
+            console.log(`  Location: ${index.location}` + (index.size ? ` (${formatBytes(index.size)})` : ''));
+          }
           console.log('');
         });
         
@@ -884,7 +1761,7 @@ program
     
     try {
       // Initialize agent to access feedback system
-      const agent = new CodeReviewAgent(config.indexName, config.llmProvider);
+      const agent = new CodeReviewAgent(config.indexName, config.llmProvider, config.providers);
       const analysis = agent.getFeedbackAnalysis();
       
       spinner.succeed('Feedback analysis completed!');
@@ -903,6 +1780,7 @@ program
         console.log(`Accepted: ${analysis.stats.accepted}`);
         console.log(`Partially Helpful: ${analysis.stats.partiallyHelpful}`);
         console.log(`Not Helpful: ${analysis.stats.notHelpful}`);
+        console.log(`Rejected Fixes: ${analysis.stats.rejectedFixes}`);
         
         // Common issues
         if (analysis.commonIssues.length > 0) {
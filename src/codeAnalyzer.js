@@ -3,15 +3,23 @@ const madge = require('madge');
 const path = require('path');
 const fs = require('fs-extra');
 const { suggestPythonEdgeCases } = require('./pythonParser');
+const { parseJava, maskJavaLiterals, suggestJavaEdgeCases } = require('./javaParser');
+
+// Whether ESLint failing (usually for lack of a config) was reported, so a run warns only once
+let warnedAboutESLint = false;
 
 /**
  * Performs static code analysis
  * @param {string} code - Code to analyze
  * @param {string} filePath - Path to the file
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.quiet - Leave out the progress message
  * @returns {Promise<Array<{message: string, severity: number, line: number, column: number}>>} - Array of lint issues
  */
-async function runStaticAnalysis(code, filePath) {
-  console.log(`Running static analysis on ${filePath}`);
+async function runStaticAnalysis(code, filePath, options = {}) {
+  if (!options.quiet) {
+    console.log(`Running static analysis on ${filePath}`);
+  }
   
   // Get file extension to determine analysis approach
   const ext = path.extname(filePath).toLowerCase();
@@ -21,6 +29,11 @@ async function runStaticAnalysis(code, filePath) {
     return analyzePythonCode(code);
   }
   
+  // For Java files, use a rule-based analyzer as well - ESLint cannot parse Java
+  if (ext === '.java') {
+    return analyzeJavaCode(code);
+  }
+  
   // Use ESLint for JavaScript/TypeScript analysis
   try {
     // Create a minimal ESLint instance
@@ -42,12 +55,16 @@ async function runStaticAnalysis(code, filePath) {
     
     return issues;
   } catch (error) {
-    console.error(`ESLint error: ${error.message}`);
+    if (!warnedAboutESLint) {
+      warnedAboutESLint = true;
+      console.warn(`ESLint unavailable, skipping lint checks: ${error.message}`);
+    }
     return [{
       message: `Static analysis currently unavailable: ${error.message}`,
       severity: 1,
       line: 1,
-      column: 1
+      column: 1,
+      ruleId: 'static-analysis-unavailable'
     }];
   }
 }
@@ -55,7 +72,7 @@ async function runStaticAnalysis(code, filePath) {
 /**
  * Simple rule-based static analysis for Python code
  * @param {string} code - Python code to analyze
- * @returns {Array<{message: string, severity: number, line: number, column: number}>} - Array of issues
+ * @returns {Array<{message: string, severity: number, line: number, column: number, ruleId: string}>} - Array of issues
  */
 function analyzePythonCode(code) {
   const issues = [];
@@ -71,7 +88,8 @@ function analyzePythonCode(code) {
         message: 'Line too long (exceeds 100 characters)',
         severity: 1, // Warning
         line: lineNumber,
-        column: 1
+        column: 1,
+        ruleId: 'python/line-too-long'
       });
     }
     
@@ -81,7 +99,8 @@ function analyzePythonCode(code) {
         message: 'Trailing whitespace',
         severity: 1, // Warning
         line: lineNumber,
-        column: line.length
+        column: line.length,
+        ruleId: 'python/trailing-whitespace'
       });
     }
     
@@ -91,7 +110,8 @@ function analyzePythonCode(code) {
         message: 'Mixed tabs and spaces',
         severity: 2, // Error
         line: lineNumber,
-        column: 1
+        column: 1,
+        ruleId: 'python/mixed-indentation'
       });
     }
     
@@ -101,7 +121,8 @@ function analyzePythonCode(code) {
         message: 'Bare except clause (should specify exception type)',
         severity: 2, // Error
         line: lineNumber,
-        column: line.indexOf('except:') + 1
+        column: line.indexOf('except:') + 1,
+        ruleId: 'python/bare-except'
       });
     }
     
@@ -112,7 +133,8 @@ function analyzePythonCode(code) {
         message: 'Mutable default argument (use None instead)',
         severity: 2, // Error
         line: lineNumber,
-        column: 1
+        column: 1,
+        ruleId: 'python/mutable-default-argument'
       });
     }
     
@@ -122,7 +144,8 @@ function analyzePythonCode(code) {
         message: 'Wildcard imports should be avoided',
         severity: 1, // Warning
         line: lineNumber,
-        column: 1
+        column: 1,
+        ruleId: 'python/wildcard-import'
       });
     }
   });
@@ -141,7 +164,8 @@ function analyzePythonCode(code) {
           message: 'Indentation should be a multiple of 4 spaces',
           severity: 1, // Warning
           line: i + 1,
-          column: 1
+          column: 1,
+          ruleId: 'python/indentation'
         });
       }
     }
@@ -150,14 +174,154 @@ function analyzePythonCode(code) {
   return issues;
 }
 
+/**
+ * Simple rule-based static analysis for Java code
+ * @param {string} code - Java code to analyze
+ * @returns {Array<{message: string, severity: number, line: number, column: number, ruleId: string}>} - Array of issues
+ */
+function analyzeJavaCode(code) {
+  const issues = [];
+  const lines = code.split('\n');
+  // Comments and string contents are blanked out so they can't trigger rules
+  const maskedLines = maskJavaLiterals(code).split('\n');
+  
+  const addIssue = (ruleId, message, severity, line, column = 1) => {
+    issues.push({ message, severity, line, column, ruleId: `java/${ruleId}` });
+  };
+  
+  lines.forEach((line, i) => {
+    const lineNumber = i + 1;
+    const masked = maskedLines[i] || '';
+    
+    // Check line length
+    if (line.length > 120) {
+      addIssue('line-too-long', 'Line too long (exceeds 120 characters)', 1, lineNumber);
+    }
+    
+    // Check for wildcard imports
+    if (/^\s*import\s+(static\s+)?[\w.]+\.\*\s*;/.test(masked)) {
+      addIssue('wildcard-import', 'Wildcard imports should be avoided', 1, lineNumber);
+    }
+    
+    // Check for string comparison by reference
+    const stringEquality = masked.match(/(==|!=)\s*"|"\s*(==|!=)/);
+    if (stringEquality) {
+      addIssue('string-reference-equality', 'Strings compared with ==/!= (use equals() instead)', 2,
+        lineNumber, stringEquality.index + 1);
+    }
+    
+    // Check for console output
+    const consoleOutput = masked.match(/System\.(out|err)\.print/);
+    if (consoleOutput) {
+      addIssue('system-out', 'Use a logger instead of System.out/System.err', 1, lineNumber, consoleOutput.index + 1);
+    }
+    
+    // Check for printStackTrace
+    if (/\.printStackTrace\s*\(\s*\)/.test(masked)) {
+      addIssue('print-stack-trace', 'printStackTrace() hides errors from logging (log the exception instead)', 1, lineNumber);
+    }
+    
+    // Check for overly broad catch clauses
+    const broadCatch = masked.match(/catch\s*\(\s*(final\s+)?(Exception|Throwable|RuntimeException)\s+\w+\s*\)/);
+    if (broadCatch) {
+      addIssue('catch-generic-exception', `Catching ${broadCatch[2]} (catch specific exception types)`, 1,
+        lineNumber, broadCatch.index + 1);
+    }
+  });
+  
+  // Checks that span lines run on the masked source as a whole
+  const masked = maskJavaLiterals(code);
+  const lineOf = offset => masked.substring(0, offset).split('\n').length;
+  
+  // Check for empty catch blocks
+  const emptyCatch = /catch\s*\([^)]*\)\s*\{\s*\}/g;
+  let match;
+  while ((match = emptyCatch.exec(masked)) !== null) {
+    addIssue('empty-catch', 'Empty catch block swallows the exception', 2, lineOf(match.index));
+  }
+  
+  // Check declarations: naming conventions and equals/hashCode pairs
+  let declarations = [];
+  try {
+    declarations = parseJava(code);
+  } catch (error) {
+    addIssue('parse-error', `Could not parse Java source: ${error.message}`, 2, 1);
+  }
+  
+  for (const declaration of declarations) {
+    const line = lineOf(declaration.start);
+    const isType = !['MethodDeclaration', 'ConstructorDeclaration'].includes(declaration.type);
+    
+    if (isType && !/^[A-Z][A-Za-z0-9]*$/.test(declaration.name)) {
+      addIssue('type-naming', `Type name "${declaration.name}" should be UpperCamelCase`, 1, line);
+    }
+    
+    if (declaration.type === 'MethodDeclaration' && !/^[a-z][A-Za-z0-9]*$/.test(declaration.name)) {
+      addIssue('method-naming', `Method name "${declaration.name}" should be lowerCamelCase`, 1, line);
+    }
+  }
+  
+  // Check that each type overriding equals() also overrides hashCode()
+  const methodsByType = new Map();
+  declarations
+    .filter(declaration => declaration.type === 'MethodDeclaration')
+    .forEach(declaration => {
+      if (!methodsByType.has(declaration.parent)) methodsByType.set(declaration.parent, []);
+      methodsByType.get(declaration.parent).push(declaration);
+    });
+  
+  for (const [typeName, methods] of methodsByType) {
+    const equals = methods.find(method => method.name === 'equals' &&
+      /equals\s*\(\s*(final\s+)?Object\s+\w+\s*\)/.test(masked.substring(method.start, method.end)));
+    if (equals && !methods.some(method => method.name === 'hashCode')) {
+      addIssue('equals-without-hashcode', `${typeName} overrides equals() but not hashCode()`, 2, lineOf(equals.start));
+    }
+  }
+  
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// Madge graphs by project root; building one scans the whole project, so reviews of several files share it
+const madgeGraphs = new Map();
+
+// Graphs older than this are rebuilt, so a long-running server sees new files
+const MADGE_GRAPH_TTL_MS = 60 * 1000;
+
+/**
+ * Gets the JavaScript/TypeScript dependency graph of a project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object>} - Madge dependency graph
+ */
+function getMadgeGraph(projectRoot) {
+  const cached = madgeGraphs.get(projectRoot);
+  if (cached && Date.now() - cached.created < MADGE_GRAPH_TTL_MS) {
+    return cached.graph;
+  }
+  
+  const graph = madge(projectRoot, {
+    baseDir: projectRoot,
+    includeNpm: false,
+    fileExtensions: ['js', 'ts', 'jsx', 'tsx']
+    // Note: Python files are handled by analyzePythonDependencies
+  });
+  madgeGraphs.set(projectRoot, { graph, created: Date.now() });
+  // Don't keep a failed scan around
+  graph.catch(() => madgeGraphs.delete(projectRoot));
+  return graph;
+}
+
 /**
  * Analyzes dependencies of a file to see what might be affected by changes
  * @param {string} filePath - Path to the file
  * @param {string} projectRoot - Root directory of the project
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.quiet - Leave out the progress message
  * @returns {Promise<{dependents: string[], dependencies: string[]}>} - Dependencies analysis
  */
-async function analyzeDependencies(filePath, projectRoot) {
-  console.log(`Analyzing dependencies for ${filePath}`);
+async function analyzeDependencies(filePath, projectRoot, options = {}) {
+  if (!options.quiet) {
+    console.log(`Analyzing dependencies for ${filePath}`);
+  }
   
   // Get file extension to determine analysis approach
   const ext = path.extname(filePath).toLowerCase();
@@ -167,24 +331,24 @@ async function analyzeDependencies(filePath, projectRoot) {
     return await analyzePythonDependencies(filePath, projectRoot);
   }
   
+  // For Java files, resolve imports and packages
+  if (ext === '.java') {
+    return await analyzeJavaDependencies(filePath, projectRoot);
+  }
+  
   // Use Madge for JavaScript/TypeScript dependency analysis
   try {
     // Make file path relative to project root
     const relativePath = path.relative(projectRoot, filePath);
     
-    // Create a dependency graph for the project
-    const graph = await madge(projectRoot, {
-      baseDir: projectRoot,
-      includeNpm: false,
-      fileExtensions: ['js', 'ts', 'jsx', 'tsx']
-      // Note: Python files are handled by analyzePythonDependencies
-    });
+    // Create a dependency graph for the project (shared by files reviewed together)
+    const graph = await getMadgeGraph(projectRoot);
     
-    // Get dependencies (files this file imports)
-    const dependencies = graph.depends(relativePath) || [];
+    // Get dependencies (files this file imports); madge IDs use forward slashes
+    const dependencies = graph.obj()[relativePath.split(path.sep).join('/')] || [];
     
     // Get dependents (files that import this file)
-    const dependents = graph.dependents(relativePath) || [];
+    const dependents = graph.depends(relativePath.split(path.sep).join('/')) || [];
     
     return {
       dependencies: dependencies.map(dep => path.join(projectRoot, dep)),
@@ -283,6 +447,102 @@ async function analyzePythonDependencies(filePath, projectRoot) {
   }
 }
 
+/**
+ * Analyze Java dependencies by resolving imports and same-package references
+ * @param {string} filePath - Path to the Java file
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<{dependents: string[], dependencies: string[]}>} - Dependencies analysis
+ */
+async function analyzeJavaDependencies(filePath, projectRoot) {
+  try {
+    const glob = require('glob');
+    const javaFiles = glob.sync(`${projectRoot}/**/*.java`, {
+      ignore: ['**/node_modules/**', '**/target/**', '**/build/**', '**/.git/**']
+    }).map(file => path.resolve(file));
+    
+    // Index every file by package and fully qualified class name
+    const files = [];
+    for (const file of javaFiles) {
+      const masked = maskJavaLiterals(await fs.readFile(file, 'utf8'));
+      const packageMatch = masked.match(/^\s*package\s+([\w.]+)\s*;/m);
+      const packageName = packageMatch ? packageMatch[1] : '';
+      const className = path.basename(file, '.java');
+      
+      const imports = [];
+      const importRegex = /^\s*import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/gm;
+      let match;
+      while ((match = importRegex.exec(masked)) !== null) {
+        imports.push({ isStatic: Boolean(match[1]), name: match[2] });
+      }
+      
+      files.push({
+        file,
+        packageName,
+        className,
+        qualifiedName: packageName ? `${packageName}.${className}` : className,
+        imports,
+        masked
+      });
+    }
+    
+    const self = files.find(entry => entry.file === path.resolve(filePath));
+    if (!self) {
+      return { dependencies: [], dependents: [] };
+    }
+    
+    const byQualifiedName = new Map(files.map(entry => [entry.qualifiedName, entry]));
+    const references = (entry, className) => new RegExp(`\\b${className}\\b`).test(entry.masked);
+    
+    // Resolves an import to the project files it refers to
+    const resolveImport = ({ isStatic, name }) => {
+      if (name.endsWith('.*')) {
+        const target = name.slice(0, -2);
+        // import a.b.* names a package, import static a.b.C.* names a class
+        return isStatic
+          ? [byQualifiedName.get(target)].filter(Boolean)
+          : files.filter(entry => entry.packageName === target);
+      }
+      // Static imports name a member, so try the enclosing class as well
+      const parts = name.split('.');
+      for (let length = parts.length; length > 0; length--) {
+        const entry = byQualifiedName.get(parts.slice(0, length).join('.'));
+        if (entry) return [entry];
+        if (!isStatic) break;
+      }
+      return [];
+    };
+    
+    const dependencies = new Set();
+    for (const entry of self.imports.flatMap(resolveImport)) {
+      dependencies.add(entry.file);
+    }
+    
+    // Classes in the same package need no import
+    for (const entry of files) {
+      if (entry !== self && entry.packageName === self.packageName && references(self, entry.className)) {
+        dependencies.add(entry.file);
+      }
+    }
+    
+    // Dependents import this class (or its package), or reference it from the same package
+    const dependents = files
+      .filter(entry => entry !== self)
+      .filter(entry =>
+        entry.imports.some(imported => resolveImport(imported).includes(self) &&
+          (!imported.name.endsWith('.*') || imported.isStatic || references(entry, self.className))) ||
+        (entry.packageName === self.packageName && references(entry, self.className)))
+      .map(entry => entry.file);
+    
+    return {
+      dependencies: [...dependencies].filter(file => file !== self.file),
+      dependents: [...new Set(dependents)]
+    };
+  } catch (error) {
+    console.error(`Java dependency analysis error: ${error.message}`);
+    return { dependencies: [], dependents: [] };
+  }
+}
+
 /**
  * Find all Python files in a project
  * @param {string} rootDir - Root directory of the project
@@ -307,10 +567,14 @@ async function findPythonFiles(rootDir) {
  * Estimates test coverage for changed code
  * @param {string} filePath - Path to the file
  * @param {Array<{added: boolean, removed: boolean, value: string, lineNumber: number}>} changes - Diff changes
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.quiet - Leave out the progress message
  * @returns {Promise<{coverage: number, untested: Array<{start: number, end: number}>}>} - Test coverage estimation
  */
-async function estimateTestCoverage(filePath, changes) {
-  console.log(`Estimating test coverage for ${filePath}`);
+async function estimateTestCoverage(filePath, changes, options = {}) {
+  if (!options.quiet) {
+    console.log(`Estimating test coverage for ${filePath}`);
+  }
   
   // Get file extension to determine test file patterns
   const ext = path.extname(filePath).toLowerCase();
@@ -332,6 +596,14 @@ async function estimateTestCoverage(filePath, changes) {
         `tests_${basename}.py`,
         `${basename}_tests.py`
       ];
+    } else if (ext === '.java') {
+      // JUnit/TestNG naming conventions
+      testFilePatterns = [
+        `${basename}Test.java`,
+        `${basename}Tests.java`,
+        `${basename}IT.java`,
+        `Test${basename}.java`
+      ];
     } else {
       // Default patterns for JS/TS files
       testFilePatterns = [
@@ -363,6 +635,23 @@ async function estimateTestCoverage(filePath, changes) {
       }
     }
     
+    // For Java files - tests usually mirror the package under src/test/java (Maven/Gradle layout)
+    if (ext === '.java') {
+      const normalizedDir = fileDir.split(path.sep).join('/');
+      const mainMarker = '/src/main/java';
+      const markerIndex = normalizedDir.indexOf(mainMarker);
+      if (markerIndex !== -1) {
+        const testDir = normalizedDir.substring(0, markerIndex) + '/src/test/java' +
+          normalizedDir.substring(markerIndex + mainMarker.length);
+        for (const pattern of testFilePatterns) {
+          const testPath = path.join(testDir, pattern);
+          if (fs.existsSync(testPath)) {
+            testFilesFound.push(testPath);
+          }
+        }
+      }
+    }
+    
     // For Python files - also check for pytest fixtures that might include this file
     if (ext === '.py') {
       // Look for conftest.py files
@@ -430,6 +719,10 @@ function suggestEdgeCases(code, filePath = '') {
     return suggestPythonEdgeCases(code);
   }
   
+  if (filePath && path.extname(filePath).toLowerCase() === '.java') {
+    return suggestJavaEdgeCases(code);
+  }
+  
   const edgeCases = [];
   
   // Check for array operations
@@ -477,5 +770,6 @@ module.exports = {
   analyzeDependencies,
   estimateTestCoverage,
   suggestEdgeCases,
-  analyzePythonCode  // Export for testing
+  analyzePythonCode,  // Export for testing
+  analyzeJavaCode
 };
\ No newline at end of file
@@ -5,6 +5,7 @@ const path = require('path');
 const ignore = require('ignore');
 const { processTypeScriptFile } = require('./tsParser');
 const { processPythonFile } = require('./pythonParser');
+const { processJavaFile } = require('./javaParser');
 
 /**
  * Loads all code files from the given directory, respecting .gitignore
@@ -250,10 +251,11 @@ async function loadCodebase(directory, extensions = ['js', 'ts', 'py'], excludeD
 }
 
 /**
- * Splits code content into meaningful chunks (functions, classes)
+ * Splits code content into meaningful chunks (functions, classes) of any length
  * @param {string} content - File content
  * @param {string} filePath - Path to the file
- * @returns {Array<{type: string, name: string, code: string, path: string}>} - Array of code chunks
+ * @returns {Array<{type: string, name: string, code: string, path: string, startLine: number, endLine: number}>} -
+ *   Array of code chunks; line ranges are included when the parser provides them
  */
 function splitCode(content, filePath) {
   // For any tracing
@@ -265,7 +267,7 @@ function splitCode(content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: typeof content === 'string' ? content.substring(0, 5000) : '',
+      code: typeof content === 'string' ? content : '',
       path: filePath
     }];
   }
@@ -282,7 +284,7 @@ function splitCode(content, filePath) {
       return [{
         type: 'File',
         name: fileName,
-        code: content.substring(0, Math.min(content.length, 5000)), // Limit size
+        code: content,
         path: filePath
       }];
     }
@@ -297,18 +299,33 @@ function splitCode(content, filePath) {
       return [{
         type: 'File',
         name: fileName,
-        code: content.substring(0, Math.min(content.length, 5000)), // Limit size
+        code: content,
         path: filePath
       }];
     }
   }
   
-  // Skip parsing for non-JavaScript/Python files - they have different syntax
+  // Use Java parser for Java files
+  if (['.java'].includes(ext)) {
+    try {
+      return processJavaFile(content, filePath);
+    } catch (javaError) {
+      // If Java parsing fails, fall back to returning the file as-is
+      return [{
+        type: 'File',
+        name: fileName,
+        code: content,
+        path: filePath
+      }];
+    }
+  }
+  
+  // Skip parsing for other non-JavaScript files - they have different syntax
   if (!['.js', '.jsx', '.mjs', '.cjs', '.es6'].includes(ext)) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)), // Limit size
+      code: content,
       path: filePath
     }];
   }
@@ -319,7 +336,7 @@ function splitCode(content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
@@ -380,8 +397,9 @@ function splitCode(content, filePath) {
                 chunks.push({
                   type: node.type,
                   name: node.id && node.id.name ? node.id.name : 'anonymous',
-                  code: chunk.substring(0, Math.min(chunk.length, 5000)), // Size limit
-                  path: filePath
+                  code: chunk,
+                  path: filePath,
+                  ...(node.loc ? { startLine: node.loc.start.line, endLine: node.loc.end.line } : {})
                 });
               }
             } catch (chunkError) {
@@ -401,7 +419,7 @@ function splitCode(content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   } catch (error) {
@@ -409,7 +427,7 @@ function splitCode(content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
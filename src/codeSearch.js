@@ -0,0 +1,106 @@
+/**
+ * Code Search Module
+ *
+ * Semantic search over an indexed codebase with filters by path, chunk type
+ * and language, returning ranked chunks with a snippet of the best matching lines
+ */
+
+const path = require('path');
+const { searchCodebase } = require('./vectorStore');
+const { getLanguage } = require('./searchFilter');
+
+// Lines of code shown per result
+const DEFAULT_SNIPPET_LINES = 8;
+
+/**
+ * Picks the lines of a chunk that best match the query
+ * @param {string} code - Code of the chunk
+ * @param {string} query - Search query
+ * @param {number} maxLines - Number of lines to show
+ * @returns {{text: string, offset: number, truncated: boolean}} - Snippet, its first line within the chunk
+ *   (0-based) and whether the chunk has more lines than the snippet
+ */
+function extractSnippet(code, query, maxLines = DEFAULT_SNIPPET_LINES) {
+  const lines = code.replace(/\s+$/, '').split('\n');
+  if (lines.length <= maxLines) {
+    return { text: lines.join('\n'), offset: 0, truncated: false };
+  }
+
+  // Center the snippet on the line that contains the most query terms, or show the start of the chunk
+  const terms = query.toLowerCase().split(/[^a-z0-9_$]+/).filter(term => term.length > 1);
+  let bestLine = 0;
+  let bestCount = 0;
+  lines.forEach((line, index) => {
+    const lower = line.toLowerCase();
+    const count = terms.filter(term => lower.includes(term)).length;
+    if (count > bestCount) {
+      bestLine = index;
+      bestCount = count;
+    }
+  });
+
+  const offset = Math.max(0, Math.min(bestLine - Math.floor(maxLines / 3), lines.length - maxLines));
+  return { text: lines.slice(offset, offset + maxLines).join('\n'), offset, truncated: true };
+}
+
+/**
+ * Searches the index for code matching a query
+ * @param {string} query - Natural language or code query
+ * @param {string} indexName - Name of the index
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @param {string} options.path - Gitignore-style path glob, relative to options.root
+ * @param {string|string[]} options.type - Chunk types (comma-separated or array)
+ * @param {string|string[]} options.language - Languages (comma-separated or array)
+ * @param {string|string[]} options.exclude - Files to leave out, relative to options.root
+ * @param {string} options.root - Directory paths are shown and matched relative to (default: cwd)
+ * @param {number} options.snippetLines - Lines of code per snippet
+ * @param {boolean} options.quiet - Leave out the vector store's progress messages
+ * @returns {Promise<Array<{rank: number, score: number, path: string, relativePath: string, type: string,
+ *   name: string, parent: string|null, language: string, startLine: number|null, endLine: number|null,
+ *   part: number|null, parts: number|null, snippet: string, snippetStartLine: number|null, code: string}>>} -
+ *   Ranked results, best first; part and parts number the windows of chunks too long to index as a whole
+ */
+async function searchCode(query, indexName, options = {}) {
+  const limit = options.limit || 10;
+  const root = options.root || process.cwd();
+  const matches = await searchCodebase(query, indexName, limit, {
+    filter: {
+      path: options.path,
+      type: options.type,
+      language: options.language,
+      excludePath: options.exclude,
+      root
+    },
+    quiet: options.quiet
+  });
+
+  return matches.map((match, index) => {
+    const { metadata } = match;
+    const code = metadata.code || '';
+    const snippet = extractSnippet(code, query, options.snippetLines || DEFAULT_SNIPPET_LINES);
+
+    return {
+      rank: index + 1,
+      score: match.score,
+      path: metadata.path,
+      relativePath: path.relative(root, metadata.path) || metadata.path,
+      type: metadata.type,
+      name: metadata.name,
+      parent: metadata.parent || null,
+      language: getLanguage(metadata.path || ''),
+      startLine: metadata.startLine || null,
+      endLine: metadata.endLine || null,
+      part: metadata.part || null,
+      parts: metadata.parts || null,
+      snippet: snippet.text,
+      snippetStartLine: metadata.startLine ? metadata.startLine + snippet.offset : null,
+      code
+    };
+  });
+}
+
+module.exports = {
+  extractSnippet,
+  searchCode
+};
@@ -0,0 +1,322 @@
+/**
+ * Context Budget Module
+ *
+ * Token estimation and packing of the review prompt: sections are filled in
+ * priority order with their most relevant items first, oversized diffs are
+ * summarized hunk by hunk, and everything left out is reported
+ */
+
+const { formatDiff } = require('./diffAnalyzer');
+
+// Rough characters per token for code and English prose mixed together
+const CHARS_PER_TOKEN = 4;
+
+// Upper limit on prompt size when a provider doesn't set maxPromptTokens, to keep review costs predictable
+const DEFAULT_MAX_PROMPT_TOKENS = 16000;
+
+// Context window assumed for providers that don't configure one
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Share of the space left after the fixed prompt parts that the diff may use
+const DIFF_SHARE = 0.6;
+
+// Items are only cut down when at least this many tokens of them still fit
+const MIN_TRUNCATED_TOKENS = 100;
+
+// Changed lines quoted in a hunk summary
+const SUMMARY_PREVIEW_LINES = 3;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Works out how many tokens the review prompt may use with a provider
+ * @param {{contextWindow: number, maxTokens: number, maxPromptTokens: number}} provider - Provider settings
+ * @returns {number} - Prompt token budget
+ */
+function getPromptBudget(provider = {}) {
+  // The response has to fit in the context window as well
+  const available = (provider.contextWindow || DEFAULT_CONTEXT_WINDOW) - (provider.maxTokens || 0);
+  return Math.max(0, Math.min(available, provider.maxPromptTokens || DEFAULT_MAX_PROMPT_TOKENS));
+}
+
+/**
+ * Cuts a text down to a token limit on line boundaries
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token limit
+ * @returns {{text: string, truncated: boolean}} - Shortened text, ending with a marker if lines were removed
+ */
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return { text, truncated: false };
+  }
+
+  const lines = text.split('\n');
+  // Leave room for the marker line
+  const maxChars = Math.max(0, (maxTokens - 10) * CHARS_PER_TOKEN);
+  const kept = [];
+  let length = 0;
+
+  for (const line of lines) {
+    if (length + line.length + 1 > maxChars) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+
+  return {
+    text: `${kept.join('\n')}\n... [${lines.length - kept.length} more lines truncated]`,
+    truncated: true
+  };
+}
+
+/**
+ * Groups diff changes into hunks (a removal directly followed by an addition is one hunk)
+ * @param {Array<Object>} changes - Changes from analyzeDiff
+ * @returns {Array<{changes: Array<Object>, startLine: number, endLine: number, linesAdded: number,
+ *   linesRemoved: number}>} - Hunks with the (1-based) new lines they cover
+ */
+function splitHunks(changes) {
+  const hunks = [];
+  let current = null;
+
+  changes.forEach((change, index) => {
+    if (!change.added && !change.removed) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      // Position in the new version: a removal sits where the next unchanged line starts
+      const next = changes.slice(index).find(c => c.newLineNumber !== null);
+      const position = next ? next.newLineNumber : 0;
+      current = { changes: [], startLine: position + 1, endLine: position, linesAdded: 0, linesRemoved: 0 };
+      hunks.push(current);
+    }
+
+    current.changes.push(change);
+    if (change.added) {
+      current.linesAdded += change.lineCount;
+      current.endLine = change.newLineNumber + change.lineCount;
+    } else {
+      current.linesRemoved += change.lineCount;
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Describes a hunk in a few lines: location, size, declarations and the first changed lines
+ * @param {Object} hunk - Hunk from splitHunks
+ * @returns {string} - Hunk summary
+ */
+function summarizeHunk(hunk) {
+  const lines = hunk.endLine >= hunk.startLine
+    ? `new lines ${hunk.startLine}-${hunk.endLine}`
+    : `removed before new line ${hunk.startLine}`;
+  const changedLines = hunk.changes.flatMap(change =>
+    change.value.split('\n')
+      .filter(line => line.trim())
+      .map(line => `${change.added ? '+' : '-'}  ${line}`));
+
+  // Names declared in the changed lines tell the reviewer what the hunk is about
+  const declarations = new Set();
+  const declarationRegex = /\b(?:function|def|class|interface|enum|const|let|var)\s+([A-Za-z_$][\w$]*)/g;
+  for (const change of hunk.changes) {
+    let match;
+    while ((match = declarationRegex.exec(change.value)) !== null) {
+      declarations.add(match[1]);
+    }
+  }
+
+  let summary = `\n~ Summarized change (${lines}, +${hunk.linesAdded} -${hunk.linesRemoved})`;
+  if (declarations.size > 0) {
+    summary += `, declares ${[...declarations].slice(0, 8).join(', ')}`;
+  }
+  summary += `:\n${changedLines.slice(0, SUMMARY_PREVIEW_LINES).join('\n')}`;
+  if (changedLines.length > SUMMARY_PREVIEW_LINES) {
+    summary += `\n   ... ${changedLines.length - SUMMARY_PREVIEW_LINES} more changed lines`;
+  }
+
+  return summary;
+}
+
+/**
+ * Fits a diff into a token limit, summarizing hunks when the full diff is too large.
+ * Hunks containing focus lines (static issues, risks) are the first to be shown in full
+ * @param {Array<Object>} changes - Changes from analyzeDiff
+ * @param {number} maxTokens - Token limit for the diff
+ * @param {number[]} focusLines - New line numbers that deserve attention
+ * @returns {{text: string, tokens: number, hunks: number, full: number, summarized: number, omitted: number}} -
+ *   Diff text and how many hunks were kept in full, summarized or left out
+ */
+function packDiff(changes, maxTokens, focusLines = []) {
+  const hunks = splitHunks(changes);
+  const fullText = formatDiff(changes);
+  const fullTokens = estimateTokens(fullText);
+
+  if (fullTokens <= maxTokens) {
+    return { text: fullText, tokens: fullTokens, hunks: hunks.length, full: hunks.length, summarized: 0, omitted: 0 };
+  }
+
+  const entries = hunks.map((hunk, index) => {
+    const full = formatDiff(hunk.changes);
+    const condensed = summarizeHunk(hunk);
+    // Small hunks are cheaper in full than summarized
+    const summary = estimateTokens(condensed) < estimateTokens(full) ? condensed : full;
+    return {
+      index,
+      hunk,
+      full,
+      summary,
+      fullTokens: estimateTokens(full),
+      summaryTokens: estimateTokens(summary),
+      focus: focusLines.filter(line => line >= hunk.startLine && line <= hunk.endLine).length,
+      mode: 'omitted'
+    };
+  });
+
+  // Most relevant first: hunks with flagged lines, then the smaller ones so more fit, then file order
+  const ranked = [...entries].sort((a, b) =>
+    (b.focus - a.focus) || (a.fullTokens - b.fullTokens) || (a.index - b.index));
+
+  // Every hunk gets at least a summary while they fit...
+  let used = 0;
+  for (const entry of ranked) {
+    if (used + entry.summaryTokens <= maxTokens) {
+      entry.mode = 'summary';
+      used += entry.summaryTokens;
+    }
+  }
+
+  // ...then summaries are replaced by the full hunk as far as the budget allows
+  for (const entry of ranked) {
+    if (entry.mode === 'summary' && used - entry.summaryTokens + entry.fullTokens <= maxTokens) {
+      entry.mode = 'full';
+      used += entry.fullTokens - entry.summaryTokens;
+    }
+  }
+
+  const counts = { full: 0, summary: 0, omitted: 0 };
+  entries.forEach(entry => {
+    // A hunk whose summary is its full text counts as shown in full
+    counts[entry.mode === 'summary' && entry.summary === entry.full ? 'full' : entry.mode]++;
+  });
+
+  let text = `(Diff condensed to fit the context budget: ${counts.full} of ${entries.length} hunks shown in full, ` +
+    `${counts.summary} summarized, ${counts.omitted} omitted)\n`;
+  text += entries
+    .filter(entry => entry.mode !== 'omitted')
+    .map(entry => entry.mode === 'full' ? entry.full : entry.summary)
+    .join('');
+
+  const omitted = entries.filter(entry => entry.mode === 'omitted');
+  if (omitted.length > 0) {
+    const added = omitted.reduce((sum, entry) => sum + entry.hunk.linesAdded, 0);
+    const removed = omitted.reduce((sum, entry) => sum + entry.hunk.linesRemoved, 0);
+    text += `\n\n... ${omitted.length} more hunks omitted (+${added} -${removed} lines)`;
+  }
+
+  return {
+    text,
+    tokens: estimateTokens(text),
+    hunks: entries.length,
+    full: counts.full,
+    summarized: counts.summary,
+    omitted: counts.omitted
+  };
+}
+
+/**
+ * Fills prompt sections with their items until the budget runs out.
+ * Sections are filled in the given order and items in their given (relevance) order
+ * @param {Array<{name: string, items: Array<{label: string, text: string}>, joiner: string,
+ *   truncate: boolean}>} sections - Sections by priority, with ranked items
+ * @param {number} budget - Tokens available for all sections together
+ * @returns {{texts: Object<string, string>, tokens: Object<string, number>, used: number,
+ *   dropped: Array<{section: string, label: string, tokens: number, reason: string}>}} - Packed section
+ *   texts (empty string if a section has no items) and what was left out
+ */
+function packSections(sections, budget) {
+  const texts = {};
+  const tokens = {};
+  const dropped = [];
+  let remaining = budget;
+
+  for (const section of sections) {
+    const joiner = section.joiner ?? '\n';
+    const kept = [];
+
+    for (const item of section.items) {
+      const itemTokens = estimateTokens(item.text) + estimateTokens(joiner);
+
+      if (itemTokens <= remaining) {
+        kept.push(item.text);
+        remaining -= itemTokens;
+      } else if (section.truncate && remaining >= MIN_TRUNCATED_TOKENS) {
+        const { text } = truncateToTokens(item.text, remaining - estimateTokens(joiner));
+        kept.push(text);
+        dropped.push({ section: section.name, label: item.label, tokens: itemTokens - estimateTokens(text), reason: 'truncated' });
+        remaining -= estimateTokens(text) + estimateTokens(joiner);
+      } else {
+        dropped.push({ section: section.name, label: item.label, tokens: itemTokens, reason: 'dropped' });
+      }
+    }
+
+    const droppedCount = section.items.length - kept.length;
+    texts[section.name] = kept.join(joiner) +
+      (droppedCount > 0 ? `${kept.length > 0 ? joiner : ''}(${droppedCount} more left out to fit the context budget)` : '');
+    tokens[section.name] = estimateTokens(texts[section.name]);
+  }
+
+  return { texts, tokens, used: budget - remaining, dropped };
+}
+
+/**
+ * Renders a packing report for verbose output
+ * @param {{budget: number, used: number, tokens: Object<string, number>, diff: Object,
+ *   dropped: Array<Object>}} report - Budget, usage per section, diff condensing and dropped items
+ * @returns {string} - Multi-line report
+ */
+function formatContextReport(report) {
+  const lines = [`Context budget: ~${report.used} of ${report.budget} tokens used`];
+
+  const sections = Object.entries(report.tokens)
+    .filter(([, count]) => count > 0)
+    .map(([name, count]) => `${name} ~${count}`);
+  lines.push(`  Sections: ${sections.join(', ')}`);
+
+  if (report.diff.summarized > 0 || report.diff.omitted > 0) {
+    lines.push(`  Diff: ${report.diff.full} of ${report.diff.hunks} hunks in full, ` +
+      `${report.diff.summarized} summarized, ${report.diff.omitted} omitted`);
+  }
+
+  if (report.dropped.length === 0) {
+    lines.push('  Nothing dropped');
+  } else {
+    report.dropped.forEach(item => {
+      lines.push(`  ${item.reason === 'truncated' ? 'Truncated' : 'Dropped'} ${item.section}: ${item.label} (~${item.tokens} tokens)`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_MAX_PROMPT_TOKENS,
+  DIFF_SHARE,
+  estimateTokens,
+  getPromptBudget,
+  truncateToTokens,
+  splitHunks,
+  summarizeHunk,
+  packDiff,
+  packSections,
+  formatContextReport
+};
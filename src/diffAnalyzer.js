@@ -85,21 +85,32 @@ function analyzeCodeChanges(oldCode, newCode) {
   
   // Identify potentially risky changes
   const potentialRisks = [];
+  // Same risks with rule IDs and the (1-based) new line they were found on
+  const riskDetails = [];
+  
+  // Returns the new line number of the first line in a change matching the predicate
+  const findLine = (change, predicate) => {
+    const index = change.value.split('\n').findIndex(predicate);
+    return index === -1 ? null : change.newLineNumber + index + 1;
+  };
   
   // Check for commented out code
   changes.filter(c => c.added).forEach(change => {
-    const lines = change.value.split('\n');
-    if (lines.some(line => line.trim().startsWith('//'))) {
+    const line = findLine(change, text => text.trim().startsWith('//'));
+    if (line !== null) {
       potentialRisks.push('Added commented code');
+      riskDetails.push({ ruleId: 'commented-code', message: 'Added commented code', line });
     }
   });
   
   // Check for console statements
   changes.filter(c => c.added).forEach(change => {
-    if (change.value.includes('console.log') || 
-        change.value.includes('console.error') || 
-        change.value.includes('console.warn')) {
+    const line = findLine(change, text => text.includes('console.log') ||
+      text.includes('console.error') ||
+      text.includes('console.warn'));
+    if (line !== null) {
       potentialRisks.push('Added console statements');
+      riskDetails.push({ ruleId: 'console-statement', message: 'Added console statements', line });
     }
   });
   
@@ -107,7 +118,8 @@ function analyzeCodeChanges(oldCode, newCode) {
     changes,
     formattedDiff,
     stats,
-    potentialRisks
+    potentialRisks,
+    riskDetails
   };
 }
 
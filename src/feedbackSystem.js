@@ -66,7 +66,7 @@ class FeedbackSystem {
    * Records feedback for a review
    * @param {string} reviewId - ID of the review
    * @param {string} feedback - User feedback
-   * @param {string} outcome - Outcome (accepted, partially_helpful, not_helpful)
+   * @param {string} outcome - Outcome (accepted, partially_helpful, not_helpful, fix_rejected)
    * @param {Object} metadata - Additional metadata
    * @returns {Object} - Recorded feedback
    */
@@ -99,13 +99,17 @@ class FeedbackSystem {
       };
     }
     
+    // Rejected fix hunks are tracked separately from review ratings
+    const reviewLogs = this.feedbackLogs.filter(log => log.outcome !== 'fix_rejected');
+    const rejectedFixes = this.feedbackLogs.length - reviewLogs.length;
+    
     // Calculate basic stats
-    const totalReviews = this.feedbackLogs.length;
-    const accepted = this.feedbackLogs.filter(log => log.outcome === 'accepted').length;
-    const partiallyHelpful = this.feedbackLogs.filter(log => log.outcome === 'partially_helpful').length;
-    const notHelpful = this.feedbackLogs.filter(log => log.outcome === 'not_helpful').length;
+    const totalReviews = reviewLogs.length;
+    const accepted = reviewLogs.filter(log => log.outcome === 'accepted').length;
+    const partiallyHelpful = reviewLogs.filter(log => log.outcome === 'partially_helpful').length;
+    const notHelpful = reviewLogs.filter(log => log.outcome === 'not_helpful').length;
     
-    const acceptanceRate = accepted / totalReviews;
+    const acceptanceRate = totalReviews > 0 ? accepted / totalReviews : 0;
     
     // Extract common issues from feedback text
     const commonIssues = [];
@@ -119,7 +123,7 @@ class FeedbackSystem {
     
     for (const keyword in keywords) {
       let count = 0;
-      for (const log of this.feedbackLogs) {
+      for (const log of reviewLogs) {
         if (log.feedback && keywords[keyword].some(k => log.feedback.toLowerCase().includes(k))) {
           count++;
         }
@@ -160,13 +164,18 @@ class FeedbackSystem {
       promptImprovements.push('Provide more detailed explanations for complex issues.');
     }
     
+    if (rejectedFixes > 0) {
+      promptImprovements.push('Keep suggested patches minimal and only propose them when the fix is certain.');
+    }
+    
     return {
       totalReviews,
       acceptanceRate,
       stats: {
         accepted,
         partiallyHelpful,
-        notHelpful
+        notHelpful,
+        rejectedFixes
       },
       commonIssues,
       promptImprovements
@@ -188,6 +197,15 @@ class FeedbackSystem {
     return acceptedReviews.slice(0, count).map(log => log.metadata.review);
   }
   
+  /**
+   * Gets the feedback given for a review
+   * @param {string} reviewId - ID of the review
+   * @returns {Array<Object>} - Feedback entries of the review, oldest first
+   */
+  getFeedbackForReview(reviewId) {
+    return this.feedbackLogs.filter(log => log.reviewId === reviewId);
+  }
+  
   /**
    * Gets the latest prompt improvements
    * @returns {Array<string>} - Prompt improvements
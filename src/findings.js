@@ -0,0 +1,224 @@
+/**
+ * Findings Module
+ *
+ * Schema, prompt instructions, parsing and validation for structured
+ * (machine-readable) review results
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const CATEGORIES = ['security', 'correctness', 'style', 'testing'];
+
+// Instructions appended to the review request when structured output is requested
+const FINDINGS_FORMAT_INSTRUCTIONS = `Respond ONLY with a single JSON object (no prose, no markdown fences) matching this schema:
+
+{
+  "summary": string,              // 1-3 sentence overall assessment of the change
+  "findings": [                   // empty array if there is nothing to report
+    {
+      "file": string,             // path of the file the finding applies to
+      "startLine": integer,       // first affected line in the NEW version (1-based)
+      "endLine": integer,         // last affected line in the NEW version (>= startLine)
+      "severity": "error" | "warning" | "info",
+      "category": "security" | "correctness" | "style" | "testing",
+      "message": string,          // what is wrong and why it matters
+      "suggestedFix": string      // optional: concrete code or description of the fix
+    }
+  ]
+}
+
+Use "error" for bugs and vulnerabilities that must be fixed, "warning" for likely problems and risky patterns, and "info" for suggestions.`;
+
+/**
+ * Extracts a JSON object from a model response, tolerating markdown fences and surrounding prose
+ * @param {string} text - Raw model response
+ * @returns {Object} - Parsed JSON value
+ * @throws {Error} - If no JSON object can be parsed
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Response is not text');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Validates a review result against the findings schema
+ * @param {Object} value - Parsed review result
+ * @returns {string[]} - Schema violations (empty if valid)
+ */
+function validateReviewResult(value) {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Top-level value must be an object with "summary" and "findings"'];
+  }
+
+  if (typeof value.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  }
+
+  if (!Array.isArray(value.findings)) {
+    errors.push('"findings" must be an array');
+    return errors;
+  }
+
+  value.findings.forEach((finding, index) => {
+    const prefix = `findings[${index}]`;
+
+    if (!finding || typeof finding !== 'object') {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+    if (typeof finding.file !== 'string' || finding.file.length === 0) {
+      errors.push(`${prefix}.file must be a non-empty string`);
+    }
+    if (!Number.isInteger(finding.startLine) || finding.startLine < 1) {
+      errors.push(`${prefix}.startLine must be an integer >= 1`);
+    }
+    if (!Number.isInteger(finding.endLine) || finding.endLine < finding.startLine) {
+      errors.push(`${prefix}.endLine must be an integer >= startLine`);
+    }
+    if (!SEVERITIES.includes(finding.severity)) {
+      errors.push(`${prefix}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!CATEGORIES.includes(finding.category)) {
+      errors.push(`${prefix}.category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    if (typeof finding.message !== 'string' || finding.message.length === 0) {
+      errors.push(`${prefix}.message must be a non-empty string`);
+    }
+    if (finding.suggestedFix !== undefined && finding.suggestedFix !== null &&
+        typeof finding.suggestedFix !== 'string') {
+      errors.push(`${prefix}.suggestedFix must be a string when present`);
+    }
+    if (finding.patch !== undefined && finding.patch !== null && typeof finding.patch !== 'string') {
+      errors.push(`${prefix}.patch must be a string when present`);
+    }
+    if (finding.relatedFiles !== undefined && finding.relatedFiles !== null &&
+        (!Array.isArray(finding.relatedFiles) || finding.relatedFiles.some(file => typeof file !== 'string'))) {
+      errors.push(`${prefix}.relatedFiles must be an array of strings when present`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks whether a (possibly relative or shortened) path from the model refers to the reviewed file
+ * @param {string} reported - Path reported by the model
+ * @param {string} filePath - Path of the file under review
+ * @returns {boolean} - True if both refer to the same file
+ */
+function refersToFile(reported, filePath) {
+  const normalizedReported = reported.replace(/\\/g, '/').replace(/^\.\//, '');
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  return normalizedPath === normalizedReported || normalizedPath.endsWith(`/${normalizedReported}`);
+}
+
+/**
+ * Parses and validates a model response
+ * @param {string} text - Raw model response
+ * @param {string} filePath - File under review, used when the model omits or shortens paths
+ * @returns {{result: Object|null, errors: string[]}} - Normalized result or schema violations
+ */
+function parseReviewResponse(text, filePath) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { result: null, errors: [error.message] };
+  }
+
+  const errors = validateReviewResult(value);
+  if (errors.length > 0) {
+    return { result: null, errors };
+  }
+
+  return {
+    result: {
+      file: filePath,
+      summary: value.summary,
+      findings: value.findings.map(finding => ({
+        file: refersToFile(finding.file, filePath) ? filePath : finding.file,
+        startLine: finding.startLine,
+        endLine: finding.endLine,
+        severity: finding.severity,
+        category: finding.category,
+        message: finding.message,
+        ...(finding.suggestedFix ? { suggestedFix: finding.suggestedFix } : {}),
+        ...(finding.patch ? { patch: finding.patch } : {}),
+        ...(finding.relatedFiles && finding.relatedFiles.length > 0 ? { relatedFiles: finding.relatedFiles } : {})
+      }))
+    },
+    errors: []
+  };
+}
+
+/**
+ * Collects the findings at or above a severity threshold
+ * @param {Array<{findings: Array<Object>}>} results - Structured review results
+ * @param {string} threshold - Lowest severity to include (error, warning or info)
+ * @returns {Array<Object>} - Matching findings
+ */
+function findingsAtOrAbove(results, threshold) {
+  const limit = SEVERITIES.indexOf(threshold);
+  return results
+    .flatMap(result => result.findings || [])
+    .filter(finding => SEVERITIES.indexOf(finding.severity) <= limit);
+}
+
+/**
+ * Renders a structured review result as markdown
+ * @param {{file: string, summary: string, findings: Array<Object>}} result - Review result
+ * @returns {string} - Markdown text
+ */
+function formatFindingsMarkdown(result) {
+  let markdown = `${result.summary}\n\n`;
+
+  if (result.findings.length === 0) {
+    return markdown + 'No findings.\n';
+  }
+
+  result.findings.forEach(finding => {
+    const lines = finding.startLine === finding.endLine
+      ? `line ${finding.startLine}`
+      : `lines ${finding.startLine}-${finding.endLine}`;
+    // Findings about other files (cross-file reviews) name their file
+    const location = finding.file && finding.file !== result.file ? `${finding.file}, ${lines}` : lines;
+    markdown += `- **${finding.severity.toUpperCase()}** (${finding.category}, ${location}): ${finding.message}\n`;
+    if (finding.relatedFiles) {
+      markdown += `  Related files: ${finding.relatedFiles.join(', ')}\n`;
+    }
+    if (finding.suggestedFix) {
+      markdown += `\n  \`\`\`\n  ${finding.suggestedFix.split('\n').join('\n  ')}\n  \`\`\`\n`;
+    }
+  });
+
+  return markdown;
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  FINDINGS_FORMAT_INSTRUCTIONS,
+  extractJson,
+  validateReviewResult,
+  refersToFile,
+  parseReviewResponse,
+  findingsAtOrAbove,
+  formatFindingsMarkdown
+};
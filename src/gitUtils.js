@@ -0,0 +1,248 @@
+/**
+ * Git Utilities Module
+ *
+ * Resolves which file versions a review should compare (working tree, index,
+ * refs, ranges or merge bases) and lists changed files including renames and deletions
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Hash of the empty tree, used as the base when a repository has no commits yet
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Special "refs" for file versions that are not commits
+const WORKING_TREE = null;
+const INDEX = ':';
+
+const STATUS_NAMES = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'modified'
+};
+
+/**
+ * Runs a git command without going through a shell
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Directory to run git in
+ * @returns {string} - Command output
+ */
+function runGit(args, cwd = process.cwd()) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'ignore'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Gets the root directory of the git repository
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string} - Absolute path of the repository root
+ */
+function getRepoRoot(cwd = process.cwd()) {
+  return runGit(['rev-parse', '--show-toplevel'], cwd).trim();
+}
+
+/**
+ * Gets the commit HEAD points to
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string|null} - Commit hash, or null outside a repository or before the first commit
+ */
+function getHeadCommit(cwd = process.cwd()) {
+  try {
+    return runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], cwd).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a directory is inside a git work tree
+ * @param {string} cwd - Directory to check
+ * @returns {boolean} - True inside a work tree, even one without commits
+ */
+function isInsideWorkTree(cwd = process.cwd()) {
+  try {
+    return runGit(['rev-parse', '--is-inside-work-tree'], cwd).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a ref to a commit, falling back to the empty tree for HEAD in a fresh repository
+ * @param {string} ref - Git ref
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string} - Ref that can be passed to git diff/show
+ * @throws {Error} - Outside a git work tree, or if the ref doesn't name a commit
+ */
+function resolveRef(ref, cwd) {
+  try {
+    runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+    return ref;
+  } catch (error) {
+    if (!isInsideWorkTree(cwd)) {
+      throw new Error('Not a git repository');
+    }
+    // HEAD only fails to resolve inside a work tree before the first commit
+    if (ref === 'HEAD') {
+      return EMPTY_TREE;
+    }
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+}
+
+/**
+ * Works out which two versions to compare from the review options
+ * @param {Object} options - Review options
+ * @param {boolean} options.staged - Compare HEAD with the staged changes
+ * @param {string} options.base - Compare a ref with the working tree
+ * @param {string} options.range - Compare two refs (a..b, or a...b for the merge base of a and b)
+ * @param {string} options.mergeBase - Compare the merge base of HEAD and a branch with the working tree
+ * @param {string} cwd - Directory inside the repository
+ * @returns {{oldRef: string, newRef: string|null, description: string}} - Diff specification
+ */
+function resolveDiffSpec(options = {}, cwd = process.cwd()) {
+  const selected = ['staged', 'base', 'range', 'mergeBase'].filter(key => options[key]);
+  if (selected.length > 1) {
+    throw new Error('Only one of --staged, --base, --range and --merge-base can be used at a time');
+  }
+
+  if (options.staged) {
+    return { oldRef: resolveRef('HEAD', cwd), newRef: INDEX, description: 'staged changes' };
+  }
+
+  if (options.base) {
+    return { oldRef: resolveRef(options.base, cwd), newRef: WORKING_TREE, description: `changes since ${options.base}` };
+  }
+
+  if (options.range) {
+    const match = options.range.match(/^(.+?)(\.\.\.?)(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid range "${options.range}" (expected <a>..<b> or <a>...<b>)`);
+    }
+    const [, from, dots, to] = match;
+    const toRef = resolveRef(to, cwd);
+    const fromRef = dots === '...'
+      ? runGit(['merge-base', resolveRef(from, cwd), toRef], cwd).trim()
+      : resolveRef(from, cwd);
+    return { oldRef: fromRef, newRef: toRef, description: `changes in ${options.range}` };
+  }
+
+  if (options.mergeBase) {
+    let mergeBase;
+    try {
+      mergeBase = runGit(['merge-base', 'HEAD', resolveRef(options.mergeBase, cwd)], cwd).trim();
+    } catch (error) {
+      throw new Error(`No merge base found between HEAD and ${options.mergeBase}`);
+    }
+    return { oldRef: mergeBase, newRef: WORKING_TREE, description: `changes since branching from ${options.mergeBase}` };
+  }
+
+  return { oldRef: resolveRef('HEAD', cwd), newRef: WORKING_TREE, description: 'uncommitted changes' };
+}
+
+/**
+ * Lists files changed between the two versions of a diff specification
+ * @param {{oldRef: string, newRef: string|null}} spec - Diff specification
+ * @param {string} pathspec - Limit the diff to this file or directory
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Array<{status: string, path: string, oldPath: string}>} - Changed files with absolute paths
+ */
+function getChangedFiles(spec, pathspec, cwd = process.cwd()) {
+  const repoRoot = getRepoRoot(cwd);
+  const args = ['diff', '--name-status', '-z', '-M'];
+
+  if (spec.newRef === INDEX) {
+    args.push('--cached', spec.oldRef);
+  } else if (spec.newRef === WORKING_TREE) {
+    args.push(spec.oldRef);
+  } else {
+    args.push(spec.oldRef, spec.newRef);
+  }
+
+  // Run from the repository root so the pathspec and the output use the same base
+  args.push('--', pathspec ? path.relative(repoRoot, path.resolve(cwd, pathspec)) || '.' : '.');
+
+  // With -z every field is NUL terminated: status, path, and a second path for renames/copies
+  const fields = runGit(args, repoRoot).split('\0');
+  const changes = [];
+
+  for (let i = 0; i < fields.length - 1;) {
+    const statusCode = fields[i++].charAt(0);
+    const status = STATUS_NAMES[statusCode] || 'modified';
+
+    if (statusCode === 'R' || statusCode === 'C') {
+      const oldPath = fields[i++];
+      const newPath = fields[i++];
+      changes.push({
+        status,
+        path: path.join(repoRoot, newPath),
+        oldPath: path.join(repoRoot, oldPath)
+      });
+    } else {
+      const filePath = path.join(repoRoot, fields[i++]);
+      changes.push({ status, path: filePath, oldPath: filePath });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Reads a file as it exists at a ref, in the index or in the working tree
+ * @param {string|null} ref - Git ref, INDEX or WORKING_TREE
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string|null} - File content, or null if the file does not exist in that version
+ */
+function getFileAtRef(ref, filePath, cwd = process.cwd()) {
+  if (ref === WORKING_TREE) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  const repoRoot = getRepoRoot(cwd);
+  // git show expects forward slashes relative to the repository root
+  const relativePath = path.relative(repoRoot, filePath).split(path.sep).join('/');
+  const object = ref === INDEX ? `:${relativePath}` : `${ref}:${relativePath}`;
+
+  try {
+    return runGit(['show', object], repoRoot);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the old and new content of a changed file
+ * @param {{status: string, path: string, oldPath: string}} change - Changed file from getChangedFiles
+ * @param {{oldRef: string, newRef: string|null}} spec - Diff specification
+ * @param {string} cwd - Directory inside the repository
+ * @returns {{oldCode: string, newCode: string}} - Both versions (empty strings for added/deleted sides)
+ */
+function getFileVersions(change, spec, cwd = process.cwd()) {
+  const oldCode = change.status === 'added' ? '' : getFileAtRef(spec.oldRef, change.oldPath, cwd);
+  const newCode = change.status === 'deleted' ? '' : getFileAtRef(spec.newRef, change.path, cwd);
+
+  return {
+    oldCode: oldCode || '',
+    newCode: newCode || ''
+  };
+}
+
+module.exports = {
+  WORKING_TREE,
+  INDEX,
+  getRepoRoot,
+  getHeadCommit,
+  resolveDiffSpec,
+  getChangedFiles,
+  getFileAtRef,
+  getFileVersions
+};
@@ -0,0 +1,560 @@
+/**
+ * HNSW Index Module
+ *
+ * In-process approximate nearest neighbour search over a Hierarchical
+ * Navigable Small World graph, with a compact binary file format and
+ * incremental updates, so local vector search doesn't scan every chunk
+ */
+
+// File format identification
+const FORMAT_MAGIC = 'HNSW';
+const FORMAT_VERSION = 1;
+
+// Links per node on the upper layers; the bottom layer keeps twice as many
+const DEFAULT_M = 16;
+
+// Candidates considered when linking a new node (higher builds a better graph, slower)
+const DEFAULT_EF_CONSTRUCTION = 64;
+
+// Candidates considered per search (higher finds more of the true nearest neighbours, slower)
+const DEFAULT_EF_SEARCH = 64;
+
+/**
+ * Scales a vector to unit length, so the dot product is the cosine similarity
+ * @param {Array<number>|Float32Array} values - Vector
+ * @returns {Float32Array} - Normalized vector (all zeros for a zero vector)
+ */
+function normalizeVector(values) {
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Hashes a vector, to detect chunks whose embedding changed since the graph was built
+ * @param {Array<number>|Float32Array} values - Vector
+ * @returns {number} - 32-bit FNV-1a hash of the vector as Float32 values
+ */
+function hashVector(values) {
+  const bytes = new Uint8Array(Float32Array.from(values).buffer);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} - Dot product
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32), so the same chunks build the same graph
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Binary heap ordered by a comparison function
+ */
+class Heap {
+  /**
+   * @param {Function} isBefore - Returns true if the first item belongs closer to the top than the second
+   */
+  constructor(isBefore) {
+    this.items = [];
+    this.isBefore = isBefore;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.isBefore(items[index], items[parent])) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let first = index;
+        if (left < items.length && this.isBefore(items[left], items[first])) first = left;
+        if (right < items.length && this.isBefore(items[right], items[first])) first = right;
+        if (first === index) break;
+        [items[index], items[first]] = [items[first], items[index]];
+        index = first;
+      }
+    }
+    return top;
+  }
+}
+
+class HnswIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.dimension - Vector dimension
+   * @param {number} options.m - Links per node on the upper layers
+   * @param {number} options.efConstruction - Candidates considered when linking a new node
+   * @param {number} options.seed - Seed for the random layer assignment
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension;
+    this.m = options.m || DEFAULT_M;
+    this.efConstruction = options.efConstruction || DEFAULT_EF_CONSTRUCTION;
+    this.levelFactor = 1 / Math.log(this.m);
+    this.random = createRandom(options.seed ?? 42);
+    // Nodes: {id, hash, level, vector, neighbors: number[][] (node positions per layer)}
+    this.nodes = [];
+    this.positions = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of vectors in the index
+   * @returns {number} - Node count
+   */
+  get size() {
+    return this.nodes.length;
+  }
+
+  /**
+   * Checks whether a vector is in the index
+   * @param {string} id - Chunk ID
+   * @returns {boolean} - True if the ID is indexed
+   */
+  has(id) {
+    return this.positions.has(id);
+  }
+
+  /**
+   * Adds a vector, replacing an earlier vector with the same ID
+   * @param {string} id - Chunk ID
+   * @param {Array<number>|Float32Array} values - Vector
+   */
+  add(id, values) {
+    if (this.positions.has(id)) {
+      this.removeMany([id]);
+    }
+
+    const vector = normalizeVector(values);
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelFactor);
+    const position = this.nodes.length;
+    const node = { id, hash: hashVector(values), level, vector, neighbors: Array.from({ length: level + 1 }, () => []) };
+    this.nodes.push(node);
+    this.positions.set(id, position);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = position;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Descend greedily through the layers above the new node's level
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this._searchLayer(vector, [entry], 1, layer)[0].position;
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this._searchLayer(vector, entries, this.efConstruction, layer);
+      node.neighbors[layer] = this._selectNeighbors(vector, candidates, this.m).map(candidate => candidate.position);
+
+      for (const neighborPosition of node.neighbors[layer]) {
+        const neighbor = this.nodes[neighborPosition];
+        neighbor.neighbors[layer].push(position);
+        if (neighbor.neighbors[layer].length > this._maxLinks(layer)) {
+          neighbor.neighbors[layer] = this._dropWeakestLink(neighbor, layer);
+        }
+      }
+      entries = candidates.map(candidate => candidate.position);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = position;
+    }
+  }
+
+  /**
+   * Removes vectors, reconnecting their neighbours so the graph stays navigable
+   * @param {string[]} ids - Chunk IDs (unknown IDs are ignored)
+   */
+  removeMany(ids) {
+    const removed = new Set(ids.filter(id => this.positions.has(id)).map(id => this.positions.get(id)));
+    if (removed.size === 0) {
+      return;
+    }
+
+    this.nodes.forEach((node, position) => {
+      if (removed.has(position)) return;
+
+      node.neighbors.forEach((links, layer) => {
+        if (!links.some(link => removed.has(link))) return;
+
+        // The removed neighbours' own neighbours are the natural replacements
+        const candidates = new Set(links.filter(link => !removed.has(link)));
+        for (const link of links.filter(link => removed.has(link))) {
+          for (const second of this.nodes[link].neighbors[layer]) {
+            if (second !== position && !removed.has(second)) candidates.add(second);
+          }
+        }
+        node.neighbors[layer] = this._relink(node, [...candidates], layer);
+      });
+    });
+
+    // Compact the node list so positions stay dense
+    const newPositions = new Map();
+    this.nodes = this.nodes.filter((node, position) => {
+      if (removed.has(position)) return false;
+      newPositions.set(position, newPositions.size);
+      return true;
+    });
+    this.positions = new Map(this.nodes.map((node, position) => [node.id, position]));
+    for (const node of this.nodes) {
+      node.neighbors = node.neighbors.map(links => links.map(link => newPositions.get(link)));
+    }
+
+    if (removed.has(this.entryPoint) || !newPositions.has(this.entryPoint)) {
+      // The highest node becomes the new entry point
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+      this.nodes.forEach((node, position) => {
+        if (node.level > this.maxLevel) {
+          this.maxLevel = node.level;
+          this.entryPoint = position;
+        }
+      });
+    } else {
+      this.entryPoint = newPositions.get(this.entryPoint);
+    }
+  }
+
+  /**
+   * Finds the vectors most similar to a query
+   * @param {Array<number>|Float32Array} values - Query vector
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidates to consider (at least k)
+   * @returns {Array<{id: string, score: number}>} - Nearest vectors by cosine similarity, best first
+   */
+  search(values, k, ef = DEFAULT_EF_SEARCH) {
+    if (this.entryPoint === -1) {
+      return [];
+    }
+
+    const query = normalizeVector(values);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this._searchLayer(query, [entry], 1, layer)[0].position;
+    }
+
+    return this._searchLayer(query, [entry], Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(({ position, score }) => ({ id: this.nodes[position].id, score }));
+  }
+
+  /**
+   * Finds the vectors most similar to a query among those a filter accepts, widening the search until enough
+   * accepted vectors are found
+   * @param {Array<number>|Float32Array} values - Query vector
+   * @param {number} k - Number of results
+   * @param {Function} accept - Called with a chunk ID, returns true if it may be returned
+   * @param {number} ef - Candidates to consider at first (at least k)
+   * @returns {Array<{id: string, score: number}>} - Nearest accepted vectors by cosine similarity, best first
+   */
+  searchFiltered(values, k, accept, ef = DEFAULT_EF_SEARCH) {
+    for (let candidates = Math.max(ef, k); ; candidates *= 4) {
+      const matches = this.search(values, candidates, candidates).filter(match => accept(match.id));
+      if (matches.length >= k || candidates >= this.nodes.length) {
+        return matches.slice(0, k);
+      }
+    }
+  }
+
+  /**
+   * Scores specific vectors against a query without searching the graph, for small filtered candidate sets
+   * @param {Array<number>|Float32Array} values - Query vector
+   * @param {string[]} ids - Chunk IDs to score (unknown IDs are ignored)
+   * @returns {Array<{id: string, score: number}>} - The vectors by cosine similarity, best first
+   */
+  scoreIds(values, ids) {
+    const query = normalizeVector(values);
+    return ids
+      .filter(id => this.positions.has(id))
+      .map(id => ({ id, score: dot(query, this.nodes[this.positions.get(id)].vector) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Writes the graph (without vectors, which stay in the vector store) in the binary format
+   * @returns {Buffer} - Serialized index
+   */
+  serialize() {
+    const header = Buffer.alloc(32);
+    header.write(FORMAT_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(FORMAT_VERSION, 4);
+    header.writeUInt32LE(this.dimension || 0, 8);
+    header.writeUInt32LE(this.m, 12);
+    header.writeUInt32LE(this.efConstruction, 16);
+    header.writeUInt32LE(this.nodes.length, 20);
+    header.writeInt32LE(this.entryPoint, 24);
+    header.writeInt32LE(this.maxLevel, 28);
+
+    // Per node: ID length and bytes, vector hash, level, then per layer the link count and links
+    const parts = [header];
+    for (const node of this.nodes) {
+      const id = Buffer.from(node.id, 'utf8');
+      const linkCount = node.neighbors.reduce((sum, links) => sum + links.length, 0);
+      const part = Buffer.alloc(2 + id.length + 4 + 1 + node.neighbors.length * 2 + linkCount * 4);
+      let offset = part.writeUInt16LE(id.length, 0);
+      offset += id.copy(part, offset);
+      offset = part.writeUInt32LE(node.hash, offset);
+      offset = part.writeUInt8(node.level, offset);
+      for (const links of node.neighbors) {
+        offset = part.writeUInt16LE(links.length, offset);
+        for (const link of links) {
+          offset = part.writeUInt32LE(link, offset);
+        }
+      }
+      parts.push(part);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Reads an index written by serialize, dropping nodes whose vector is gone or changed
+   * @param {Buffer} buffer - Serialized index
+   * @param {Function} getVector - Returns the current vector for a chunk ID, or null if the chunk no longer exists
+   * @returns {HnswIndex} - Index with every node whose vector is unchanged
+   * @throws {Error} - If the buffer is not a supported HNSW index
+   */
+  static deserialize(buffer, getVector) {
+    if (buffer.length < 32 || buffer.toString('ascii', 0, 4) !== FORMAT_MAGIC) {
+      throw new Error('Not an HNSW index file');
+    }
+    if (buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index version ${buffer.readUInt32LE(4)}`);
+    }
+
+    const nodeCount = buffer.readUInt32LE(20);
+    const index = new HnswIndex({
+      dimension: buffer.readUInt32LE(8),
+      m: buffer.readUInt32LE(12),
+      efConstruction: buffer.readUInt32LE(16),
+      // Continue the layer assignment deterministically rather than repeating the first levels
+      seed: 42 + nodeCount
+    });
+    index.entryPoint = buffer.readInt32LE(24);
+    index.maxLevel = buffer.readInt32LE(28);
+
+    const stale = [];
+    let offset = 32;
+    for (let position = 0; position < nodeCount; position++) {
+      const idLength = buffer.readUInt16LE(offset);
+      const id = buffer.toString('utf8', offset + 2, offset + 2 + idLength);
+      offset += 2 + idLength;
+      const hash = buffer.readUInt32LE(offset);
+      const level = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const neighbors = [];
+      for (let layer = 0; layer <= level; layer++) {
+        const count = buffer.readUInt16LE(offset);
+        offset += 2;
+        const links = [];
+        for (let i = 0; i < count; i++, offset += 4) {
+          links.push(buffer.readUInt32LE(offset));
+        }
+        neighbors.push(links);
+      }
+
+      const values = getVector(id);
+      const current = values && hashVector(values) === hash;
+      if (!current) stale.push(id);
+      index.nodes.push({ id, hash, level, vector: current ? normalizeVector(values) : null, neighbors });
+      index.positions.set(id, position);
+    }
+
+    index.removeMany(stale);
+    return index;
+  }
+
+  /**
+   * Maximum links per node on a layer
+   * @param {number} layer - Layer
+   * @returns {number} - Link limit
+   * @private
+   */
+  _maxLinks(layer) {
+    return layer === 0 ? this.m * 2 : this.m;
+  }
+
+  /**
+   * Drops the link to the least similar neighbour of a node that has one link too many
+   * @param {Object} node - Node
+   * @param {number} layer - Layer
+   * @returns {number[]} - Remaining links
+   * @private
+   */
+  _dropWeakestLink(node, layer) {
+    // Cheaper than re-running the neighbour heuristic, which dominates build time at embedding dimensions
+    const links = node.neighbors[layer];
+    let weakest = 0;
+    let weakestScore = Infinity;
+    links.forEach((position, index) => {
+      const score = dot(node.vector, this.nodes[position].vector);
+      if (score < weakestScore) {
+        weakest = index;
+        weakestScore = score;
+      }
+    });
+    return links.filter((position, index) => index !== weakest);
+  }
+
+  /**
+   * Picks the links of a node from candidate positions
+   * @param {Object} node - Node to link
+   * @param {number[]} candidates - Candidate node positions
+   * @param {number} layer - Layer
+   * @returns {number[]} - Linked positions
+   * @private
+   */
+  _relink(node, candidates, layer) {
+    const scored = candidates
+      .map(position => ({ position, score: dot(node.vector, this.nodes[position].vector) }))
+      .sort((a, b) => b.score - a.score);
+    return this._selectNeighbors(node.vector, scored, this._maxLinks(layer)).map(candidate => candidate.position);
+  }
+
+  /**
+   * Selects neighbours with the HNSW heuristic: a candidate closer to an already selected neighbour than
+   * to the node is reachable through that neighbour, so links spread out in different directions
+   * @param {Float32Array} vector - Vector of the node
+   * @param {Array<{position: number, score: number}>} candidates - Candidates, most similar first
+   * @param {number} count - Number of neighbours
+   * @returns {Array<{position: number, score: number}>} - Selected neighbours
+   * @private
+   */
+  _selectNeighbors(vector, candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const candidateVector = this.nodes[candidate.position].vector;
+      if (selected.every(other => dot(candidateVector, this.nodes[other.position].vector) < candidate.score)) {
+        selected.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+
+    // Fill up with the closest skipped candidates so sparse regions keep enough links
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Best-first search on one layer of the graph
+   * @param {Float32Array} query - Normalized query vector
+   * @param {number[]} entries - Positions to start from
+   * @param {number} ef - Number of nearest nodes to keep
+   * @param {number} layer - Layer
+   * @returns {Array<{position: number, score: number}>} - Nearest nodes found, most similar first
+   * @private
+   */
+  _searchLayer(query, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => a.score > b.score);
+    const nearest = new Heap((a, b) => a.score < b.score);
+
+    for (const position of entries) {
+      const item = { position, score: dot(query, this.nodes[position].vector) };
+      candidates.push(item);
+      nearest.push(item);
+      if (nearest.size > ef) nearest.pop();
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      // Every remaining candidate is further away than the worst of the nearest nodes
+      if (nearest.size >= ef && current.score < nearest.peek().score) break;
+
+      for (const position of this.nodes[current.position].neighbors[layer] || []) {
+        if (visited.has(position)) continue;
+        visited.add(position);
+
+        const score = dot(query, this.nodes[position].vector);
+        if (nearest.size < ef || score > nearest.peek().score) {
+          const item = { position, score };
+          candidates.push(item);
+          nearest.push(item);
+          if (nearest.size > ef) nearest.pop();
+        }
+      }
+    }
+
+    return nearest.items.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  DEFAULT_EF_SEARCH,
+  HnswIndex,
+  hashVector
+};
@@ -0,0 +1,161 @@
+/**
+ * Hunk Review Module
+ *
+ * Splits large diffs into review passes (hunks grouped by their enclosing
+ * function or class), and merges the findings of the passes for the
+ * synthesis step
+ */
+
+const { splitHunks } = require('./contextBudget');
+const { SEVERITIES } = require('./findings');
+
+// Files with at least this many changed (added + removed) lines are reviewed in passes
+const DEFAULT_HUNK_REVIEW_THRESHOLD = 200;
+
+// Upper limit on changed lines per pass; hunks of one declaration are never split up
+const MAX_LINES_PER_PASS = 150;
+
+// Hunks outside any declaration are grouped when they are at most this many lines apart
+const MERGE_GAP = 10;
+
+/**
+ * Finds the innermost declaration containing a line range
+ * @param {Array<{startLine: number, endLine: number}>} declarations - Declarations with line ranges
+ * @param {number} startLine - First line of the range
+ * @param {number} endLine - Last line of the range
+ * @returns {Object|null} - Innermost enclosing declaration, or null if the range is at top level
+ */
+function findEnclosingDeclaration(declarations, startLine, endLine) {
+  let best = null;
+
+  for (const declaration of declarations) {
+    if (declaration.startLine <= startLine && declaration.endLine >= endLine &&
+        (!best || declaration.endLine - declaration.startLine < best.endLine - best.startLine)) {
+      best = declaration;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Groups the changes of a diff into review passes. Hunks in the same function or class form one unit,
+ * nearby top-level hunks are merged, and consecutive units are packed into passes of limited size
+ * @param {Array<Object>} changes - Changes from analyzeDiff
+ * @param {Array<Object>} chunks - Chunks of the new version from splitCode (used for their line ranges)
+ * @param {number} maxLinesPerPass - Upper limit on changed lines per pass
+ * @returns {Array<{changes: Array<Object>, startLine: number, endLine: number, linesAdded: number,
+ *   linesRemoved: number, declarations: Array<Object>}>} - Passes in file order with the (1-based) new lines
+ *   they cover and the declarations they touch
+ */
+function groupHunks(changes, chunks = [], maxLinesPerPass = MAX_LINES_PER_PASS) {
+  const declarations = chunks.filter(chunk => chunk.type !== 'File' && chunk.startLine && chunk.endLine);
+
+  // Group hunks into units of related changes
+  const units = [];
+  for (const hunk of splitHunks(changes)) {
+    const declaration = findEnclosingDeclaration(declarations, hunk.startLine, Math.max(hunk.startLine, hunk.endLine));
+    const last = units[units.length - 1];
+
+    const related = last && (declaration
+      ? last.declaration === declaration
+      : !last.declaration && hunk.startLine - last.endLine <= MERGE_GAP);
+
+    if (related) {
+      last.hunks.push(hunk);
+      last.endLine = Math.max(last.endLine, hunk.endLine);
+    } else {
+      units.push({ declaration, hunks: [hunk], startLine: hunk.startLine, endLine: hunk.endLine });
+    }
+  }
+
+  // Pack consecutive units into passes
+  const passes = [];
+  let current = null;
+  for (const unit of units) {
+    const unitLines = unit.hunks.reduce((sum, hunk) => sum + hunk.linesAdded + hunk.linesRemoved, 0);
+
+    if (!current || current.linesAdded + current.linesRemoved + unitLines > maxLinesPerPass) {
+      current = { changes: [], startLine: unit.startLine, endLine: unit.endLine, linesAdded: 0, linesRemoved: 0, declarations: [] };
+      passes.push(current);
+    }
+
+    unit.hunks.forEach(hunk => {
+      current.changes.push(...hunk.changes);
+      current.linesAdded += hunk.linesAdded;
+      current.linesRemoved += hunk.linesRemoved;
+    });
+    current.endLine = Math.max(current.endLine, unit.endLine);
+    if (unit.declaration && !current.declarations.includes(unit.declaration)) {
+      current.declarations.push(unit.declaration);
+    }
+  }
+
+  return passes;
+}
+
+/**
+ * Removes findings that repeat another finding (same file, overlapping lines, same category and message),
+ * keeping the most severe copy
+ * @param {Array<Object>} findings - Findings from all passes
+ * @returns {Array<Object>} - Findings without exact duplicates, in line order
+ */
+function dedupeFindings(findings) {
+  const normalize = message => message.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const kept = [];
+
+  for (const finding of findings) {
+    const duplicate = kept.find(other =>
+      other.file === finding.file &&
+      other.category === finding.category &&
+      other.startLine <= finding.endLine && finding.startLine <= other.endLine &&
+      normalize(other.message) === normalize(finding.message));
+
+    if (!duplicate) {
+      kept.push(finding);
+    } else if (SEVERITIES.indexOf(finding.severity) < SEVERITIES.indexOf(duplicate.severity)) {
+      kept[kept.indexOf(duplicate)] = finding;
+    }
+  }
+
+  return kept.sort((a, b) => a.startLine - b.startLine);
+}
+
+/**
+ * Builds the request for the synthesis pass
+ * @param {string} filePath - Path to the reviewed file
+ * @param {Array<{pass: Object, summary: string}>} passResults - Pass and the summary the model wrote for it
+ * @param {Array<Object>} findings - Deduplicated findings from all passes
+ * @param {{linesAdded: number, linesRemoved: number}} stats - Change statistics of the whole file
+ * @returns {string} - Synthesis request (the caller appends output format instructions)
+ */
+function buildSynthesisRequest(filePath, passResults, findings, stats) {
+  const passes = passResults.map(({ pass, summary }, index) => {
+    const names = pass.declarations.map(declaration => declaration.name).join(', ');
+    return `${index + 1}. New lines ${pass.startLine}-${Math.max(pass.startLine, pass.endLine)}` +
+      `${names ? ` (${names})` : ''}: ${summary}`;
+  }).join('\n');
+
+  return `The changes to ${filePath} (+${stats.linesAdded} -${stats.linesRemoved} lines) were too large to review at once, so they were reviewed in ${passResults.length} parts.
+
+## Part Summaries
+${passes}
+
+## Findings From All Parts
+${JSON.stringify(findings, null, 2)}
+
+Merge these into one review of the whole file:
+- Remove findings that describe the same problem, keeping the clearest and most precise one
+- Keep the file, line numbers, severity and category of each finding you keep, and copy any "patch" unchanged
+- Drop findings that are contradicted by another part of the change
+- Write a single summary of the change to the file as a whole, including problems that only show across parts`;
+}
+
+module.exports = {
+  DEFAULT_HUNK_REVIEW_THRESHOLD,
+  MAX_LINES_PER_PASS,
+  findEnclosingDeclaration,
+  groupHunks,
+  dedupeFindings,
+  buildSynthesisRequest
+};
@@ -0,0 +1,254 @@
+/**
+ * Hybrid Search Module
+ *
+ * Finds code related to a change by combining exact symbol lookups in the
+ * symbol index with vector similarity, merged with reciprocal rank fusion
+ */
+
+const path = require('path');
+const { searchCodebase } = require('./vectorStore');
+const { searchSymbols, extractDefinitions, readChunkCode } = require('./symbolIndex');
+const { analyzeDiff } = require('./diffAnalyzer');
+const { splitCode } = require('./codeParser');
+const { getRelatedLanguages, createSearchFilter } = require('./searchFilter');
+
+// Rank offset of reciprocal rank fusion; higher values flatten the difference between top and lower ranks
+const RRF_K = 60;
+
+// Chunks fetched per vector search
+const VECTOR_RESULTS_PER_QUERY = 3;
+
+// Chunks fetched from the symbol index per lookup
+const SYMBOL_RESULTS = 20;
+
+// Identifiers combined into the search of the changed file's package
+const PACKAGE_QUERY_IDENTIFIERS = 10;
+
+/**
+ * Identifies a chunk across result lists; vector results carry no chunk ID
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string} - Chunk key
+ */
+function getChunkKey(metadata) {
+  return `${metadata.path}:${metadata.startLine || 0}:${metadata.type}:${metadata.name}`;
+}
+
+/**
+ * Merges ranked result lists with reciprocal rank fusion
+ * @param {Array<Array<{metadata: Object}>>} rankings - Result lists, each best first
+ * @returns {Array<{result: Object, score: number}>} - Distinct results by fused score, best first; result is the
+ *   first occurrence of the chunk
+ */
+function reciprocalRankFusion(rankings) {
+  const fused = new Map();
+
+  for (const ranking of rankings) {
+    ranking.forEach((result, rank) => {
+      const key = getChunkKey(result.metadata);
+      if (!fused.has(key)) {
+        fused.set(key, { result, score: 0 });
+      }
+      fused.get(key).score += 1 / (RRF_K + rank + 1);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Extracts the identifiers a change mentions, for use as search queries
+ * @param {string} oldCode - Original code
+ * @param {string} newCode - New code
+ * @param {string} filePath - Path to the file
+ * @returns {string[]} - Function, variable and class names and imported modules
+ */
+function extractQueryIdentifiers(oldCode, newCode, filePath) {
+  const patterns = [
+    /function\s+(\w+)/g,
+    /(?:const|let|var)\s+(\w+)/g,
+    /class\s+(\w+)/g,
+    /(?:import|require)\s+['"](.*)['"]/g
+  ];
+
+  const identifiers = new Set();
+  for (const pattern of patterns) {
+    for (const code of [oldCode, newCode]) {
+      for (const match of code.matchAll(pattern)) {
+        identifiers.add(match[1]);
+      }
+    }
+  }
+
+  // If no identifiers found, use the file path parts
+  if (identifiers.size === 0) {
+    filePath.split('/').filter(Boolean).slice(-2).forEach(part => identifiers.add(part));
+  }
+
+  return [...identifiers];
+}
+
+/**
+ * Finds the symbols a change touches: names declared on changed lines and the functions and classes around them
+ * @param {string} oldCode - Original code
+ * @param {string} newCode - New code
+ * @param {string} filePath - Path to the file
+ * @returns {string[]} - Changed symbols
+ */
+function findChangedSymbols(oldCode, newCode, filePath) {
+  const symbols = new Set();
+  const changedLines = { old: [], new: [] };
+
+  for (const change of analyzeDiff(oldCode, newCode)) {
+    if (!change.added && !change.removed) continue;
+
+    extractDefinitions(change.value).forEach(name => symbols.add(name));
+    const [version, start] = change.added ? ['new', change.newLineNumber] : ['old', change.oldLineNumber];
+    for (let line = 1; line <= change.lineCount; line++) {
+      changedLines[version].push(start + line);
+    }
+  }
+
+  // A changed line inside a function changes that function (and a method its class)
+  const addEnclosing = (code, lines) => {
+    if (!code || lines.length === 0) return;
+    for (const chunk of splitCode(code, filePath)) {
+      if (chunk.type === 'File' || !chunk.startLine) continue;
+      if (lines.some(line => line >= chunk.startLine && line <= chunk.endLine)) {
+        symbols.add(chunk.name);
+        if (chunk.parent) symbols.add(chunk.parent.split('.').pop());
+      }
+    }
+  };
+  addEnclosing(oldCode, changedLines.old);
+  addEnclosing(newCode, changedLines.new);
+
+  return [...symbols].filter(name => name && name !== 'anonymous');
+}
+
+/**
+ * Describes which symbols a chunk matched
+ * @param {{definitions: string[], usages: string[]}} match - Symbol index match
+ * @returns {string} - Description like "defines parseConfig; uses loadFile"
+ */
+function describeSymbolMatch(match) {
+  const parts = [];
+  if (match.definitions.length > 0) parts.push(`defines ${match.definitions.join(', ')}`);
+  if (match.usages.length > 0) parts.push(`uses ${match.usages.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * Finds the code in the index most relevant to a change
+ * @param {string} oldCode - Original code
+ * @param {string} newCode - New code
+ * @param {string} filePath - Path to the file
+ * @param {string} indexName - Name of the index
+ * @param {Object} options - Retrieval options
+ * @param {number} options.limit - Maximum number of results (one per file)
+ * @param {boolean} options.quiet - Leave out the vector store's progress messages
+ * @returns {Promise<Array<{metadata: Object, score: number, match: string|null}>>} - Results, most relevant first:
+ *   chunks defining or using a changed symbol, then the rest by fused rank, with code in the file's language
+ *   before code in other languages and the file itself left out; score is the best vector similarity
+ *   (0 for chunks only found by symbol) and match describes the matched symbols
+ */
+async function findRelatedCode(oldCode, newCode, filePath, indexName, options = {}) {
+  const limit = options.limit || 5;
+  const changedSymbols = findChangedSymbols(oldCode, newCode, filePath);
+  const identifiers = extractQueryIdentifiers(oldCode, newCode, filePath);
+
+  // Stale chunks of the file under review only repeat the change, and code in other languages rarely relates to it
+  const reviewedPath = path.resolve(filePath);
+  const languages = getRelatedLanguages(filePath);
+  const contextFilter = { excludePath: reviewedPath, ...(languages.length > 0 ? { language: languages } : {}) };
+  const preferred = createSearchFilter(contextFilter);
+
+  // Exact lookups don't depend on embeddings, so they still work when vector search fails
+  let exactMatches = [];
+  let symbolMatches = [];
+  try {
+    exactMatches = await searchSymbols(changedSymbols, indexName, { limit: SYMBOL_RESULTS });
+    symbolMatches = await searchSymbols(identifiers, indexName, { limit: SYMBOL_RESULTS });
+  } catch (error) {
+    console.warn(`Error searching symbol index: ${error.message}`);
+  }
+
+  const vectorRankings = [];
+  try {
+    for (const identifier of identifiers) {
+      if (identifier.length < 3) continue; // Skip short identifiers
+      vectorRankings.push(await searchCodebase(identifier, indexName, VECTOR_RESULTS_PER_QUERY,
+        { filter: contextFilter, quiet: options.quiet }));
+    }
+
+    // Also search based on file name
+    const fileName = path.basename(filePath, path.extname(filePath));
+    if (fileName.length >= 3) {
+      vectorRankings.push(await searchCodebase(fileName, indexName, VECTOR_RESULTS_PER_QUERY,
+        { filter: contextFilter, quiet: options.quiet }));
+    }
+
+    // Code in the same package is the likeliest to work with the change, so it gets a ranking of its own
+    const packageQuery = [fileName, ...identifiers.slice(0, PACKAGE_QUERY_IDENTIFIERS)].join(' ');
+    vectorRankings.push(await searchCodebase(packageQuery, indexName, VECTOR_RESULTS_PER_QUERY,
+      { filter: { ...contextFilter, pathPrefix: path.dirname(reviewedPath) }, quiet: options.quiet }));
+
+    // Without enough code in the file's language, fall back to the rest of the codebase
+    const found = new Set(vectorRankings.flat().map(result => result.metadata.path));
+    if (languages.length > 0 && found.size < limit) {
+      vectorRankings.push(await searchCodebase(packageQuery, indexName, VECTOR_RESULTS_PER_QUERY,
+        { filter: { excludePath: reviewedPath }, quiet: options.quiet }));
+    }
+  } catch (error) {
+    console.error('Error searching codebase:', error.message);
+  }
+
+  // Vector similarity is the only score comparable across chunks, so keep the best one per chunk
+  const similarity = new Map();
+  const indexedCode = new Map();
+  for (const result of vectorRankings.flat()) {
+    const key = getChunkKey(result.metadata);
+    similarity.set(key, Math.max(similarity.get(key) || 0, result.score));
+    indexedCode.set(key, result.metadata.code);
+  }
+
+  const toResult = (metadata, symbolMatch) => ({
+    metadata,
+    score: similarity.get(getChunkKey(metadata)) || 0,
+    match: symbolMatch ? describeSymbolMatch(symbolMatch) : null
+  });
+  const symbolMatchByKey = new Map(symbolMatches.map(match => [getChunkKey(match.metadata), match]));
+
+  const ranked = [
+    ...exactMatches.map(match => toResult(match.metadata, match)),
+    ...reciprocalRankFusion([symbolMatches, ...vectorRankings]).map(({ result }) =>
+      toResult(result.metadata, symbolMatchByKey.get(getChunkKey(result.metadata))))
+  ].filter(result => result.metadata.path !== reviewedPath);
+  const isPreferred = result => preferred.test(result.metadata);
+  ranked.sort((a, b) => isPreferred(b) - isPreferred(a));
+
+  // One chunk per file keeps the context varied
+  const results = [];
+  const seenPaths = new Set();
+  for (const result of ranked) {
+    if (seenPaths.has(result.metadata.path)) continue;
+
+    // The symbol index has no code, so chunks only found by symbol are read from their file
+    let code = result.metadata.code ?? indexedCode.get(getChunkKey(result.metadata));
+    if (typeof code !== 'string') {
+      code = await readChunkCode(result.metadata);
+      if (code === null) continue;
+    }
+
+    seenPaths.add(result.metadata.path);
+    results.push({ ...result, metadata: { ...result.metadata, code } });
+    if (results.length >= limit) break;
+  }
+
+  return results;
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  findChangedSymbols,
+  findRelatedCode
+};
@@ -0,0 +1,146 @@
+/**
+ * Index Manifest Module
+ *
+ * Keeps a per-file content hash for every indexed file so the index command
+ * only has to re-chunk and re-embed files that changed since the last run
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Manifests live next to the other index metadata in the project directory
+const METADATA_DIR = path.join(process.cwd(), '.code-connoisseur', 'metadata');
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hashes file content for change detection
+ * @param {string} content - File content
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content || '').digest('hex');
+}
+
+/**
+ * Gets the manifest file path for an index
+ * @param {string} indexName - Name of the index
+ * @returns {string} - Path to the manifest file
+ */
+function getManifestPath(indexName) {
+  return path.join(METADATA_DIR, `${indexName}-manifest.json`);
+}
+
+/**
+ * Creates an empty manifest
+ * @param {string} indexName - Name of the index
+ * @returns {{version: number, indexName: string, updated: string|null, files: Object}} - Empty manifest
+ */
+function createManifest(indexName) {
+  return {
+    version: MANIFEST_VERSION,
+    indexName,
+    updated: null,
+    files: {}
+  };
+}
+
+/**
+ * Loads the manifest for an index, returning an empty one if none exists
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<Object>} - Manifest object
+ */
+async function loadManifest(indexName) {
+  const manifestPath = getManifestPath(indexName);
+
+  try {
+    if (await fs.pathExists(manifestPath)) {
+      const manifest = await fs.readJson(manifestPath);
+
+      // Ignore manifests written by an incompatible version
+      if (manifest.version === MANIFEST_VERSION && manifest.files) {
+        return manifest;
+      }
+    }
+  } catch (error) {
+    console.warn(`Could not read index manifest: ${error.message}`);
+  }
+
+  return createManifest(indexName);
+}
+
+/**
+ * Saves the manifest for an index
+ * @param {string} indexName - Name of the index
+ * @param {Object} manifest - Manifest object
+ * @returns {Promise<void>}
+ */
+async function saveManifest(indexName, manifest) {
+  await fs.ensureDir(METADATA_DIR);
+  manifest.updated = new Date().toISOString();
+  await fs.writeJson(getManifestPath(indexName), manifest, { spaces: 2 });
+}
+
+/**
+ * Removes the manifest for an index
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<void>}
+ */
+async function removeManifest(indexName) {
+  await fs.remove(getManifestPath(indexName));
+}
+
+/**
+ * Lists the indexes that have a manifest in this project
+ * @returns {Promise<string[]>} - Index names
+ */
+async function listManifests() {
+  if (!await fs.pathExists(METADATA_DIR)) {
+    return [];
+  }
+  return (await fs.readdir(METADATA_DIR))
+    .filter(file => file.endsWith('-manifest.json'))
+    .map(file => file.slice(0, -'-manifest.json'.length));
+}
+
+/**
+ * Compares the loaded codebase against a manifest
+ * @param {Object} manifest - Manifest from the previous run
+ * @param {Array<{path: string, content: string}>} codebase - Files loaded by loadCodebase
+ * @returns {{added: Array<Object>, modified: Array<Object>, unchanged: string[], deleted: string[]}} - Changes by category
+ */
+function diffManifest(manifest, codebase) {
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+  const seen = new Set();
+
+  for (const file of codebase) {
+    const hash = hashContent(file.content);
+    const entry = manifest.files[file.path];
+    seen.add(file.path);
+
+    if (!entry) {
+      added.push({ ...file, hash });
+    } else if (entry.hash !== hash) {
+      modified.push({ ...file, hash });
+    } else {
+      unchanged.push(file.path);
+    }
+  }
+
+  const deleted = Object.keys(manifest.files).filter(filePath => !seen.has(filePath));
+
+  return { added, modified, unchanged, deleted };
+}
+
+module.exports = {
+  hashContent,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  removeManifest,
+  listManifests,
+  diffManifest,
+  getManifestPath
+};
@@ -0,0 +1,198 @@
+/**
+ * Indexer Module
+ *
+ * The incremental indexing pipeline (load, diff against the manifest, chunk,
+ * embed, store) shared by the index command and the HTTP server
+ */
+
+const path = require('path');
+const { loadCodebase, splitCode } = require('./codeParser');
+const { splitLongChunks } = require('./chunkSplitter');
+const { embedChunks, updateEmbeddings, indexExists, getEmbeddingProvider } = require('./vectorStore');
+const { loadManifest, saveManifest, createManifest, diffManifest } = require('./indexManifest');
+const { symbolIndexExists, updateSymbolIndex } = require('./symbolIndex');
+
+// Don't log every error to avoid cluttering the console
+const MAX_ERRORS_TO_SHOW = 5;
+
+// Progress reporter that ignores all updates
+const SILENT_REPORTER = {
+  step: () => {},
+  done: () => {}
+};
+
+/**
+ * Counts files per language for progress output
+ * @param {Array<{path: string}>} files - Files to count
+ * @returns {string} - Summary such as "2 TypeScript files, 1 JavaScript files, ..."
+ */
+function describeFileTypes(files) {
+  const counts = { TypeScript: 0, JavaScript: 0, Python: 0, Java: 0, other: 0 };
+
+  for (const file of files) {
+    const ext = path.extname(file.path).toLowerCase();
+    if (['.ts', '.tsx'].includes(ext)) {
+      counts.TypeScript++;
+    } else if (['.js', '.jsx', '.mjs', '.cjs', '.es6'].includes(ext)) {
+      counts.JavaScript++;
+    } else if (ext === '.py') {
+      counts.Python++;
+    } else if (ext === '.java') {
+      counts.Java++;
+    } else {
+      counts.other++;
+    }
+  }
+
+  return `${counts.TypeScript} TypeScript files, ${counts.JavaScript} JavaScript files, ` +
+    `${counts.Python} Python files, ${counts.Java} Java files, and ${counts.other} other files`;
+}
+
+/**
+ * Indexes a codebase, re-embedding only files that changed since the last run
+ * @param {Object} options - Indexing options
+ * @param {string} options.directory - Directory to index
+ * @param {string} options.indexName - Name of the index
+ * @param {string[]} options.extensions - File extensions to include
+ * @param {string[]} options.excludeDirs - Directories to exclude
+ * @param {boolean} options.full - Rebuild the whole index instead of only changed files
+ * @param {{step: Function, done: Function}} reporter - Receives progress text for running and finished steps
+ * @returns {Promise<{upToDate: boolean, fullRebuild: boolean, added: number, modified: number, deleted: number,
+ *   unchanged: number, chunks: number, failedFiles: number}>} - Indexing summary
+ */
+async function indexCodebase(options, reporter = SILENT_REPORTER) {
+  const { directory, indexName, extensions, excludeDirs } = options;
+
+  // Load codebase with exclusions
+  reporter.step('Loading files...');
+  const codebase = await loadCodebase(directory, extensions, excludeDirs);
+  reporter.done(`Loaded ${codebase.length} files`);
+
+  // Compare against the manifest from the previous run to find changed files
+  reporter.step('Detecting changed files...');
+  const previousManifest = await loadManifest(indexName);
+  let fullRebuild = Boolean(options.full);
+
+  if (!fullRebuild && !await indexExists(indexName)) {
+    // Nothing stored yet (or the index was cleaned), so the manifest can't be trusted
+    fullRebuild = true;
+  }
+
+  // Vectors from different embedding backends can't be mixed in one index
+  const embeddingProvider = getEmbeddingProvider();
+  if (!fullRebuild && previousManifest.embedding &&
+      previousManifest.embedding.model !== embeddingProvider.model) {
+    console.log(`Embedding model changed from ${previousManifest.embedding.model} to ${embeddingProvider.model} - rebuilding index`);
+    fullRebuild = true;
+  }
+
+  // Indexes built before symbol lookups existed (or with an older symbol index format) have no symbol index for the
+  // unchanged files
+  if (!fullRebuild && !await symbolIndexExists(indexName)) {
+    console.log('No symbol index found - rebuilding index');
+    fullRebuild = true;
+  }
+
+  const manifest = fullRebuild ? createManifest(indexName) : previousManifest;
+  const changes = diffManifest(manifest, codebase);
+  const filesToIndex = [...changes.added, ...changes.modified];
+
+  // Chunks of modified and deleted files have to be removed from the store
+  const stalePaths = fullRebuild
+    ? Object.keys(previousManifest.files)
+    : [...changes.modified.map(file => file.path), ...changes.deleted];
+  const staleIds = stalePaths.flatMap(filePath => previousManifest.files[filePath]?.chunkIds || []);
+
+  if (fullRebuild) {
+    reporter.done(`Rebuilding full index for ${filesToIndex.length} files`);
+  } else {
+    reporter.done(`${changes.added.length} added, ${changes.modified.length} modified, ` +
+      `${changes.deleted.length} deleted, ${changes.unchanged.length} unchanged files`);
+  }
+
+  const summary = {
+    upToDate: false,
+    fullRebuild,
+    added: changes.added.length,
+    modified: changes.modified.length,
+    deleted: changes.deleted.length,
+    unchanged: changes.unchanged.length,
+    chunks: 0,
+    failedFiles: 0
+  };
+
+  if (!fullRebuild && filesToIndex.length === 0 && changes.deleted.length === 0) {
+    summary.upToDate = true;
+    return summary;
+  }
+
+  // Split into chunks
+  reporter.step('Splitting files into chunks...');
+  console.log(`Processing ${describeFileTypes(filesToIndex)}`);
+
+  const chunks = [];
+  const indexedFiles = [];
+  let errorsShown = 0;
+
+  for (const file of filesToIndex) {
+    try {
+      // Chunks too long to embed as a whole are indexed as overlapping windows
+      chunks.push(...splitLongChunks(splitCode(file.content, file.path)));
+      indexedFiles.push(file);
+    } catch (error) {
+      summary.failedFiles++;
+      // Only show a limited number of errors
+      if (errorsShown < MAX_ERRORS_TO_SHOW) {
+        console.warn(`Error processing ${file.path}: ${error.message}`);
+        errorsShown++;
+      } else if (errorsShown === MAX_ERRORS_TO_SHOW) {
+        console.warn(`Additional errors omitted...`);
+        errorsShown++;
+      }
+    }
+  }
+
+  summary.chunks = chunks.length;
+  reporter.done(`Generated ${chunks.length} code chunks (skipped ${summary.failedFiles} files)`);
+
+  // Generate embeddings
+  reporter.step('Generating embeddings...');
+  const embeddedChunks = await embedChunks(chunks);
+  reporter.done('Generated embeddings');
+
+  // Store in the index's vector store, replacing chunks of changed files
+  reporter.step('Storing in vector database...');
+  await updateEmbeddings(embeddedChunks, stalePaths, indexName, { replace: fullRebuild });
+
+  // Exact symbol lookups complement the vector search when gathering review context
+  reporter.step('Updating symbol index...');
+  const symbols = await updateSymbolIndex(indexName, embeddedChunks, staleIds, { replace: fullRebuild });
+  reporter.done(`Indexed ${symbols.symbols} symbols in ${symbols.chunks} chunks`);
+
+  // Record the new hashes and chunk IDs so the next run can skip unchanged files
+  for (const filePath of [...changes.modified.map(file => file.path), ...changes.deleted]) {
+    delete manifest.files[filePath];
+  }
+  const chunkIdsByPath = {};
+  for (const chunk of embeddedChunks) {
+    (chunkIdsByPath[chunk.metadata.path] = chunkIdsByPath[chunk.metadata.path] || []).push(chunk.id);
+  }
+  for (const file of indexedFiles) {
+    manifest.files[file.path] = {
+      hash: file.hash,
+      chunkIds: chunkIdsByPath[file.path] || []
+    };
+  }
+  manifest.embedding = {
+    provider: embeddingProvider.name,
+    model: embeddingProvider.model
+  };
+  await saveManifest(indexName, manifest);
+  reporter.done('Indexing completed!');
+
+  return summary;
+}
+
+module.exports = {
+  indexCodebase
+};
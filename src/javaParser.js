@@ -0,0 +1,450 @@
+/**
+ * Java Parser Module
+ *
+ * Handles parsing of Java files with a small lexer and brace matcher,
+ * extracting type declarations, methods and constructors as chunks
+ */
+
+const path = require('path');
+
+// Keywords that start a type declaration
+const TYPE_KEYWORDS = {
+  class: 'ClassDeclaration',
+  interface: 'InterfaceDeclaration',
+  enum: 'EnumDeclaration',
+  record: 'RecordDeclaration'
+};
+
+// Identifiers that can precede "(" at member level without declaring a method
+const NON_METHOD_WORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'throw', 'try', 'else', 'do'
+]);
+
+/**
+ * Splits Java source into identifier and symbol tokens, skipping comments,
+ * string literals, text blocks, character literals and numbers
+ * @param {string} content - Java source
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} - Tokens
+ */
+function tokenizeJava(content) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (content.startsWith('//', i)) {
+      const newline = content.indexOf('\n', i);
+      i = newline === -1 ? content.length : newline;
+    } else if (content.startsWith('/*', i)) {
+      const close = content.indexOf('*/', i + 2);
+      i = close === -1 ? content.length : close + 2;
+    } else if (content.startsWith('"""', i)) {
+      i = skipQuoted(content, i + 3, '"""');
+    } else if (ch === '"' || ch === '\'') {
+      i = skipQuoted(content, i + 1, ch);
+    } else if (/[\p{L}_$]/u.test(ch)) {
+      const start = i;
+      while (i < content.length && /[\p{L}\p{N}_$]/u.test(content[i])) i++;
+      tokens.push({ type: 'identifier', value: content.substring(start, i), start, end: i });
+    } else if (/\d/.test(ch)) {
+      while (i < content.length && /[\w.]/.test(content[i])) i++;
+    } else {
+      tokens.push({ type: 'symbol', value: ch, start: i, end: i + 1 });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Finds the end of a quoted literal, honouring backslash escapes
+ * @param {string} content - Java source
+ * @param {number} from - Position just after the opening quote
+ * @param {string} quote - Closing delimiter
+ * @returns {number} - Position just after the closing delimiter
+ */
+function skipQuoted(content, from, quote) {
+  let i = from;
+  while (i < content.length) {
+    if (content[i] === '\\') {
+      i += 2;
+    } else if (content.startsWith(quote, i)) {
+      return i + quote.length;
+    } else if (content[i] === '\n' && quote.length === 1) {
+      // Unterminated single-line literal - stop at the end of the line
+      return i;
+    } else {
+      i++;
+    }
+  }
+  return content.length;
+}
+
+/**
+ * Replaces comments and the contents of string/char literals with spaces,
+ * keeping quotes and line breaks so positions and line numbers are preserved
+ * @param {string} content - Java source
+ * @returns {string} - Masked source
+ */
+function maskJavaLiterals(content) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  let result = '';
+  let i = 0;
+
+  while (i < content.length) {
+    let end;
+    if (content.startsWith('//', i)) {
+      end = content.indexOf('\n', i);
+      end = end === -1 ? content.length : end;
+      result += blank(content.substring(i, end));
+    } else if (content.startsWith('/*', i)) {
+      end = content.indexOf('*/', i + 2);
+      end = end === -1 ? content.length : end + 2;
+      result += blank(content.substring(i, end));
+    } else if (content.startsWith('"""', i)) {
+      end = skipQuoted(content, i + 3, '"""');
+      result += '"""' + blank(content.substring(i + 3, end - 3)) + '"""';
+    } else if (content[i] === '"' || content[i] === '\'') {
+      const quote = content[i];
+      end = skipQuoted(content, i + 1, quote);
+      const closed = content[end - 1] === quote && end - 1 > i;
+      result += quote + blank(content.substring(i + 1, closed ? end - 1 : end)) + (closed ? quote : '');
+    } else {
+      result += content[i];
+      end = i + 1;
+    }
+    i = end;
+  }
+
+  return result;
+}
+
+/**
+ * Pairs up parentheses and braces
+ * @param {Array<Object>} tokens - Tokens from tokenizeJava
+ * @returns {Map<number, number>} - Index of each opening token to the index of its closing token
+ * @throws {Error} - If the brackets are unbalanced
+ */
+function matchBrackets(tokens) {
+  const pairs = new Map();
+  const stack = [];
+  const closers = { ')': '(', '}': '{' };
+
+  tokens.forEach((token, index) => {
+    if (token.value === '(' || token.value === '{') {
+      stack.push(index);
+    } else if (closers[token.value]) {
+      const open = stack.pop();
+      if (open === undefined || tokens[open].value !== closers[token.value]) {
+        throw new Error(`Unbalanced "${token.value}" at offset ${token.start}`);
+      }
+      pairs.set(open, index);
+    }
+  });
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed "${tokens[stack[stack.length - 1]].value}" at offset ${tokens[stack[stack.length - 1]].start}`);
+  }
+
+  return pairs;
+}
+
+/**
+ * Parses Java source into a flat list of declarations
+ * @param {string} content - Java source
+ * @returns {Array<{type: string, name: string, parent: string|null, start: number, end: number}>} - Declarations
+ *   with character offsets, in source order
+ * @throws {Error} - If the source cannot be tokenized into balanced blocks
+ */
+function parseJava(content) {
+  const tokens = tokenizeJava(content);
+  const pairs = matchBrackets(tokens);
+  const declarations = [];
+
+  // Skips an annotation (@Name, @a.b.Name or @Name(...)) and returns the next token index
+  const skipAnnotation = index => {
+    let i = index + 1;
+    while (tokens[i] && tokens[i].type === 'identifier' && tokens[i + 1] && tokens[i + 1].value === '.') i += 2;
+    i++;
+    return tokens[i] && tokens[i].value === '(' ? pairs.get(i) + 1 : i;
+  };
+
+  // Finds the first token index after enum constants, or the end of the body if there are none
+  const skipEnumConstants = (start, end) => {
+    for (let i = start; i < end; i++) {
+      if (tokens[i].value === ';') return i + 1;
+      if (pairs.has(i)) i = pairs.get(i);
+    }
+    return end;
+  };
+
+  const parseMembers = (start, end, parent) => {
+    let memberStart = start;
+    let inInitializer = false;
+    let i = start;
+
+    while (i < end) {
+      const token = tokens[i];
+      const next = tokens[i + 1];
+      const previous = tokens[i - 1];
+
+      if (token.value === '@' && next && next.value !== 'interface') {
+        i = skipAnnotation(i);
+        continue;
+      }
+
+      if (token.value === ';') {
+        i++;
+        memberStart = i;
+        inInitializer = false;
+        continue;
+      }
+
+      if (token.value === '=') {
+        inInitializer = true;
+      }
+
+      // Type declarations (Foo.class literals are not declarations)
+      const isAnnotationType = token.value === '@' && next && next.value === 'interface';
+      const isTypeKeyword = token.type === 'identifier' && TYPE_KEYWORDS[token.value] &&
+        !(previous && previous.value === '.') && next && next.type === 'identifier';
+
+      if (!inInitializer && (isAnnotationType || isTypeKeyword)) {
+        const nameToken = isAnnotationType ? tokens[i + 2] : next;
+        let open = i + 1;
+        while (open < end && tokens[open].value !== '{') {
+          open = pairs.has(open) ? pairs.get(open) + 1 : open + 1;
+        }
+        if (open >= end || !nameToken) break;
+
+        const close = pairs.get(open);
+        const type = isAnnotationType ? 'AnnotationDeclaration' : TYPE_KEYWORDS[token.value];
+        declarations.push({
+          type,
+          name: nameToken.value,
+          parent,
+          start: tokens[memberStart].start,
+          end: tokens[close].end
+        });
+
+        const bodyStart = type === 'EnumDeclaration' ? skipEnumConstants(open + 1, close) : open + 1;
+        parseMembers(bodyStart, close, nameToken.value);
+
+        i = close + 1;
+        memberStart = i;
+        continue;
+      }
+
+      // Methods and constructors: name(...) [throws ...] { ... } or ;
+      if (!inInitializer && token.value === '(' && previous && previous.type === 'identifier' &&
+          !NON_METHOD_WORDS.has(previous.value) && parent !== null) {
+        let j = pairs.get(i) + 1;
+        while (j < end && tokens[j].value !== '{' && tokens[j].value !== ';') {
+          j = pairs.has(j) ? pairs.get(j) + 1 : j + 1;
+        }
+
+        if (j < end && tokens[j].value === '{') {
+          const close = pairs.get(j);
+          declarations.push({
+            type: previous.value === parent ? 'ConstructorDeclaration' : 'MethodDeclaration',
+            name: previous.value,
+            parent,
+            start: tokens[memberStart].start,
+            end: tokens[close].end
+          });
+          i = close + 1;
+        } else {
+          // Abstract or interface method without a body
+          i = j + 1;
+        }
+        memberStart = i;
+        inInitializer = false;
+        continue;
+      }
+
+      // Initializer blocks, anonymous classes and array initializers are skipped as a whole
+      if (pairs.has(i)) {
+        const isBlock = token.value === '{';
+        i = pairs.get(i) + 1;
+        if (isBlock && !inInitializer) {
+          memberStart = i;
+        }
+        continue;
+      }
+
+      i++;
+    }
+  };
+
+  parseMembers(0, tokens.length, null);
+
+  return declarations.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Extends a declaration start backwards to include a directly preceding Javadoc comment
+ * @param {string} content - Java source
+ * @param {number} start - Declaration start offset
+ * @returns {number} - Adjusted start offset
+ */
+function includeJavadoc(content, start) {
+  const before = content.substring(0, start).trimEnd();
+  if (!before.endsWith('*/')) {
+    return start;
+  }
+
+  const docStart = before.lastIndexOf('/**');
+  if (docStart === -1 || before.substring(docStart + 3, before.length - 2).includes('*/')) {
+    return start;
+  }
+  return docStart;
+}
+
+/**
+ * Converts a character offset to a 1-based line number
+ * @param {string} content - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} - Line number
+ */
+function lineAt(content, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (content.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Process Java file and extract chunks
+ * @param {string} content - Java file content
+ * @param {string} filePath - Path to Java file
+ * @returns {Array<{type: string, name: string, code: string, path: string, parent: string, startLine: number, endLine: number}>}
+ *   - Array of code chunks; parent is the enclosing type for nested declarations
+ */
+function processJavaFile(content, filePath) {
+  const fileChunk = () => [{
+    type: 'File',
+    name: path.basename(filePath),
+    code: content,
+    path: filePath
+  }];
+
+  try {
+    // Add a safety check - make sure content is valid
+    if (!content || typeof content !== 'string' || content.length === 0) {
+      throw new Error('Invalid or empty content');
+    }
+
+    // If file is extremely large, return it unparsed as a single chunk
+    if (content.length > 500000) { // 500KB
+      console.log(`File too large for Java parsing: ${filePath} (${Math.round(content.length/1024)}KB)`);
+      return fileChunk();
+    }
+
+    const chunks = parseJava(content).map(declaration => {
+      const start = includeJavadoc(content, declaration.start);
+      const code = content.substring(start, declaration.end);
+      return {
+        type: declaration.type,
+        name: declaration.name,
+        code,
+        path: filePath,
+        ...(declaration.parent ? { parent: declaration.parent } : {}),
+        startLine: lineAt(content, start),
+        endLine: lineAt(content, declaration.end)
+      };
+    });
+
+    // If no valid chunks were found, return the whole file
+    return chunks.length > 0 ? chunks : fileChunk();
+  } catch (error) {
+    // If any unexpected error occurs, return the file as a whole
+    return fileChunk();
+  }
+}
+
+/**
+ * Suggests edge cases to test based on Java code patterns
+ * @param {string} code - Java code to analyze
+ * @returns {Array<string>} - Array of suggested edge cases
+ */
+function suggestJavaEdgeCases(code) {
+  const edgeCases = [];
+  const masked = maskJavaLiterals(code);
+
+  // Check for collection and stream operations
+  if (/\b(List|Map|Set|Collection|Queue|Deque)\s*</.test(masked) || masked.includes('.stream()')) {
+    edgeCases.push('Test with an empty collection');
+    edgeCases.push('Test with a very large collection (performance)');
+  }
+
+  // Check for map lookups
+  if (masked.includes('.get(') && /\bMap\b/.test(masked)) {
+    edgeCases.push('Test with missing keys (get returns null)');
+  }
+
+  // Check for string operations
+  if (masked.includes('.substring(') || masked.includes('.split(') ||
+      masked.includes('.charAt(') || masked.includes('.indexOf(')) {
+    edgeCases.push('Test with an empty string');
+    edgeCases.push('Test with special characters and Unicode');
+  }
+
+  // Check for null handling
+  if (!masked.includes('== null') && !masked.includes('!= null') &&
+      !masked.includes('Objects.requireNonNull') && !masked.includes('Optional')) {
+    edgeCases.push('Test with null arguments');
+  }
+
+  // Check for Optional usage
+  if (masked.includes('Optional')) {
+    edgeCases.push('Test with an empty Optional');
+  }
+
+  // Check for number parsing and arithmetic
+  if (/\b(Integer|Long|Double)\.parse\w*\(/.test(masked)) {
+    edgeCases.push('Test with malformed numeric strings (NumberFormatException)');
+  }
+  if (/[^/*]\/[^/*=]/.test(masked) || masked.includes('%')) {
+    edgeCases.push('Test with a zero divisor');
+    edgeCases.push('Test with Integer.MAX_VALUE/MIN_VALUE (overflow)');
+  }
+
+  // Check for array indexing
+  if (/\w\s*\[\s*[\w+-]+\s*\]/.test(masked)) {
+    edgeCases.push('Test array boundaries (empty array, first and last index)');
+  }
+
+  // Check for concurrency
+  if (/\b(synchronized|Thread|ExecutorService|CompletableFuture|AtomicInteger|ConcurrentHashMap)\b/.test(masked)) {
+    edgeCases.push('Test concurrent access from multiple threads');
+    edgeCases.push('Test interruption and timeouts');
+  }
+
+  // Check for I/O and resources
+  if (/\b(InputStream|OutputStream|Reader|Writer|Files|Connection|Socket)\b/.test(masked)) {
+    edgeCases.push('Test missing files and I/O failures');
+    if (!masked.includes('try (')) {
+      edgeCases.push('Use try-with-resources so streams and connections are always closed');
+    }
+  }
+
+  // Check for declared exceptions
+  if (/\bthrows\b/.test(masked) || /\bthrow\s+new\b/.test(masked)) {
+    edgeCases.push('Test that invalid input raises the documented exceptions');
+  }
+
+  return edgeCases;
+}
+
+module.exports = {
+  tokenizeJava,
+  maskJavaLiterals,
+  parseJava,
+  processJavaFile,
+  suggestJavaEdgeCases
+};
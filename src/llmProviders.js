@@ -0,0 +1,182 @@
+/**
+ * LLM Providers Module
+ *
+ * Registry of chat model providers. Built-in entries can be overridden and new
+ * ones added through the "providers" section of .code-connoisseur/config.json,
+ * including OpenAI-compatible local servers (llama.cpp, Ollama, vLLM)
+ */
+
+const { ChatOpenAI } = require('@langchain/openai');
+const { ChatAnthropic } = require('@langchain/anthropic');
+const { throttleChatModel } = require('./throttle');
+
+// Supported provider types and the LangChain client each one uses
+const PROVIDER_TYPES = ['anthropic', 'openai', 'openai-compatible'];
+
+// Built-in providers; config entries with the same name override individual fields
+const DEFAULT_PROVIDERS = {
+  anthropic: {
+    type: 'anthropic',
+    model: 'claude-3-7-sonnet-20250219',
+    temperature: 0.3,
+    maxTokens: 4096,
+    contextWindow: 200000,
+    requestsPerMinute: 50,
+    apiKeyEnv: 'ANTHROPIC_API_KEY'
+  },
+  openai: {
+    type: 'openai',
+    model: 'gpt-4-turbo',
+    temperature: 0.3,
+    maxTokens: 4096,
+    contextWindow: 128000,
+    requestsPerMinute: 60,
+    apiKeyEnv: 'OPENAI_API_KEY'
+  },
+  local: {
+    type: 'openai-compatible',
+    model: 'llama3.1',
+    temperature: 0.2,
+    maxTokens: 2048,
+    contextWindow: 8192,
+    // A local server is only limited by its own throughput
+    requestsPerMinute: 0,
+    // Ollama's OpenAI-compatible endpoint; llama.cpp's server uses http://localhost:8080/v1
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY'
+  }
+};
+
+// Values left in .env files by the setup templates
+const PLACEHOLDER_KEYS = [
+  'placeholder',
+  'your_openai_api_key_here',
+  'your_anthropic_api_key_here'
+];
+
+/**
+ * Merges provider settings from the config over the built-in providers
+ * @param {Object} configuredProviders - The "providers" section of the config
+ * @returns {Object<string, Object>} - Provider settings by name
+ */
+function resolveProviders(configuredProviders = {}) {
+  const providers = {};
+
+  for (const name of new Set([...Object.keys(DEFAULT_PROVIDERS), ...Object.keys(configuredProviders || {})])) {
+    providers[name] = { name, ...DEFAULT_PROVIDERS[name], ...(configuredProviders || {})[name] };
+  }
+
+  return providers;
+}
+
+/**
+ * Gets the settings of a single provider
+ * @param {string} name - Provider name
+ * @param {Object} configuredProviders - The "providers" section of the config
+ * @returns {{name: string, type: string, model: string, temperature: number, maxTokens: number,
+ *   contextWindow: number, maxPromptTokens: number, requestsPerMinute: number, maxRetries: number, baseUrl: string,
+ *   apiKeyEnv: string}} - Provider settings
+ * @throws {Error} - If the provider is unknown or misconfigured
+ */
+function getProviderConfig(name, configuredProviders = {}) {
+  const providers = resolveProviders(configuredProviders);
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+  if (!PROVIDER_TYPES.includes(provider.type)) {
+    throw new Error(`LLM provider "${name}" has unsupported type "${provider.type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+  }
+  if (!provider.model) {
+    throw new Error(`LLM provider "${name}" does not set a model`);
+  }
+  if (provider.type === 'openai-compatible' && !provider.baseUrl) {
+    throw new Error(`LLM provider "${name}" is OpenAI-compatible and needs a baseUrl`);
+  }
+
+  return provider;
+}
+
+/**
+ * Reads the API key of a provider from its environment variable
+ * @param {Object} provider - Provider settings
+ * @returns {string|null} - API key, or null if unset or a template placeholder
+ */
+function getProviderApiKey(provider) {
+  const key = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : null;
+  return key && !PLACEHOLDER_KEYS.includes(key) ? key : null;
+}
+
+/**
+ * Checks that a provider has the credentials it needs
+ * @param {Object} provider - Provider settings
+ * @returns {{valid: boolean, error: string|null, warning: string|null}} - Validation result; warnings flag
+ *   keys that look unusual but may still work (proxies, gateways)
+ */
+function validateProviderKey(provider) {
+  const key = getProviderApiKey(provider);
+
+  // Local servers usually don't check keys at all
+  if (provider.type === 'openai-compatible') {
+    return { valid: true, error: null, warning: null };
+  }
+
+  if (!key) {
+    return { valid: false, error: `${provider.apiKeyEnv} is not set (needed by LLM provider "${provider.name}")`, warning: null };
+  }
+
+  const expectedPrefix = provider.type === 'anthropic' ? 'sk-ant-' : 'sk-';
+  const warning = !provider.baseUrl && !key.startsWith(expectedPrefix)
+    ? `${provider.apiKeyEnv} does not start with "${expectedPrefix}" - check that it is a valid key`
+    : null;
+
+  return { valid: true, error: null, warning };
+}
+
+/**
+ * Creates the chat model for a provider, with the provider's rate limit and retry policy applied
+ * @param {string} name - Provider name
+ * @param {Object} configuredProviders - The "providers" section of the config
+ * @returns {{llm: Object, provider: Object}} - Chat model and the settings it was created from
+ * @throws {Error} - If the provider is unknown or its API key is missing
+ */
+function createChatModel(name, configuredProviders = {}) {
+  const provider = getProviderConfig(name, configuredProviders);
+  const { valid, error } = validateProviderKey(provider);
+  if (!valid) {
+    throw new Error(error);
+  }
+
+  const apiKey = getProviderApiKey(provider);
+
+  // Retries are handled by throttleChatModel, so LangChain's own retries are turned off
+  const model = provider.type === 'anthropic'
+    ? new ChatAnthropic({
+      anthropicApiKey: apiKey,
+      modelName: provider.model,
+      temperature: provider.temperature,
+      maxTokens: provider.maxTokens,
+      maxRetries: 0,
+      ...(provider.baseUrl ? { anthropicApiUrl: provider.baseUrl } : {})
+    })
+    : new ChatOpenAI({
+      // The OpenAI client refuses to start without a key, even for servers that ignore it
+      openAIApiKey: apiKey || 'not-needed',
+      modelName: provider.model,
+      temperature: provider.temperature,
+      maxTokens: provider.maxTokens,
+      maxRetries: 0,
+      ...(provider.baseUrl ? { configuration: { baseURL: provider.baseUrl } } : {})
+    });
+
+  return { provider, llm: throttleChatModel(model, provider) };
+}
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  resolveProviders,
+  getProviderConfig,
+  validateProviderKey,
+  createChatModel
+};
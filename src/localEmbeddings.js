@@ -0,0 +1,153 @@
+/**
+ * Local Embeddings Module
+ *
+ * Deterministic, offline embedding backend based on hashed identifier and
+ * character n-gram features, so context retrieval works without an OpenAI key
+ */
+
+// Bump the version whenever tokenization or weighting changes so indexes get rebuilt
+const MODEL_ID = 'hashed-ngram-v1';
+const DEFAULT_DIMENSION = 1536;
+
+// Weight of each feature family in the final vector
+const FEATURE_WEIGHTS = {
+  identifier: 1.0,
+  subword: 0.7,
+  trigram: 0.25
+};
+
+// Language keywords carry little meaning for retrieval, so they are down-weighted
+const KEYWORDS = new Set([
+  // JavaScript / TypeScript
+  'function', 'return', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'do', 'switch', 'case',
+  'break', 'continue', 'new', 'this', 'class', 'extends', 'import', 'export', 'from', 'default',
+  'async', 'await', 'try', 'catch', 'finally', 'throw', 'typeof', 'instanceof', 'null', 'undefined',
+  'true', 'false', 'require', 'module', 'exports', 'interface', 'type', 'enum', 'public', 'private',
+  'protected', 'static', 'readonly', 'void', 'string', 'number', 'boolean', 'any',
+  // Python
+  'def', 'self', 'none', 'elif', 'pass', 'lambda', 'yield', 'with', 'as', 'in', 'is', 'not', 'and',
+  'or', 'global', 'nonlocal', 'raise', 'except', 'assert', 'del', 'cls',
+  // Java
+  'package', 'implements', 'final', 'abstract', 'synchronized', 'throws', 'int', 'long', 'double',
+  'float', 'char', 'byte', 'short', 'super'
+]);
+const KEYWORD_WEIGHT = 0.1;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @param {number} seed - Hash seed, used to derive independent hash functions
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Splits an identifier into lowercase subwords (camelCase, PascalCase, snake_case, kebab-case)
+ * @param {string} identifier - Identifier to split
+ * @returns {string[]} - Subwords
+ */
+function splitIdentifier(identifier) {
+  return identifier
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_\-$]+/)
+    .map(part => part.toLowerCase())
+    .filter(part => part.length > 1 && !/^\d+$/.test(part));
+}
+
+/**
+ * Extracts weighted features from source code or a search query
+ * @param {string} text - Code or query text
+ * @returns {Map<string, number>} - Feature name to accumulated weight
+ */
+function extractFeatures(text) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  const identifiers = (text || '').match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || [];
+
+  for (const identifier of identifiers) {
+    const lower = identifier.toLowerCase();
+    const keywordFactor = KEYWORDS.has(lower) ? KEYWORD_WEIGHT : 1;
+
+    add(`i:${lower}`, FEATURE_WEIGHTS.identifier * keywordFactor);
+
+    const subwords = splitIdentifier(identifier);
+    if (subwords.length > 1) {
+      subwords.forEach(subword => add(`s:${subword}`, FEATURE_WEIGHTS.subword * keywordFactor));
+    }
+
+    // Character trigrams let related spellings (user/users, parse/parser) overlap
+    for (const subword of subwords.length > 0 ? subwords : [lower]) {
+      const padded = `^${subword}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.substring(i, i + 3)}`, FEATURE_WEIGHTS.trigram * keywordFactor);
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Embeddings implementation using the hashing trick over code features.
+ * Exposes the same embedDocuments/embedQuery interface as LangChain embeddings.
+ */
+class HashingEmbeddings {
+  constructor(options = {}) {
+    this.dimension = options.dimension || DEFAULT_DIMENSION;
+    this.model = MODEL_ID;
+  }
+
+  /**
+   * Embeds a single text into a normalized vector
+   * @param {string} text - Text to embed
+   * @returns {number[]} - Embedding vector
+   */
+  embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    for (const [feature, weight] of extractFeatures(text)) {
+      const index = fnv1a(feature) % this.dimension;
+      // A second hash picks the sign so collisions cancel out instead of piling up
+      const sign = fnv1a(feature, 0x9747b28c) & 1 ? 1 : -1;
+      // Sublinear term frequency keeps repeated tokens from dominating
+      vector[index] += sign * (1 + Math.log(weight + 1));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * Embeds a list of documents
+   * @param {string[]} texts - Documents to embed
+   * @returns {Promise<number[][]>} - Embedding vectors
+   */
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  /**
+   * Embeds a search query
+   * @param {string} text - Query text
+   * @returns {Promise<number[]>} - Embedding vector
+   */
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+module.exports = {
+  HashingEmbeddings,
+  extractFeatures,
+  splitIdentifier,
+  MODEL_ID
+};
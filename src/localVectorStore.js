@@ -0,0 +1,857 @@
+/**
+ * Local Vector Store Module
+ *
+ * Vector store backend keeping each index in a directory of the project:
+ * chunk metadata in JSON batches, vectors in a packed binary file and an
+ * HNSW graph for searching
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { HnswIndex, DEFAULT_EF_SEARCH } = require('./hnswIndex');
+const { ENCODINGS, encodeVectorFile, decodeVectorFile } = require('./vectorFile');
+const { matchesFilter, formatBytes } = require('./vectorStoreUtils');
+
+// Local storage path for vectors - store in the current repository
+// This will create a .code-connoisseur directory in the project root
+const LOCAL_VECTOR_PATH = path.join(process.cwd(), '.code-connoisseur', 'vectors');
+
+// Alternate storage path, used when the primary one is not writable
+const ALTERNATE_VECTOR_PATH = path.join(process.cwd(), '.code-connoisseur-alt', 'vectors');
+
+// Location of indexes created by early versions, migrated into the project when found
+const LEGACY_HOME_VECTOR_PATH = path.join(process.env.HOME || process.env.USERPROFILE || '.', '.code-connoisseur-vectors');
+
+// Packed vectors of a local index, stored next to its metadata batches
+const VECTOR_FILE = 'vectors.bin';
+
+// Approximate nearest neighbour graph of a local index, stored next to its batches
+const GRAPH_FILE = 'hnsw.bin';
+
+// Vector batch files of indexes stored as JSON, before the binary vector file
+const JSON_VECTOR_BATCH_PATTERN = /^(vec|vectors)-\d+\.json$/;
+
+// Filtered queries matching at most this many chunks score them all instead of searching the graph
+const EXACT_SEARCH_LIMIT = 2000;
+
+// Local indexes loaded for searching, by directory, so each process reads an index only once
+const loadedLocalIndexes = new Map();
+
+// Migrations of JSON indexes to the binary vector file, by directory, so parallel lookups share one
+const localIndexMigrations = new Map();
+
+// Indexes already reported missing, so a review searching many times warns only once
+const reportedMissingIndexes = new Set();
+
+// Encoding of local vectors: float32, or int8 for a quarter of the size at slightly lower precision
+let vectorEncoding = process.env.VECTOR_ENCODING || 'float32';
+
+/**
+ * Selects how local indexes store their vectors from the next time they are written
+ * @param {string} encoding - Vector encoding (float32 or int8)
+ */
+function setVectorEncoding(encoding) {
+  if (encoding && !(encoding in ENCODINGS)) {
+    throw new Error(`Unknown vector encoding: ${encoding} (expected float32 or int8)`);
+  }
+  vectorEncoding = encoding || 'float32';
+}
+
+/**
+ * Vector store backend for indexes in local files
+ */
+class LocalVectorStore {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * Checks whether an index exists
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if the index exists
+   */
+  async exists(indexName) {
+    return (await findStorageLocation(indexName)) !== null;
+  }
+
+  /**
+   * Lists the indexes in the project
+   * @returns {Promise<string[]>} - Index names
+   */
+  async list() {
+    const names = new Set();
+    for (const vectorsDir of [LOCAL_VECTOR_PATH, ALTERNATE_VECTOR_PATH]) {
+      if (!await fs.pathExists(vectorsDir)) continue;
+      for (const item of await fs.readdir(vectorsDir)) {
+        if ((await fs.stat(path.join(vectorsDir, item))).isDirectory()) {
+          names.add(item);
+        }
+      }
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Adds chunks to an index, replacing stored chunks with the same IDs
+   * @param {string} indexName - Name of the index
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store
+   * @param {Object} options - Upsert options
+   * @param {boolean} options.replace - Drop everything already stored first
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<void>}
+   */
+  async upsert(indexName, chunks, options = {}) {
+    if (options.replace) {
+      await storeLocalIndex(chunks, indexName, options.embedding);
+    } else {
+      await this.replaceFiles(indexName, [], chunks, options);
+    }
+  }
+
+  /**
+   * Removes all chunks of the given files from an index
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files
+   * @returns {Promise<number>} - Number of chunks removed
+   */
+  async deleteByPath(indexName, filePaths) {
+    return this.replaceFiles(indexName, filePaths, []);
+  }
+
+  /**
+   * Removes all chunks of the given files and adds new chunks in a single write of the index
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files whose chunks are removed
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store, replacing stored
+   *   chunks with the same IDs
+   * @param {Object} options - Update options
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<number>} - Number of chunks removed from the given files
+   */
+  async replaceFiles(indexName, filePaths, chunks, options = {}) {
+    const indexDir = await getStorageLocation(indexName);
+    const storedChunks = indexDir ? await readLocalIndex(indexDir) : [];
+    const stalePaths = new Set(filePaths);
+    const newIds = new Set(chunks.map(chunk => chunk.id));
+    const keptChunks = storedChunks.filter(chunk => !stalePaths.has(chunk.metadata.path) && !newIds.has(chunk.id));
+    const removed = storedChunks.filter(chunk => stalePaths.has(chunk.metadata.path)).length;
+    if (chunks.length === 0 && removed === 0) {
+      return 0;
+    }
+    
+    let embedding = options.embedding;
+    if (chunks.length === 0) {
+      // Only removals, so the index keeps the embedding backend its vectors were made with
+      const indexMeta = await readIndexMeta(indexDir) || {};
+      embedding = { ...indexMeta.embedding, dimension: indexMeta.dimension ?? storedChunks[0].values.length };
+    }
+    
+    if (indexDir) {
+      console.log(`Keeping ${keptChunks.length} stored embeddings`);
+    }
+    await storeLocalIndex([...keptChunks, ...chunks], indexName, embedding);
+    return removed;
+  }
+
+  /**
+   * Finds the chunks nearest to a query vector
+   * @param {string} indexName - Name of the index
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} options - Query options
+   * @param {number} options.topK - Number of results
+   * @param {Object} options.filter - Metadata filter (see matchesFilter)
+   * @param {Object} options.searchFilter - Compiled search filter (see createSearchFilter)
+   * @param {boolean} options.quiet - Don't report the storage location
+   * @returns {Promise<Array<{id: string, metadata: object, score: number}>>} - Nearest chunks, best first
+   */
+  async query(indexName, vector, options = {}) {
+    const topK = options.topK || 5;
+    const { filter, searchFilter } = options;
+    
+    // Get the storage location - might be standard or alternate
+    const indexDir = await getStorageLocation(indexName);
+    if (!indexDir) {
+      if (!reportedMissingIndexes.has(indexName)) {
+        reportedMissingIndexes.add(indexName);
+        console.warn(`Index ${indexName} not found in any storage location`);
+      }
+      return [];
+    }
+    
+    if (!options.quiet) {
+      console.log(`Using storage location: ${indexDir}`);
+    }
+    
+    const indexMeta = await readIndexMeta(indexDir);
+    const { graph, metadataById } = await loadLocalSearchIndex(indexDir, indexMeta ? indexMeta.updated : undefined);
+    const ef = Math.max(DEFAULT_EF_SEARCH, topK);
+    
+    // The graph returns the nearest chunks, best first, without comparing against every stored vector
+    let matches;
+    if (!filter && !searchFilter) {
+      matches = graph.search(vector, topK, ef);
+    } else {
+      const candidates = [...metadataById]
+        .filter(([, metadata]) => matchesFilter(metadata, filter) && (!searchFilter || searchFilter.test(metadata)))
+        .map(([id]) => id);
+      if (candidates.length <= EXACT_SEARCH_LIMIT) {
+        matches = graph.scoreIds(vector, candidates).slice(0, topK);
+      } else {
+        const accepted = new Set(candidates);
+        matches = graph.searchFiltered(vector, topK, id => accepted.has(id), ef);
+      }
+    }
+    
+    return matches.map(match => ({
+      id: match.id,
+      metadata: metadataById.get(match.id),
+      score: match.score
+    }));
+  }
+
+  /**
+   * Gets the embedding backend an index was built with
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<{provider: string, model: string}|null>} - Embedding backend, or null if not recorded
+   */
+  async getEmbedding(indexName) {
+    const indexDir = await findStorageLocation(indexName);
+    const indexMeta = indexDir ? await readIndexMeta(indexDir) : null;
+    return indexMeta && indexMeta.embedding ? indexMeta.embedding : null;
+  }
+
+  /**
+   * Describes an index
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<Object|null>} - Index statistics (see vectorStore.getIndexStats), or null if it doesn't exist
+   */
+  async stats(indexName) {
+    const indexDir = await findStorageLocation(indexName);
+    if (!indexDir) {
+      return null;
+    }
+    
+    const indexMeta = await readIndexMeta(indexDir) || {};
+    let size = 0;
+    for (const file of await fs.readdir(indexDir)) {
+      size += (await fs.stat(path.join(indexDir, file))).size;
+    }
+    
+    return {
+      name: indexName,
+      backend: this.name,
+      chunkCount: indexMeta.chunkCount ?? null,
+      dimension: indexMeta.dimension ?? null,
+      embedding: indexMeta.embedding || null,
+      created: indexMeta.created || null,
+      updated: indexMeta.updated || null,
+      location: indexDir,
+      size,
+      details: indexMeta.vectorEncoding ? `${indexMeta.vectorEncoding} vectors` : null
+    };
+  }
+
+  /**
+   * Deletes an index from the project
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if there was an index to delete
+   */
+  async drop(indexName) {
+    let dropped = false;
+    for (const indexDir of [path.join(LOCAL_VECTOR_PATH, indexName), path.join(ALTERNATE_VECTOR_PATH, indexName)]) {
+      if (await fs.pathExists(indexDir)) {
+        await fs.remove(indexDir);
+        loadedLocalIndexes.delete(indexDir);
+        dropped = true;
+      }
+    }
+    // Location files pointing to an alternate directory
+    await fs.remove(path.join(LOCAL_VECTOR_PATH, `${indexName}-location.json`));
+    await fs.remove(path.join(process.cwd(), '.code-connoisseur', 'metadata', `${indexName}-location.json`));
+    return dropped;
+  }
+}
+
+/**
+ * Reads the metadata file of a local index
+ * @param {string} indexDir - Directory of the local index
+ * @returns {Promise<Object|null>} - Index metadata, or null if it is missing or unreadable
+ */
+async function readIndexMeta(indexDir) {
+  try {
+    return await fs.readJson(path.join(indexDir, 'meta.json'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores all chunks of a local index in chunked local files to handle large datasets
+ * @param {Array<{id: string, values: number[], metadata: object}>} embeddedChunks - Array of embedded chunks
+ * @param {string} indexName - Name of the local storage directory
+ * @param {{provider: string, model: string, dimension: number}} embedding - Embedding backend of the vectors
+ *   (provider and model are left out for indexes that never recorded them)
+ * @returns {Promise<void>}
+ */
+async function storeLocalIndex(embeddedChunks, indexName, embedding) {
+  console.log(`Storing ${embeddedChunks.length} embeddings locally in: ${indexName}`);
+  
+  // Get or create a writable directory for storage
+  let indexDir;
+  try {
+    // Create the vector store directory if it doesn't exist
+    await fs.ensureDir(LOCAL_VECTOR_PATH);
+    console.log(`Using vector storage directory: ${LOCAL_VECTOR_PATH}`);
+    
+    // Check if we have write permissions by writing a test file
+    const testFilePath = path.join(LOCAL_VECTOR_PATH, 'test-write-permission.txt');
+    await fs.writeFile(testFilePath, 'test', { flag: 'w' });
+    await fs.unlink(testFilePath); // Remove test file if successful
+    
+    // Create a specific directory for this index
+    indexDir = path.join(LOCAL_VECTOR_PATH, indexName);
+    await fs.ensureDir(indexDir);
+    
+    // Make sure the permissions are set correctly
+    try {
+      // On Unix-like systems, ensure user has read/write permissions
+      if (process.platform !== 'win32') {
+        await fs.chmod(LOCAL_VECTOR_PATH, 0o755);
+        await fs.chmod(indexDir, 0o755);
+      }
+    } catch (chmodError) {
+      console.warn(`Could not set permissions: ${chmodError.message}`);
+      // Continue anyway, the write test passed
+    }
+  } catch (dirError) {
+    // If there was an error creating the directory or checking permissions
+    console.error(`Error with vector storage directory: ${dirError.message}`);
+    
+    // Try an alternative directory within the repository in case of permission issues
+    try {
+      console.log(`Trying alternate storage location: ${ALTERNATE_VECTOR_PATH}`);
+      
+      await fs.ensureDir(ALTERNATE_VECTOR_PATH);
+      // Update the path for this session only
+      indexDir = path.join(ALTERNATE_VECTOR_PATH, indexName);
+      await fs.ensureDir(indexDir);
+    } catch (altError) {
+      // If all else fails, throw the original error
+      throw dirError;
+    }
+  }
+  
+  // Create index metadata file, keeping the creation date of an existing index
+  const indexMetaPath = path.join(indexDir, 'meta.json');
+  let created = new Date().toISOString();
+  try {
+    if (await fs.pathExists(indexMetaPath)) {
+      created = (await fs.readJson(indexMetaPath)).created || created;
+    }
+  } catch (error) {
+    // Unreadable metadata is rewritten below
+  }
+  
+  const updated = new Date().toISOString();
+  await fs.writeJson(indexMetaPath, {
+    name: indexName,
+    dimension: embedding.dimension,
+    metric: 'cosine',
+    // Record the embedding backend so queries are embedded into the same vector space
+    ...(embedding.provider ? { embedding: { provider: embedding.provider, model: embedding.model } } : {}),
+    chunkCount: embeddedChunks.length,
+    vectorEncoding,
+    created,
+    updated,
+    path: indexDir // Store the actual path used
+  }, { spaces: 2 });
+  
+  try {
+    const storedChunks = await writeLocalIndexFiles(indexDir, embeddedChunks, vectorEncoding);
+    
+    // Update the search graph in place: unchanged chunks keep their links, new and changed ones are inserted.
+    // The graph is built from the vectors as stored, so the next process finds them unchanged
+    const { graph } = await syncLocalGraph(indexDir, storedChunks);
+    await fs.writeFile(path.join(indexDir, GRAPH_FILE), graph.serialize());
+    loadedLocalIndexes.set(indexDir, Promise.resolve({
+      updated,
+      graph,
+      metadataById: new Map(embeddedChunks.map(chunk => [chunk.id, chunk.metadata]))
+    }));
+    console.log(`Storage location: ${indexDir}`);
+    
+    // Create a .location file in the metadata directory to help find the alternate location
+    if (!indexDir.startsWith(LOCAL_VECTOR_PATH)) {
+      try {
+        const metaDir = path.join(process.cwd(), '.code-connoisseur', 'metadata');
+        await fs.ensureDir(metaDir);
+        await fs.writeJson(path.join(metaDir, `${indexName}-location.json`), {
+          alternate_path: indexDir,
+          created: new Date().toISOString()
+        });
+      } catch (locationError) {
+        // Ignore errors writing the location file, it's just a convenience
+      }
+    }
+    
+    console.log('All embeddings stored successfully locally in chunked format');
+  } catch (storageError) {
+    console.error(`Failed to store embeddings: ${storageError.message}`);
+    throw storageError;
+  }
+}
+
+/**
+ * Writes the chunks of a local index: metadata in JSON batches and all vectors in one binary vector file
+ * @param {string} indexDir - Directory of the local index
+ * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store
+ * @param {string} encoding - Vector encoding (float32 or int8)
+ * @returns {Promise<Array<{id: string, values: Float32Array, metadata: object}>>} - The chunks with their vectors as
+ *   stored, which int8 encoding rounds
+ */
+async function writeLocalIndexFiles(indexDir, chunks, encoding) {
+  // Store metadata in batches to avoid "Invalid string length" error
+  const BATCH_SIZE = 500; // Smaller batches to avoid JSON stringify limits
+  const totalBatches = Math.ceil(chunks.length / BATCH_SIZE);
+  
+  console.log(`Splitting metadata into ${totalBatches} batches of ${BATCH_SIZE} chunks each`);
+  
+  // Save index mappings for batch lookup
+  const indexMappings = {};
+  let lastProgressReport = 0;
+  
+  // Create path mapping lookup to reduce duplicate file storage
+  const pathMappings = {};
+  let pathId = 0;
+  
+  // Function to get or create a path ID for deduplication
+  const getPathId = (filepath) => {
+    if (!pathMappings[filepath]) {
+      pathMappings[filepath] = `p${pathId++}`;
+    }
+    return pathMappings[filepath];
+  };
+  
+  // Progress tracking
+  for (let i = 0; i < totalBatches; i++) {
+    const start = i * BATCH_SIZE;
+    const end = Math.min(start + BATCH_SIZE, chunks.length);
+    const batchChunks = chunks.slice(start, end);
+    
+    // Only log progress occasionally to reduce console spam
+    const progress = Math.floor((i / totalBatches) * 100);
+    if (progress >= lastProgressReport + 10 || i === 0 || i === totalBatches - 1) {
+      console.log(`Writing ${progress}% (batch ${i+1}/${totalBatches})`);
+      lastProgressReport = progress;
+    }
+    
+    const batchMetadata = batchChunks.map((chunk, idx) => {
+      // Store mapping from chunk ID to batch number for lookups
+      indexMappings[chunk.id] = {
+        batch: i,
+        index: idx
+      };
+      
+      // Use path ID instead of full path to reduce storage size
+      return {
+        id: chunk.id,
+        metadata: {
+          p: getPathId(chunk.metadata.path), // path ID for lookup
+          t: chunk.metadata.type, // shortened property name
+          n: chunk.metadata.name, // shortened property name
+          c: chunk.metadata.code, // shortened property name
+          ...(chunk.metadata.parent ? { pa: chunk.metadata.parent } : {}),
+          ...(chunk.metadata.startLine ? { sl: chunk.metadata.startLine, el: chunk.metadata.endLine } : {}),
+          ...(chunk.metadata.part ? { pt: chunk.metadata.part, ps: chunk.metadata.parts } : {})
+        }
+      };
+    });
+    
+    await fs.writeJson(path.join(indexDir, `meta-${i}.json`), batchMetadata);
+  }
+  
+  // Save path mappings for lookup
+  const pathMappingsPath = path.join(indexDir, 'paths.json');
+  await fs.writeJson(pathMappingsPath, pathMappings);
+  
+  // Save index mappings for fast lookup
+  const mappingsPath = path.join(indexDir, 'map.json');
+  await fs.writeJson(mappingsPath, indexMappings);
+  
+  // All vectors go into one file, in the same order as the metadata batches
+  const vectorFile = encodeVectorFile(chunks, { encoding });
+  await fs.writeFile(path.join(indexDir, VECTOR_FILE), vectorFile);
+  
+  // Remove JSON vector batches and metadata batches beyond the new end, now that the new files are complete
+  const existingFiles = await fs.readdir(indexDir);
+  for (const file of existingFiles) {
+    const metadataBatch = file.match(/^meta-(\d+)\.json$/);
+    if (JSON_VECTOR_BATCH_PATTERN.test(file) || /^metadata-\d+\.json$/.test(file) ||
+        (metadataBatch && Number(metadataBatch[1]) >= totalBatches)) {
+      await fs.remove(path.join(indexDir, file));
+    }
+  }
+  
+  console.log(`Saved ${chunks.length} chunks in ${totalBatches} batches and ${VECTOR_FILE} ` +
+    `(${encoding}, ${formatBytes(vectorFile.length)})`);
+  
+  const { vectors } = decodeVectorFile(vectorFile);
+  return chunks.map((chunk, index) => ({ ...chunk, values: vectors[index] }));
+}
+
+/**
+ * Loads a local index for searching, once per process and again after it was updated
+ * @param {string} indexDir - Directory of the local index
+ * @param {string} updated - Last update time from the index metadata
+ * @returns {Promise<{updated: string, graph: HnswIndex, metadataById: Map<string, Object>}>} - Search graph and
+ *   chunk metadata by chunk ID
+ */
+async function loadLocalSearchIndex(indexDir, updated) {
+  const loaded = loadedLocalIndexes.get(indexDir);
+  // Parallel reviews share one load instead of each reading the index
+  if (loaded && (await loaded).updated === updated) {
+    return loaded;
+  }
+  
+  const loading = (async () => {
+    const chunks = await readLocalIndex(indexDir);
+    const { graph, inserted } = await syncLocalGraph(indexDir, chunks);
+    
+    if (inserted > 0) {
+      try {
+        await fs.writeFile(path.join(indexDir, GRAPH_FILE), graph.serialize());
+      } catch (error) {
+        // The graph is rebuilt by the next process that needs it
+        console.warn(`Could not save search graph: ${error.message}`);
+      }
+    }
+    
+    return { updated, graph, metadataById: new Map(chunks.map(chunk => [chunk.id, chunk.metadata])) };
+  })();
+  
+  loadedLocalIndexes.set(indexDir, loading);
+  try {
+    return await loading;
+  } catch (error) {
+    loadedLocalIndexes.delete(indexDir);
+    throw error;
+  }
+}
+
+/**
+ * Brings the search graph of a local index up to date with its chunks, reusing the stored graph
+ * @param {string} indexDir - Directory of the local index
+ * @param {Array<{id: string, values: number[]}>} chunks - All chunks of the index
+ * @returns {Promise<{graph: HnswIndex, inserted: number}>} - Graph of exactly these chunks and the number of
+ *   chunks that had to be inserted
+ */
+async function syncLocalGraph(indexDir, chunks) {
+  const graphPath = path.join(indexDir, GRAPH_FILE);
+  const vectorsById = new Map(chunks.map(chunk => [chunk.id, chunk.values]));
+  
+  // Nodes of removed chunks and chunks with new vectors are dropped while loading
+  let graph = null;
+  try {
+    if (await fs.pathExists(graphPath)) {
+      graph = HnswIndex.deserialize(await fs.readFile(graphPath), id => vectorsById.get(id) || null);
+    }
+  } catch (error) {
+    console.warn(`Rebuilding search graph: ${error.message}`);
+  }
+  if (!graph) {
+    graph = new HnswIndex({ dimension: chunks.length > 0 ? chunks[0].values.length : 0 });
+  }
+  
+  const missing = chunks.filter(chunk => !graph.has(chunk.id));
+  if (missing.length > 0) {
+    console.log(`Adding ${missing.length} chunks to the search graph...`);
+    missing.forEach(chunk => graph.add(chunk.id, chunk.values));
+  }
+  
+  return { graph, inserted: missing.length };
+}
+
+/**
+ * Reads every stored chunk of a local index
+ * @param {string} indexDir - Directory of the local index
+ * @returns {Promise<Array<{id: string, values: Float32Array|number[], metadata: object}>>} - Stored chunks with full
+ *   metadata
+ */
+async function readLocalIndex(indexDir) {
+  const pathsPath = path.join(indexDir, 'paths.json');
+  
+  // Load path mappings if available
+  let pathMappings = {};
+  try {
+    if (await fs.pathExists(pathsPath)) {
+      pathMappings = await fs.readJson(pathsPath);
+    }
+  } catch (error) {
+    console.warn('Error loading path mappings:', error.message);
+  }
+  
+  // Invert the mappings once so path IDs resolve in constant time
+  const pathsById = {};
+  for (const [filePath, id] of Object.entries(pathMappings)) {
+    pathsById[id] = filePath;
+  }
+  
+  // Function to resolve path ID to full path
+  const resolvePath = (pathId) => pathsById[pathId] || pathId; // Return the ID if path not found
+  
+  const vectorFilePath = path.join(indexDir, VECTOR_FILE);
+  if (!await fs.pathExists(vectorFilePath)) {
+    return readJsonLocalIndex(indexDir, resolvePath);
+  }
+  
+  const { ids, vectors } = decodeVectorFile(await fs.readFile(vectorFilePath));
+  const metadataById = new Map();
+  for (let batchIndex = 0; await fs.pathExists(path.join(indexDir, `meta-${batchIndex}.json`)); batchIndex++) {
+    const metadataBatch = await fs.readJson(path.join(indexDir, `meta-${batchIndex}.json`));
+    for (const entry of metadataBatch) {
+      metadataById.set(entry.id, expandStoredMetadata(entry.metadata, resolvePath));
+    }
+  }
+  
+  const chunks = [];
+  ids.forEach((id, index) => {
+    if (metadataById.has(id)) {
+      chunks.push({ id, values: vectors[index], metadata: metadataById.get(id) });
+    }
+  });
+  
+  return chunks;
+}
+
+/**
+ * Reads a local index stored as JSON vector batches (vec-N.json, or vectors-N.json in early versions)
+ * @param {string} indexDir - Directory of the local index
+ * @param {Function} resolvePath - Resolves a stored path ID to the full path
+ * @returns {Promise<Array<{id: string, values: number[], metadata: object}>>} - Stored chunks with full metadata
+ */
+async function readJsonLocalIndex(indexDir, resolvePath) {
+  // Process each batch of vectors
+  const chunks = [];
+  let batchIndex = 0;
+  let batchExists = true;
+  
+  while (batchExists) {
+    const vectorPath = path.join(indexDir, `vec-${batchIndex}.json`);
+    const metadataPath = path.join(indexDir, `meta-${batchIndex}.json`);
+    
+    // Handle either old format or new format files
+    const oldVectorPath = path.join(indexDir, `vectors-${batchIndex}.json`);
+    const oldMetadataPath = path.join(indexDir, `metadata-${batchIndex}.json`);
+    
+    const vectorExists = await fs.pathExists(vectorPath) || await fs.pathExists(oldVectorPath);
+    const metaExists = await fs.pathExists(metadataPath) || await fs.pathExists(oldMetadataPath);
+    
+    if (vectorExists && metaExists) {
+      try {
+        // Load vectors and metadata for this batch
+        const useOldFormat = await fs.pathExists(oldVectorPath);
+        const actualVectorPath = useOldFormat ? oldVectorPath : vectorPath;
+        const actualMetadataPath = useOldFormat ? oldMetadataPath : metadataPath;
+        
+        const vectorBatch = await fs.readJson(actualVectorPath);
+        const metadataBatch = await fs.readJson(actualMetadataPath);
+        
+        for (let i = 0; i < vectorBatch.length; i++) {
+          chunks.push({
+            id: vectorBatch[i].id,
+            values: vectorBatch[i].values,
+            metadata: expandStoredMetadata(metadataBatch[i].metadata, resolvePath)
+          });
+        }
+        
+        batchIndex++;
+      } catch (error) {
+        console.error(`Error processing batch ${batchIndex}:`, error.message);
+        break;
+      }
+    } else {
+      batchExists = false;
+    }
+  }
+  
+  return chunks;
+}
+
+/**
+ * Converts stored chunk metadata to the original format
+ * @param {Object} metadataEntry - Stored metadata, with shortened property names or in the original format
+ * @param {Function} resolvePath - Resolves a stored path ID to the full path
+ * @returns {Object} - Chunk metadata
+ */
+function expandStoredMetadata(metadataEntry, resolvePath) {
+  if (metadataEntry.p === undefined) {
+    // This is the original format
+    return metadataEntry;
+  }
+  
+  // This is the optimized format with shortened property names
+  return {
+    path: resolvePath(metadataEntry.p),
+    type: metadataEntry.t,
+    name: metadataEntry.n,
+    code: metadataEntry.c,
+    ...(metadataEntry.pa ? { parent: metadataEntry.pa } : {}),
+    ...(metadataEntry.sl ? { startLine: metadataEntry.sl, endLine: metadataEntry.el } : {}),
+    ...(metadataEntry.pt ? { part: metadataEntry.pt, parts: metadataEntry.ps } : {})
+  };
+}
+
+/**
+ * Get the storage location for an index, checking multiple possible locations. Indexes still stored as JSON
+ * vector batches are migrated to the binary vector file first.
+ * @param {string} indexName - The name of the index to locate
+ * @returns {Promise<string|null>} - Path to the index directory, or null if not found
+ */
+async function getStorageLocation(indexName) {
+  const indexDir = await findStorageLocation(indexName);
+  if (!indexDir || !(await fs.readdir(indexDir)).some(file => JSON_VECTOR_BATCH_PATTERN.test(file))) {
+    return indexDir;
+  }
+  
+  if (!localIndexMigrations.has(indexDir)) {
+    // Indexes in the home directory move into the project; all others are converted where they are
+    const targetDir = indexDir.startsWith(LEGACY_HOME_VECTOR_PATH + path.sep)
+      ? path.join(LOCAL_VECTOR_PATH, indexName)
+      : indexDir;
+    
+    localIndexMigrations.set(indexDir, migrateLocalIndex(indexDir, targetDir, indexName)
+      .then(() => targetDir)
+      .catch(error => {
+        // The JSON batches can still be read, so keep using them
+        console.warn(`Could not migrate index ${indexName}: ${error.message}`);
+        return indexDir;
+      }));
+  }
+  
+  return localIndexMigrations.get(indexDir);
+}
+
+/**
+ * Converts a local index stored as JSON vector batches to the binary vector file
+ * @param {string} indexDir - Directory of the JSON index
+ * @param {string} targetDir - Directory to write the converted index to (the index directory to convert in place)
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<void>}
+ */
+async function migrateLocalIndex(indexDir, targetDir, indexName) {
+  console.log(`Migrating index ${indexName} at ${indexDir} to the binary vector format...`);
+  
+  let jsonSize = 0;
+  for (const file of await fs.readdir(indexDir)) {
+    if (JSON_VECTOR_BATCH_PATTERN.test(file)) {
+      jsonSize += (await fs.stat(path.join(indexDir, file))).size;
+    }
+  }
+  
+  let indexMeta = {};
+  try {
+    if (await fs.pathExists(path.join(indexDir, 'meta.json'))) {
+      indexMeta = await fs.readJson(path.join(indexDir, 'meta.json'));
+    }
+  } catch (error) {
+    // Unreadable metadata is rewritten below
+  }
+  
+  const chunks = await readLocalIndex(indexDir);
+  await fs.ensureDir(targetDir);
+  const storedChunks = await writeLocalIndexFiles(targetDir, chunks, vectorEncoding);
+  
+  // Reuse the search graph; chunks whose vectors int8 encoding changed are reinserted
+  if (targetDir !== indexDir && await fs.pathExists(path.join(indexDir, GRAPH_FILE))) {
+    await fs.copy(path.join(indexDir, GRAPH_FILE), path.join(targetDir, GRAPH_FILE));
+  }
+  const { graph, inserted } = await syncLocalGraph(targetDir, storedChunks);
+  if (inserted > 0) {
+    await fs.writeFile(path.join(targetDir, GRAPH_FILE), graph.serialize());
+  }
+  
+  await fs.writeJson(path.join(targetDir, 'meta.json'), {
+    name: indexName,
+    dimension: chunks.length > 0 ? chunks[0].values.length : null,
+    metric: 'cosine',
+    chunkCount: chunks.length,
+    created: new Date().toISOString(),
+    ...indexMeta,
+    vectorEncoding,
+    path: targetDir
+  }, { spaces: 2 });
+  
+  const vectorSize = (await fs.stat(path.join(targetDir, VECTOR_FILE))).size;
+  console.log(`Migrated ${chunks.length} chunks to ${targetDir} ` +
+    `(vectors: ${formatBytes(jsonSize)} as JSON, ${formatBytes(vectorSize)} now)`);
+  if (targetDir !== indexDir) {
+    console.log(`The index at ${indexDir} is no longer used and can be deleted`);
+  }
+}
+
+/**
+ * Finds the directory of an index, checking multiple possible locations
+ * @param {string} indexName - The name of the index to locate
+ * @returns {Promise<string|null>} - Path to the index directory, or null if not found
+ */
+async function findStorageLocation(indexName) {
+  // Check the primary location first
+  const standardPath = path.join(LOCAL_VECTOR_PATH, indexName);
+  if (await fs.pathExists(standardPath)) {
+    return standardPath;
+  }
+  
+  // Check if we have a location file pointing to an alternate location
+  const locationFile = path.join(LOCAL_VECTOR_PATH, `${indexName}-location.json`);
+  if (await fs.pathExists(locationFile)) {
+    try {
+      const location = await fs.readJson(locationFile);
+      if (location.alternate_path && await fs.pathExists(location.alternate_path)) {
+        return location.alternate_path;
+      }
+    } catch (error) {
+      console.warn(`Error reading location file: ${error.message}`);
+    }
+  }
+  
+  // Check legacy location in user's home directory
+  const legacyPath = path.join(LEGACY_HOME_VECTOR_PATH, indexName);
+  if (await fs.pathExists(legacyPath)) {
+    console.log(`Found legacy index at ${legacyPath}`);
+    return legacyPath;
+  }
+  
+  // Check common alternate locations
+  const alternateLocations = [
+    // Primary repository storage location
+    path.join(process.cwd(), '.code-connoisseur', 'vectors', indexName),
+    // Alternate repository storage location
+    path.join(process.cwd(), '.code-connoisseur-alt', 'vectors', indexName),
+    // Legacy location in home directory (for backward compatibility)
+    path.join(LEGACY_HOME_VECTOR_PATH, indexName)
+  ];
+  
+  // Try each alternative
+  for (const altPattern of alternateLocations) {
+    try {
+      // Use glob to find matching directories
+      const matches = glob.sync(altPattern);
+      for (const match of matches) {
+        if (await fs.pathExists(path.join(match, 'meta.json'))) {
+          return match;
+        }
+      }
+    } catch (error) {
+      // Continue to next option
+    }
+  }
+  
+  // Not found anywhere
+  return null;
+}
+
+module.exports = {
+  LocalVectorStore,
+  setVectorEncoding
+};
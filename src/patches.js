@@ -0,0 +1,106 @@
+/**
+ * Patches Module
+ *
+ * Parses, validates and applies the unified-diff patches the agent suggests
+ * for its findings, one hunk at a time
+ */
+
+const diffLib = require('diff');
+
+// Instructions appended to the findings schema when fixes are requested
+const PATCH_INSTRUCTIONS = `
+For findings with a concrete, self-contained fix, also include a "patch" field: a unified diff against the NEW version of the file shown in the diff analysis, for example:
+
+"patch": "--- a/file.js\\n+++ b/file.js\\n@@ -12,3 +12,4 @@\\n const user = getUser(id);\\n+if (!user) return null;\\n return user.name;\\n"
+
+Patch rules:
+- Context and removed lines must match the new version of the file exactly, including indentation
+- Include 2-3 lines of unchanged context around each change and keep the hunk line counts correct
+- Only change what the finding describes; omit "patch" when you are not certain of the fix`;
+
+/**
+ * Splits a unified diff into individual hunks
+ * @param {string} patchText - Unified diff text
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}>} - Hunks
+ * @throws {Error} - If the patch cannot be parsed
+ */
+function parseHunks(patchText) {
+  const filePatches = diffLib.parsePatch(patchText);
+  const hunks = filePatches.flatMap(filePatch => filePatch.hunks);
+
+  if (hunks.length === 0) {
+    throw new Error('Patch does not contain any hunks');
+  }
+
+  return hunks;
+}
+
+/**
+ * Checks which hunks of a patch apply cleanly to the source
+ * @param {string} patchText - Unified diff text
+ * @param {string} source - Content the patch should apply to
+ * @returns {{valid: boolean, hunks: Array<Object>, error: string|null}} - Validation result;
+ *   valid is true only when every hunk applies
+ */
+function validatePatch(patchText, source) {
+  let hunks;
+  try {
+    hunks = parseHunks(patchText);
+  } catch (error) {
+    return { valid: false, hunks: [], error: `Patch could not be parsed: ${error.message}` };
+  }
+
+  const failed = hunks.findIndex(hunk => diffLib.applyPatch(source, { hunks: [hunk] }) === false);
+  if (failed !== -1) {
+    return {
+      valid: false,
+      hunks,
+      error: `Hunk ${failed + 1} (starting at line ${hunks[failed].oldStart}) does not apply to the file`
+    };
+  }
+
+  return { valid: true, hunks, error: null };
+}
+
+/**
+ * Applies a set of hunks to the source
+ * @param {string} source - Original content
+ * @param {Array<Object>} hunks - Hunks to apply (each must apply to the original content)
+ * @returns {string} - Patched content
+ * @throws {Error} - If a hunk no longer applies
+ */
+function applyHunks(source, hunks) {
+  // Apply from the bottom up so earlier hunks don't shift the line numbers of later ones
+  const ordered = [...hunks].sort((a, b) => b.oldStart - a.oldStart);
+  let result = source;
+
+  for (const hunk of ordered) {
+    const patched = diffLib.applyPatch(result, { hunks: [hunk] });
+    if (patched === false) {
+      throw new Error(`Hunk starting at line ${hunk.oldStart} does not apply`);
+    }
+    result = patched;
+  }
+
+  return result;
+}
+
+/**
+ * Renders a hunk as unified diff text
+ * @param {Object} hunk - Hunk from parseHunks
+ * @returns {string} - Hunk text including its @@ header
+ */
+function formatHunk(hunk) {
+  return [
+    `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+    ...hunk.lines
+  ].join('\n');
+}
+
+module.exports = {
+  PATCH_INSTRUCTIONS,
+  parseHunks,
+  validatePatch,
+  applyHunks,
+  formatHunk
+};
@@ -0,0 +1,298 @@
+/**
+ * Pinecone Vector Store Module
+ *
+ * Vector store backend keeping each index in a Pinecone index of the same name
+ */
+
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { getChunkIdPrefix } = require('./vectorStoreUtils');
+const { getFilterFields } = require('./searchFilter');
+
+// Values left in .env files by the setup templates
+const PLACEHOLDER_KEYS = ['placeholder', 'your_pinecone_api_key_here'];
+
+// Pinecone limits the number of records per upsert and IDs per delete request
+const UPSERT_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+
+// Time a new index needs before it accepts records
+const INDEX_INITIALIZATION_MS = 30000;
+
+// Results fetched per requested result when a search filter is checked on the results
+const FILTER_OVERFETCH = 10;
+
+// Upper limit on results fetched for one filtered search
+const MAX_FILTERED_FETCH = 500;
+
+/**
+ * Checks whether a Pinecone API key is configured
+ * @returns {boolean} - True if PINECONE_API_KEY is set to a real key
+ */
+function hasPineconeKey() {
+  return Boolean(process.env.PINECONE_API_KEY && !PLACEHOLDER_KEYS.includes(process.env.PINECONE_API_KEY));
+}
+
+/**
+ * Vector store backend for Pinecone indexes
+ */
+class PineconeVectorStore {
+  constructor() {
+    this.name = 'pinecone';
+    this.client = null;
+  }
+
+  /**
+   * Gets (and lazily creates) the Pinecone client
+   * @returns {Pinecone} - Pinecone client
+   * @throws {Error} - If no API key is configured
+   */
+  getClient() {
+    if (!this.client) {
+      if (!hasPineconeKey()) {
+        throw new Error('PINECONE_API_KEY is not set - the pinecone vector store is not available');
+      }
+      this.client = new Pinecone({
+        apiKey: process.env.PINECONE_API_KEY,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Checks whether an index exists
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if the index exists
+   */
+  async exists(indexName) {
+    try {
+      return (await this.list()).includes(indexName);
+    } catch (error) {
+      console.error('Error checking if index exists:', error.message);
+    }
+    // Assume index doesn't exist if we can't determine
+    return false;
+  }
+
+  /**
+   * Lists the indexes of the Pinecone project
+   * @returns {Promise<string[]>} - Index names
+   */
+  async list() {
+    const indexList = await this.getClient().listIndexes();
+    // Handle different response formats from Pinecone API
+    if (Array.isArray(indexList)) {
+      return indexList.map(idx => idx.name);
+    } else if (indexList.indexes && Array.isArray(indexList.indexes)) {
+      return indexList.indexes.map(idx => idx.name);
+    }
+    console.log('Unexpected Pinecone API response format:', indexList);
+    return [];
+  }
+
+  /**
+   * Queries an index
+   * @param {string} indexName - Name of the index
+   * @param {Array<number>} vector - Query vector
+   * @param {number} topK - Number of results
+   * @param {Object} filter - Metadata filter in Pinecone's filter language
+   * @returns {Promise<Array<{id: string, metadata: object, score: number}>>} - Nearest chunks, best first
+   */
+  async queryIndex(indexName, vector, topK, filter) {
+    const results = await this.getClient().Index(indexName).query({
+      vector,
+      topK,
+      includeMetadata: true,
+      ...(filter ? { filter } : {})
+    });
+
+    return results.matches.map(match => ({
+      id: match.id,
+      metadata: match.metadata,
+      score: match.score
+    }));
+  }
+
+  /**
+   * Adds chunks to an index, creating the index if needed; stored chunks with the same IDs are replaced
+   * @param {string} indexName - Name of the index
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store
+   * @param {Object} options - Upsert options
+   * @param {boolean} options.replace - Drop everything already stored first
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<void>}
+   */
+  async upsert(indexName, chunks, options = {}) {
+    console.log(`Storing ${chunks.length} embeddings in Pinecone index: ${indexName}`);
+
+    if (!await this.exists(indexName)) {
+      console.log(`Creating index: ${indexName}`);
+      await this.getClient().createIndex({
+        name: indexName,
+        dimension: options.embedding.dimension,
+        metric: 'cosine'
+      });
+      // Wait for index to initialize
+      await new Promise(resolve => setTimeout(resolve, INDEX_INITIALIZATION_MS));
+    } else if (options.replace) {
+      console.log(`Removing all embeddings from Pinecone index: ${indexName}`);
+      await this.getClient().Index(indexName).deleteAll();
+    }
+
+    // Upload in batches
+    const index = this.getClient().Index(indexName);
+    for (let i = 0; i < chunks.length; i += UPSERT_BATCH_SIZE) {
+      console.log(`Uploading batch ${i / UPSERT_BATCH_SIZE + 1}/${Math.ceil(chunks.length / UPSERT_BATCH_SIZE)}`);
+      // Fields for filtering by language and directory in Pinecone's filter language
+      await index.upsert(chunks.slice(i, i + UPSERT_BATCH_SIZE).map(chunk => ({
+        ...chunk,
+        metadata: { ...chunk.metadata, ...getFilterFields(chunk.metadata.path) }
+      })));
+    }
+
+    console.log('All embeddings stored successfully in Pinecone');
+  }
+
+  /**
+   * Removes all chunks of the given files from an index
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files
+   * @returns {Promise<number|null>} - Number of chunks removed, or null if Pinecone doesn't report it
+   */
+  async deleteByPath(indexName, filePaths) {
+    if (filePaths.length === 0 || !await this.exists(indexName)) {
+      return 0;
+    }
+
+    const index = this.getClient().Index(indexName);
+    console.log(`Removing the embeddings of ${filePaths.length} files from Pinecone index: ${indexName}`);
+
+    try {
+      // Chunk IDs start with a hash of their file's path, so serverless indexes can list them by prefix
+      const ids = [];
+      for (const filePath of filePaths) {
+        let paginationToken;
+        do {
+          const page = await index.listPaginated({ prefix: getChunkIdPrefix(filePath), paginationToken });
+          ids.push(...(page.vectors || []).map(vector => vector.id));
+          paginationToken = page.pagination ? page.pagination.next : undefined;
+        } while (paginationToken);
+      }
+
+      for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+        await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+      }
+      return ids.length;
+    } catch (error) {
+      // Pod-based indexes can't list IDs, but can delete by metadata filter
+      await index.deleteMany({ path: { $in: filePaths } });
+      return null;
+    }
+  }
+
+  /**
+   * Removes all chunks of the given files and adds new chunks
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files whose chunks are removed
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store, replacing stored
+   *   chunks with the same IDs
+   * @param {Object} options - Update options
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<number|null>} - Number of chunks removed, or null if Pinecone doesn't report it
+   */
+  async replaceFiles(indexName, filePaths, chunks, options = {}) {
+    // Pinecone stores every vector on its own, so removing and adding in two steps writes nothing twice
+    const removed = await this.deleteByPath(indexName, filePaths);
+    if (chunks.length > 0) {
+      await this.upsert(indexName, chunks, options);
+    }
+    return removed;
+  }
+
+  /**
+   * Finds the chunks nearest to a query vector
+   * @param {string} indexName - Name of the index
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} options - Query options
+   * @param {number} options.topK - Number of results
+   * @param {Object} options.filter - Metadata filter in Pinecone's filter language
+   * @param {Object} options.searchFilter - Compiled search filter (see createSearchFilter)
+   * @returns {Promise<Array<{id: string, metadata: object, score: number}>>} - Nearest chunks, best first
+   */
+  async query(indexName, vector, options = {}) {
+    const topK = options.topK || 5;
+    const { filter, searchFilter } = options;
+    if (!searchFilter) {
+      return this.queryIndex(indexName, vector, topK, filter);
+    }
+
+    const filters = [filter, searchFilter.metadataFilter].filter(Boolean);
+    const combinedFilter = filters.length > 1 ? { $and: filters } : filters[0];
+    const matches = (await this.queryIndex(indexName, vector, topK, combinedFilter))
+      .filter(match => searchFilter.test(match.metadata));
+    if (matches.length >= topK) {
+      return matches;
+    }
+
+    // Path globs and chunk types are only checked on the results, and chunks stored before the filter fields
+    // existed don't have them, so top up from a wider search without the search filter
+    const found = new Set(matches.map(match => match.id));
+    const widerTopK = Math.min(MAX_FILTERED_FETCH, topK * FILTER_OVERFETCH);
+    const wider = await this.queryIndex(indexName, vector, widerTopK, filter);
+    matches.push(...wider.filter(match => !found.has(match.id) && searchFilter.test(match.metadata)));
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  /**
+   * Gets the embedding backend an index was built with
+   * @returns {Promise<null>} - Always null: Pinecone indexes don't record it
+   */
+  async getEmbedding() {
+    return null;
+  }
+
+  /**
+   * Describes an index
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<Object|null>} - Index statistics (see vectorStore.getIndexStats), or null if it doesn't exist
+   */
+  async stats(indexName) {
+    if (!await this.exists(indexName)) {
+      return null;
+    }
+
+    const description = await this.getClient().describeIndex(indexName);
+    const indexStats = await this.getClient().Index(indexName).describeIndexStats();
+
+    return {
+      name: indexName,
+      backend: this.name,
+      chunkCount: indexStats.totalRecordCount ?? null,
+      dimension: indexStats.dimension ?? description.dimension ?? null,
+      embedding: null,
+      created: null,
+      updated: null,
+      location: description.host || null,
+      size: null,
+      details: description.status && description.status.state ? `status ${description.status.state}` : null
+    };
+  }
+
+  /**
+   * Deletes an index from Pinecone
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if there was an index to delete
+   */
+  async drop(indexName) {
+    if (!await this.exists(indexName)) {
+      return false;
+    }
+    await this.getClient().deleteIndex(indexName);
+    return true;
+  }
+}
+
+module.exports = {
+  PineconeVectorStore,
+  hasPineconeKey
+};
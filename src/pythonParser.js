@@ -1,8 +1,8 @@
 /**
  * Python Parser Module
  * 
- * Handles parsing of Python files using regex-based parsing
- * since we don't have direct AST access in Node.js for Python
+ * Handles parsing of Python files with a tokenizer and logical-line parser
+ * written in JS, since we don't have direct AST access in Node.js for Python
  */
 
 const path = require('path');
@@ -20,127 +20,313 @@ function processPythonFile(content, filePath) {
       throw new Error('Invalid or empty content');
     }
     
-    // If file is extremely large, just return it as-is with truncation
+    // If file is extremely large, return it unparsed as a single chunk
     if (content.length > 500000) { // 500KB
       console.log(`File too large for Python parsing: ${filePath} (${Math.round(content.length/1024)}KB)`);
       return [{
         type: 'File',
         name: path.basename(filePath),
-        code: content.substring(0, 5000), // First 5000 chars only
+        code: content,
         path: filePath
       }];
     }
     
-    // Extract code chunks using regex
+    // Extract code chunks from the parsed definitions
     return extractPythonChunks(content, filePath);
   } catch (error) {
     // If any unexpected error occurs, return the file as a whole
     return [{
       type: 'File',
       name: path.basename(filePath),
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
 }
 
+// Characters that may prefix a string literal (r"", b"", f"", rb"", ...)
+const STRING_PREFIX = /^[rRbBuUfF]{1,2}$/;
+
 /**
- * Extract Python code chunks using regex
- * @param {string} content - Python file content
- * @param {string} filePath - Path to the file
- * @returns {Array<{type: string, name: string, code: string, path: string}>} - Array of code chunks
+ * Splits Python source into logical lines, the way the Python tokenizer does:
+ * bracketed expressions and backslash continuations are joined, and strings
+ * (including triple-quoted ones) and comments never end or start a line
+ * @param {string} content - Python source
+ * @returns {{lines: Array<Object>, comments: Array<{start: number, end: number}>}} - Logical lines with
+ *   their indentation, start/end offsets, tokens and the offset of the first top-level ":"
  */
-function extractPythonChunks(content, filePath) {
-  const chunks = [];
-  const fileName = path.basename(filePath);
+function tokenizePython(content) {
+  const lines = [];
+  const comments = [];
+  let current = null;
+  let depth = 0;
+  let i = 0;
   
-  // Helper function to extract and add chunks
-  const extractAndAddChunk = (match, type, name, startPos) => {
-    // Find the end of the block by tracking indentation
-    const lines = content.substring(startPos).split('\n');
-    let endLine = 0;
-    let blockIndent = null;
-    
-    // Find the indentation of the first line (def or class line)
-    const firstLineIndent = lines[0].search(/\S/);
-    
-    // Determine the indentation of the first content line
-    if (lines.length > 1) {
-      const secondLineIndent = lines[1].search(/\S/);
-      if (secondLineIndent > firstLineIndent) {
-        blockIndent = secondLineIndent;
+  const pushToken = (type, value, start, end) => {
+    current.tokens.push({ type, value, start, end });
+    current.end = end;
+  };
+  
+  while (i < content.length) {
+    // At the start of a physical line outside brackets, measure indentation
+    if (current === null) {
+      let indent = 0;
+      let j = i;
+      while (j < content.length && (content[j] === ' ' || content[j] === '\t' || content[j] === '\f')) {
+        indent = content[j] === '\t' ? indent + 8 - (indent % 8) : content[j] === ' ' ? indent + 1 : 0;
+        j++;
+      }
+      
+      // Blank and comment-only lines don't start a logical line
+      if (j >= content.length || content[j] === '\n' || content[j] === '\r' || content[j] === '#') {
+        const newline = content.indexOf('\n', j);
+        if (content[j] === '#') {
+          comments.push({ start: j, end: newline === -1 ? content.length : newline });
+        }
+        i = newline === -1 ? content.length : newline + 1;
+        continue;
       }
+      
+      current = { indent, start: j, end: j, tokens: [], colon: -1 };
+      depth = 0;
+      i = j;
     }
     
-    // If we couldn't determine block indentation, use a simple heuristic
-    if (blockIndent === null) {
-      blockIndent = firstLineIndent + 4; // Assume standard 4-space indentation
-    }
+    const ch = content[i];
     
-    // Find the end of the block by checking indentation
-    for (let i = 1; i < lines.length; i++) {
-      // Skip empty lines or comment lines
-      if (lines[i].trim() === '' || lines[i].trim().startsWith('#')) {
-        endLine = i;
+    if (ch === '\n') {
+      if (depth > 0) {
+        i++;
         continue;
       }
+      lines.push(current);
+      current = null;
+      i++;
+    } else if (ch === '\\' && (content[i + 1] === '\n' || (content[i + 1] === '\r' && content[i + 2] === '\n'))) {
+      // Explicit line continuation
+      i += content[i + 1] === '\r' ? 3 : 2;
+    } else if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f') {
+      i++;
+    } else if (ch === '#') {
+      const newline = content.indexOf('\n', i);
+      const end = newline === -1 ? content.length : newline;
+      comments.push({ start: i, end });
+      i = end;
+    } else if (ch === '"' || ch === '\'') {
+      const end = skipPythonString(content, i);
+      pushToken('string', content.substring(i, end), i, end);
+      i = end;
+    } else if (/[\p{L}_]/u.test(ch)) {
+      const start = i;
+      while (i < content.length && /[\p{L}\p{N}_]/u.test(content[i])) i++;
+      const word = content.substring(start, i);
       
-      const currentIndent = lines[i].search(/\S/);
-      
-      // If we find a line with same or less indentation than the definition line,
-      // that's the end of our block (unless it's a comment or decorator)
-      if (currentIndent <= firstLineIndent && 
-          !lines[i].trim().startsWith('#') && 
-          !lines[i].trim().startsWith('@')) {
-        break;
+      // A short prefix directly followed by a quote is part of a string literal
+      if (STRING_PREFIX.test(word) && (content[i] === '"' || content[i] === '\'')) {
+        const end = skipPythonString(content, i);
+        pushToken('string', content.substring(start, end), start, end);
+        i = end;
+      } else {
+        pushToken('name', word, start, i);
+      }
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(content[i + 1] || ''))) {
+      const start = i;
+      while (i < content.length && /[\w.]/.test(content[i])) i++;
+      pushToken('number', content.substring(start, i), start, i);
+    } else {
+      if ('([{'.includes(ch)) depth++;
+      if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+      if (ch === ':' && depth === 0 && current.colon === -1) current.colon = i;
+      pushToken('op', ch, i, i + 1);
+      i++;
+    }
+  }
+  
+  if (current !== null && current.tokens.length > 0) {
+    lines.push(current);
+  }
+  
+  return { lines, comments };
+}
+
+/**
+ * Finds the end of a string literal starting at a quote character
+ * @param {string} content - Python source
+ * @param {number} start - Offset of the opening quote
+ * @returns {number} - Offset just after the closing quote
+ */
+function skipPythonString(content, start) {
+  const quote = content.startsWith(content[start].repeat(3), start) ? content[start].repeat(3) : content[start];
+  let i = start + quote.length;
+  
+  while (i < content.length) {
+    if (content[i] === '\\') {
+      // Backslashes escape the next character, even in raw strings
+      i += 2;
+    } else if (content.startsWith(quote, i)) {
+      return i + quote.length;
+    } else if (content[i] === '\n' && quote.length === 1) {
+      // Unterminated single-quoted string - stop at the end of the line
+      return i;
+    } else {
+      i++;
+    }
+  }
+  
+  return content.length;
+}
+
+/**
+ * Extracts the text of a docstring literal, with indentation cleaned up like inspect.cleandoc
+ * @param {string} literal - String literal including prefix and quotes
+ * @returns {string} - Docstring text
+ */
+function cleanDocstring(literal) {
+  const body = literal.replace(/^[rRuU]*/, '');
+  const quoteLength = body.startsWith('"""') || body.startsWith("'''") ? 3 : 1;
+  const lines = body.substring(quoteLength, body.length - quoteLength).split('\n');
+  
+  // Common indentation of all lines after the first
+  const indents = lines.slice(1)
+    .filter(line => line.trim() !== '')
+    .map(line => line.search(/\S/));
+  const margin = indents.length > 0 ? Math.min(...indents) : 0;
+  
+  return [lines[0].trim(), ...lines.slice(1).map(line => line.substring(margin).trimEnd())]
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Parses Python source into class and function definitions
+ * @param {string} content - Python source
+ * @returns {Array<{type: string, name: string, parent: string|null, start: number, end: number,
+ *   signature: string, docstring: string|null, decorators: string[], isAsync: boolean}>} - Definitions in source order;
+ *   parent is the dotted path of the enclosing definitions
+ */
+function parsePython(content) {
+  const { lines, comments } = tokenizePython(content);
+  const definitions = [];
+  const open = [];
+  let decorators = [];
+  
+  // Source text of a range with comments removed and whitespace collapsed
+  const normalize = (start, end) => {
+    let text = '';
+    let position = start;
+    for (const comment of comments) {
+      if (comment.start >= start && comment.end <= end) {
+        text += content.substring(position, comment.start);
+        position = comment.end;
       }
-      
-      endLine = i;
     }
+    text += content.substring(position, end);
+    return text.replace(/\s+/g, ' ').replace(/([([{]) /g, '$1').replace(/ ([)\]},])/g, '$1').trim();
+  };
+  
+  lines.forEach((line, index) => {
+    // A line at the same or lower indentation closes the definitions it doesn't belong to
+    while (open.length > 0 && line.indent <= open[open.length - 1].indent) {
+      open.pop();
+    }
+    // Every enclosing definition extends to at least this line
+    open.forEach(entry => { entry.definition.end = line.end; });
     
-    // Extract the chunk
-    const chunkLines = lines.slice(0, endLine + 1);
-    const chunk = chunkLines.join('\n');
+    const [first, second, third] = line.tokens;
     
-    // Add chunk with size limit
-    chunks.push({
-      type: type,
-      name: name,
-      code: chunk.substring(0, Math.min(chunk.length, 5000)),
-      path: filePath
-    });
+    if (first.value === '@') {
+      decorators.push(line);
+      return;
+    }
     
-    return endLine + 1; // Return the number of lines consumed
-  };
+    const isAsync = first.value === 'async';
+    const keyword = isAsync ? second : first;
+    const nameToken = isAsync ? third : second;
+    
+    if (keyword && (keyword.value === 'def' || keyword.value === 'class') && keyword.type === 'name' &&
+        nameToken && nameToken.type === 'name' && line.colon !== -1) {
+      const start = decorators.length > 0 ? decorators[0].start : line.start;
+      const definition = {
+        type: keyword.value === 'class' ? 'ClassDeclaration' : 'FunctionDeclaration',
+        name: nameToken.value,
+        parent: open.length > 0 ? open.map(entry => entry.definition.name).join('.') : null,
+        start,
+        end: line.end,
+        signature: normalize(first.start, line.colon),
+        docstring: null,
+        decorators: decorators.map(decorator => normalize(decorator.start, decorator.end)),
+        isAsync
+      };
+      
+      // The docstring is the first statement: on the same line after ":" or on the next body line
+      const inlineBody = line.tokens.filter(token => token.start > line.colon);
+      const next = lines[index + 1];
+      const firstStatement = inlineBody.length > 0
+        ? inlineBody
+        : (next && next.indent > line.indent ? next.tokens : []);
+      if (firstStatement.length > 0 && firstStatement.every(token => token.type === 'string') &&
+          !/^[rRuU]*[fFbB]/.test(firstStatement[0].value)) {
+        definition.docstring = cleanDocstring(firstStatement[0].value);
+      }
+      
+      definitions.push(definition);
+      open.push({ definition, indent: line.indent });
+    }
+    
+    decorators = [];
+  });
   
-  // Match class definitions
-  const classRegex = /^\s*(class\s+(\w+)(?:\s*\([\s\w.,]*\))?\s*:)/gm;
-  let classMatch;
-  while ((classMatch = classRegex.exec(content)) !== null) {
-    extractAndAddChunk(classMatch[0], 'ClassDeclaration', classMatch[2], classMatch.index);
-  }
+  return definitions;
+}
+
+/**
+ * Extract Python code chunks from the parsed definitions
+ * @param {string} content - Python file content
+ * @param {string} filePath - Path to the file
+ * @returns {Array<{type: string, name: string, code: string, path: string, parent: string, signature: string,
+ *   docstring: string, decorators: string[], startLine: number, endLine: number}>} - Array of code chunks
+ */
+function extractPythonChunks(content, filePath) {
+  const fileName = path.basename(filePath);
   
-  // Match function definitions
-  const funcRegex = /^\s*(def\s+(\w+)(?:\s*\([\s\w.,='"]*\))?\s*(?:->[\s\w[\],|.'"=]*)?\s*:)/gm;
-  let funcMatch;
-  while ((funcMatch = funcRegex.exec(content)) !== null) {
-    extractAndAddChunk(funcMatch[0], 'FunctionDeclaration', funcMatch[2], funcMatch.index);
+  // Offsets of each line start, for converting offsets to line numbers
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
   }
+  const lineAt = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return low + 1;
+  };
   
-  // Match decorated functions/classes
-  const decoratorRegex = /((?:@\w+(?:\.\w+)*(?:\(.*?\))?\s*)+)(class|def)\s+(\w+)/gs;
-  let decoratorMatch;
-  while ((decoratorMatch = decoratorRegex.exec(content)) !== null) {
-    const type = decoratorMatch[2] === 'class' ? 'ClassDeclaration' : 'FunctionDeclaration';
-    extractAndAddChunk(decoratorMatch[0], type, decoratorMatch[3], decoratorMatch.index);
-  }
+  const chunks = parsePython(content).map(definition => {
+    // Start at the beginning of the line so the first line keeps its indentation
+    const chunk = content.substring(lineStarts[lineAt(definition.start) - 1], definition.end);
+    return {
+      type: definition.type,
+      name: definition.name,
+      code: chunk,
+      path: filePath,
+      ...(definition.parent ? { parent: definition.parent } : {}),
+      signature: definition.signature,
+      ...(definition.docstring ? { docstring: definition.docstring } : {}),
+      ...(definition.decorators.length > 0 ? { decorators: definition.decorators } : {}),
+      startLine: lineAt(definition.start),
+      endLine: lineAt(Math.max(definition.start, definition.end - 1))
+    };
+  });
   
   // If no valid chunks were found, return the whole file
   if (chunks.length === 0) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
@@ -216,6 +402,8 @@ function suggestPythonEdgeCases(code) {
 
 module.exports = {
   processPythonFile,
+  tokenizePython,
+  parsePython,
   extractPythonChunks,
   suggestPythonEdgeCases
 };
\ No newline at end of file
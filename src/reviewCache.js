@@ -0,0 +1,169 @@
+/**
+ * Review Cache Module
+ *
+ * Content-addressed cache of review results, so reviewing a file again
+ * without changes to the code, stack, prompts or model costs no LLM requests
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Cached reviews live next to the other project data
+const CACHE_DIR = path.join(process.cwd(), '.code-connoisseur', 'cache');
+const CACHE_VERSION = 1;
+
+// Entries not used for this many days are removed by pruneCache
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Builds the cache key for a review
+ * @param {Object} parts - Everything the review depends on (code hashes, stack, prompt version, model, options)
+ * @returns {string} - Hex encoded SHA-256 hash of the parts
+ */
+function getCacheKey(parts) {
+  // Sorted keys keep the hash independent of the order the parts were listed in
+  const json = JSON.stringify(parts, Object.keys(parts).sort());
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+/**
+ * Gets the file path of a cache entry
+ * @param {string} key - Cache key
+ * @returns {string} - Path to the entry file
+ */
+function getEntryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Reads a cached review and records that it was used
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Cache entry with the review, or null if there is none
+ */
+async function readCachedReview(key) {
+  const entryPath = getEntryPath(key);
+
+  try {
+    if (!await fs.pathExists(entryPath)) {
+      return null;
+    }
+
+    const entry = await fs.readJson(entryPath);
+    // Ignore entries written by an incompatible version
+    if (entry.version !== CACHE_VERSION || entry.review === undefined) {
+      return null;
+    }
+
+    entry.lastUsed = new Date().toISOString();
+    entry.hits = (entry.hits || 0) + 1;
+    await fs.writeJson(entryPath, entry, { spaces: 2 });
+    return entry;
+  } catch (error) {
+    console.warn(`Could not read cached review: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stores a review in the cache
+ * @param {string} key - Cache key
+ * @param {Object} details - Review and what it was made for (filePath, provider, model, stack, format, promptVersion)
+ * @returns {Promise<void>}
+ */
+async function writeCachedReview(key, details) {
+  const now = new Date().toISOString();
+
+  try {
+    await fs.ensureDir(CACHE_DIR);
+    await fs.writeJson(getEntryPath(key), {
+      version: CACHE_VERSION,
+      key,
+      created: now,
+      lastUsed: now,
+      hits: 0,
+      ...details
+    }, { spaces: 2 });
+  } catch (error) {
+    // A review that can't be cached is still a valid review
+    console.warn(`Could not cache review: ${error.message}`);
+  }
+}
+
+/**
+ * Lists all cache entries, most recently used first
+ * @returns {Promise<Array<{key: string, filePath: string, provider: string, model: string, stack: string,
+ *   format: string, promptVersion: number, created: string, lastUsed: string, hits: number, size: number,
+ *   valid: boolean}>>} - Entries without their reviews; valid is false for unreadable or outdated entries
+ */
+async function listCachedReviews() {
+  if (!await fs.pathExists(CACHE_DIR)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of await fs.readdir(CACHE_DIR)) {
+    if (!file.endsWith('.json')) continue;
+
+    const entryPath = path.join(CACHE_DIR, file);
+    const { size, mtime } = await fs.stat(entryPath);
+    try {
+      const { review, ...entry } = await fs.readJson(entryPath);
+      entries.push({ ...entry, key: path.basename(file, '.json'), size, valid: entry.version === CACHE_VERSION });
+    } catch (error) {
+      entries.push({ key: path.basename(file, '.json'), lastUsed: mtime.toISOString(), size, valid: false });
+    }
+  }
+
+  return entries.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+}
+
+/**
+ * Removes entries that are unlikely to be used again: unused for a while, unreadable,
+ * or made with other prompts than the current ones
+ * @param {Object} options - Prune options
+ * @param {number} options.maxAgeDays - Remove entries not used for this many days
+ * @param {number} options.promptVersion - Current prompt version; entries made with another one are removed
+ * @returns {Promise<{removed: number, kept: number, freedBytes: number}>} - Prune statistics
+ */
+async function pruneCache(options = {}) {
+  const maxAge = (options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+  const result = { removed: 0, kept: 0, freedBytes: 0 };
+
+  for (const entry of await listCachedReviews()) {
+    const stale = !entry.valid ||
+      Date.now() - new Date(entry.lastUsed).getTime() > maxAge ||
+      (options.promptVersion !== undefined && entry.promptVersion !== options.promptVersion);
+
+    if (stale) {
+      await fs.remove(getEntryPath(entry.key));
+      result.removed++;
+      result.freedBytes += entry.size;
+    } else {
+      result.kept++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Removes all cache entries
+ * @returns {Promise<number>} - Number of removed entries
+ */
+async function clearCache() {
+  const entries = await listCachedReviews();
+  await fs.remove(CACHE_DIR);
+  return entries.length;
+}
+
+module.exports = {
+  CACHE_DIR,
+  DEFAULT_MAX_AGE_DAYS,
+  getCacheKey,
+  readCachedReview,
+  writeCachedReview,
+  listCachedReviews,
+  pruneCache,
+  clearCache
+};
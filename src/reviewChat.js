@@ -0,0 +1,243 @@
+/**
+ * Review Chat Module
+ *
+ * Follow-up conversation about a completed review: answers questions with the
+ * reviewed changes and findings in context, searches the codebase when the
+ * model asks for more code, and applies revised findings
+ */
+
+const { HumanMessage, SystemMessage, AIMessage } = require('@langchain/core/messages');
+const { BufferMemory } = require('langchain/memory');
+const { searchCodebase } = require('./vectorStore');
+const { analyzeCodeChanges } = require('./diffAnalyzer');
+const { FINDINGS_FORMAT_INSTRUCTIONS, parseReviewResponse, refersToFile } = require('./findings');
+const { estimateTokens, truncateToTokens, packDiff } = require('./contextBudget');
+
+// Codebase searches the model may run before it has to answer a question
+const MAX_SEARCHES_PER_QUESTION = 3;
+
+// Code chunks returned per search
+const SEARCH_RESULT_COUNT = 5;
+
+// Share of the prompt budget for the reviewed changes and findings; the conversation gets the rest
+const CONTEXT_SHARE = 0.5;
+
+// Share of the prompt budget for the results of one search
+const SEARCH_SHARE = 0.15;
+
+// A reply that consists of a search request only
+const SEARCH_PATTERN = /^SEARCH:\s*(.+)$/;
+
+// Sent when the model asks for another search after its last one
+const SEARCH_LIMIT_MESSAGE = 'No more searches are allowed for this question. Answer now with the code you have ' +
+  'seen, and say what you could not check.';
+
+// Marker in front of revised findings in an answer
+const REVISION_MARKER = 'REVISED REVIEW';
+
+const CHAT_INSTRUCTIONS = `## Follow-up Conversation
+You wrote the code review below. The developer now asks follow-up questions about it, for example why something is a problem or what the fix looks like. Answer concisely and concretely, with code where it helps.
+
+If you need to see more of the codebase to answer, reply with a single line and nothing else:
+SEARCH: <what to look for, e.g. a function name or a description of the code>
+You will get the best matching code and can search up to ${MAX_SEARCHES_PER_QUESTION} times per question.
+
+If the conversation shows that findings are wrong, missing or need changes, or the developer asks you to change them, end your answer with a line "${REVISION_MARKER}" followed by one \`\`\`json block per changed file with the complete revised review of that file. Use the same schema as the review, with "file" set to the path of the file:
+${FINDINGS_FORMAT_INSTRUCTIONS.replace(/^Respond ONLY[^\n]*\n/, '')}`;
+
+class ReviewChat {
+  /**
+   * @param {Object} agent - CodeReviewAgent whose model and prompt budget are used
+   * @param {Array<{filePath: string, review: string|Object, oldCode: string, newCode: string}>} files - Reviewed
+   *   files; without oldCode the current code is shown instead of the diff
+   * @param {Object} options - Chat options (systemPrompt of the review, indexName of the index to search)
+   */
+  constructor(agent, files, options = {}) {
+    this.agent = agent;
+    this.files = files.map(file => ({ ...file }));
+    this.systemPrompt = options.systemPrompt || '';
+    this.indexName = options.indexName || agent.indexName;
+    this.memory = new BufferMemory({ returnMessages: true });
+    this.context = this._buildContext();
+  }
+
+  /**
+   * Answers a follow-up question
+   * @param {string} question - Question from the developer
+   * @returns {Promise<{answer: string, searches: string[], revised: Array<{filePath: string, review: Object}>,
+   *   revisionErrors: string[]}>} - Answer without the revised findings, the codebase searches that were run,
+   *   the files whose review was revised, and revisions that could not be applied
+   */
+  async ask(question) {
+    const { history = [] } = await this.memory.loadMemoryVariables({});
+    const turn = [new HumanMessage(question)];
+    const searches = [];
+    let limitReached = false;
+    let response;
+
+    for (;;) {
+      response = (await this.agent.llm.call(this._buildMessages(history, turn))).content;
+      const search = response.trim().match(SEARCH_PATTERN);
+      if (!search) break;
+
+      if (searches.length >= MAX_SEARCHES_PER_QUESTION) {
+        if (limitReached) {
+          // The model was told to answer and still asked to search, so there is no answer to show
+          response = `No answer: the model still asked to search the codebase after ${MAX_SEARCHES_PER_QUESTION} ` +
+            'searches. Try asking a more specific question.';
+          break;
+        }
+        limitReached = true;
+        turn.push(new AIMessage(response), new HumanMessage(SEARCH_LIMIT_MESSAGE));
+        continue;
+      }
+
+      const query = search[1].trim();
+      searches.push(query);
+      turn.push(new AIMessage(response), new HumanMessage(await this._search(query, searches.length)));
+    }
+
+    const { answer, revised, revisionErrors } = this._applyRevisions(response);
+    // Search results are only needed for the current question; memory keeps the exchange itself
+    await this.memory.saveContext({ input: question }, { output: response });
+
+    return { answer, searches, revised, revisionErrors };
+  }
+
+  /**
+   * Renders the reviewed changes and reviews within the context share of the budget
+   * @returns {string} - Review context for the system prompt
+   * @private
+   */
+  _buildContext() {
+    const share = Math.floor(this.agent.promptBudget * CONTEXT_SHARE / Math.max(1, this.files.length));
+
+    return this.files.map(file => {
+      const review = typeof file.review === 'string'
+        ? file.review
+        : JSON.stringify({ summary: file.review.summary, findings: file.review.findings }, null, 2);
+      // The review is what the conversation is about, so it comes first
+      const { text: reviewText } = truncateToTokens(review, share);
+      const remaining = Math.max(0, share - estimateTokens(reviewText));
+
+      let code;
+      if (file.oldCode !== undefined && file.newCode !== undefined) {
+        const { changes } = analyzeCodeChanges(file.oldCode, file.newCode);
+        code = `### Diff\n${packDiff(changes, remaining).text}`;
+      } else if (file.newCode) {
+        code = `### Current Code (may have changed since the review)\n${truncateToTokens(file.newCode, remaining).text}`;
+      } else {
+        code = '### Code\nNot available - search the codebase if you need it.';
+      }
+
+      return `## File: ${file.filePath}\n### Review\n${reviewText}\n\n${code}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Builds the messages for one model call, dropping the oldest exchanges when the conversation outgrows the budget
+   * @param {Array<Object>} history - Earlier questions and answers from memory
+   * @param {Array<Object>} turn - Messages of the current question (question, searches and their results)
+   * @returns {Array<Object>} - Messages
+   * @private
+   */
+  _buildMessages(history, turn) {
+    const system = `${this.systemPrompt}\n\n${CHAT_INSTRUCTIONS}\n\n# Review\n${this.context}`;
+    const size = messages => messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+    let earlier = history;
+    while (earlier.length > 0 && estimateTokens(system) + size(earlier) + size(turn) > this.agent.promptBudget) {
+      // Drop a whole question and answer
+      earlier = earlier.slice(2);
+    }
+
+    return [new SystemMessage(system), ...earlier, ...turn];
+  }
+
+  /**
+   * Runs a codebase search for the model
+   * @param {string} query - What the model is looking for
+   * @param {number} count - Number of searches for the current question so far
+   * @returns {Promise<string>} - Search results as a message for the model
+   * @private
+   */
+  async _search(query, count) {
+    const closing = count >= MAX_SEARCHES_PER_QUESTION
+      ? 'That was the last search for this question - answer now with what you have.'
+      : 'Search again if you need more, or answer the question.';
+
+    let results;
+    try {
+      results = await searchCodebase(query, this.indexName, SEARCH_RESULT_COUNT);
+    } catch (error) {
+      return `The search for "${query}" failed: ${error.message}\n\n${closing}`;
+    }
+    if (results.length === 0) {
+      return `No code found for "${query}".\n\n${closing}`;
+    }
+
+    const limit = Math.floor(this.agent.promptBudget * SEARCH_SHARE / results.length);
+    const matches = results.map(result => {
+      const { text } = truncateToTokens(result.metadata.code || '', limit);
+      return `File: ${result.metadata.path}\nRelevance: ${Math.round(result.score * 100)}%\n\n${text}`;
+    });
+
+    return `Code found for "${query}":\n\n${matches.join('\n---\n\n')}\n\n${closing}`;
+  }
+
+  /**
+   * Applies the revised reviews at the end of an answer
+   * @param {string} response - Answer from the model
+   * @returns {{answer: string, revised: Array<{filePath: string, review: Object}>, revisionErrors: string[]}} - Answer
+   *   without the revision part, the revised files and the revisions that could not be applied
+   * @private
+   */
+  _applyRevisions(response) {
+    const markerIndex = response.indexOf(REVISION_MARKER);
+    if (markerIndex === -1) {
+      return { answer: response.trim(), revised: [], revisionErrors: [] };
+    }
+
+    const revised = [];
+    const revisionErrors = [];
+    const blocks = [...response.slice(markerIndex).matchAll(/```(?:json)?\s*([\s\S]*?)```/g)].map(match => match[1]);
+
+    for (const block of blocks) {
+      let reported = null;
+      try {
+        reported = JSON.parse(block).file;
+      } catch (error) {
+        // parseReviewResponse reports the problem
+      }
+
+      // With a single file the model may leave out the path
+      const file = typeof reported === 'string'
+        ? this.files.find(candidate => refersToFile(reported, candidate.filePath))
+        : this.files.length === 1 ? this.files[0] : null;
+      if (!file) {
+        revisionErrors.push(`Revised review for an unknown file: ${reported || 'no "file" given'}`);
+        continue;
+      }
+
+      const { result, errors } = parseReviewResponse(block, file.filePath);
+      if (!result) {
+        revisionErrors.push(`Revised review of ${file.filePath} does not match the schema: ${errors.join('; ')}`);
+        continue;
+      }
+
+      file.review = result;
+      revised.push({ filePath: file.filePath, review: result });
+    }
+
+    if (revised.length > 0) {
+      // Later questions are answered against the revised findings
+      this.context = this._buildContext();
+    }
+
+    return { answer: response.slice(0, markerIndex).trim(), revised, revisionErrors };
+  }
+}
+
+module.exports = {
+  ReviewChat
+};
@@ -0,0 +1,286 @@
+/**
+ * Review History Module
+ *
+ * Stores every review run with its id, time, files, git ref, model and
+ * results, so past reviews can be listed, searched and compared, and
+ * feedback can be linked to the review it was given for
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const diffLib = require('diff');
+
+// History lives next to the other project data
+const HISTORY_DIR = path.join(process.cwd(), '.code-connoisseur', 'history');
+const HISTORY_VERSION = 1;
+
+// Review IDs as created by createReviewId, and an example that completes prefixes of one
+const REVIEW_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{6}$/;
+const REVIEW_ID_EXAMPLE = '20250301-142530-a1b2c3';
+
+// Characters of context shown around a search match
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Creates a unique review id that sorts by time
+ * @param {Date} date - Time of the review
+ * @returns {string} - Review id like 20250301-142530-a1b2c3
+ */
+function createReviewId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  // Reviews can run concurrently (server, parallel CI jobs), so the time alone is not unique
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Checks whether a value is a review id
+ * @param {string} value - Value to check
+ * @param {Object} options - Check options
+ * @param {boolean} options.prefix - Also accept the beginning of a review id
+ * @returns {boolean} - True if the value has the format of createReviewId (or a beginning of it)
+ */
+function isReviewId(value, options = {}) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > REVIEW_ID_EXAMPLE.length) {
+    return false;
+  }
+  return REVIEW_ID_PATTERN.test(options.prefix ? value + REVIEW_ID_EXAMPLE.slice(value.length) : value);
+}
+
+/**
+ * Gets the file path of a stored review
+ * @param {string} reviewId - Review id (or its beginning)
+ * @returns {string} - Path to the review file
+ * @throws {Error} - If the id doesn't have the review id format, so it can't point outside the history
+ */
+function getReviewPath(reviewId) {
+  if (!isReviewId(reviewId, { prefix: true })) {
+    throw new Error(`Invalid review id "${reviewId}" (expected an id like ${REVIEW_ID_EXAMPLE} or its beginning)`);
+  }
+  return path.join(HISTORY_DIR, `${reviewId}.json`);
+}
+
+/**
+ * Stores a review run
+ * @param {Object} record - Review run
+ * @param {string} record.id - Review id from createReviewId
+ * @param {string} record.target - Reviewed file or directory
+ * @param {{description: string, oldRef: string, newRef: string, head: string}|null} record.gitRef - Compared git versions
+ * @param {{provider: string, model: string}} record.llm - Model that wrote the review
+ * @param {Array<{file: string, review: string|Object}>} record.results - Review per file
+ * @param {Object|null} record.crossFile - Cross-file review of a changeset
+ * @returns {Promise<Object>} - Stored record
+ */
+async function saveReview(record) {
+  const reviewPath = getReviewPath(record.id);
+  const stored = {
+    version: HISTORY_VERSION,
+    timestamp: new Date().toISOString(),
+    gitRef: null,
+    crossFile: null,
+    ...record
+  };
+
+  await fs.ensureDir(HISTORY_DIR);
+  await fs.writeJson(reviewPath, stored, { spaces: 2 });
+  return stored;
+}
+
+/**
+ * Loads all stored reviews, newest first
+ * @returns {Promise<Array<Object>>} - Review records
+ */
+async function loadAllReviews() {
+  if (!await fs.pathExists(HISTORY_DIR)) {
+    return [];
+  }
+
+  const records = [];
+  for (const file of (await fs.readdir(HISTORY_DIR)).filter(name => name.endsWith('.json'))) {
+    try {
+      const record = await fs.readJson(path.join(HISTORY_DIR, file));
+      // Ignore records written by an incompatible version
+      if (record.version === HISTORY_VERSION && Array.isArray(record.results)) {
+        records.push(record);
+      }
+    } catch (error) {
+      console.warn(`Could not read review history entry ${file}: ${error.message}`);
+    }
+  }
+
+  return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Loads a stored review by id or unique id prefix
+ * @param {string} reviewId - Review id or its beginning
+ * @returns {Promise<Object|null>} - Review record, or null if none matches
+ * @throws {Error} - If the id is invalid or the prefix matches more than one review
+ */
+async function loadReview(reviewId) {
+  if (await fs.pathExists(getReviewPath(reviewId))) {
+    return fs.readJson(getReviewPath(reviewId));
+  }
+
+  const matches = (await loadAllReviews()).filter(record => record.id.startsWith(reviewId));
+  if (matches.length > 1) {
+    throw new Error(`Review id "${reviewId}" is ambiguous: ${matches.slice(0, 5).map(record => record.id).join(', ')}`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Lists stored reviews, newest first
+ * @param {Object} options - List options
+ * @param {string} options.file - Only reviews that include this file (absolute path)
+ * @param {number} options.limit - Maximum number of reviews
+ * @returns {Promise<Array<Object>>} - Review records
+ */
+async function listReviews(options = {}) {
+  let records = await loadAllReviews();
+
+  if (options.file) {
+    records = records.filter(record => record.results.some(result => result.file === options.file));
+  }
+
+  return options.limit ? records.slice(0, options.limit) : records;
+}
+
+/**
+ * Collects the searchable texts of a review result
+ * @param {{file: string, review: string|Object}} result - Review of one file
+ * @returns {string[]} - File path, summary, finding messages and suggestions, or the text review
+ */
+function getSearchableTexts(result) {
+  const texts = [result.file || ''];
+
+  if (typeof result.review === 'string') {
+    texts.push(result.review);
+  } else if (result.review) {
+    texts.push(result.review.summary || '');
+    (result.review.findings || []).forEach(finding => {
+      texts.push(`[${finding.severity}/${finding.category}] ${finding.message}`);
+      if (finding.suggestedFix) texts.push(finding.suggestedFix);
+    });
+  }
+
+  return texts;
+}
+
+/**
+ * Searches stored reviews for a text (case-insensitive)
+ * @param {string} query - Text to look for
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of matching reviews
+ * @returns {Promise<Array<{record: Object, matches: Array<{file: string, snippet: string}>}>>} - Matching reviews,
+ *   newest first, with a snippet around each match
+ */
+async function searchReviews(query, options = {}) {
+  const needle = query.toLowerCase();
+  const found = [];
+
+  for (const record of await loadAllReviews()) {
+    const results = record.crossFile ? [...record.results, { file: null, review: record.crossFile }] : record.results;
+    const matches = [];
+
+    for (const result of results) {
+      for (const text of getSearchableTexts(result)) {
+        const index = text.toLowerCase().indexOf(needle);
+        if (index === -1) continue;
+
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, index + needle.length + SNIPPET_RADIUS);
+        const snippet = `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+        matches.push({ file: result.file, snippet: snippet.replace(/\s+/g, ' ') });
+      }
+    }
+
+    if (matches.length > 0) {
+      found.push({ record, matches });
+      if (options.limit && found.length >= options.limit) break;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Identifies a finding across reviews; line numbers are left out because they shift between versions
+ * @param {Object} finding - Finding
+ * @returns {string} - Finding key
+ */
+function getFindingKey(finding) {
+  return `${finding.category}:${finding.message.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}`;
+}
+
+/**
+ * Compares two reviews file by file
+ * @param {Object} older - Earlier review record
+ * @param {Object} newer - Later review record
+ * @returns {Array<{file: string, status: string, newFindings: Array<Object>, resolvedFindings: Array<Object>,
+ *   unchangedFindings: Array<Object>, summaryBefore: string, summaryAfter: string, textChanges: Array<Object>}>} -
+ *   Per file whether it was only reviewed before or after ('removed', 'added') or in both ('compared'), the findings
+ *   that appeared, went away or stayed, and when both are text reviews the changed lines (diff change objects)
+ */
+function compareReviews(older, newer) {
+  const before = new Map(older.results.map(result => [result.file, result.review]));
+  const after = new Map(newer.results.map(result => [result.file, result.review]));
+  const files = [...new Set([...before.keys(), ...after.keys()])];
+
+  return files.map(file => {
+    const oldReview = before.get(file);
+    const newReview = after.get(file);
+    const comparison = {
+      file,
+      status: oldReview === undefined ? 'added' : newReview === undefined ? 'removed' : 'compared',
+      newFindings: [],
+      resolvedFindings: [],
+      unchangedFindings: [],
+      summaryBefore: typeof oldReview === 'object' && oldReview ? oldReview.summary : null,
+      summaryAfter: typeof newReview === 'object' && newReview ? newReview.summary : null,
+      textChanges: []
+    };
+
+    const oldFindings = typeof oldReview === 'object' && oldReview ? oldReview.findings || [] : [];
+    const newFindings = typeof newReview === 'object' && newReview ? newReview.findings || [] : [];
+    const oldKeys = new Set(oldFindings.map(getFindingKey));
+    const newKeys = new Set(newFindings.map(getFindingKey));
+
+    comparison.newFindings = newFindings.filter(finding => !oldKeys.has(getFindingKey(finding)));
+    comparison.resolvedFindings = oldFindings.filter(finding => !newKeys.has(getFindingKey(finding)));
+    comparison.unchangedFindings = newFindings.filter(finding => oldKeys.has(getFindingKey(finding)));
+
+    // Text reviews have no findings to match, so their text is compared line by line
+    if (typeof oldReview === 'string' && typeof newReview === 'string') {
+      comparison.textChanges = diffLib.diffLines(oldReview, newReview)
+        .filter(change => change.added || change.removed);
+    }
+
+    return comparison;
+  });
+}
+
+/**
+ * Finds the latest review before a given one that covers at least one of the same files
+ * @param {Object} record - Review record
+ * @returns {Promise<Object|null>} - Earlier review record, or null if there is none
+ */
+async function findPreviousReview(record) {
+  const files = new Set(record.results.map(result => result.file));
+  return (await loadAllReviews()).find(other =>
+    other.id !== record.id &&
+    other.timestamp <= record.timestamp &&
+    other.results.some(result => files.has(result.file))) || null;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  createReviewId,
+  isReviewId,
+  saveReview,
+  loadReview,
+  listReviews,
+  searchReviews,
+  compareReviews,
+  findPreviousReview
+};
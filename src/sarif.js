@@ -0,0 +1,174 @@
+/**
+ * SARIF Export Module
+ *
+ * Combines static analysis issues, diff risks and LLM findings into a single
+ * SARIF 2.1.0 log that code-scanning dashboards can ingest
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/Maheshmali1/code-connoisseur';
+
+// Maps our severities to SARIF result levels
+const FINDING_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+// Issues Code Connoisseur reports itself instead of a linter rule, with their rule descriptions
+const TOOL_ISSUES = {
+  'parse-error': 'Source could not be parsed',
+  'static-analysis-unavailable': 'Static analysis unavailable'
+};
+
+/**
+ * Builds a SARIF location for a file and optional line range
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} projectRoot - Root that artifact URIs are relative to
+ * @param {Object} region - Optional startLine, endLine and startColumn
+ * @returns {Object} - SARIF location
+ */
+function buildLocation(filePath, projectRoot, region = {}) {
+  const relativePath = path.relative(projectRoot, filePath).split(path.sep).join('/');
+  const physicalLocation = {
+    artifactLocation: {
+      uri: encodeURI(relativePath),
+      uriBaseId: '%SRCROOT%'
+    }
+  };
+
+  if (Number.isInteger(region.startLine) && region.startLine > 0) {
+    physicalLocation.region = { startLine: region.startLine };
+    if (Number.isInteger(region.endLine) && region.endLine >= region.startLine) {
+      physicalLocation.region.endLine = region.endLine;
+    }
+    if (Number.isInteger(region.startColumn) && region.startColumn > 0) {
+      physicalLocation.region.startColumn = region.startColumn;
+    }
+  }
+
+  return { physicalLocation };
+}
+
+/**
+ * Builds a SARIF log from review results
+ * @param {Array<{file: string, findings: Array<Object>, analysis: Object}>} reviewResults - Structured
+ *   review results, with static issues and diff risks in analysis
+ * @param {Object} options - Export options
+ * @param {string} options.projectRoot - Root directory that file locations are relative to
+ * @param {string} options.toolVersion - Version of Code Connoisseur
+ * @returns {Object} - SARIF 2.1.0 log
+ */
+function buildSarifLog(reviewResults, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const rules = new Map();
+  const results = [];
+
+  // Registers a rule the first time it is used and returns its index
+  const useRule = (id, description) => {
+    if (!rules.has(id)) {
+      rules.set(id, {
+        index: rules.size,
+        rule: {
+          id,
+          shortDescription: { text: description }
+        }
+      });
+    }
+    return rules.get(id).index;
+  };
+
+  const addResult = (ruleId, description, level, message, location) => {
+    results.push({
+      ruleId,
+      ruleIndex: useRule(ruleId, description),
+      level,
+      message: { text: message },
+      locations: [location]
+    });
+  };
+
+  for (const review of reviewResults) {
+    const analysis = review.analysis || {};
+
+    // ESLint or Python/Java rule-based static analysis
+    for (const issue of analysis.staticIssues || []) {
+      // ESLint reports fatal parse errors without a rule
+      const sourceRule = issue.ruleId || 'parse-error';
+      // Python and Java rule IDs already carry their own prefix (ESLint plugin rules contain "/" too)
+      const isRuleBased = /^(python|java)\//.test(sourceRule);
+      const isToolIssue = Object.prototype.hasOwnProperty.call(TOOL_ISSUES, sourceRule);
+      let ruleId = `eslint/${sourceRule}`;
+      let description = `ESLint rule ${sourceRule}`;
+      if (isRuleBased) {
+        ruleId = sourceRule;
+        description = issue.message;
+      } else if (isToolIssue) {
+        ruleId = `code-connoisseur/${sourceRule}`;
+        description = TOOL_ISSUES[sourceRule];
+      }
+      addResult(
+        ruleId,
+        description,
+        issue.severity === 2 ? 'error' : 'warning',
+        issue.message,
+        buildLocation(review.file, projectRoot, { startLine: issue.line, startColumn: issue.column })
+      );
+    }
+
+    // Risky patterns detected in the diff
+    for (const risk of analysis.risks || []) {
+      addResult(
+        `diff/${risk.ruleId}`,
+        risk.message,
+        'warning',
+        risk.message,
+        buildLocation(review.file, projectRoot, { startLine: risk.line })
+      );
+    }
+
+    // Findings from the LLM review
+    for (const finding of review.findings || []) {
+      addResult(
+        `review/${finding.category}`,
+        `Code Connoisseur ${finding.category} review`,
+        FINDING_LEVELS[finding.severity] || 'warning',
+        finding.suggestedFix ? `${finding.message}\n\nSuggested fix:\n${finding.suggestedFix}` : finding.message,
+        buildLocation(finding.file || review.file, projectRoot, {
+          startLine: finding.startLine,
+          endLine: finding.endLine
+        })
+      );
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'Code Connoisseur',
+            version: options.toolVersion,
+            informationUri: INFORMATION_URI,
+            rules: [...rules.values()].map(entry => entry.rule)
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': {
+            uri: pathToFileURL(projectRoot).href.replace(/\/?$/, '/')
+          }
+        },
+        results
+      }
+    ]
+  };
+}
+
+module.exports = {
+  buildSarifLog
+};
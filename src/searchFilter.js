@@ -0,0 +1,179 @@
+/**
+ * Search Filter Module
+ *
+ * Filters for vector searches by path glob or prefix, language, chunk type
+ * and excluded files. The local backends check them against each chunk's
+ * metadata; for Pinecone they are also translated to a metadata filter on
+ * fields stored with every chunk
+ */
+
+const path = require('path');
+const ignore = require('ignore');
+
+// Languages by file extension
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.es6': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.java': 'java'
+};
+
+// Languages whose code can call into each other, so context in either is relevant
+const RELATED_LANGUAGES = {
+  javascript: ['javascript', 'typescript'],
+  typescript: ['typescript', 'javascript']
+};
+
+/**
+ * Gets the language of a file from its extension
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Language name like 'javascript', or the extension without the dot for other files
+ */
+function getLanguage(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return LANGUAGES[ext] || ext.slice(1);
+}
+
+/**
+ * Gets the languages whose code is relevant context for a file
+ * @param {string} filePath - Path to the file
+ * @returns {string[]} - The file's language and related ones, empty for files in unsupported languages
+ */
+function getRelatedLanguages(filePath) {
+  const language = LANGUAGES[path.extname(filePath).toLowerCase()];
+  if (!language) return [];
+  return RELATED_LANGUAGES[language] || [language];
+}
+
+/**
+ * Splits a comma-separated filter option into lowercase values
+ * @param {string|string[]} value - Filter option
+ * @returns {string[]} - Filter values, empty if the filter is not set
+ */
+function parseFilterList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values.map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Resolves the paths of a filter option
+ * @param {string|string[]} value - Path or paths
+ * @param {string} root - Directory relative paths are resolved against
+ * @returns {string[]} - Absolute paths
+ */
+function resolvePaths(value, root) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(Boolean).map(item => path.resolve(root, item));
+}
+
+/**
+ * Checks whether a path is a prefix path or lies inside it
+ * @param {string} filePath - Absolute path
+ * @param {string} prefix - Absolute file or directory path
+ * @returns {boolean} - True for the prefix itself and everything below it
+ */
+function isWithin(filePath, prefix) {
+  return filePath === prefix || filePath.startsWith(prefix.endsWith(path.sep) ? prefix : prefix + path.sep);
+}
+
+/**
+ * Gets the metadata fields that let backends without custom filters (Pinecone) filter chunks natively
+ * @param {string} filePath - Absolute path of the chunk's file
+ * @returns {{language: string, pathPrefixes: string[]}} - Language and the path with all its parent directories
+ */
+function getFilterFields(filePath) {
+  const pathPrefixes = [filePath];
+  for (let dir = path.dirname(filePath); pathPrefixes[pathPrefixes.length - 1] !== dir; dir = path.dirname(dir)) {
+    pathPrefixes.push(dir);
+  }
+  return { language: getLanguage(filePath), pathPrefixes };
+}
+
+/**
+ * Gets the type a chunk is matched against by the type filter
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string} - Lowercase chunk type; functions declared inside another definition, like Python methods,
+ *   also match "method"
+ */
+function getFilterType(metadata) {
+  const type = (metadata.type || '').toLowerCase();
+  return type === 'functiondeclaration' && metadata.parent ? `${type} method` : type;
+}
+
+/**
+ * Compiles a search filter
+ * @param {Object} filter - Filter; all conditions that are set must match
+ * @param {string|string[]} filter.path - Gitignore-style globs the path relative to the root must match,
+ *   like "src/api" or "*.test.js"
+ * @param {string|string[]} filter.pathPrefix - Files or directories (absolute or relative to the root) the path must
+ *   be or lie in; "src/api" matches src/api/client.js but not src/api-v2.js
+ * @param {string|string[]} filter.language - Languages like "javascript" or "python"
+ * @param {string|string[]} filter.type - Chunk types, matched by name; "function" matches FunctionDeclaration
+ *   and "method" matches MethodDeclaration as well as functions declared inside another definition (see getFilterType)
+ * @param {string|string[]} filter.excludePath - Files to leave out, like the file under review
+ * @param {string} filter.root - Directory relative paths are resolved against (default: cwd)
+ * @returns {{test: Function, metadataFilter: Object|null}|null} - Predicate taking a chunk's metadata, and the
+ *   conditions on getFilterFields fields as a Pinecone metadata filter (path globs and chunk types are only
+ *   checked by the predicate); null if no condition is set
+ */
+function createSearchFilter(filter = {}) {
+  const root = filter.root || process.cwd();
+  const globs = (Array.isArray(filter.path) ? filter.path : [filter.path]).filter(Boolean);
+  const prefixes = resolvePaths(filter.pathPrefix, root);
+  const languages = parseFilterList(filter.language);
+  const types = parseFilterList(filter.type);
+  const excluded = new Set(resolvePaths(filter.excludePath, root));
+  const pathMatcher = globs.length > 0 ? ignore().add(globs) : null;
+
+  if (!pathMatcher && prefixes.length === 0 && languages.length === 0 && types.length === 0 && excluded.size === 0) {
+    return null;
+  }
+
+  const test = metadata => {
+    const filePath = metadata.path || '';
+
+    if (excluded.has(filePath)) {
+      return false;
+    }
+
+    if (prefixes.length > 0 && !prefixes.some(prefix => isWithin(filePath, prefix))) {
+      return false;
+    }
+
+    if (pathMatcher) {
+      const relative = path.relative(root, filePath).split(path.sep).join('/');
+      // Files outside the root can't match a relative glob
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || !pathMatcher.ignores(relative)) {
+        return false;
+      }
+    }
+
+    const type = getFilterType(metadata);
+    if (types.length > 0 && !types.some(wanted => type.includes(wanted))) {
+      return false;
+    }
+
+    return languages.length === 0 || languages.includes(getLanguage(filePath));
+  };
+
+  const metadataFilter = {};
+  if (excluded.size > 0) metadataFilter.path = { $nin: [...excluded] };
+  if (prefixes.length > 0) metadataFilter.pathPrefixes = { $in: prefixes };
+  if (languages.length > 0) metadataFilter.language = { $in: languages };
+
+  return { test, metadataFilter: Object.keys(metadataFilter).length > 0 ? metadataFilter : null };
+}
+
+module.exports = {
+  LANGUAGES,
+  getLanguage,
+  getRelatedLanguages,
+  parseFilterList,
+  getFilterFields,
+  createSearchFilter
+};
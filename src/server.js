@@ -0,0 +1,484 @@
+/**
+ * Server Module
+ *
+ * Local HTTP API exposing review, semantic search, indexing and feedback
+ * as JSON endpoints, so other tools can use Code Connoisseur without the CLI
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const diffLib = require('diff');
+const { CodeReviewAgent } = require('./agent');
+const { searchCodebase } = require('./vectorStore');
+const { indexCodebase } = require('./indexer');
+const { getProviderConfig } = require('./llmProviders');
+const { createReviewId, isReviewId, saveReview, loadReview } = require('./reviewHistory');
+
+// Requests larger than this are rejected before parsing
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const FEEDBACK_OUTCOMES = ['accepted', 'partially_helpful', 'not_helpful'];
+
+// Index names become file and directory names in the stores, so they are limited to safe characters
+const INDEX_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Fields of the /search filter, the same as the search command's filter options
+const SEARCH_FILTER_FIELDS = ['path', 'type', 'language', 'exclude'];
+
+/**
+ * Error carrying the HTTP status code to respond with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at once and queues up to `maxQueue` more
+ * @param {number} concurrency - Maximum number of tasks running at the same time
+ * @param {number} maxQueue - Maximum number of waiting tasks
+ * @returns {{run: Function, stats: Function}} - run(task) resolves with the task result, or rejects
+ *   with a 503 HttpError when the queue is full
+ */
+function createLimiter(concurrency, maxQueue) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    run(task) {
+      if (active >= concurrency && queue.length >= maxQueue) {
+        return Promise.reject(new HttpError(503, 'Server is busy, try again later'));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    stats() {
+      return { active, queued: queue.length, concurrency, maxQueue };
+    }
+  };
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body (empty object for an empty body)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    let size = 0;
+
+    req.on('data', part => {
+      size += part.length;
+      // Keep draining the request so the error response can still be sent
+      if (size <= MAX_BODY_BYTES) {
+        parts.push(part);
+      }
+    });
+
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+
+      const text = Buffer.concat(parts).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('expected a JSON object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * Checks the bearer token of a request in constant time
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Expected token
+ * @returns {boolean} - True if the request carries the token
+ */
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  // Compare hashes so both buffers have the same length
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolves a path from a request and makes sure it stays inside the project root
+ * @param {string} projectRoot - Project root directory
+ * @param {string} filePath - Absolute or root-relative path from the request
+ * @returns {string} - Absolute path
+ */
+function resolveProjectPath(projectRoot, filePath) {
+  if (typeof filePath !== 'string' || filePath.length === 0) {
+    throw new HttpError(400, '"filePath" must be a non-empty string');
+  }
+
+  const resolved = path.resolve(projectRoot, filePath);
+  const relative = path.relative(projectRoot, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new HttpError(400, `Path is outside the project root: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Validates the search filter of a request
+ * @param {*} filter - Filter from the request body: path globs, and chunk types, languages and files to exclude as
+ *   comma-separated strings; each also as an array of strings, with paths relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|undefined} - Search filter for searchCodebase, or undefined if the request has none
+ * @throws {HttpError} - For unknown fields, values that are not strings and excluded files outside the project root
+ */
+function parseSearchFilter(filter, projectRoot) {
+  if (filter === undefined || filter === null) {
+    return undefined;
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new HttpError(400, '"filter" must be an object');
+  }
+
+  const values = {};
+  for (const [field, value] of Object.entries(filter)) {
+    if (!SEARCH_FILTER_FIELDS.includes(field)) {
+      throw new HttpError(400, `Unknown filter field "${field}" (expected ${SEARCH_FILTER_FIELDS.join(', ')})`);
+    }
+    // As in the search command, everything but path globs can list several values separated by commas
+    const items = (Array.isArray(value) ? value : [value])
+      .flatMap(item => (typeof item === 'string' && field !== 'path' ? item.split(',') : [item]))
+      .map(item => (typeof item === 'string' ? item.trim() : item));
+    if (items.some(item => typeof item !== 'string') || !items.some(Boolean)) {
+      throw new HttpError(400, `"filter.${field}" must be a non-empty string or an array of strings`);
+    }
+    values[field] = items.filter(Boolean);
+  }
+
+  return {
+    path: values.path,
+    type: values.type,
+    language: values.language,
+    excludePath: values.exclude ? values.exclude.map(file => resolveProjectPath(projectRoot, file)) : undefined,
+    root: projectRoot
+  };
+}
+
+/**
+ * Gets the index a request refers to
+ * @param {Object} body - Request body, with an optional indexName
+ * @param {string} defaultIndexName - Index used when the request doesn't name one
+ * @returns {string} - Index name
+ */
+function resolveIndexName(body, defaultIndexName) {
+  if (body.indexName === undefined || body.indexName === null) {
+    return defaultIndexName;
+  }
+  if (typeof body.indexName !== 'string' || !INDEX_NAME_PATTERN.test(body.indexName)) {
+    throw new HttpError(400, '"indexName" may only contain letters, digits, "-" and "_"');
+  }
+  return body.indexName;
+}
+
+/**
+ * Turns a /review request body into the file versions to review
+ * @param {Object} body - Request body: filePath with oldCode/newCode, or a unified diff
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<{filePath: string, oldCode: string, newCode: string, changeType: string}>>} - Files to review
+ */
+async function resolveReviewTargets(body, projectRoot) {
+  // A pair of file versions
+  if (body.diff === undefined) {
+    if (typeof body.newCode !== 'string') {
+      throw new HttpError(400, 'Provide "newCode" (and optionally "oldCode"), or a unified "diff"');
+    }
+    return [{
+      filePath: resolveProjectPath(projectRoot, body.filePath),
+      oldCode: typeof body.oldCode === 'string' ? body.oldCode : '',
+      newCode: body.newCode,
+      changeType: body.changeType || (typeof body.oldCode === 'string' ? 'modified' : 'added')
+    }];
+  }
+
+  if (typeof body.diff !== 'string') {
+    throw new HttpError(400, '"diff" must be a string');
+  }
+
+  // A unified diff, applied to oldCode or to the file as it exists in the project
+  const filePatches = diffLib.parsePatch(body.diff).filter(patch => patch.hunks.length > 0);
+  if (filePatches.length === 0) {
+    throw new HttpError(400, '"diff" does not contain any hunks');
+  }
+  if (filePatches.length > 1 && typeof body.oldCode === 'string') {
+    throw new HttpError(400, '"oldCode" can only be combined with a single-file diff');
+  }
+
+  const stripPrefix = name => (name || '').replace(/^[ab]\//, '');
+  const targets = [];
+
+  for (const patch of filePatches) {
+    const isAdded = patch.oldFileName === '/dev/null';
+    const isDeleted = patch.newFileName === '/dev/null';
+    const fileName = body.filePath || stripPrefix(isDeleted ? patch.oldFileName : patch.newFileName);
+    const filePath = resolveProjectPath(projectRoot, fileName);
+
+    let oldCode = '';
+    if (typeof body.oldCode === 'string') {
+      oldCode = body.oldCode;
+    } else if (!isAdded) {
+      const oldPath = resolveProjectPath(projectRoot, stripPrefix(patch.oldFileName));
+      if (!await fs.pathExists(oldPath)) {
+        throw new HttpError(400, `Cannot apply diff: ${stripPrefix(patch.oldFileName)} does not exist in the project`);
+      }
+      oldCode = await fs.readFile(oldPath, 'utf8');
+    }
+
+    const newCode = diffLib.applyPatch(oldCode, patch);
+    if (newCode === false) {
+      throw new HttpError(422, `Diff does not apply to ${fileName}`);
+    }
+
+    targets.push({
+      filePath,
+      oldCode,
+      newCode: isDeleted ? '' : newCode,
+      changeType: isAdded ? 'added' : isDeleted ? 'deleted' : 'modified'
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Creates the HTTP server
+ * @param {Object} options - Server options
+ * @param {string} options.projectRoot - Project root used for analysis, diffs and indexing
+ * @param {string} options.indexName - Index used for context retrieval and search
+ * @param {string} options.llmProvider - LLM provider for reviews
+ * @param {Object} options.providers - The "providers" section of the config
+ * @param {number} options.hunkThreshold - Changed lines from which files are reviewed hunk by hunk
+ * @param {string} options.token - Optional bearer token required on every endpoint except /health
+ * @param {number} options.concurrency - Maximum number of reviews/searches running at once
+ * @param {number} options.queueSize - Maximum number of queued requests before answering 503
+ * @param {Object} options.indexDefaults - Default extensions and excludeDirs for /index
+ * @param {string} options.version - Version reported by /health
+ * @returns {http.Server} - Server (not yet listening)
+ */
+function createServer(options) {
+  const projectRoot = path.resolve(options.projectRoot);
+  const limiter = createLimiter(options.concurrency || 2, options.queueSize ?? 20);
+  let indexing = false;
+
+  const routes = {
+    'GET /health': async () => ({
+      status: 'ok',
+      version: options.version,
+      indexName: options.indexName,
+      ...limiter.stats(),
+      indexing
+    }),
+
+    'POST /review': async body => {
+      const indexName = resolveIndexName(body, options.indexName);
+      const targets = await resolveReviewTargets(body, projectRoot);
+      if (body.format !== undefined && !['text', 'json'].includes(body.format)) {
+        throw new HttpError(400, '"format" must be "text" or "json"');
+      }
+
+      const llmProvider = body.llm || options.llmProvider;
+      try {
+        getProviderConfig(llmProvider, options.providers);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+
+      return limiter.run(async () => {
+        // Requests can pick their own provider, so each one gets an agent of its own
+        const agent = new CodeReviewAgent(indexName, llmProvider, options.providers);
+        const reviewId = createReviewId();
+        const results = [];
+
+        for (const target of targets) {
+          const review = await agent.reviewCode(target.oldCode, target.newCode, target.filePath, {
+            projectRoot,
+            stack: body.stack,
+            changeType: target.changeType,
+            format: body.format || 'json',
+            hunkThreshold: options.hunkThreshold,
+            cache: body.cache !== false
+          });
+          results.push(typeof review === 'string' ? { file: target.filePath, review } : review);
+        }
+
+        await saveReview({
+          id: reviewId,
+          target: targets.length === 1 ? targets[0].filePath : projectRoot,
+          llm: agent.llmInfo,
+          format: body.format || 'json',
+          results: results.map((result, index) => ({
+            file: targets[index].filePath,
+            review: typeof result.review === 'string' ? result.review : result
+          }))
+        });
+
+        return { reviewId, results };
+      });
+    },
+
+    'POST /search': async body => {
+      if (typeof body.query !== 'string' || body.query.trim() === '') {
+        throw new HttpError(400, '"query" must be a non-empty string');
+      }
+      const topK = body.topK === undefined ? 5 : Number(body.topK);
+      if (!Number.isInteger(topK) || topK < 1 || topK > 100) {
+        throw new HttpError(400, '"topK" must be an integer between 1 and 100');
+      }
+      const indexName = resolveIndexName(body, options.indexName);
+      const filter = parseSearchFilter(body.filter, projectRoot);
+
+      return limiter.run(async () => {
+        const matches = await searchCodebase(body.query, indexName, topK, { filter });
+        return {
+          results: matches.map(match => ({
+            score: match.score,
+            ...match.metadata
+          }))
+        };
+      });
+    },
+
+    'POST /index': async body => {
+      // Concurrent runs would race on the manifest and the stored vectors
+      if (indexing) {
+        throw new HttpError(409, 'Indexing is already in progress');
+      }
+
+      const indexName = resolveIndexName(body, options.indexName);
+      const directory = body.directory ? resolveProjectPath(projectRoot, body.directory) : projectRoot;
+      const defaults = options.indexDefaults || {};
+      indexing = true;
+
+      try {
+        const summary = await indexCodebase({
+          directory,
+          indexName,
+          extensions: Array.isArray(body.extensions) ? body.extensions : defaults.extensions,
+          excludeDirs: Array.isArray(body.excludeDirs) ? body.excludeDirs : defaults.excludeDirs,
+          full: Boolean(body.full)
+        });
+        return { directory, ...summary };
+      } finally {
+        indexing = false;
+      }
+    },
+
+    'POST /feedback': async body => {
+      if (!isReviewId(body.reviewId)) {
+        throw new HttpError(400, '"reviewId" must be a review ID like 20250301-142530-a1b2c3');
+      }
+      if (!FEEDBACK_OUTCOMES.includes(body.outcome)) {
+        throw new HttpError(400, `"outcome" must be one of ${FEEDBACK_OUTCOMES.join(', ')}`);
+      }
+
+      // Reviews of single files are in the history, so callers only need to send the review ID
+      let reviewContent = body.review;
+      if (reviewContent === undefined) {
+        const record = await loadReview(body.reviewId).catch(() => null);
+        reviewContent = record && record.id === body.reviewId && record.results.length === 1
+          ? record.results[0].review
+          : undefined;
+      }
+
+      const agent = new CodeReviewAgent(options.indexName, options.llmProvider, options.providers);
+      const review = typeof reviewContent === 'string' || reviewContent === undefined
+        ? reviewContent
+        : JSON.stringify(reviewContent);
+      agent.logFeedback(body.reviewId, body.feedback || '', body.outcome, review);
+      return { recorded: true };
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    let pathname = req.url;
+    let status = 200;
+
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+      const route = `${req.method} ${pathname}`;
+
+      if (options.token && pathname !== '/health' && !isAuthorized(req, options.token)) {
+        throw new HttpError(401, 'Missing or invalid bearer token');
+      }
+
+      const handler = routes[route];
+      if (!handler) {
+        const knownPath = Object.keys(routes).some(key => key.split(' ')[1] === pathname);
+        throw new HttpError(knownPath ? 405 : 404, knownPath ? `Method ${req.method} not allowed` : `Not found: ${pathname}`);
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      sendJson(res, status, await handler(body));
+    } catch (error) {
+      status = error.status || 500;
+      sendJson(res, status, { error: error.message }, status === 503 ? { 'Retry-After': '5' } : {});
+    } finally {
+      console.log(`${req.method} ${pathname} ${status} ${Date.now() - started}ms`);
+    }
+  });
+}
+
+module.exports = {
+  createServer,
+  createLimiter
+};
@@ -0,0 +1,469 @@
+/**
+ * SQLite Vector Store Module
+ *
+ * Vector store backend keeping each index in a single SQLite database file
+ * (through sql.js, so no native build is needed). Metadata filters run as
+ * SQL and the remaining chunks are scored exactly
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { matchesFilter, cosineSimilarity } = require('./vectorStoreUtils');
+
+// Databases live next to the local indexes, one file per index
+const SQLITE_VECTOR_PATH = path.join(process.cwd(), '.code-connoisseur', 'vectors');
+const DATABASE_EXTENSION = '.sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS chunks (
+    id TEXT PRIMARY KEY,
+    path TEXT NOT NULL,
+    type TEXT,
+    name TEXT,
+    parent TEXT,
+    start_line INTEGER,
+    end_line INTEGER,
+    part INTEGER,
+    parts INTEGER,
+    code TEXT,
+    vector BLOB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS chunks_path ON chunks (path);
+`;
+
+// Columns added to the chunks table after its first version, with their types
+const ADDED_COLUMNS = {
+  part: 'INTEGER',
+  parts: 'INTEGER'
+};
+
+// Metadata fields stored in their own columns, which filters can use in SQL
+const FILTER_COLUMNS = {
+  path: 'path',
+  type: 'type',
+  name: 'name',
+  parent: 'parent',
+  startLine: 'start_line',
+  endLine: 'end_line'
+};
+
+// Stays below SQLite's limit on parameters per statement
+const MAX_SQL_PARAMETERS = 500;
+
+// The sql.js module, loaded on first use
+let sqlJs = null;
+
+// Open databases by index name, reloaded when the file changes
+const openDatabases = new Map();
+
+// Indexes already reported missing, so a review searching many times warns only once
+const reportedMissingIndexes = new Set();
+
+/**
+ * Gets the database file of an index
+ * @param {string} indexName - Name of the index
+ * @returns {string} - Path to the database file
+ */
+function getDatabasePath(indexName) {
+  return path.join(SQLITE_VECTOR_PATH, `${indexName}${DATABASE_EXTENSION}`);
+}
+
+/**
+ * Opens the database of an index, creating an empty one in memory if the file doesn't exist yet
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<Object>} - sql.js database
+ */
+async function openDatabase(indexName) {
+  const databasePath = getDatabasePath(indexName);
+  const mtimeMs = await fs.pathExists(databasePath) ? (await fs.stat(databasePath)).mtimeMs : null;
+
+  const open = openDatabases.get(indexName);
+  if (open && open.mtimeMs === mtimeMs) {
+    return open.db;
+  }
+  if (open) {
+    open.db.close();
+  }
+
+  sqlJs = sqlJs || await initSqlJs();
+  const db = new sqlJs.Database(mtimeMs !== null ? await fs.readFile(databasePath) : undefined);
+  db.exec(SCHEMA);
+
+  // Databases created by earlier versions lack the newer columns
+  const columns = new Set(selectAll(db, 'PRAGMA table_info(chunks)').map(column => column.name));
+  for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+    if (!columns.has(column)) db.exec(`ALTER TABLE chunks ADD COLUMN ${column} ${type}`);
+  }
+  openDatabases.set(indexName, { db, mtimeMs });
+  return db;
+}
+
+/**
+ * Writes a database to its file
+ * @param {string} indexName - Name of the index
+ * @param {Object} db - sql.js database
+ * @returns {Promise<void>}
+ */
+async function saveDatabase(indexName, db) {
+  const databasePath = getDatabasePath(indexName);
+  await fs.ensureDir(SQLITE_VECTOR_PATH);
+  await fs.writeFile(databasePath, Buffer.from(db.export()));
+  openDatabases.set(indexName, { db, mtimeMs: (await fs.stat(databasePath)).mtimeMs });
+}
+
+/**
+ * Runs a query and returns all rows
+ * @param {Object} db - sql.js database
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Array<Object>} - Rows as objects
+ */
+function selectAll(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+/**
+ * Reads the meta table of a database
+ * @param {Object} db - sql.js database
+ * @returns {Object<string, string>} - Values by key
+ */
+function readMeta(db) {
+  const meta = {};
+  for (const row of selectAll(db, 'SELECT key, value FROM meta')) {
+    meta[row.key] = row.value;
+  }
+  return meta;
+}
+
+/**
+ * Translates the parts of a metadata filter that refer to stored columns to SQL
+ * @param {Object} filter - Metadata filter (see matchesFilter)
+ * @returns {{where: string, params: Array}} - WHERE clause (empty without conditions) and its parameters; the
+ *   clause may match more rows than the filter, never fewer
+ */
+function filterToSql(filter) {
+  const conditions = [];
+  const params = [];
+
+  for (const [field, condition] of Object.entries(filter || {})) {
+    const column = FILTER_COLUMNS[field];
+    if (!column) continue;
+
+    const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { $eq: condition };
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (operator === '$eq' && operand !== null && operand !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(operand);
+      } else if (operator === '$in' && Array.isArray(operand) && operand.length > 0 &&
+          operand.length <= MAX_SQL_PARAMETERS && !operand.some(value => value === null || value === undefined)) {
+        conditions.push(`${column} IN (${operand.map(() => '?').join(', ')})`);
+        params.push(...operand);
+      }
+      // Negations also match missing values, which are simpler to check on the rows
+    }
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Converts a chunk row to chunk metadata
+ * @param {Object} row - Row of the chunks table
+ * @returns {Object} - Chunk metadata
+ */
+function rowToMetadata(row) {
+  return {
+    path: row.path,
+    type: row.type,
+    name: row.name,
+    code: row.code,
+    ...(row.parent ? { parent: row.parent } : {}),
+    ...(row.start_line ? { startLine: row.start_line, endLine: row.end_line } : {}),
+    ...(row.part ? { part: row.part, parts: row.parts } : {})
+  };
+}
+
+/**
+ * Inserts chunks and records the embedding backend of the index; runs inside the caller's transaction
+ * @param {Object} db - sql.js database
+ * @param {string} indexName - Name of the index
+ * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store
+ * @param {{provider: string, model: string, dimension: number}} embedding - Embedding backend of the vectors
+ */
+function insertChunks(db, indexName, chunks, embedding) {
+  const now = new Date().toISOString();
+  const insert = db.prepare(`INSERT OR REPLACE INTO chunks
+    (id, path, type, name, parent, start_line, end_line, part, parts, code, vector)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  try {
+    for (const chunk of chunks) {
+      const { metadata } = chunk;
+      insert.run([
+        chunk.id, metadata.path, metadata.type ?? null, metadata.name ?? null, metadata.parent ?? null,
+        metadata.startLine ?? null, metadata.endLine ?? null, metadata.part ?? null, metadata.parts ?? null,
+        metadata.code ?? null,
+        new Uint8Array(Float32Array.from(chunk.values).buffer)
+      ]);
+    }
+  } finally {
+    insert.free();
+  }
+
+  // Record the embedding backend so queries are embedded into the same vector space
+  const meta = {
+    name: indexName,
+    dimension: String(embedding.dimension),
+    embeddingProvider: embedding.provider,
+    embeddingModel: embedding.model,
+    updated: now
+  };
+  db.run("INSERT OR IGNORE INTO meta (key, value) VALUES ('created', ?)", [now]);
+  for (const [key, value] of Object.entries(meta)) {
+    db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, value]);
+  }
+}
+
+/**
+ * Deletes the chunks of the given files
+ * @param {Object} db - sql.js database
+ * @param {string[]} filePaths - Paths of the files
+ * @returns {number} - Number of chunks deleted
+ */
+function deleteFileChunks(db, filePaths) {
+  let removed = 0;
+  for (let i = 0; i < filePaths.length; i += MAX_SQL_PARAMETERS) {
+    const batch = filePaths.slice(i, i + MAX_SQL_PARAMETERS);
+    db.run(`DELETE FROM chunks WHERE path IN (${batch.map(() => '?').join(', ')})`, batch);
+    removed += db.getRowsModified();
+  }
+  return removed;
+}
+
+/**
+ * Vector store backend for SQLite database files
+ */
+class SqliteVectorStore {
+  constructor() {
+    this.name = 'sqlite';
+  }
+
+  /**
+   * Checks whether an index exists
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if the index exists
+   */
+  async exists(indexName) {
+    return fs.pathExists(getDatabasePath(indexName));
+  }
+
+  /**
+   * Lists the indexes in the project
+   * @returns {Promise<string[]>} - Index names
+   */
+  async list() {
+    if (!await fs.pathExists(SQLITE_VECTOR_PATH)) {
+      return [];
+    }
+    return (await fs.readdir(SQLITE_VECTOR_PATH))
+      .filter(file => file.endsWith(DATABASE_EXTENSION))
+      .map(file => file.slice(0, -DATABASE_EXTENSION.length))
+      .sort();
+  }
+
+  /**
+   * Adds chunks to an index, replacing stored chunks with the same IDs
+   * @param {string} indexName - Name of the index
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store
+   * @param {Object} options - Upsert options
+   * @param {boolean} options.replace - Drop everything already stored first
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<void>}
+   */
+  async upsert(indexName, chunks, options = {}) {
+    console.log(`Storing ${chunks.length} embeddings in SQLite database: ${getDatabasePath(indexName)}`);
+    const db = await openDatabase(indexName);
+
+    db.exec('BEGIN');
+    try {
+      if (options.replace) {
+        db.exec('DELETE FROM chunks');
+      }
+      insertChunks(db, indexName, chunks, options.embedding);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    await saveDatabase(indexName, db);
+    console.log('All embeddings stored successfully in SQLite');
+  }
+
+  /**
+   * Removes all chunks of the given files from an index
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files
+   * @returns {Promise<number>} - Number of chunks removed
+   */
+  async deleteByPath(indexName, filePaths) {
+    if (filePaths.length === 0 || !await this.exists(indexName)) {
+      return 0;
+    }
+
+    const db = await openDatabase(indexName);
+    const removed = deleteFileChunks(db, filePaths);
+    if (removed > 0) {
+      await saveDatabase(indexName, db);
+    }
+    return removed;
+  }
+
+  /**
+   * Removes all chunks of the given files and adds new chunks in one transaction and a single write of the database
+   * @param {string} indexName - Name of the index
+   * @param {string[]} filePaths - Paths of the files whose chunks are removed
+   * @param {Array<{id: string, values: number[], metadata: object}>} chunks - Chunks to store, replacing stored
+   *   chunks with the same IDs
+   * @param {Object} options - Update options
+   * @param {{provider: string, model: string, dimension: number}} options.embedding - Embedding backend of the vectors
+   * @returns {Promise<number>} - Number of chunks removed from the given files
+   */
+  async replaceFiles(indexName, filePaths, chunks, options = {}) {
+    if (chunks.length === 0) {
+      return this.deleteByPath(indexName, filePaths);
+    }
+
+    console.log(`Storing ${chunks.length} embeddings in SQLite database: ${getDatabasePath(indexName)}`);
+    const db = await openDatabase(indexName);
+    let removed;
+
+    db.exec('BEGIN');
+    try {
+      removed = deleteFileChunks(db, filePaths);
+      insertChunks(db, indexName, chunks, options.embedding);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    await saveDatabase(indexName, db);
+    console.log('All embeddings stored successfully in SQLite');
+    return removed;
+  }
+
+  /**
+   * Finds the chunks nearest to a query vector by scoring every chunk that matches the filter
+   * @param {string} indexName - Name of the index
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} options - Query options
+   * @param {number} options.topK - Number of results
+   * @param {Object} options.filter - Metadata filter (see matchesFilter)
+   * @param {Object} options.searchFilter - Compiled search filter (see createSearchFilter)
+   * @returns {Promise<Array<{id: string, metadata: object, score: number}>>} - Nearest chunks, best first
+   */
+  async query(indexName, vector, options = {}) {
+    if (!await this.exists(indexName)) {
+      if (!reportedMissingIndexes.has(indexName)) {
+        reportedMissingIndexes.add(indexName);
+        console.warn(`SQLite database for index ${indexName} not found`);
+      }
+      return [];
+    }
+
+    const db = await openDatabase(indexName);
+    const { where, params } = filterToSql(options.filter);
+    const matches = [];
+
+    for (const row of selectAll(db, `SELECT * FROM chunks ${where}`, params)) {
+      const metadata = rowToMetadata(row);
+      if (!matchesFilter(metadata, options.filter)) continue;
+      if (options.searchFilter && !options.searchFilter.test(metadata)) continue;
+
+      // Copied, since a Float32Array needs an aligned buffer
+      const values = new Float32Array(row.vector.slice().buffer);
+      matches.push({ id: row.id, metadata, score: cosineSimilarity(vector, values) });
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, options.topK || 5);
+  }
+
+  /**
+   * Gets the embedding backend an index was built with
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<{provider: string, model: string}|null>} - Embedding backend, or null if not recorded
+   */
+  async getEmbedding(indexName) {
+    if (!await this.exists(indexName)) {
+      return null;
+    }
+    const meta = readMeta(await openDatabase(indexName));
+    return meta.embeddingProvider ? { provider: meta.embeddingProvider, model: meta.embeddingModel } : null;
+  }
+
+  /**
+   * Describes an index
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<Object|null>} - Index statistics (see vectorStore.getIndexStats), or null if it doesn't exist
+   */
+  async stats(indexName) {
+    if (!await this.exists(indexName)) {
+      return null;
+    }
+
+    const db = await openDatabase(indexName);
+    const meta = readMeta(db);
+    const [{ count }] = selectAll(db, 'SELECT COUNT(*) AS count FROM chunks');
+    const databasePath = getDatabasePath(indexName);
+
+    return {
+      name: indexName,
+      backend: this.name,
+      chunkCount: count,
+      dimension: meta.dimension ? Number(meta.dimension) : null,
+      embedding: meta.embeddingProvider ? { provider: meta.embeddingProvider, model: meta.embeddingModel } : null,
+      created: meta.created || null,
+      updated: meta.updated || null,
+      location: databasePath,
+      size: (await fs.stat(databasePath)).size,
+      details: null
+    };
+  }
+
+  /**
+   * Deletes an index
+   * @param {string} indexName - Name of the index
+   * @returns {Promise<boolean>} - True if there was an index to delete
+   */
+  async drop(indexName) {
+    const open = openDatabases.get(indexName);
+    if (open) {
+      open.db.close();
+      openDatabases.delete(indexName);
+    }
+
+    if (!await this.exists(indexName)) {
+      return false;
+    }
+    await fs.remove(getDatabasePath(indexName));
+    return true;
+  }
+}
+
+module.exports = {
+  SqliteVectorStore
+};
@@ -0,0 +1,303 @@
+/**
+ * Symbol Index Module
+ *
+ * Inverted index from identifiers to the chunks that define or use them,
+ * built next to the vector index so exact symbol names can be looked up
+ * without relying on embeddings
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Symbol indexes live next to the index manifests
+const METADATA_DIR = path.join(process.cwd(), '.code-connoisseur', 'metadata');
+// Version 2 stores where chunks are instead of their code
+const SYMBOL_INDEX_VERSION = 2;
+
+// Shorter identifiers (i, id, fn) match too much code to be useful
+const MIN_SYMBOL_LENGTH = 3;
+
+// A chunk defining a symbol counts this much more than one using it
+const DEFINITION_WEIGHT = 10;
+
+// Identifiers
+const IDENTIFIER_PATTERN = /[A-Za-z_$][A-Za-z0-9_$]*/g;
+
+// Names introduced by declarations (JavaScript/TypeScript, Python and Java)
+const DEFINITION_PATTERNS = [
+  /\b(?:function\s*\*?|class|def|interface|enum|type)\s+([A-Za-z_$][A-Za-z0-9_$]*)/g,
+  /\b(?:const|let|var)\s+([A-Za-z_$][A-Za-z0-9_$]*)\s*=/g,
+  /^[ \t]*(?:(?:public|private|protected|static|async|get|set|final|abstract|synchronized)\s+)*(?:[\w<>[\],.]+\s+)?([A-Za-z_$][A-Za-z0-9_$]*)\s*\([^)]*\)\s*(?:throws\s+[\w.,\s]+)?\{/gm
+];
+
+// Keywords and ubiquitous names that say nothing about what code does
+const STOP_WORDS = new Set([
+  'abstract', 'and', 'arguments', 'assert', 'async', 'await', 'boolean', 'break', 'byte', 'case', 'catch', 'char',
+  'class', 'console', 'const', 'continue', 'debugger', 'def', 'default', 'delete', 'double', 'elif', 'else', 'enum',
+  'except', 'export', 'exports', 'extends', 'false', 'final', 'finally', 'float', 'for', 'from', 'function', 'get',
+  'global', 'implements', 'import', 'instanceof', 'int', 'interface', 'lambda', 'let', 'log', 'long', 'module',
+  'native', 'new', 'nonlocal', 'None', 'not', 'null', 'package', 'pass', 'private', 'protected', 'public', 'raise',
+  'require', 'return', 'self', 'set', 'short', 'static', 'super', 'switch', 'synchronized', 'this', 'throw',
+  'throws', 'transient', 'True', 'False', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'volatile', 'while',
+  'with', 'yield', '__proto__'
+]);
+
+// Loaded symbol indexes by index name, reloaded when the file changes
+const loadedIndexes = new Map();
+
+/**
+ * Checks whether an identifier is worth indexing
+ * @param {string} name - Identifier
+ * @returns {boolean} - True if it is long enough and not a keyword
+ */
+function isSymbol(name) {
+  return name.length >= MIN_SYMBOL_LENGTH && !STOP_WORDS.has(name);
+}
+
+/**
+ * Finds the names a piece of code declares
+ * @param {string} code - Code to scan
+ * @returns {string[]} - Declared names
+ */
+function extractDefinitions(code) {
+  const names = new Set();
+  for (const pattern of DEFINITION_PATTERNS) {
+    for (const match of code.matchAll(pattern)) {
+      if (isSymbol(match[1])) names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Counts the identifiers a piece of code contains
+ * @param {string} code - Code to scan
+ * @returns {Map<string, number>} - Occurrences per identifier
+ */
+function extractSymbols(code) {
+  const counts = new Map();
+  for (const [name] of code.matchAll(IDENTIFIER_PATTERN)) {
+    if (isSymbol(name)) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Gets the symbol index file path for an index
+ * @param {string} indexName - Name of the index
+ * @returns {string} - Path to the symbol index file
+ */
+function getSymbolIndexPath(indexName) {
+  return path.join(METADATA_DIR, `${indexName}-symbols.json`);
+}
+
+/**
+ * Creates an empty symbol index
+ * @param {string} indexName - Name of the index
+ * @returns {{version: number, indexName: string, updated: string|null, chunks: Object, postings: Object}} - Empty
+ *   index; chunks maps chunk IDs to their location (see toChunkReference), postings maps symbols to
+ *   [chunkId, count, defined] entries
+ */
+function createSymbolIndex(indexName) {
+  return {
+    version: SYMBOL_INDEX_VERSION,
+    indexName,
+    updated: null,
+    chunks: {},
+    postings: {}
+  };
+}
+
+/**
+ * Gets the part of a chunk's metadata the symbol index keeps: enough to find the chunk, but not its code
+ * @param {Object} metadata - Chunk metadata
+ * @returns {{path: string, type: string, name: string, parent: string, startLine: number, endLine: number}} - Chunk
+ *   location; parent and the line range only when the chunk has them
+ */
+function toChunkReference(metadata) {
+  return {
+    path: metadata.path,
+    type: metadata.type,
+    name: metadata.name,
+    ...(metadata.parent ? { parent: metadata.parent } : {}),
+    ...(metadata.startLine ? { startLine: metadata.startLine, endLine: metadata.endLine } : {})
+  };
+}
+
+/**
+ * Checks whether an index has a symbol index in the current format
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<boolean>} - True if a usable symbol index exists
+ */
+async function symbolIndexExists(indexName) {
+  try {
+    const index = await fs.readJson(getSymbolIndexPath(indexName));
+    return index.version === SYMBOL_INDEX_VERSION;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Loads the symbol index for an index, returning an empty one if none exists
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<Object>} - Symbol index
+ */
+async function loadSymbolIndex(indexName) {
+  const indexPath = getSymbolIndexPath(indexName);
+
+  try {
+    if (await fs.pathExists(indexPath)) {
+      // Reviews look up symbols for every file, so keep the parsed index until it changes on disk
+      const { mtimeMs } = await fs.stat(indexPath);
+      const loaded = loadedIndexes.get(indexName);
+      if (loaded && loaded.mtimeMs === mtimeMs) {
+        return loaded.index;
+      }
+
+      const index = await fs.readJson(indexPath);
+      // Ignore indexes written by an incompatible version
+      if (index.version === SYMBOL_INDEX_VERSION && index.chunks && index.postings) {
+        loadedIndexes.set(indexName, { mtimeMs, index });
+        return index;
+      }
+    }
+  } catch (error) {
+    console.warn(`Could not read symbol index: ${error.message}`);
+  }
+
+  return createSymbolIndex(indexName);
+}
+
+/**
+ * Updates the symbol index with the chunks of an indexing run
+ * @param {string} indexName - Name of the index
+ * @param {Array<{id: string, metadata: Object}>} embeddedChunks - Chunks to add
+ * @param {string[]} staleIds - IDs of chunks to remove (from modified or deleted files)
+ * @param {Object} options - Update options
+ * @param {boolean} options.replace - Drop everything already indexed before adding the new chunks
+ * @returns {Promise<{chunks: number, symbols: number}>} - Size of the updated index
+ */
+async function updateSymbolIndex(indexName, embeddedChunks, staleIds, options = {}) {
+  const index = options.replace ? createSymbolIndex(indexName) : await loadSymbolIndex(indexName);
+  const removed = new Set([...staleIds, ...embeddedChunks.map(chunk => chunk.id)]);
+
+  for (const id of removed) {
+    delete index.chunks[id];
+  }
+  for (const [symbol, postings] of Object.entries(index.postings)) {
+    const kept = postings.filter(([id]) => !removed.has(id));
+    if (kept.length > 0) {
+      index.postings[symbol] = kept;
+    } else {
+      delete index.postings[symbol];
+    }
+  }
+
+  for (const { id, metadata } of embeddedChunks) {
+    const code = metadata.code || '';
+    const definitions = new Set(extractDefinitions(code));
+    // The parser's name for the chunk is its most reliable definition; whole files have no name of their own
+    if (metadata.type !== 'File' && metadata.name && isSymbol(metadata.name)) {
+      definitions.add(metadata.name);
+    }
+
+    const counts = extractSymbols(code);
+    definitions.forEach(name => counts.set(name, counts.get(name) || 1));
+
+    index.chunks[id] = toChunkReference(metadata);
+    for (const [symbol, count] of counts) {
+      // Plain objects inherit names like "constructor", so only own keys count
+      if (!Object.prototype.hasOwnProperty.call(index.postings, symbol)) {
+        index.postings[symbol] = [];
+      }
+      index.postings[symbol].push([id, count, definitions.has(symbol) ? 1 : 0]);
+    }
+  }
+
+  await fs.ensureDir(METADATA_DIR);
+  index.updated = new Date().toISOString();
+  await fs.writeJson(getSymbolIndexPath(indexName), index);
+  loadedIndexes.delete(indexName);
+
+  return { chunks: Object.keys(index.chunks).length, symbols: Object.keys(index.postings).length };
+}
+
+/**
+ * Removes the symbol index for an index
+ * @param {string} indexName - Name of the index
+ * @returns {Promise<void>}
+ */
+async function removeSymbolIndex(indexName) {
+  loadedIndexes.delete(indexName);
+  await fs.remove(getSymbolIndexPath(indexName));
+}
+
+/**
+ * Finds the chunks that define or use any of the given symbols
+ * @param {string[]} symbols - Exact identifiers to look up
+ * @param {string} indexName - Name of the index
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Array<{id: string, metadata: Object, score: number, definitions: string[], usages: string[]}>>} -
+ *   Matching chunks, best first: chunks defining a symbol rank above chunks only using it, and rare symbols
+ *   count more than common ones; metadata locates the chunk but has no code (see readChunkCode)
+ */
+async function searchSymbols(symbols, indexName, options = {}) {
+  const index = await loadSymbolIndex(indexName);
+  const chunkCount = Math.max(1, Object.keys(index.chunks).length);
+  const matches = new Map();
+
+  for (const symbol of new Set(symbols)) {
+    if (!Object.prototype.hasOwnProperty.call(index.postings, symbol)) continue;
+
+    const postings = index.postings[symbol];
+    const idf = Math.log(1 + chunkCount / postings.length);
+
+    for (const [id, count, defined] of postings) {
+      if (!matches.has(id)) {
+        matches.set(id, { id, metadata: index.chunks[id], score: 0, definitions: [], usages: [] });
+      }
+      const match = matches.get(id);
+      match.score += idf * ((defined ? DEFINITION_WEIGHT : 0) + 1 + Math.log(count));
+      (defined ? match.definitions : match.usages).push(symbol);
+    }
+  }
+
+  const results = [...matches.values()]
+    .filter(match => match.metadata)
+    .sort((a, b) => (b.definitions.length > 0) - (a.definitions.length > 0) || b.score - a.score);
+
+  return options.limit ? results.slice(0, options.limit) : results;
+}
+
+/**
+ * Reads the code of a chunk from its file
+ * @param {Object} chunk - Chunk location from searchSymbols
+ * @returns {Promise<string|null>} - The chunk's lines as they are on disk (the whole file for chunks without a line
+ *   range), or null if the file can't be read
+ */
+async function readChunkCode(chunk) {
+  let content;
+  try {
+    content = await fs.readFile(chunk.path, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  if (!chunk.startLine) {
+    return content;
+  }
+  return content.split('\n').slice(chunk.startLine - 1, chunk.endLine).join('\n');
+}
+
+module.exports = {
+  extractDefinitions,
+  extractSymbols,
+  symbolIndexExists,
+  loadSymbolIndex,
+  updateSymbolIndex,
+  removeSymbolIndex,
+  searchSymbols,
+  readChunkCode
+};
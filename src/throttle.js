@@ -0,0 +1,206 @@
+/**
+ * Throttle Module
+ *
+ * Worker pool, per-provider rate limiting and retry with exponential backoff
+ * for LLM requests, so many files can be reviewed in parallel without
+ * tripping provider limits
+ */
+
+// First retry delay; each further retry doubles it
+const BASE_RETRY_DELAY_MS = 1000;
+
+// Upper limit on a single retry delay
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Retries when a provider doesn't configure maxRetries
+const DEFAULT_MAX_RETRIES = 4;
+
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+// Rate limiters by provider name, shared by all agents in the process
+const providerLimiters = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a rate limiter that spaces out requests evenly
+ * @param {number} requestsPerMinute - Allowed requests per minute (0 or less for no limit)
+ * @returns {{schedule: Function, pause: Function}} - schedule(task) runs a task in the next free slot;
+ *   pause(ms) holds back all requests, e.g. after the provider answered 429
+ */
+function createRateLimiter(requestsPerMinute) {
+  const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlot = 0;
+
+  return {
+    async schedule(task) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+      return task();
+    },
+    pause(ms) {
+      nextSlot = Math.max(nextSlot, Date.now() + ms);
+    }
+  };
+}
+
+/**
+ * Gets the rate limiter shared by all requests to a provider
+ * @param {string} name - Provider name
+ * @param {number} requestsPerMinute - Allowed requests per minute (0 or less for no limit)
+ * @returns {{schedule: Function, pause: Function}} - Rate limiter
+ */
+function getProviderRateLimiter(name, requestsPerMinute) {
+  const key = `${name}:${requestsPerMinute}`;
+  if (!providerLimiters.has(key)) {
+    providerLimiters.set(key, createRateLimiter(requestsPerMinute));
+  }
+  return providerLimiters.get(key);
+}
+
+/**
+ * Reads the HTTP status of a failed provider request
+ * @param {Error} error - Error thrown by the client
+ * @returns {number|null} - Status code, or null if the request failed without a response
+ */
+function getErrorStatus(error) {
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+/**
+ * Checks whether a failed request is worth retrying (rate limits, server errors, dropped connections)
+ * @param {Error} error - Error thrown by the client
+ * @returns {boolean} - True if the request can be retried
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status !== null) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code) || RETRYABLE_ERROR_CODES.includes(error.cause?.code);
+}
+
+/**
+ * Reads how long the provider asked us to wait
+ * @param {Error} error - Error thrown by the client
+ * @returns {number|null} - Delay in milliseconds from a Retry-After header, or null if there is none
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Runs a task, retrying retryable failures with exponential backoff and jitter
+ * @param {Function} task - Async task to run
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<*>} - Result of the task
+ * @throws {Error} - The last error when the task fails for good
+ */
+async function withRetry(task, options = {}) {
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+      // Jitter keeps parallel workers from retrying in lockstep
+      const delay = getRetryAfterMs(error) ?? Math.round(backoff * (0.5 + Math.random() / 2));
+      if (options.onRetry) {
+        options.onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wraps a chat model so every request goes through the provider's rate limiter and retry policy
+ * @param {Object} model - LangChain chat model
+ * @param {{name: string, requestsPerMinute: number, maxRetries: number}} provider - Provider settings
+ * @returns {{call: Function, invoke: Function, model: Object}} - Model with the same call and invoke methods
+ */
+function throttleChatModel(model, provider) {
+  const limiter = getProviderRateLimiter(provider.name, provider.requestsPerMinute);
+
+  const request = method => (...args) => withRetry(
+    () => limiter.schedule(() => model[method](...args)),
+    {
+      maxRetries: provider.maxRetries,
+      onRetry: (error, attempt, delay) => {
+        // Other workers using the provider wait as well instead of running into the same limit
+        if (getErrorStatus(error) === 429) {
+          limiter.pause(delay);
+        }
+        console.warn(`${provider.name} request failed (${getErrorStatus(error) || error.code || error.message}), ` +
+          `retry ${attempt}/${provider.maxRetries ?? DEFAULT_MAX_RETRIES} in ${Math.round(delay / 1000)}s`);
+      }
+    }
+  );
+
+  return {
+    model,
+    call: request('call'),
+    invoke: request('invoke')
+  };
+}
+
+/**
+ * Runs a worker over items with limited concurrency, keeping results in item order
+ * @param {Array<*>} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array<{status: string, value: *, reason: Error}>>} - Settled result per item, like
+ *   Promise.allSettled; one failing item doesn't stop the others
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_MAX_RETRIES,
+  createRateLimiter,
+  getProviderRateLimiter,
+  isRetryableError,
+  withRetry,
+  throttleChatModel,
+  runPool
+};
@@ -9,6 +9,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const parser = require('@typescript-eslint/parser');
 const { parse } = require('@typescript-eslint/typescript-estree');
+const { MAX_CHUNK_LENGTH } = require('./chunkSplitter');
 
 /**
  * Parse TypeScript file content
@@ -84,7 +85,8 @@ function findTsConfig(filePath) {
  * @param {object} ast - TypeScript AST
  * @param {string} content - Original file content
  * @param {string} filePath - Path to the file
- * @returns {Array<{type: string, name: string, code: string, path: string}>} - Array of code chunks
+ * @returns {Array<{type: string, name: string, code: string, path: string, startLine: number, endLine: number}>} -
+ *   Array of code chunks
  */
 function extractChunks(ast, content, filePath) {
   const chunks = [];
@@ -95,7 +97,7 @@ function extractChunks(ast, content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
@@ -138,12 +140,12 @@ function extractChunks(ast, content, filePath) {
           name = node.declaration.id.name;
         }
         
-        // Add chunk with size limit
         chunks.push({
           type: node.type,
           name: name,
-          code: chunk.substring(0, Math.min(chunk.length, 5000)),
-          path: filePath
+          code: chunk,
+          path: filePath,
+          ...(node.loc ? { startLine: node.loc.start.line, endLine: node.loc.end.line } : {})
         });
       }
     } catch (error) {
@@ -156,7 +158,7 @@ function extractChunks(ast, content, filePath) {
     return [{
       type: 'File',
       name: fileName,
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
@@ -177,13 +179,13 @@ function processTypeScriptFile(content, filePath) {
       throw new Error('Invalid or empty content');
     }
     
-    // If file is extremely large, just return it as-is with truncation
+    // If file is extremely large, return it unparsed as a single chunk
     if (content.length > 500000) { // 500KB
       console.log(`File too large for TS parsing: ${filePath} (${Math.round(content.length/1024)}KB)`);
       return [{
         type: 'File',
         name: path.basename(filePath),
-        code: content.substring(0, 5000), // First 5000 chars only
+        code: content,
         path: filePath
       }];
     }
@@ -194,7 +196,8 @@ function processTypeScriptFile(content, filePath) {
       return [{
         type: 'File',
         name: path.basename(filePath),
-        code: content.substring(0, 5000),
+        // Binary content isn't worth splitting into windows
+        code: content.substring(0, MAX_CHUNK_LENGTH),
         path: filePath
       }];
     }
@@ -269,7 +272,7 @@ function processTypeScriptFile(content, filePath) {
     return [{
       type: 'File',
       name: path.basename(filePath),
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   } catch (error) {
@@ -277,7 +280,7 @@ function processTypeScriptFile(content, filePath) {
     return [{
       type: 'File',
       name: path.basename(filePath),
-      code: content.substring(0, Math.min(content.length, 5000)),
+      code: content,
       path: filePath
     }];
   }
@@ -0,0 +1,147 @@
+/**
+ * Vector File Module
+ *
+ * Packed binary format for the vectors of a local index: a header with
+ * section offsets, the chunk IDs, and the vectors as Float32 values or
+ * int8 values with a scale per vector
+ */
+
+// File format identification
+const FORMAT_MAGIC = 'CCVF';
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 32;
+
+// Supported vector encodings and their codes in the header
+const ENCODINGS = {
+  float32: 0,
+  int8: 1
+};
+
+/**
+ * Rounds an offset up to a multiple of 4, so Float32 sections can be read without copying
+ * @param {number} offset - Byte offset
+ * @returns {number} - Aligned offset
+ */
+function align(offset) {
+  return Math.ceil(offset / 4) * 4;
+}
+
+/**
+ * Encodes vectors in the binary format
+ * @param {Array<{id: string, values: Array<number>|Float32Array}>} chunks - Chunks with their vectors
+ * @param {Object} options - Encoding options
+ * @param {string} options.encoding - 'float32' (default) or 'int8' (a quarter of the size, slightly less precise)
+ * @returns {Buffer} - Vector file contents
+ * @throws {Error} - For an unknown encoding or vectors of different dimensions
+ */
+function encodeVectorFile(chunks, options = {}) {
+  const encoding = options.encoding || 'float32';
+  if (!(encoding in ENCODINGS)) {
+    throw new Error(`Unknown vector encoding: ${encoding} (expected ${Object.keys(ENCODINGS).join(' or ')})`);
+  }
+
+  const dimension = chunks.length > 0 ? chunks[0].values.length : 0;
+  const ids = chunks.map(chunk => Buffer.from(chunk.id, 'utf8'));
+  const idsSize = ids.reduce((sum, id) => sum + 2 + id.length, 0);
+  const scalesOffset = align(HEADER_SIZE + idsSize);
+  const vectorsOffset = encoding === 'int8' ? align(scalesOffset + chunks.length * 4) : scalesOffset;
+  const bytesPerValue = encoding === 'int8' ? 1 : 4;
+  const buffer = Buffer.alloc(vectorsOffset + chunks.length * dimension * bytesPerValue);
+
+  buffer.write(FORMAT_MAGIC, 0, 'ascii');
+  buffer.writeUInt32LE(FORMAT_VERSION, 4);
+  buffer.writeUInt32LE(ENCODINGS[encoding], 8);
+  buffer.writeUInt32LE(dimension, 12);
+  buffer.writeUInt32LE(chunks.length, 16);
+  buffer.writeUInt32LE(HEADER_SIZE, 20);
+  buffer.writeUInt32LE(encoding === 'int8' ? scalesOffset : 0, 24);
+  buffer.writeUInt32LE(vectorsOffset, 28);
+
+  let offset = HEADER_SIZE;
+  for (const id of ids) {
+    offset = buffer.writeUInt16LE(id.length, offset);
+    offset += id.copy(buffer, offset);
+  }
+
+  chunks.forEach((chunk, index) => {
+    if (chunk.values.length !== dimension) {
+      throw new Error(`Vector of chunk ${chunk.id} has ${chunk.values.length} dimensions, expected ${dimension}`);
+    }
+
+    if (encoding === 'float32') {
+      for (let i = 0; i < dimension; i++) {
+        buffer.writeFloatLE(chunk.values[i], vectorsOffset + (index * dimension + i) * 4);
+      }
+      return;
+    }
+
+    // Symmetric scalar quantization: the largest absolute value maps to 127
+    let maxAbs = 0;
+    for (let i = 0; i < dimension; i++) {
+      maxAbs = Math.max(maxAbs, Math.abs(chunk.values[i]));
+    }
+    const scale = maxAbs / 127;
+    buffer.writeFloatLE(scale, scalesOffset + index * 4);
+    for (let i = 0; i < dimension; i++) {
+      buffer.writeInt8(scale > 0 ? Math.round(chunk.values[i] / scale) : 0, vectorsOffset + index * dimension + i);
+    }
+  });
+
+  return buffer;
+}
+
+/**
+ * Decodes a vector file
+ * @param {Buffer} buffer - Vector file contents
+ * @returns {{encoding: string, dimension: number, ids: string[], vectors: Float32Array[]}} - Chunk IDs and their
+ *   vectors in file order (int8 vectors are scaled back to floats)
+ * @throws {Error} - If the buffer is not a supported vector file
+ */
+function decodeVectorFile(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== FORMAT_MAGIC) {
+    throw new Error('Not a vector file');
+  }
+  if (buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+    throw new Error(`Unsupported vector file version ${buffer.readUInt32LE(4)}`);
+  }
+
+  const encoding = Object.keys(ENCODINGS).find(name => ENCODINGS[name] === buffer.readUInt32LE(8));
+  if (!encoding) {
+    throw new Error(`Unsupported vector encoding ${buffer.readUInt32LE(8)}`);
+  }
+  const dimension = buffer.readUInt32LE(12);
+  const count = buffer.readUInt32LE(16);
+  const scalesOffset = buffer.readUInt32LE(24);
+  const vectorsOffset = buffer.readUInt32LE(28);
+
+  const ids = [];
+  let offset = buffer.readUInt32LE(20);
+  for (let index = 0; index < count; index++) {
+    const length = buffer.readUInt16LE(offset);
+    ids.push(buffer.toString('utf8', offset + 2, offset + 2 + length));
+    offset += 2 + length;
+  }
+
+  // One array for all vectors; each chunk gets a view into it
+  const values = new Float32Array(count * dimension);
+  if (encoding === 'float32') {
+    // Copy into a fresh buffer, since the file buffer may not be aligned for a Float32Array view
+    new Uint8Array(values.buffer).set(buffer.subarray(vectorsOffset, vectorsOffset + values.byteLength));
+  } else {
+    for (let index = 0; index < count; index++) {
+      const scale = buffer.readFloatLE(scalesOffset + index * 4);
+      for (let i = 0; i < dimension; i++) {
+        values[index * dimension + i] = buffer.readInt8(vectorsOffset + index * dimension + i) * scale;
+      }
+    }
+  }
+
+  const vectors = ids.map((id, index) => values.subarray(index * dimension, (index + 1) * dimension));
+  return { encoding, dimension, ids, vectors };
+}
+
+module.exports = {
+  ENCODINGS,
+  encodeVectorFile,
+  decodeVectorFile
+};
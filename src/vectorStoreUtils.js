@@ -0,0 +1,101 @@
+/**
+ * Vector Store Utilities
+ *
+ * Helpers shared by the vector store backends: chunk IDs, metadata
+ * filters and similarity scoring
+ */
+
+const crypto = require('crypto');
+
+// Comparison operators of metadata filters (the subset of Pinecone's filter language every backend supports)
+const FILTER_OPERATORS = ['$eq', '$ne', '$in', '$nin'];
+
+/**
+ * Gets the part of a chunk ID that identifies its file
+ * @param {string} filePath - Path of the file the chunk belongs to
+ * @returns {string} - ID prefix shared by all chunks of the file
+ */
+function getChunkIdPrefix(filePath) {
+  // Hash the path to keep IDs short and free of special characters
+  const pathHash = crypto.createHash('sha1').update(filePath).digest('hex').substring(0, 16);
+  return `${pathHash}-`;
+}
+
+/**
+ * Creates a chunk ID that is stable for a given file and chunk position
+ * @param {string} filePath - Path of the file the chunk belongs to
+ * @param {number} ordinal - Position of the chunk within the file
+ * @returns {string} - Chunk ID
+ */
+function createChunkId(filePath, ordinal) {
+  return `${getChunkIdPrefix(filePath)}${ordinal}`;
+}
+
+/**
+ * Checks chunk metadata against a metadata filter
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} filter - Filter like { type: 'ClassDeclaration', path: { $in: [...] } }: each field maps to a value
+ *   or to an object of operators ($eq, $ne, $in, $nin), and all fields must match
+ * @returns {boolean} - True if the metadata matches
+ * @throws {Error} - For an unsupported operator
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  if (!metadata) return false;
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        default:
+          throw new Error(`Unsupported filter operator ${operator} (expected ${FILTER_OPERATORS.join(', ')})`);
+      }
+    });
+  });
+}
+
+/**
+ * Calculates the cosine similarity of two vectors
+ * @param {Array<number>|Float32Array} a - First vector
+ * @param {Array<number>|Float32Array} b - Second vector
+ * @returns {number} - Similarity between -1 and 1 (0 if either vector is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dotProduct / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Formats a byte count for log messages
+ * @param {number} bytes - Number of bytes
+ * @returns {string} - Size like "9.3 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+  getChunkIdPrefix,
+  createChunkId,
+  matchesFilter,
+  cosineSimilarity,
+  formatBytes
+};
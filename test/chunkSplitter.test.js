@@ -0,0 +1,93 @@
+const { MAX_CHUNK_LENGTH, splitIntoWindows, splitLongChunks } = require('../src/chunkSplitter');
+
+/**
+ * Builds a function with numbered statements
+ * @param {number} count - Number of statements
+ * @returns {string} - Function code
+ */
+function longFunction(count) {
+  const body = Array.from({ length: count }, (_, i) => `  const value${i} = compute(${i}, 'some padding text');`);
+  return ['function long() {', ...body, '}'].join('\n');
+}
+
+describe('splitIntoWindows', () => {
+  const chunk = {
+    type: 'FunctionDeclaration',
+    name: 'long',
+    parent: null,
+    path: '/repo/src/long.js',
+    startLine: 10,
+    code: longFunction(40)
+  };
+  const options = { maxLength: 600, overlap: 120 };
+
+  test('keeps windows within the maximum length and covers every line', () => {
+    const windows = splitIntoWindows(chunk, options);
+    const lines = chunk.code.split('\n');
+
+    expect(windows.length).toBeGreaterThan(1);
+    windows.forEach(window => {
+      expect(window.code.length).toBeLessThanOrEqual(options.maxLength);
+      expect(window.code).toBe(lines.slice(window.startLine - 10, window.endLine - 9).join('\n'));
+    });
+    expect(windows[0].startLine).toBe(10);
+    expect(windows[windows.length - 1].endLine).toBe(10 + lines.length - 1);
+    windows.slice(1).forEach((window, index) => {
+      expect(window.startLine).toBeLessThanOrEqual(windows[index].endLine + 1);
+    });
+  });
+
+  test('numbers the windows and keeps the chunk identity', () => {
+    const windows = splitIntoWindows(chunk, options);
+
+    windows.forEach((window, index) => {
+      expect(window).toMatchObject({ type: 'FunctionDeclaration', name: 'long', path: chunk.path, part: index + 1, parts: windows.length });
+    });
+  });
+
+  test('overlaps consecutive windows', () => {
+    const windows = splitIntoWindows(chunk, options);
+
+    windows.slice(1).forEach((window, index) => {
+      expect(window.startLine).toBeLessThanOrEqual(windows[index].endLine);
+    });
+  });
+
+  test('does not split inside template literals or block comments', () => {
+    const lines = ['function render() {'];
+    for (let i = 0; i < 12; i++) {
+      lines.push('  /*', `   * Note ${i} with enough text to fill the window`, '   */');
+      lines.push('  html += `', `    <li>${i} with enough text to fill the window</li>`, '  `;');
+    }
+    lines.push('}');
+    const windows = splitIntoWindows({ ...chunk, code: lines.join('\n'), startLine: 1 }, options);
+
+    windows.slice(0, -1).forEach(window => {
+      const last = lines[window.endLine - 1].trim();
+      expect(last.startsWith('/*') || last.startsWith('* Note') || last === 'html += `' || last.startsWith('<li>')).toBe(false);
+    });
+  });
+
+  test('cuts lines longer than a window', () => {
+    const code = `const data = [${Array.from({ length: 400 }, (_, i) => i).join(', ')}];`;
+    const windows = splitIntoWindows({ ...chunk, code, startLine: 1 }, options);
+
+    expect(windows.length).toBeGreaterThan(1);
+    expect(windows.every(window => window.code.length <= options.maxLength)).toBe(true);
+    expect(windows.every(window => window.startLine === 1 && window.endLine === 1)).toBe(true);
+  });
+});
+
+describe('splitLongChunks', () => {
+  test('only splits chunks longer than the maximum length', () => {
+    const short = { type: 'FunctionDeclaration', name: 'short', path: '/repo/a.js', code: 'function short() {}' };
+    const long = { type: 'FunctionDeclaration', name: 'long', path: '/repo/a.js', startLine: 1, code: longFunction(200) };
+
+    expect(long.code.length).toBeGreaterThan(MAX_CHUNK_LENGTH);
+    const result = splitLongChunks([short, long]);
+
+    expect(result[0]).toBe(short);
+    expect(result.length).toBeGreaterThan(2);
+    expect(result.slice(1).every(window => window.name === 'long' && window.code.length <= MAX_CHUNK_LENGTH)).toBe(true);
+  });
+});
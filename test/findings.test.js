@@ -0,0 +1,90 @@
+const { extractJson, validateReviewResult, parseReviewResponse, findingsAtOrAbove } = require('../src/findings');
+
+const finding = {
+  file: 'src/app.js',
+  startLine: 3,
+  endLine: 4,
+  severity: 'warning',
+  category: 'correctness',
+  message: 'The result is never checked'
+};
+
+describe('extractJson', () => {
+  test('reads JSON inside markdown fences and surrounding prose', () => {
+    expect(extractJson('Here you go:\n```json\n{"summary": "ok"}\n```\nThanks')).toEqual({ summary: 'ok' });
+    expect(extractJson('Result: {"findings": []} done')).toEqual({ findings: [] });
+  });
+
+  test('rejects responses without a valid JSON object', () => {
+    expect(() => extractJson('No issues found.')).toThrow('does not contain a JSON object');
+    expect(() => extractJson('{"summary": }')).toThrow('not valid JSON');
+  });
+});
+
+describe('validateReviewResult', () => {
+  test('accepts results matching the schema', () => {
+    expect(validateReviewResult({ summary: 'Fine', findings: [finding] })).toEqual([]);
+  });
+
+  test('reports every schema violation with its path', () => {
+    const errors = validateReviewResult({
+      summary: 42,
+      findings: [{ ...finding, startLine: 0, endLine: -1, severity: 'critical', category: 'naming', message: '' }]
+    });
+
+    expect(errors).toEqual([
+      '"summary" must be a string',
+      'findings[0].startLine must be an integer >= 1',
+      'findings[0].endLine must be an integer >= startLine',
+      'findings[0].severity must be one of error, warning, info',
+      'findings[0].category must be one of security, correctness, style, testing',
+      'findings[0].message must be a non-empty string'
+    ]);
+  });
+
+  test('rejects values that are not objects', () => {
+    expect(validateReviewResult([])).toHaveLength(1);
+    expect(validateReviewResult({ summary: 'x', findings: {} })).toEqual(['"findings" must be an array']);
+  });
+});
+
+describe('parseReviewResponse', () => {
+  test('resolves shortened paths to the reviewed file', () => {
+    const text = JSON.stringify({ summary: 'One issue', findings: [{ ...finding, file: './src/app.js' }] });
+
+    const { result, errors } = parseReviewResponse(text, '/repo/src/app.js');
+
+    expect(errors).toEqual([]);
+    expect(result.file).toBe('/repo/src/app.js');
+    expect(result.findings[0].file).toBe('/repo/src/app.js');
+  });
+
+  test('keeps paths of other files and drops empty optional fields', () => {
+    const text = JSON.stringify({
+      summary: 'Cross-file issue',
+      findings: [{ ...finding, file: 'src/other.js', suggestedFix: '', relatedFiles: [] }]
+    });
+
+    const { result } = parseReviewResponse(text, '/repo/src/app.js');
+
+    expect(result.findings[0]).toEqual({ ...finding, file: 'src/other.js' });
+  });
+
+  test('returns the errors of invalid responses', () => {
+    expect(parseReviewResponse('{"summary": "x"}', 'a.js')).toEqual({
+      result: null,
+      errors: ['"findings" must be an array']
+    });
+  });
+});
+
+describe('findingsAtOrAbove', () => {
+  test('collects findings at or above the threshold', () => {
+    const results = [
+      { findings: [{ severity: 'error' }, { severity: 'info' }] },
+      { findings: [{ severity: 'warning' }] }
+    ];
+
+    expect(findingsAtOrAbove(results, 'warning').map(item => item.severity)).toEqual(['error', 'warning']);
+  });
+});
@@ -0,0 +1,108 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { WORKING_TREE, INDEX, resolveDiffSpec, getChangedFiles, getFileVersions } = require('../src/gitUtils');
+
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Runs git in a test repository with a fixed identity
+ * @param {string} cwd - Repository directory
+ * @param {...string} args - Git arguments
+ * @returns {string} - Output
+ */
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf8'
+  });
+}
+
+describe('git diff specifications', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cc-git-')));
+    git(repo, 'init', '-q', '-b', 'main');
+  });
+
+  afterEach(() => fs.removeSync(repo));
+
+  /**
+   * Writes files and commits them
+   * @param {Object<string, string|null>} files - Contents by path, null to delete
+   * @param {string} message - Commit message
+   */
+  const commit = (files, message) => {
+    for (const [name, content] of Object.entries(files)) {
+      if (content === null) {
+        git(repo, 'rm', '-q', name);
+      } else {
+        fs.outputFileSync(path.join(repo, name), content);
+        git(repo, 'add', name);
+      }
+    }
+    git(repo, 'commit', '-q', '-m', message);
+  };
+
+  test('compares the empty tree with the working tree before the first commit', () => {
+    fs.writeFileSync(path.join(repo, 'a.js'), 'const a = 1;\n');
+    git(repo, 'add', 'a.js');
+
+    expect(resolveDiffSpec({}, repo)).toMatchObject({ oldRef: EMPTY_TREE, newRef: WORKING_TREE });
+    expect(resolveDiffSpec({ staged: true }, repo)).toMatchObject({ oldRef: EMPTY_TREE, newRef: INDEX });
+  });
+
+  test('rejects unknown refs and directories outside a repository', () => {
+    commit({ 'a.js': 'a\n' }, 'first');
+    const outside = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cc-nogit-')));
+
+    try {
+      expect(() => resolveDiffSpec({ base: 'no-such-branch' }, repo)).toThrow('Unknown git ref: no-such-branch');
+      expect(() => resolveDiffSpec({}, outside)).toThrow('Not a git repository');
+    } finally {
+      fs.removeSync(outside);
+    }
+  });
+
+  test('follows renames and deletions in uncommitted changes', () => {
+    commit({ 'old.js': 'module.exports = 1;\n'.repeat(5), 'gone.js': 'x\n' }, 'first');
+    git(repo, 'mv', 'old.js', 'new.js');
+    git(repo, 'rm', '-q', 'gone.js');
+
+    const spec = resolveDiffSpec({}, repo);
+    const changes = getChangedFiles(spec, null, repo);
+
+    expect(changes).toEqual(expect.arrayContaining([
+      { status: 'renamed', path: path.join(repo, 'new.js'), oldPath: path.join(repo, 'old.js') },
+      { status: 'deleted', path: path.join(repo, 'gone.js'), oldPath: path.join(repo, 'gone.js') }
+    ]));
+    const deleted = changes.find(change => change.status === 'deleted');
+    expect(getFileVersions(deleted, spec, repo)).toEqual({ oldCode: 'x\n', newCode: '' });
+  });
+
+  test('compares a three-dot range with the merge base', () => {
+    commit({ 'a.js': 'base\n' }, 'base');
+    git(repo, 'checkout', '-q', '-b', 'feature');
+    commit({ 'a.js': 'feature\n' }, 'feature');
+    git(repo, 'checkout', '-q', 'main');
+    commit({ 'b.js': 'main only\n' }, 'main');
+
+    const twoDot = resolveDiffSpec({ range: 'main..feature' }, repo);
+    const threeDot = resolveDiffSpec({ range: 'main...feature' }, repo);
+
+    // Two dots include the undoing of main's own change, three dots only the feature branch's change
+    expect(getChangedFiles(twoDot, null, repo).map(change => path.basename(change.path)).sort()).toEqual(['a.js', 'b.js']);
+    expect(getChangedFiles(threeDot, null, repo).map(change => path.basename(change.path))).toEqual(['a.js']);
+    expect(getFileVersions(getChangedFiles(threeDot, null, repo)[0], threeDot, repo))
+      .toEqual({ oldCode: 'base\n', newCode: 'feature\n' });
+  });
+
+  test('rejects malformed ranges and combined options', () => {
+    commit({ 'a.js': 'a\n' }, 'first');
+
+    expect(() => resolveDiffSpec({ range: 'main' }, repo)).toThrow('Invalid range "main"');
+    expect(() => resolveDiffSpec({ staged: true, base: 'main' }, repo)).toThrow('Only one of');
+  });
+});
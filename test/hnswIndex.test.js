@@ -0,0 +1,128 @@
+const { HnswIndex } = require('../src/hnswIndex');
+
+const DIMENSION = 16;
+
+/**
+ * Builds deterministic pseudo-random vectors
+ * @param {number} count - Number of vectors
+ * @param {number} seed - Seed
+ * @returns {Map<string, number[]>} - Vectors by ID
+ */
+function randomVectors(count, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return new Map(Array.from({ length: count }, (_, i) => [`chunk-${i}`, Array.from({ length: DIMENSION }, next)]));
+}
+
+/**
+ * Finds the nearest vectors by scanning all of them
+ * @param {Map<string, number[]>} vectors - Vectors by ID
+ * @param {number[]} query - Query vector
+ * @param {number} k - Number of results
+ * @returns {string[]} - IDs of the nearest vectors, best first
+ */
+function bruteForce(vectors, query, k) {
+  const norm = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0) / (norm(a) * norm(b));
+  return [...vectors.entries()]
+    .map(([id, values]) => ({ id, score: cosine(query, values) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(match => match.id);
+}
+
+/**
+ * Builds an index over vectors
+ * @param {Map<string, number[]>} vectors - Vectors by ID
+ * @returns {HnswIndex} - Index
+ */
+function buildIndex(vectors) {
+  const index = new HnswIndex({ dimension: DIMENSION });
+  for (const [id, values] of vectors) {
+    index.add(id, values);
+  }
+  return index;
+}
+
+describe('HnswIndex', () => {
+  const vectors = randomVectors(400);
+  const queries = [...randomVectors(20, 99).values()];
+
+  /**
+   * Measures how many of the true nearest neighbours a search finds
+   * @param {HnswIndex} index - Index
+   * @param {Map<string, number[]>} expected - Vectors the index should contain
+   * @returns {number} - Recall between 0 and 1
+   */
+  const recall = (index, expected) => {
+    let found = 0;
+    for (const query of queries) {
+      const truth = new Set(bruteForce(expected, query, 10));
+      found += index.search(query, 10).filter(match => truth.has(match.id)).length;
+    }
+    return found / (queries.length * 10);
+  };
+
+  test('finds nearly all true nearest neighbours', () => {
+    const index = buildIndex(vectors);
+
+    expect(index.size).toBe(400);
+    expect(recall(index, vectors)).toBeGreaterThan(0.95);
+  });
+
+  test('returns the exact vector first with a cosine score of 1', () => {
+    const index = buildIndex(vectors);
+    const [match] = index.search(vectors.get('chunk-7'), 1);
+
+    expect(match.id).toBe('chunk-7');
+    expect(match.score).toBeCloseTo(1, 5);
+  });
+
+  test('keeps the graph searchable after removing vectors', () => {
+    const index = buildIndex(vectors);
+    const removed = [...vectors.keys()].filter((_, i) => i % 3 === 0);
+    index.removeMany(removed);
+    const remaining = new Map([...vectors].filter(([id]) => !removed.includes(id)));
+
+    expect(index.size).toBe(remaining.size);
+    expect(removed.some(id => index.has(id))).toBe(false);
+    expect(recall(index, remaining)).toBeGreaterThan(0.9);
+  });
+
+  test('replaces a vector added again under the same ID', () => {
+    const index = buildIndex(vectors);
+    index.add('chunk-0', vectors.get('chunk-5'));
+
+    expect(index.size).toBe(400);
+    expect(index.search(vectors.get('chunk-5'), 2).map(match => match.id).sort()).toEqual(['chunk-0', 'chunk-5']);
+  });
+
+  test('only returns vectors the filter accepts', () => {
+    const index = buildIndex(vectors);
+    const accept = id => id.endsWith('7');
+    const matches = index.searchFiltered(queries[0], 5, accept);
+
+    expect(matches).toHaveLength(5);
+    expect(matches.every(match => accept(match.id))).toBe(true);
+    expect(matches.map(match => match.id)).toEqual(bruteForce(new Map([...vectors].filter(([id]) => accept(id))), queries[0], 5));
+  });
+
+  test('round-trips through serialize and drops nodes whose vector changed or is gone', () => {
+    const index = buildIndex(vectors);
+    const current = new Map(vectors);
+    current.delete('chunk-1');
+    current.set('chunk-2', vectors.get('chunk-3').map(value => -value));
+
+    const restored = HnswIndex.deserialize(index.serialize(), id => current.get(id) || null);
+
+    expect(restored.size).toBe(398);
+    expect(restored.has('chunk-1')).toBe(false);
+    expect(restored.has('chunk-2')).toBe(false);
+    expect(restored.search(vectors.get('chunk-9'), 1)[0].id).toBe('chunk-9');
+    expect(() => HnswIndex.deserialize(Buffer.from('not an index at all, just some text'), () => null))
+      .toThrow('Not an HNSW index file');
+  });
+});
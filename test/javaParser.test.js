@@ -0,0 +1,58 @@
+const { maskJavaLiterals, processJavaFile } = require('../src/javaParser');
+
+const source = `package a.b;
+
+import java.util.List;
+
+/** A service. */
+public class UserService extends Base {
+    private static final String Q = "class Fake { }";
+
+    /**
+     * Finds a user.
+     */
+    public User find(long id) throws NotFound {
+        char c = '}';
+        return repo.get(id);
+    }
+
+    interface Listener {
+        void onEvent(String e);
+    }
+
+    enum Mode { A, B }
+}
+`;
+
+describe('processJavaFile', () => {
+  const chunks = processJavaFile(source, '/repo/UserService.java');
+
+  test('finds nested declarations but nothing inside literals', () => {
+    expect(chunks.map(chunk => [chunk.type, chunk.name, chunk.parent || null])).toEqual([
+      ['ClassDeclaration', 'UserService', null],
+      ['MethodDeclaration', 'find', 'UserService'],
+      ['InterfaceDeclaration', 'Listener', 'UserService'],
+      ['EnumDeclaration', 'Mode', 'UserService']
+    ]);
+  });
+
+  test('matches braces past literals and includes Javadoc in the line range', () => {
+    const [service, find, , mode] = chunks;
+
+    expect(service).toMatchObject({ startLine: 5, endLine: 22 });
+    expect(find).toMatchObject({ startLine: 9, endLine: 15 });
+    expect(find.code.startsWith('/**')).toBe(true);
+    expect(mode).toMatchObject({ startLine: 21, endLine: 21 });
+  });
+});
+
+describe('maskJavaLiterals', () => {
+  test('blanks strings, characters and comments but keeps offsets', () => {
+    const code = 'String s = "a}b"; char c = \'{\'; // }\n';
+    const masked = maskJavaLiterals(code);
+
+    expect(masked).toHaveLength(code.length);
+    expect(masked).not.toMatch(/[{}]/);
+    expect(masked.startsWith('String s = "')).toBe(true);
+  });
+});
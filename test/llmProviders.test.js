@@ -0,0 +1,98 @@
+const http = require('http');
+const { HumanMessage } = require('@langchain/core/messages');
+const { resolveProviders, getProviderConfig, validateProviderKey, createChatModel } = require('../src/llmProviders');
+
+describe('getProviderConfig', () => {
+  test('merges configured fields over the built-in provider', () => {
+    const provider = getProviderConfig('openai', { openai: { model: 'gpt-4o', temperature: 0 } });
+
+    expect(provider).toMatchObject({ name: 'openai', type: 'openai', model: 'gpt-4o', temperature: 0, maxTokens: 4096 });
+  });
+
+  test('adds custom providers next to the built-in ones', () => {
+    const providers = resolveProviders({ vllm: { type: 'openai-compatible', model: 'qwen', baseUrl: 'http://gpu:8000/v1' } });
+
+    expect(Object.keys(providers)).toEqual(['anthropic', 'openai', 'local', 'vllm']);
+    expect(providers.vllm.name).toBe('vllm');
+  });
+
+  test('rejects unknown and misconfigured providers', () => {
+    expect(() => getProviderConfig('nope')).toThrow('Unknown LLM provider "nope"');
+    expect(() => getProviderConfig('x', { x: { type: 'cohere', model: 'm' } })).toThrow('unsupported type "cohere"');
+    expect(() => getProviderConfig('x', { x: { type: 'openai' } })).toThrow('does not set a model');
+    expect(() => getProviderConfig('x', { x: { type: 'openai-compatible', model: 'm' } })).toThrow('needs a baseUrl');
+  });
+});
+
+describe('validateProviderKey', () => {
+  const saved = process.env.OPENAI_API_KEY;
+
+  afterEach(() => {
+    if (saved === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = saved;
+    }
+  });
+
+  test('requires a key for hosted providers but not for local servers', () => {
+    delete process.env.OPENAI_API_KEY;
+
+    expect(validateProviderKey(getProviderConfig('openai')).valid).toBe(false);
+    expect(validateProviderKey(getProviderConfig('local')).valid).toBe(true);
+  });
+
+  test('treats template placeholders as missing keys', () => {
+    process.env.OPENAI_API_KEY = 'your_openai_api_key_here';
+
+    expect(validateProviderKey(getProviderConfig('openai')).error).toContain('OPENAI_API_KEY is not set');
+  });
+});
+
+describe('createChatModel with an OpenAI-compatible server', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: 'stub-model',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Looks good.' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('sends requests to the configured base URL with the configured model settings', async () => {
+    const { llm, provider } = createChatModel('stub', {
+      stub: { type: 'openai-compatible', model: 'stub-model', temperature: 0.1, maxTokens: 123, baseUrl }
+    });
+
+    const response = await llm.call([new HumanMessage('Review this')]);
+
+    expect(provider.model).toBe('stub-model');
+    expect(response.content).toBe('Looks good.');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body).toMatchObject({
+      model: 'stub-model',
+      temperature: 0.1,
+      max_tokens: 123,
+      messages: [{ role: 'user', content: 'Review this' }]
+    });
+  });
+});
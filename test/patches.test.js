@@ -0,0 +1,81 @@
+const { parseHunks, validatePatch, applyHunks, formatHunk } = require('../src/patches');
+
+const source = [
+  'function getName(id) {',
+  '  const user = getUser(id);',
+  '  return user.name;',
+  '}',
+  '',
+  'function getEmail(id) {',
+  '  const user = getUser(id);',
+  '  return user.email;',
+  '}',
+  ''
+].join('\n');
+
+const patch = `--- a/user.js
++++ b/user.js
+@@ -1,4 +1,5 @@
+ function getName(id) {
+   const user = getUser(id);
++  if (!user) return null;
+   return user.name;
+ }
+@@ -6,4 +7,5 @@
+ function getEmail(id) {
+   const user = getUser(id);
++  if (!user) return null;
+   return user.email;
+ }
+`;
+
+describe('validatePatch', () => {
+  test('accepts patches whose hunks all apply', () => {
+    const { valid, hunks, error } = validatePatch(patch, source);
+
+    expect(valid).toBe(true);
+    expect(error).toBeNull();
+    expect(hunks).toHaveLength(2);
+  });
+
+  test('names the first hunk that does not apply', () => {
+    const { valid, error } = validatePatch(patch.replace('user.email', 'user.mail'), source);
+
+    expect(valid).toBe(false);
+    expect(error).toBe('Hunk 2 (starting at line 6) does not apply to the file');
+  });
+
+  test('rejects text without hunks', () => {
+    expect(validatePatch('if (!user) return null;', source)).toEqual({
+      valid: false,
+      hunks: [],
+      error: 'Patch could not be parsed: Patch does not contain any hunks'
+    });
+  });
+});
+
+describe('applyHunks', () => {
+  test('applies any subset of hunks to the original source', () => {
+    const hunks = parseHunks(patch);
+
+    expect(applyHunks(source, hunks)).toBe(source.replace(/(const user = getUser\(id\);\n)/g, '$1  if (!user) return null;\n'));
+    expect(applyHunks(source, [hunks[1]])).toBe(source.replace(
+      '  const user = getUser(id);\n  return user.email;',
+      '  const user = getUser(id);\n  if (!user) return null;\n  return user.email;'
+    ));
+  });
+
+  test('throws when a hunk no longer applies', () => {
+    const [hunk] = parseHunks(patch);
+
+    expect(() => applyHunks('something else\n', [hunk])).toThrow('Hunk starting at line 1 does not apply');
+  });
+});
+
+describe('formatHunk', () => {
+  test('renders the header and lines of a hunk', () => {
+    const [hunk] = parseHunks(patch);
+
+    expect(formatHunk(hunk).split('\n').slice(0, 2)).toEqual(['@@ -1,4 +1,5 @@', ' function getName(id) {']);
+  });
+});
@@ -0,0 +1,54 @@
+const { tokenizePython, processPythonFile } = require('../src/pythonParser');
+
+const source = `import os
+
+class Greeter(Base):
+    """Says hello."""
+
+    def __init__(self, name):
+        self.name = name
+
+    @property
+    def greeting(self):
+        return f"Hello {self.name}"  # not a def x():
+
+def main(argv=("a",
+               "b")):
+    s = """
+def fake():
+    pass
+"""
+    return Greeter(argv[0])
+`;
+
+describe('processPythonFile', () => {
+  const chunks = processPythonFile(source, '/repo/greeter.py');
+  const declarations = chunks.filter(chunk => chunk.type !== 'file');
+
+  test('finds classes, methods and functions but nothing inside strings or comments', () => {
+    expect(declarations.map(chunk => [chunk.type, chunk.name, chunk.parent || null])).toEqual([
+      ['ClassDeclaration', 'Greeter', null],
+      ['FunctionDeclaration', '__init__', 'Greeter'],
+      ['FunctionDeclaration', 'greeting', 'Greeter'],
+      ['FunctionDeclaration', 'main', null]
+    ]);
+  });
+
+  test('reports line ranges, signatures and docstrings', () => {
+    const [greeter, , greeting, main] = declarations;
+
+    expect(greeter).toMatchObject({ startLine: 3, endLine: 11, signature: 'class Greeter(Base)', docstring: 'Says hello.' });
+    expect(greeting).toMatchObject({ startLine: 9, endLine: 11, decorators: ['@property'] });
+    expect(greeting.code.trim().startsWith('@property')).toBe(true);
+    // Signatures spanning lines are joined into one logical line
+    expect(main).toMatchObject({ startLine: 13, endLine: 19, signature: 'def main(argv=("a", "b"))' });
+  });
+});
+
+describe('tokenizePython', () => {
+  test('joins bracketed continuation lines into one logical line', () => {
+    const { lines } = tokenizePython('x = call(1,\n         2)\ny = 3\n');
+
+    expect(lines).toHaveLength(2);
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('review cache', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+  let reviewCache;
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cc-cache-')));
+    // The cache directory is resolved from the working directory when the module loads
+    process.chdir(workDir);
+    jest.isolateModules(() => {
+      reviewCache = require('../src/reviewCache');
+    });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.removeSync(workDir);
+  });
+
+  test('builds the same key regardless of the order of the parts', () => {
+    const key = reviewCache.getCacheKey({ oldHash: 'a', newHash: 'b', model: 'm', promptVersion: 1 });
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(reviewCache.getCacheKey({ promptVersion: 1, model: 'm', newHash: 'b', oldHash: 'a' })).toBe(key);
+    expect(reviewCache.getCacheKey({ oldHash: 'a', newHash: 'b', model: 'other', promptVersion: 1 })).not.toBe(key);
+  });
+
+  test('stores reviews and counts hits', async () => {
+    await reviewCache.writeCachedReview('k1', { filePath: 'a.js', review: { summary: 'ok', findings: [] }, promptVersion: 1 });
+
+    const first = await reviewCache.readCachedReview('k1');
+    const second = await reviewCache.readCachedReview('k1');
+
+    expect(first.review).toEqual({ summary: 'ok', findings: [] });
+    expect(second.hits).toBe(2);
+    expect(await reviewCache.readCachedReview('missing')).toBeNull();
+  });
+
+  test('ignores entries written by an incompatible version', async () => {
+    fs.outputJsonSync(path.join(reviewCache.CACHE_DIR, 'old.json'), { version: 0, review: 'text' });
+
+    expect(await reviewCache.readCachedReview('old')).toBeNull();
+    expect((await reviewCache.listCachedReviews())[0]).toMatchObject({ key: 'old', valid: false });
+  });
+
+  test('prunes old, invalid and outdated-prompt entries', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await reviewCache.writeCachedReview('current', { review: 'a', promptVersion: 2 });
+    await reviewCache.writeCachedReview('outdated', { review: 'b', promptVersion: 1 });
+    await reviewCache.writeCachedReview('unused', { review: 'c', promptVersion: 2 });
+    const unusedPath = path.join(reviewCache.CACHE_DIR, 'unused.json');
+    fs.writeJsonSync(unusedPath, { ...fs.readJsonSync(unusedPath), lastUsed: new Date(Date.now() - 40 * 86400000).toISOString() });
+    fs.writeFileSync(path.join(reviewCache.CACHE_DIR, 'broken.json'), '{');
+
+    const result = await reviewCache.pruneCache({ maxAgeDays: 30, promptVersion: 2 });
+
+    expect(result).toMatchObject({ removed: 3, kept: 1 });
+    expect(result.freedBytes).toBeGreaterThan(0);
+    expect((await reviewCache.listCachedReviews()).map(entry => entry.key)).toEqual(['current']);
+    console.warn.mockRestore();
+  });
+
+  test('clears every entry', async () => {
+    await reviewCache.writeCachedReview('a', { review: 'a' });
+    await reviewCache.writeCachedReview('b', { review: 'b' });
+
+    expect(await reviewCache.clearCache()).toBe(2);
+    expect(await reviewCache.listCachedReviews()).toEqual([]);
+  });
+});
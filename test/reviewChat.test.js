@@ -0,0 +1,62 @@
+jest.mock('../src/vectorStore', () => ({ searchCodebase: jest.fn(async () => []) }));
+
+const { searchCodebase } = require('../src/vectorStore');
+const { ReviewChat } = require('../src/reviewChat');
+
+/**
+ * Creates an agent whose model gives the replies in order, repeating the last one
+ * @param {string[]} replies - Model replies
+ * @returns {{llm: {call: Function}, promptBudget: number, indexName: string, calls: Array<Array<Object>>}} - Agent
+ */
+function createAgent(replies) {
+  const calls = [];
+  return {
+    calls,
+    promptBudget: 10000,
+    indexName: 'test-index',
+    llm: {
+      call: async messages => {
+        calls.push(messages);
+        return { content: replies[Math.min(calls.length, replies.length) - 1] };
+      }
+    }
+  };
+}
+
+describe('ReviewChat', () => {
+  const files = [{ filePath: '/repo/a.js', review: 'Looks fine.', oldCode: 'a\n', newCode: 'b\n' }];
+
+  beforeEach(() => searchCodebase.mockClear());
+
+  test('runs the searches the model asks for before it answers', async () => {
+    const agent = createAgent(['SEARCH: parseConfig', 'It is validated in config.js.']);
+    const chat = new ReviewChat(agent, files);
+
+    const result = await chat.ask('Is the config validated?');
+
+    expect(result.searches).toEqual(['parseConfig']);
+    expect(result.answer).toBe('It is validated in config.js.');
+    expect(searchCodebase).toHaveBeenCalledWith('parseConfig', 'test-index', 5);
+  });
+
+  test('asks once more without searching when the search limit is reached', async () => {
+    const agent = createAgent(['SEARCH: a', 'SEARCH: b', 'SEARCH: c', 'SEARCH: d', 'The answer.']);
+    const chat = new ReviewChat(agent, files);
+
+    const result = await chat.ask('Why?');
+
+    expect(result.searches).toEqual(['a', 'b', 'c']);
+    expect(result.answer).toBe('The answer.');
+    expect(agent.calls[4].at(-1).content).toMatch('No more searches are allowed');
+  });
+
+  test('does not show a search request as the answer', async () => {
+    const agent = createAgent(['SEARCH: again']);
+    const chat = new ReviewChat(agent, files);
+
+    const result = await chat.ask('Why?');
+
+    expect(agent.calls).toHaveLength(5);
+    expect(result.answer).toMatch(/^No answer: the model still asked to search/);
+  });
+});
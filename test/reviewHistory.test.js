@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('review history', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+  let reviewHistory;
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cc-history-')));
+    // The history directory is resolved from the working directory when the module loads
+    process.chdir(workDir);
+    jest.isolateModules(() => {
+      reviewHistory = require('../src/reviewHistory');
+    });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.removeSync(workDir);
+  });
+
+  /**
+   * Stores a review with one result per file
+   * @param {string} id - Review id
+   * @param {Object<string, string|Object>} reviews - Review by file
+   * @returns {Promise<Object>} - Stored record
+   */
+  const save = (id, reviews) => reviewHistory.saveReview({
+    id,
+    target: '/repo',
+    llm: { provider: 'anthropic', model: 'test' },
+    results: Object.entries(reviews).map(([file, review]) => ({ file, review }))
+  });
+
+  test('creates ids that sort by time and match the id format', () => {
+    const id = reviewHistory.createReviewId(new Date('2025-03-01T14:25:30Z'));
+
+    expect(id).toMatch(/^20250301-142530-[0-9a-f]{6}$/);
+    expect(reviewHistory.isReviewId(id)).toBe(true);
+    expect(reviewHistory.isReviewId('20250301', { prefix: true })).toBe(true);
+    expect(reviewHistory.isReviewId('20250301')).toBe(false);
+    expect(reviewHistory.isReviewId('../../etc/passwd', { prefix: true })).toBe(false);
+  });
+
+  test('loads reviews by id or unique prefix', async () => {
+    await save('20250301-142530-aaaaaa', { '/repo/a.js': 'first' });
+    await save('20250302-090000-bbbbbb', { '/repo/a.js': 'second' });
+
+    expect((await reviewHistory.loadReview('20250301-142530-aaaaaa')).results[0].review).toBe('first');
+    expect((await reviewHistory.loadReview('20250302')).id).toBe('20250302-090000-bbbbbb');
+    expect(await reviewHistory.loadReview('20240101')).toBeNull();
+    await expect(reviewHistory.loadReview('2025')).rejects.toThrow('is ambiguous');
+  });
+
+  test('rejects ids that are not review ids before touching the history directory', async () => {
+    await expect(reviewHistory.loadReview('../../package')).rejects.toThrow('Invalid review id');
+    await expect(save('../escape', {})).rejects.toThrow('Invalid review id');
+    expect(fs.existsSync(path.join(workDir, '.code-connoisseur'))).toBe(false);
+  });
+
+  test('lists and searches reviews, newest first', async () => {
+    await save('20250301-142530-aaaaaa', { '/repo/a.js': { summary: 'Fine', findings: [] } });
+    await save('20250302-090000-bbbbbb', {
+      '/repo/b.js': { summary: 'Risky', findings: [{ severity: 'high', category: 'security', message: 'SQL injection in query' }] }
+    });
+
+    expect((await reviewHistory.listReviews()).map(record => record.id))
+      .toEqual(['20250302-090000-bbbbbb', '20250301-142530-aaaaaa']);
+    expect((await reviewHistory.listReviews({ file: '/repo/a.js' })).map(record => record.id)).toEqual(['20250301-142530-aaaaaa']);
+
+    const found = await reviewHistory.searchReviews('sql injection');
+    expect(found).toHaveLength(1);
+    expect(found[0].matches[0]).toEqual({ file: '/repo/b.js', snippet: '[high/security] SQL injection in query' });
+  });
+
+  test('compares findings between reviews', () => {
+    const finding = (category, message) => ({ severity: 'medium', category, message });
+    const older = { results: [{ file: 'a.js', review: { summary: 'Before', findings: [finding('bug', 'Off by one'), finding('style', 'Long line')] } }] };
+    const newer = {
+      results: [
+        { file: 'a.js', review: { summary: 'After', findings: [finding('bug', 'Off-by-one!'), finding('security', 'Unsafe eval')] } },
+        { file: 'b.js', review: 'new file' }
+      ]
+    };
+
+    const [a, b] = reviewHistory.compareReviews(older, newer);
+
+    expect(a.status).toBe('compared');
+    expect(a.unchangedFindings.map(f => f.message)).toEqual(['Off-by-one!']);
+    expect(a.newFindings.map(f => f.message)).toEqual(['Unsafe eval']);
+    expect(a.resolvedFindings.map(f => f.message)).toEqual(['Long line']);
+    expect(b.status).toBe('added');
+  });
+
+  test('finds the previous review of the same files', async () => {
+    await save('20250301-000000-aaaaaa', { '/repo/a.js': 'a' });
+    await save('20250302-000000-bbbbbb', { '/repo/b.js': 'b' });
+    const latest = await save('20250303-000000-cccccc', { '/repo/a.js': 'a again' });
+
+    expect((await reviewHistory.findPreviousReview(latest)).id).toBe('20250301-000000-aaaaaa');
+  });
+});
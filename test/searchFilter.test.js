@@ -0,0 +1,36 @@
+const { createSearchFilter, getFilterFields } = require('../src/searchFilter');
+
+describe('createSearchFilter', () => {
+  const root = '/repo';
+  const chunks = {
+    pythonMethod: { type: 'FunctionDeclaration', name: 'greet', parent: 'Greeter', path: '/repo/src/greeter.py' },
+    pythonFunction: { type: 'FunctionDeclaration', name: 'main', path: '/repo/src/greeter.py' },
+    javaMethod: { type: 'MethodDeclaration', name: 'find', parent: 'UserService', path: '/repo/src/UserService.java' },
+    jsClass: { type: 'ClassDeclaration', name: 'Client', path: '/repo/src/api/client.js' },
+    jsFile: { type: 'File', name: 'index', path: '/repo/src/api-v2/index.js' }
+  };
+  const matching = filter => Object.keys(chunks).filter(key => createSearchFilter({ root, ...filter }).test(chunks[key]));
+
+  test('returns null without conditions', () => {
+    expect(createSearchFilter({ root })).toBeNull();
+  });
+
+  test('matches Python and Java methods by the method type', () => {
+    expect(matching({ type: 'method' })).toEqual(['pythonMethod', 'javaMethod']);
+    expect(matching({ type: 'function' })).toEqual(['pythonMethod', 'pythonFunction']);
+    expect(matching({ type: 'class,file' })).toEqual(['jsClass', 'jsFile']);
+  });
+
+  test('matches path prefixes by directory, globs relative to the root and languages', () => {
+    expect(matching({ pathPrefix: 'src/api' })).toEqual(['jsClass']);
+    expect(matching({ path: '*.py' })).toEqual(['pythonMethod', 'pythonFunction']);
+    expect(matching({ language: 'java,javascript', excludePath: 'src/api/client.js' })).toEqual(['javaMethod', 'jsFile']);
+  });
+
+  test('translates language, prefix and exclusion conditions to a metadata filter', () => {
+    const { metadataFilter } = createSearchFilter({ root, pathPrefix: 'src', language: 'Python', type: 'method' });
+
+    expect(metadataFilter).toEqual({ pathPrefixes: { $in: ['/repo/src'] }, language: { $in: ['python'] } });
+    expect(getFilterFields('/repo/src/a.py')).toEqual({ language: 'python', pathPrefixes: ['/repo/src/a.py', '/repo/src', '/repo', '/'] });
+  });
+});
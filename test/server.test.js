@@ -0,0 +1,126 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createServer, createLimiter } = require('../src/server');
+
+describe('HTTP API', () => {
+  let server;
+  let baseUrl;
+  let projectRoot;
+
+  /**
+   * Sends a request to the test server
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @param {Object} options - body (object or raw string) and token
+   * @returns {Promise<{status: number, body: Object}>} - Response status and parsed body
+   */
+  const request = async (method, pathname, options = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    const body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body || {});
+    const response = await fetch(`${baseUrl}${pathname}`, { method, headers, ...(method === 'POST' ? { body } : {}) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-server-'));
+    server = createServer({
+      projectRoot,
+      indexName: 'test-index',
+      llmProvider: 'anthropic',
+      token: 'secret',
+      version: '0.0.0-test'
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.removeSync(projectRoot);
+    jest.restoreAllMocks();
+  });
+
+  test('answers /health without a token', async () => {
+    const { status, body } = await request('GET', '/health');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'ok', version: '0.0.0-test', indexName: 'test-index' });
+  });
+
+  test('requires the bearer token on every other endpoint', async () => {
+    expect((await request('POST', '/search', { body: { query: 'x' } })).status).toBe(401);
+    expect((await request('POST', '/search', { body: { query: 'x' }, token: 'wrong' })).status).toBe(401);
+  });
+
+  test('rejects paths outside the project root', async () => {
+    const { status, body } = await request('POST', '/review', {
+      token: 'secret',
+      body: { filePath: '../outside.js', oldCode: 'a', newCode: 'b' }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Path is outside the project root: ../outside.js');
+  });
+
+  test('rejects index names that could escape the index directory', async () => {
+    const { status } = await request('POST', '/search', { token: 'secret', body: { query: 'x', indexName: '../evil' } });
+
+    expect(status).toBe(400);
+  });
+
+  test('validates search filters', async () => {
+    const search = filter => request('POST', '/search', { token: 'secret', body: { query: 'x', filter } });
+
+    expect((await search('src')).status).toBe(400);
+    expect((await search({ kind: 'method' })).body.error).toBe('Unknown filter field "kind" (expected path, type, language, exclude)');
+    expect((await search({ type: [1] })).status).toBe(400);
+    expect((await search({ language: ' , ' })).status).toBe(400);
+    expect((await search({ exclude: 'a.js,../outside.js' })).body.error).toBe('Path is outside the project root: ../outside.js');
+    expect((await search({ path: 'src/**', type: 'method,function', exclude: ['a.js'] })).status).toBe(200);
+  });
+
+  test('rejects invalid JSON, unknown routes and wrong methods', async () => {
+    expect((await request('POST', '/search', { token: 'secret', body: '{not json' })).status).toBe(400);
+    expect((await request('GET', '/nope', { token: 'secret' })).status).toBe(404);
+    expect((await request('GET', '/review', { token: 'secret' })).status).toBe(405);
+  });
+});
+
+describe('createLimiter', () => {
+  test('runs at most the given number of tasks at once and queues the rest', async () => {
+    const limiter = createLimiter(2, 10);
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return 'done';
+    };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => limiter.run(task)));
+
+    expect(results).toEqual(Array(5).fill('done'));
+    expect(maxRunning).toBe(2);
+    expect(limiter.stats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('rejects tasks with 503 when the queue is full', async () => {
+    const limiter = createLimiter(1, 1);
+    let release;
+    const blocker = new Promise(resolve => { release = resolve; });
+
+    const first = limiter.run(() => blocker);
+    const second = limiter.run(() => 'queued');
+    await expect(limiter.run(() => 'rejected')).rejects.toMatchObject({ status: 503 });
+
+    release('first');
+    await expect(first).resolves.toBe('first');
+    await expect(second).resolves.toBe('queued');
+  });
+});
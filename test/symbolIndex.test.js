@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+describe('symbol index', () => {
+  const originalCwd = process.cwd();
+  let workDir;
+  let symbolIndex;
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cc-symbols-')));
+    // The index directory is resolved from the working directory when the module loads
+    process.chdir(workDir);
+    jest.isolateModules(() => {
+      symbolIndex = require('../src/symbolIndex');
+    });
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.removeSync(workDir);
+  });
+
+  /**
+   * Builds an embedded chunk for updateSymbolIndex
+   * @param {string} id - Chunk ID
+   * @param {string} file - File path
+   * @param {string} name - Chunk name
+   * @param {string} code - Chunk code
+   * @returns {{id: string, metadata: Object}} - Chunk
+   */
+  const chunk = (id, file, name, code) => ({
+    id,
+    metadata: { path: file, type: 'FunctionDeclaration', name, startLine: 1, endLine: code.split('\n').length, code }
+  });
+
+  const parseConfig = chunk('a', '/repo/config.js', 'parseConfig', 'function parseConfig(text) {\n  return JSON.parse(text);\n}');
+  const loadApp = chunk('b', '/repo/app.js', 'loadApp', 'function loadApp() {\n  return parseConfig(readConfigFile());\n}');
+
+  test('extracts declared names and counts identifiers', () => {
+    expect(symbolIndex.extractDefinitions('class Store {}\nconst loadStore = () => new Store();\ndef helper_fn(x):'))
+      .toEqual(['Store', 'helper_fn', 'loadStore']);
+    expect(Object.fromEntries(symbolIndex.extractSymbols('const total = add(total, item); // add item')))
+      .toEqual({ total: 2, add: 2, item: 2 });
+  });
+
+  test('ranks chunks defining a symbol above chunks using it and keeps locations instead of code', async () => {
+    await symbolIndex.updateSymbolIndex('test', [loadApp, parseConfig], []);
+
+    const matches = await symbolIndex.searchSymbols(['parseConfig'], 'test');
+
+    expect(matches.map(match => [match.id, match.definitions, match.usages])).toEqual([
+      ['a', ['parseConfig'], []],
+      ['b', [], ['parseConfig']]
+    ]);
+    expect(matches[0].metadata).toEqual({ path: '/repo/config.js', type: 'FunctionDeclaration', name: 'parseConfig', startLine: 1, endLine: 3 });
+    expect(await symbolIndex.symbolIndexExists('test')).toBe(true);
+  });
+
+  test('removes stale chunks on update and ignores inherited object keys', async () => {
+    await symbolIndex.updateSymbolIndex('test', [loadApp, parseConfig], []);
+    await symbolIndex.updateSymbolIndex('test', [], ['b']);
+
+    expect(await symbolIndex.searchSymbols(['parseConfig'], 'test')).toHaveLength(1);
+    expect(await symbolIndex.searchSymbols(['loadApp', 'constructor', 'hasOwnProperty'], 'test')).toEqual([]);
+  });
+
+  test('reads the chunk code from disk', async () => {
+    fs.writeFileSync(path.join(workDir, 'config.js'), '// header\nfunction parseConfig(text) {\n  return JSON.parse(text);\n}\n');
+
+    expect(await symbolIndex.readChunkCode({ path: path.join(workDir, 'config.js'), startLine: 2, endLine: 4 }))
+      .toBe('function parseConfig(text) {\n  return JSON.parse(text);\n}');
+    expect(await symbolIndex.readChunkCode({ path: path.join(workDir, 'missing.js'), startLine: 1, endLine: 2 })).toBeNull();
+  });
+
+  test('drops the index file on removal', async () => {
+    await symbolIndex.updateSymbolIndex('test', [parseConfig], []);
+    await symbolIndex.removeSymbolIndex('test');
+
+    expect(await symbolIndex.symbolIndexExists('test')).toBe(false);
+    expect(await symbolIndex.searchSymbols(['parseConfig'], 'test')).toEqual([]);
+  });
+});
+
+describe('hybrid search helpers', () => {
+  const { reciprocalRankFusion, findChangedSymbols } = require('../src/hybridSearch');
+
+  test('fuses rankings so chunks found by several searches rank first', () => {
+    const result = (name, startLine) => ({ metadata: { path: '/repo/a.js', type: 'FunctionDeclaration', name, startLine } });
+
+    const fused = reciprocalRankFusion([
+      [result('first', 1), result('shared', 10)],
+      [result('shared', 10), result('other', 20)]
+    ]);
+
+    expect(fused.map(entry => entry.result.metadata.name)).toEqual(['shared', 'first', 'other']);
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+  });
+
+  test('finds the functions enclosing changed lines', () => {
+    const oldCode = 'function untouched() {\n  return 1;\n}\n\nfunction changed() {\n  return 2;\n}\n';
+    const newCode = oldCode.replace('return 2;', 'return 3;');
+
+    expect(findChangedSymbols(oldCode, newCode, '/repo/a.js')).toEqual(['changed']);
+  });
+});
@@ -0,0 +1,85 @@
+const { withRetry, runPool, isRetryableError } = require('../src/throttle');
+
+/**
+ * Builds a provider error that asks for an immediate retry
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with a zero Retry-After header
+ */
+function providerError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = { 'retry-after': '0' };
+  return error;
+}
+
+describe('withRetry', () => {
+  test('retries rate limits and server errors until the task succeeds', async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(providerError(429))
+      .mockRejectedValueOnce(providerError(503))
+      .mockResolvedValue('ok');
+    const onRetry = jest.fn();
+
+    await expect(withRetry(task, { maxRetries: 3, onRetry })).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([error, attempt, delay]) => [error.status, attempt, delay])).toEqual([[429, 1, 0], [503, 2, 0]]);
+  });
+
+  test('gives up after maxRetries and throws the last error', async () => {
+    const task = jest.fn().mockRejectedValue(providerError(500));
+
+    await expect(withRetry(task, { maxRetries: 2 })).rejects.toThrow('HTTP 500');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry client errors', async () => {
+    const task = jest.fn().mockRejectedValue(providerError(400));
+
+    await expect(withRetry(task, { maxRetries: 3 })).rejects.toThrow('HTTP 400');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('retries dropped connections but not other failures without a status', () => {
+    expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(new Error('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } }))).toBe(true);
+    expect(isRetryableError(new TypeError('bad argument'))).toBe(false);
+  });
+});
+
+describe('runPool', () => {
+  test('limits concurrency and keeps results in item order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const worker = async (item, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      // Later items finish first
+      await new Promise(resolve => setTimeout(resolve, (5 - index) * 5));
+      running--;
+      return item * 2;
+    };
+
+    const results = await runPool([1, 2, 3, 4, 5], 2, worker);
+
+    expect(maxRunning).toBe(2);
+    expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10]);
+  });
+
+  test('keeps going when an item fails', async () => {
+    const results = await runPool(['a', 'b', 'c'], 3, async item => {
+      if (item === 'b') throw new Error('failed b');
+      return item.toUpperCase();
+    });
+
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 'A' });
+    expect(results[1].status).toBe('rejected');
+    expect(results[1].reason.message).toBe('failed b');
+    expect(results[2]).toEqual({ status: 'fulfilled', value: 'C' });
+  });
+
+  test('handles an empty list', async () => {
+    await expect(runPool([], 4, jest.fn())).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+const { encodeVectorFile, decodeVectorFile } = require('../src/vectorFile');
+
+const chunks = [
+  { id: 'src/a.js:FunctionDeclaration:load', values: [0.25, -0.5, 1, 0] },
+  { id: 'src/é.js:ClassDeclaration:Ünïcode', values: new Float32Array([-1, 0.125, 0.75, -0.375]) },
+  { id: 'odd-length-id', values: [0, 0, 0, 0] }
+];
+
+describe('vector file', () => {
+  test('round-trips IDs and float32 vectors exactly', () => {
+    const decoded = decodeVectorFile(encodeVectorFile(chunks));
+
+    expect(decoded.encoding).toBe('float32');
+    expect(decoded.dimension).toBe(4);
+    expect(decoded.ids).toEqual(chunks.map(chunk => chunk.id));
+    decoded.vectors.forEach((vector, index) => {
+      expect(Array.from(vector)).toEqual(Array.from(chunks[index].values));
+    });
+  });
+
+  test('stores int8 vectors in about a quarter of the space within the quantization error', () => {
+    const float32 = encodeVectorFile(chunks);
+    const int8 = encodeVectorFile(chunks, { encoding: 'int8' });
+    const decoded = decodeVectorFile(int8);
+
+    expect(decoded.encoding).toBe('int8');
+    expect(int8.length).toBeLessThan(float32.length);
+    decoded.vectors.forEach((vector, index) => {
+      Array.from(chunks[index].values).forEach((value, i) => {
+        expect(vector[i]).toBeCloseTo(value, 1);
+      });
+    });
+  });
+
+  test('reads vectors from a buffer that is not 4-byte aligned', () => {
+    const encoded = encodeVectorFile(chunks);
+    const unaligned = Buffer.alloc(encoded.length + 1).subarray(1);
+    encoded.copy(unaligned);
+
+    expect(Array.from(decodeVectorFile(unaligned).vectors[1])).toEqual([-1, 0.125, 0.75, -0.375]);
+  });
+
+  test('rejects unknown encodings and vectors of different dimensions', () => {
+    expect(() => encodeVectorFile(chunks, { encoding: 'float16' })).toThrow('Unknown vector encoding: float16');
+    expect(() => encodeVectorFile([...chunks, { id: 'short', values: [1, 2] }])).toThrow('has 2 dimensions, expected 4');
+  });
+
+  test('rejects other files', () => {
+    expect(() => decodeVectorFile(Buffer.from('[{"id": "a", "values": [1]}]'.padEnd(64)))).toThrow('Not a vector file');
+  });
+});